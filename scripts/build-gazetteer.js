@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * build-gazetteer.js
+ *
+ * Builds public/gazetteer/cities.json, the offline gazetteer used to derive
+ * activity locations from start coordinates (see src/utils/geocoder.js).
+ * The generated file is committed, so the app works out of the box; run this
+ * again only to refresh the city list.
+ *
+ * Source data: GeoNames (https://www.geonames.org, CC BY 4.0)
+ * - citiesNNNNN.zip      populated places with population > NNNNN
+ * - admin1CodesASCII.txt state/region names
+ * - countryInfo.txt      country names
+ *
+ * Usage:
+ *   npm run build:gazetteer
+ *   node scripts/build-gazetteer.js --dataset cities5000
+ *   node scripts/build-gazetteer.js --input ./geonames   (pre-downloaded files)
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import JSZip from 'jszip'
+
+const GEONAMES_URL = 'https://download.geonames.org/export/dump'
+const FORMAT_VERSION = 1
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const OUTPUT_FILE = join(ROOT_DIR, 'public', 'gazetteer', 'cities.json')
+
+/**
+ * Parse --name value command line options
+ */
+function parseArgs(argv) {
+  const options = { dataset: 'cities15000', input: null, output: OUTPUT_FILE }
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '')
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`)
+    }
+    options[name] = argv[i + 1]
+  }
+  return options
+}
+
+/**
+ * Read a GeoNames file from the input folder or download it
+ */
+async function readSourceFile(filename, input) {
+  if (input) {
+    return new Uint8Array(await readFile(join(input, filename)))
+  }
+
+  const url = `${GEONAMES_URL}/${filename}`
+  console.log(`Downloading ${url}`)
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} downloading ${url}`)
+  }
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+/**
+ * Split a GeoNames tab-separated file into rows, skipping comments
+ */
+function readRows(text) {
+  return text
+    .split('\n')
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split('\t'))
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const decoder = new TextDecoder()
+
+  const countryRows = readRows(decoder.decode(await readSourceFile('countryInfo.txt', options.input)))
+  const countries = new Map(countryRows.map(row => [row[0], row[4]]))
+
+  const admin1Rows = readRows(decoder.decode(await readSourceFile('admin1CodesASCII.txt', options.input)))
+  const admin1 = new Map(admin1Rows.map(row => [row[0], row[1]]))
+
+  const zip = await JSZip.loadAsync(await readSourceFile(`${options.dataset}.zip`, options.input))
+  const citiesFile = zip.file(`${options.dataset}.txt`)
+  if (!citiesFile) {
+    throw new Error(`${options.dataset}.zip does not contain ${options.dataset}.txt`)
+  }
+
+  // GeoNames columns: 1 name, 4 latitude, 5 longitude, 8 country code, 10 admin1 code
+  const cities = readRows(await citiesFile.async('string')).map(row => [
+    row[1],
+    admin1.get(`${row[8]}.${row[10]}`) || '',
+    countries.get(row[8]) || row[8],
+    Number(Number(row[4]).toFixed(4)),
+    Number(Number(row[5]).toFixed(4))
+  ])
+
+  const gazetteer = {
+    version: FORMAT_VERSION,
+    source: `GeoNames ${options.dataset} (CC BY 4.0)`,
+    generated: new Date().toISOString(),
+    cities
+  }
+
+  await mkdir(dirname(options.output), { recursive: true })
+  await writeFile(options.output, JSON.stringify(gazetteer))
+  console.log(`Wrote ${cities.length} cities to ${options.output}`)
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * build-timezones.js
+ *
+ * Builds public/timezones/timezones.json, the offline time zone boundaries
+ * used to place runs on their local calendar day (see src/utils/timezones.js).
+ * The generated file is committed, so the app works out of the box; run this
+ * again only to pick up boundary changes.
+ *
+ * Source data: timezone-boundary-builder
+ * (https://github.com/evansiroky/timezone-boundary-builder, ODbL 1.0)
+ * - timezones-with-oceans.geojson.zip  every IANA zone, plus Etc/GMT zones at sea
+ *
+ * The full-resolution boundaries are over 100 MB, so rings are simplified
+ * (Douglas-Peucker, 0.01° or about 1 km by default) and coordinates rounded.
+ * Points within the tolerance of a border may be given the neighbouring zone,
+ * which only matters for runs starting on the border around midnight.
+ *
+ * Usage:
+ *   npm run build:timezones
+ *   node scripts/build-timezones.js --tolerance 0.005
+ *   node scripts/build-timezones.js --input ./timezones-with-oceans.geojson.zip   (pre-downloaded file)
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import JSZip from 'jszip'
+
+const RELEASE_URL = 'https://github.com/evansiroky/timezone-boundary-builder/releases/latest/download/timezones-with-oceans.geojson.zip'
+const FORMAT_VERSION = 1
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const OUTPUT_FILE = join(ROOT_DIR, 'public', 'timezones', 'timezones.json')
+
+/**
+ * Parse --name value command line options
+ */
+function parseArgs(argv) {
+  const options = { tolerance: '0.01', precision: '4', input: null, output: OUTPUT_FILE }
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '')
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`)
+    }
+    options[name] = argv[i + 1]
+  }
+  return options
+}
+
+/**
+ * Read the release archive from disk or download it
+ */
+async function readSourceFile(input) {
+  if (input) {
+    return new Uint8Array(await readFile(input))
+  }
+
+  console.log(`Downloading ${RELEASE_URL}`)
+  const response = await fetch(RELEASE_URL)
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} downloading ${RELEASE_URL}`)
+  }
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+/**
+ * Simplify a ring of [lon, lat] positions (Douglas-Peucker, tolerance in degrees)
+ */
+function simplifyRing(ring, tolerance) {
+  if (ring.length <= 4) {
+    return ring
+  }
+
+  const keep = new Uint8Array(ring.length)
+  keep[0] = 1
+  keep[ring.length - 1] = 1
+  const stack = [[0, ring.length - 1]]
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop()
+    const [ax, ay] = ring[first]
+    const [bx, by] = ring[last]
+    const dx = bx - ax
+    const dy = by - ay
+    const lengthSquared = dx * dx + dy * dy
+
+    let farthest = -1
+    let farthestDistance = tolerance
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = ring[i]
+      const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0
+      const distance = Math.hypot(px - ax - t * dx, py - ay - t * dy)
+      if (distance > farthestDistance) {
+        farthest = i
+        farthestDistance = distance
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = 1
+      stack.push([first, farthest], [farthest, last])
+    }
+  }
+
+  return ring.filter((_, i) => keep[i])
+}
+
+/**
+ * Simplify and round a ring into the asset's flat [lon, lat, ...] layout
+ * Returns null for rings that collapse to fewer than three corners.
+ */
+function compactRing(ring, tolerance, precision) {
+  const flat = []
+  for (const [lon, lat] of simplifyRing(ring, tolerance)) {
+    const x = Number(lon.toFixed(precision))
+    const y = Number(lat.toFixed(precision))
+    if (flat.length === 0 || x !== flat[flat.length - 2] || y !== flat[flat.length - 1]) {
+      flat.push(x, y)
+    }
+  }
+  return flat.length >= 8 ? flat : null
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const tolerance = Number(options.tolerance)
+  const precision = Number(options.precision)
+
+  const zip = await JSZip.loadAsync(await readSourceFile(options.input))
+  const geojsonFile = Object.values(zip.files).find(file => !file.dir && file.name.endsWith('.json'))
+  if (!geojsonFile) {
+    throw new Error('The archive does not contain a GeoJSON file')
+  }
+  const { features } = JSON.parse(await geojsonFile.async('string'))
+
+  let pointCount = 0
+  const zones = features.map(feature => {
+    const { type, coordinates } = feature.geometry
+    const sourcePolygons = type === 'Polygon' ? [coordinates] : coordinates
+    const polygons = []
+
+    for (const [outer, ...holes] of sourcePolygons) {
+      // Keep small islands: an outer ring that collapses falls back to full detail
+      const outerRing = compactRing(outer, tolerance, precision) || compactRing(outer, 0, precision)
+      if (!outerRing) continue
+      const rings = [outerRing, ...holes.map(hole => compactRing(hole, tolerance, precision)).filter(Boolean)]
+      rings.forEach(ring => { pointCount += ring.length / 2 })
+      polygons.push(rings)
+    }
+
+    return [feature.properties.tzid, polygons]
+  })
+
+  const boundaries = {
+    version: FORMAT_VERSION,
+    source: 'timezone-boundary-builder timezones-with-oceans (ODbL 1.0)',
+    generated: new Date().toISOString(),
+    zones
+  }
+
+  await mkdir(dirname(options.output), { recursive: true })
+  await writeFile(options.output, JSON.stringify(boundaries))
+  console.log(`Wrote ${zones.length} time zones (${pointCount} points) to ${options.output}`)
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exit(1)
+})
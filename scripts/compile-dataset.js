@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * compile-dataset.js
+ *
+ * Compiles an export folder (public/data by default) into dataset.json and
+ * dataset.bin, which the app reads instead of parsing every activity file
+ * at startup (see src/utils/dataset.js for the format).
+ *
+ * Activity files are read with the app's own loader, so the compiled tracks
+ * are exactly what the app would parse. TCX files need a DOMParser, which is
+ * taken from jsdom (a dev dependency) when running under Node.
+ *
+ * Files that fail for a reason that will not change (missing, no GPS data,
+ * unparseable) are recorded with their error; files that could not be read
+ * are left out, and the app reads them itself.
+ *
+ * Run again after updating the export: the app ignores a dataset whose
+ * activities.csv has changed size since it was compiled.
+ *
+ * Usage:
+ *   npm run compile:dataset
+ *   node scripts/compile-dataset.js --input ./exports/alice
+ *   node scripts/compile-dataset.js --input ./exports/alice --output ./public/data/alice
+ */
+
+import { readFile, stat, writeFile, mkdir } from 'node:fs/promises'
+import { dirname, join, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { loadActivitiesCSV, loadGPXFile } from '../src/utils/dataLoader.js'
+import { encodeDataset, DATASET_FILE, DATASET_TRACKS_FILE } from '../src/utils/dataset.js'
+import { NOT_FOUND } from '../src/utils/dataSources.js'
+import { TRANSIENT_LOAD_ERRORS } from '../src/utils/loadErrors.js'
+import { setLogLevel, LOG_LEVELS } from '../src/utils/logger.js'
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..')
+const DEFAULT_INPUT = join(ROOT_DIR, 'public', 'data')
+
+/**
+ * Parse --name value command line options
+ */
+function parseArgs(argv) {
+  const options = { input: DEFAULT_INPUT, output: null }
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '')
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`)
+    }
+    options[name] = resolve(argv[i + 1])
+  }
+  options.output = options.output || options.input
+  return options
+}
+
+/**
+ * Data source reading an export folder from disk
+ */
+function createFolderSource(root) {
+  return {
+    name: root,
+    async readFile(path) {
+      try {
+        return new Uint8Array(await readFile(join(root, path)))
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw Object.assign(new Error(`File not found: ${path}`), { code: NOT_FOUND })
+        }
+        throw error
+      }
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  // Failed files are reported below instead of by the app's loader
+  setLogLevel(LOG_LEVELS.SILENT)
+
+  if (typeof DOMParser === 'undefined') {
+    const { JSDOM } = await import('jsdom')
+    globalThis.DOMParser = new JSDOM('').window.DOMParser
+  }
+
+  const source = createFolderSource(options.input)
+  const activities = await loadActivitiesCSV(source)
+  const filenames = [...new Set(activities.map(activity => activity.filename))]
+  console.log(`Compiling ${activities.length} activities from ${options.input}`)
+
+  const tracks = new Map()
+  let skipped = 0
+  for (const [index, filename] of filenames.entries()) {
+    const result = await loadGPXFile(filename, source, { cache: null, pool: null })
+    if (!result.error) {
+      tracks.set(filename, { track: result.track })
+    } else if (TRANSIENT_LOAD_ERRORS.has(result.errorCode)) {
+      console.warn(`Leaving out ${filename}: ${result.error}`)
+      skipped++
+    } else {
+      console.warn(`Recording ${filename} as failed (${result.errorCode}): ${result.error}`)
+      tracks.set(filename, { error: result.error, errorCode: result.errorCode })
+    }
+
+    if ((index + 1) % 500 === 0) {
+      console.log(`  ${index + 1} / ${filenames.length} files`)
+    }
+  }
+
+  const { size: activitiesCsvSize } = await stat(join(options.input, 'activities.csv'))
+  const { metadata, bytes } = encodeDataset(activities, tracks, { activitiesCsvSize })
+
+  await mkdir(options.output, { recursive: true })
+  await writeFile(join(options.output, DATASET_FILE), JSON.stringify(metadata))
+  await writeFile(join(options.output, DATASET_TRACKS_FILE), bytes)
+
+  const failed = Object.keys(metadata.errors).length
+  console.log(`Wrote ${Object.keys(metadata.tracks).length} tracks (${(bytes.length / 1048576).toFixed(1)} MB)` +
+    ` to ${join(options.output, DATASET_TRACKS_FILE)}`)
+  if (failed > 0 || skipped > 0) {
+    console.log(`${failed} files recorded as failed, ${skipped} left out`)
+  }
+}
+
+main().catch(error => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,128 @@
+/**
+ * Tests for activityDates.js
+ * Covers Strava date formats, local calendar days and the start cache
+ */
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  parseActivityDate,
+  formatActivityDate,
+  getLocalDateKey,
+  getActivityStartTime,
+  getActivityLocalDate,
+  loadActivityStartCache,
+  saveActivityStartCache,
+  ACTIVITY_START_CACHE_KEY
+} from '../activityDates.js'
+
+const MARCH_24_UTC = Date.UTC(2017, 2, 24, 17, 42, 11)
+
+describe('parseActivityDate', () => {
+  it('should read the English export format as UTC', () => {
+    expect(parseActivityDate('Mar 24, 2017, 5:42:11 PM')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('Mar 24, 2017, 12:05:00 AM')).toBe(Date.UTC(2017, 2, 24, 0, 5))
+    expect(parseActivityDate('Mar 24, 2017, 12:05:00 PM')).toBe(Date.UTC(2017, 2, 24, 12, 5))
+  })
+
+  it('should read localized month names', () => {
+    expect(parseActivityDate('24 mars 2017, 17:42:11')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('24. März 2017, 17:42:11')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('24 mar. 2017 17:42:11')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('24 déc. 2017, 08:00:00')).toBe(Date.UTC(2017, 11, 24, 8))
+    expect(parseActivityDate('24 mar 2017, 5:42:11 p. m.')).toBe(MARCH_24_UTC)
+  })
+
+  it('should read numeric dates day first unless impossible', () => {
+    expect(parseActivityDate('24.03.2017, 17:42:11')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('24/03/2017 17:42:11')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('03/24/2017 5:42:11 PM')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('04/03/2017 00:00:00')).toBe(Date.UTC(2017, 2, 4))
+    expect(parseActivityDate('2017/03/24 17:42:11')).toBe(MARCH_24_UTC)
+  })
+
+  it('should read ISO 8601 with and without an offset', () => {
+    expect(parseActivityDate('2017-03-24T17:42:11Z')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('2017-03-24 17:42:11')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('2017-03-24T19:42:11.000+02:00')).toBe(MARCH_24_UTC)
+    expect(parseActivityDate('2017-03-24')).toBe(Date.UTC(2017, 2, 24))
+  })
+
+  it('should reject text that is not a date', () => {
+    expect(parseActivityDate('')).toBeNull()
+    expect(parseActivityDate(null)).toBeNull()
+    expect(parseActivityDate('Morning Run')).toBeNull()
+    expect(parseActivityDate('Feb 30, 2017, 1:00:00 PM')).toBeNull()
+    expect(parseActivityDate('Mar 24, 2017, 13:00:00 PM')).toBeNull()
+    expect(parseActivityDate('2017-13-01')).toBeNull()
+  })
+})
+
+describe('formatActivityDate', () => {
+  it('should write the English export format', () => {
+    expect(formatActivityDate(MARCH_24_UTC)).toBe('Mar 24, 2017, 5:42:11 PM')
+    expect(formatActivityDate(Date.UTC(2017, 0, 5, 0, 5))).toBe('Jan 5, 2017, 12:05:00 AM')
+    expect(formatActivityDate(null)).toBe('')
+  })
+
+  it('should round-trip through parseActivityDate', () => {
+    const timestamp = Date.UTC(2021, 10, 30, 12, 0, 9)
+    expect(parseActivityDate(formatActivityDate(timestamp))).toBe(timestamp)
+  })
+})
+
+describe('getLocalDateKey', () => {
+  it('should give the calendar day in a time zone', () => {
+    expect(getLocalDateKey(MARCH_24_UTC, 'UTC')).toBe('2017-03-24')
+    expect(getLocalDateKey(MARCH_24_UTC, 'Asia/Tokyo')).toBe('2017-03-25')
+    expect(getLocalDateKey(Date.UTC(2017, 2, 24, 3), 'America/Los_Angeles')).toBe('2017-03-23')
+  })
+
+  it('should fall back to the browser time zone', () => {
+    const date = new Date(MARCH_24_UTC)
+    const expected = [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-')
+    expect(getLocalDateKey(MARCH_24_UTC)).toBe(expected)
+    expect(getLocalDateKey(MARCH_24_UTC, 'Not/AZone')).toBe(expected)
+  })
+
+  it('should return null without a timestamp', () => {
+    expect(getLocalDateKey(null, 'UTC')).toBeNull()
+  })
+})
+
+describe('activity helpers', () => {
+  it('should prefer the start time read from the file', () => {
+    expect(getActivityStartTime({ date: 'Mar 24, 2017, 5:42:11 PM' })).toBe(MARCH_24_UTC)
+    expect(getActivityStartTime({ date: 'Mar 24, 2017, 5:42:11 PM', startTime: 1000 })).toBe(1000)
+  })
+
+  it('should use the stored local date, then the activity time zone', () => {
+    expect(getActivityLocalDate({ localDate: '2017-03-25', date: 'Mar 24, 2017, 5:42:11 PM' })).toBe('2017-03-25')
+    expect(getActivityLocalDate({ date: 'Mar 24, 2017, 5:42:11 PM', timeZone: 'Asia/Tokyo' })).toBe('2017-03-25')
+    expect(getActivityLocalDate({ date: 'not a date' })).toBeNull()
+  })
+})
+
+describe('activity start cache', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should round-trip cached starts', () => {
+    saveActivityStartCache(new Map([
+      ['1', { timeZone: 'Europe/London', start: MARCH_24_UTC }],
+      ['2', { timeZone: null, start: null }]
+    ]))
+
+    const cache = loadActivityStartCache()
+    expect(cache.get('1')).toEqual({ timeZone: 'Europe/London', start: MARCH_24_UTC })
+    expect(cache.get('2')).toEqual({ timeZone: null, start: null })
+  })
+
+  it('should ignore an unreadable cache', () => {
+    localStorage.setItem(ACTIVITY_START_CACHE_KEY, '{broken')
+    expect(loadActivityStartCache().size).toBe(0)
+  })
+})
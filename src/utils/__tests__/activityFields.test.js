@@ -0,0 +1,167 @@
+/**
+ * Tests for activityFields.js
+ * Covers column mapping (including Strava's duplicated headers) and formatters
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  indexHeaders,
+  mapActivityRow,
+  parseNumberField,
+  parseBooleanField,
+  formatDuration,
+  formatPace,
+  escapeHTML,
+  formatActivityPopup
+} from '../activityFields.js'
+
+// Abbreviated Strava header row, keeping its duplicated columns
+const STRAVA_HEADERS = [
+  'Activity ID', 'Activity Date', 'Activity Name', 'Activity Type', 'Activity Description',
+  'Elapsed Time', 'Distance', 'Max Heart Rate', 'Relative Effort', 'Commute',
+  'Activity Gear', 'Filename', 'Elapsed Time', 'Moving Time', 'Distance',
+  'Max Speed', 'Elevation Gain', 'Average Heart Rate', 'Relative Effort', 'Commute'
+]
+
+const STRAVA_ROW = [
+  '101', 'Mar 24, 2017, 5:42:11 PM', 'Evening Run', 'Run', 'Easy loop',
+  '1865', '5.02', '171.0', '42', 'false',
+  'Pegasus 40', 'activities/101.gpx', '1865.0', '1801.0', '5020.5',
+  '4.1', '35.2', '152.3', '', '0.0'
+]
+
+describe('indexHeaders', () => {
+  it('should record every occurrence of a repeated header', () => {
+    const index = indexHeaders(STRAVA_HEADERS)
+    expect(index.get('Distance')).toEqual([6, 14])
+    expect(index.get('Activity ID')).toEqual([0])
+  })
+})
+
+describe('mapActivityRow', () => {
+  const activity = mapActivityRow(STRAVA_ROW, indexHeaders(STRAVA_HEADERS))
+
+  it('should use the raw (meters, seconds) duplicate columns', () => {
+    expect(activity.distance).toBe(5020.5)
+    expect(activity.elapsedTime).toBe(1865)
+  })
+
+  it('should map text and numeric columns', () => {
+    expect(activity).toMatchObject({
+      id: '101',
+      name: 'Evening Run',
+      type: 'Run',
+      description: 'Easy loop',
+      gear: 'Pegasus 40',
+      filename: 'activities/101.gpx',
+      movingTime: 1801,
+      maxSpeed: 4.1,
+      elevationGain: 35.2,
+      averageHeartRate: 152.3,
+      relativeEffort: 42,
+      commute: false
+    })
+  })
+
+  it('should default missing columns', () => {
+    expect(activity.calories).toBeNull()
+    const minimal = mapActivityRow(['1'], indexHeaders(['Activity ID']))
+    expect(minimal.distance).toBe(0)
+    expect(minimal.name).toBe('')
+    expect(minimal.commute).toBe(false)
+  })
+
+  it('should use a single Distance column when not duplicated', () => {
+    const row = mapActivityRow(['1', '5000'], indexHeaders(['Activity ID', 'Distance']))
+    expect(row.distance).toBe(5000)
+  })
+})
+
+describe('parseNumberField', () => {
+  it('should parse numbers with thousands separators', () => {
+    expect(parseNumberField('1,234.5')).toBe(1234.5)
+  })
+
+  it('should return null for empty or invalid values', () => {
+    expect(parseNumberField('')).toBeNull()
+    expect(parseNumberField(undefined)).toBeNull()
+    expect(parseNumberField('abc')).toBeNull()
+  })
+})
+
+describe('parseBooleanField', () => {
+  it('should accept both Strava boolean spellings', () => {
+    expect(parseBooleanField('true')).toBe(true)
+    expect(parseBooleanField('1.0')).toBe(true)
+    expect(parseBooleanField('false')).toBe(false)
+    expect(parseBooleanField('0.0')).toBe(false)
+    expect(parseBooleanField('')).toBeNull()
+  })
+})
+
+describe('formatDuration', () => {
+  it('should format minutes and hours', () => {
+    expect(formatDuration(65)).toBe('1:05')
+    expect(formatDuration(3725)).toBe('1:02:05')
+  })
+
+  it('should return empty string for unknown durations', () => {
+    expect(formatDuration(null)).toBe('')
+  })
+})
+
+describe('formatPace', () => {
+  it('should format pace per km', () => {
+    expect(formatPace(5000, 1500)).toBe('5:00 /km')
+  })
+
+  it('should return empty string without distance or time', () => {
+    expect(formatPace(0, 1500)).toBe('')
+    expect(formatPace(5000, null)).toBe('')
+  })
+})
+
+describe('formatActivityPopup', () => {
+  it('should list available fields and escape text', () => {
+    const html = formatActivityPopup({
+      name: '<b>Run</b>',
+      date: 'Mar 24, 2017',
+      distance: 5000,
+      movingTime: 1500,
+      elapsedTime: 1600,
+      elevationGain: 12.4,
+      averageHeartRate: null,
+      gear: '',
+      location: 'Los Angeles',
+      state: 'California'
+    })
+
+    expect(html).toContain('&lt;b&gt;Run&lt;/b&gt;')
+    expect(html).toContain('Distance: 5.00 km')
+    expect(html).toContain('Time: 25:00 (5:00 /km)')
+    expect(html).toContain('Elevation gain: 12 m')
+    expect(html).not.toContain('heart rate')
+    expect(html).not.toContain('Gear')
+  })
+
+  it('should show load warnings for partially loaded runs', () => {
+    const html = formatActivityPopup({
+      name: 'Run',
+      date: 'Mar 24, 2017',
+      distance: 5000,
+      location: 'Los Angeles',
+      state: 'California',
+      loadWarnings: ['Malformed XML: <trkseg> is not closed at line 40']
+    })
+    expect(html).toContain('Partially loaded: Malformed XML: &lt;trkseg&gt; is not closed at line 40')
+  })
+
+  it('should name the athlete of multi-athlete runs', () => {
+    const run = { name: 'Run', date: 'Mar 24, 2017', distance: 5000, location: 'Los Angeles', state: 'California' }
+    expect(formatActivityPopup({ ...run, athlete: 'Alice' })).toContain('Athlete: Alice')
+    expect(formatActivityPopup(run)).not.toContain('Athlete')
+  })
+
+  it('should escape quotes', () => {
+    expect(escapeHTML(`"a" & 'b'`)).toBe('&quot;a&quot; &amp; &#39;b&#39;')
+  })
+})
@@ -7,6 +7,7 @@
  * - Route rendering
  * - Marker rendering
  * - Static route rendering
+ * - Legend rendering
  * - Animation progress calculations
  * - Full frame rendering
  */
@@ -20,8 +21,10 @@ import {
   drawStaticRoutes,
   getVisibleRouteCoordinates,
   addDebugOverlay,
+  drawLegend,
   renderExportFrame
 } from '../canvasRenderer.js'
+import { buildRouteLOD } from '../trackSimplify.js'
 
 /**
  * Create a mock Leaflet map instance
@@ -59,6 +62,8 @@ function createMockCanvasContext() {
     arc: vi.fn(),
     stroke: vi.fn(),
     fill: vi.fn(),
+    fillText: vi.fn(),
+    measureText: vi.fn(text => ({ width: text.length * 8 })),
     strokeStyle: '',
     fillStyle: '',
     lineWidth: 1,
@@ -178,6 +183,18 @@ describe('canvasRenderer', () => {
       expect(ctx.lineJoin).toBe('round')
     })
 
+    it('should apply and reset a dash pattern scaled by line width', () => {
+      const ctx = { ...createMockCanvasContext(), setLineDash: vi.fn() }
+      const map = createMockMap()
+      const exportFrame = { left: 100, top: 100, width: 800, height: 600 }
+      const coords = [{ lat: 40.7, lng: -74.0 }, { lat: 40.8, lng: -73.9 }]
+
+      drawRoute(ctx, coords, exportFrame, map, { width: 4, dash: [3, 2] })
+
+      expect(ctx.setLineDash).toHaveBeenNthCalledWith(1, [12, 8])
+      expect(ctx.setLineDash).toHaveBeenLastCalledWith([])
+    })
+
     it('should use default style values', () => {
       const ctx = createMockCanvasContext()
       const map = createMockMap()
@@ -225,6 +242,36 @@ describe('canvasRenderer', () => {
     })
   })
 
+  describe('drawRoute with segments', () => {
+    it('should start a new sub-path for each segment', () => {
+      const ctx = createMockCanvasContext()
+      const map = createMockMap()
+      const exportFrame = { left: 100, top: 100, width: 800, height: 600 }
+      const segments = [
+        [{ lat: 40.7, lng: -74.0 }, { lat: 40.8, lng: -73.9 }],
+        [{ lat: 40.9, lng: -73.8 }, { lat: 41.0, lng: -73.7 }, { lat: 41.1, lng: -73.6 }]
+      ]
+
+      drawRoute(ctx, segments, exportFrame, map)
+
+      expect(ctx.beginPath).toHaveBeenCalledTimes(1)
+      expect(ctx.moveTo).toHaveBeenCalledTimes(2)
+      expect(ctx.lineTo).toHaveBeenCalledTimes(3)
+      expect(ctx.stroke).toHaveBeenCalledTimes(1)
+    })
+
+    it('should accept [lat, lng] array coordinates in segments', () => {
+      const ctx = createMockCanvasContext()
+      const map = createMockMap()
+      const exportFrame = { left: 100, top: 100, width: 800, height: 600 }
+
+      drawRoute(ctx, [[[40.7, -74.0], [40.8, -73.9]], [[40.9, -73.8]]], exportFrame, map)
+
+      expect(ctx.moveTo).toHaveBeenCalledTimes(2)
+      expect(ctx.lineTo).toHaveBeenCalledTimes(1)
+    })
+  })
+
   describe('drawCurrentMarker', () => {
     it('should draw simple colored circle marker', () => {
       const ctx = createMockCanvasContext()
@@ -370,6 +417,50 @@ describe('canvasRenderer', () => {
     })
   })
 
+  describe('getVisibleRouteCoordinates with segments', () => {
+    const segments = [
+      [{ lat: 40.0, lng: -74.0 }, { lat: 40.1, lng: -74.0 }],
+      [{ lat: 40.2, lng: -74.0 }, { lat: 40.3, lng: -74.0 }]
+    ]
+
+    it('should return all segments at 100% progress', () => {
+      expect(getVisibleRouteCoordinates(segments, 100)).toEqual(segments)
+    })
+
+    it('should return only the first segment at 50% progress', () => {
+      expect(getVisibleRouteCoordinates(segments, 50)).toEqual([segments[0]])
+    })
+
+    it('should truncate the segment in progress', () => {
+      const result = getVisibleRouteCoordinates(segments, 75)
+      expect(result).toEqual([segments[0], [segments[1][0]]])
+    })
+
+    it('should return empty array at 0% progress', () => {
+      expect(getVisibleRouteCoordinates(segments, 0)).toEqual([])
+    })
+  })
+
+  describe('getVisibleRouteCoordinates with a level of detail', () => {
+    const coords = [
+      { lat: 40.0, lng: -74.0 },
+      { lat: 40.1, lng: -74.0 },
+      { lat: 40.2, lng: -74.0 },
+      { lat: 40.3, lng: -74.0 },
+      { lat: 40.4, lng: -74.0 }
+    ]
+    const level = buildRouteLOD(coords).levels[0]
+
+    it('should draw the simplified route in the input shape', () => {
+      expect(getVisibleRouteCoordinates(coords, 100, level)).toEqual([coords[0], coords[4]])
+      expect(getVisibleRouteCoordinates([coords], 100, level)).toEqual([[coords[0], coords[4]]])
+    })
+
+    it('should end at the same point as the full route', () => {
+      expect(getVisibleRouteCoordinates(coords, 60, level)).toEqual([coords[0], coords[2]])
+    })
+  })
+
   describe('addDebugOverlay', () => {
     it('should draw crosshairs at each coordinate', () => {
       const ctx = createMockCanvasContext()
@@ -400,6 +491,39 @@ describe('canvasRenderer', () => {
     })
   })
 
+  describe('drawLegend', () => {
+    let ctx
+
+    beforeEach(() => {
+      ctx = createMockCanvasContext()
+    })
+
+    it('should label each entry next to its color', () => {
+      drawLegend(ctx, [
+        { label: 'Alice', color: '#FF0000' },
+        { label: 'Bob', color: '#0000FF' }
+      ], 800, 600)
+
+      expect(ctx.fillText).toHaveBeenCalledTimes(2)
+      expect(ctx.fillText.mock.calls.map(call => call[0])).toEqual(['Alice', 'Bob'])
+      expect(ctx.stroke).toHaveBeenCalledTimes(2)
+      expect(ctx.strokeStyle).toBe('#0000FF')
+    })
+
+    it('should place the box in the bottom-left corner', () => {
+      drawLegend(ctx, [{ label: 'Alice', color: '#FF0000' }], 800, 600, { fontSize: 10, margin: 20 })
+
+      // Padding 6, row height 15: 6 + 15 + 6 = 27px high; 6 + 15 (swatch) + 5 (gap) + 40 (label) + 6 = 72px wide
+      expect(ctx.fillRect).toHaveBeenCalledWith(20, 553, 72, 27)
+    })
+
+    it('should draw nothing without entries', () => {
+      drawLegend(ctx, [], 800, 600)
+      drawLegend(ctx, null, 800, 600)
+      expect(ctx.fillRect).not.toHaveBeenCalled()
+    })
+  })
+
   describe('renderExportFrame', () => {
     it('should render complete frame with all elements', () => {
       const canvas = createMockCanvas(800, 600)
@@ -532,5 +656,20 @@ describe('canvasRenderer', () => {
       // Should draw debug crosshairs
       expect(ctx.moveTo).toHaveBeenCalled()
     })
+
+    it('should draw the legend over the routes', () => {
+      const canvas = createMockCanvas(800, 600)
+      const ctx = canvas._ctx
+      const exportFrame = { left: 100, top: 100, width: 800, height: 600 }
+
+      renderExportFrame(canvas, exportFrame, createMockMap(), {
+        currentActivity: { id: 1, coordinates: [{ lat: 40.7, lng: -74.0 }, { lat: 40.8, lng: -73.9 }] },
+        animationProgress: 100,
+        selectedColor: '#FF0000',
+        legend: [{ label: 'Alice', color: '#FF0000' }]
+      })
+
+      expect(ctx.fillText).toHaveBeenCalledWith('Alice', expect.any(Number), expect.any(Number))
+    })
   })
 })
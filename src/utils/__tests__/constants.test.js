@@ -9,7 +9,12 @@ import {
   EXPORT_FRAME_RATES,
   EXPORT_VALIDATION,
   COLOR_PALETTE,
+  ACTIVITY_TYPE_STYLES,
+  DEFAULT_ACTIVITY_TYPE_STYLE,
   Z_INDEX,
+  DEFAULT_TRACK_CLEANING,
+  getActivityTypeStyle,
+  scaleDashPattern,
   parseResolution,
   getAspectRatio,
   validateExportSettings
@@ -78,6 +83,19 @@ describe('constants', () => {
     })
   })
 
+  describe('ACTIVITY_TYPE_STYLES', () => {
+    it('should give every type a hex color', () => {
+      Object.values(ACTIVITY_TYPE_STYLES).forEach(style => {
+        expect(style.color).toMatch(/^#[0-9a-fA-F]{6}$/)
+      })
+    })
+
+    it('should draw runs solid and rides dashed', () => {
+      expect(ACTIVITY_TYPE_STYLES.Run.dash).toBeNull()
+      expect(ACTIVITY_TYPE_STYLES.Ride.dash).not.toBeNull()
+    })
+  })
+
   describe('Z_INDEX', () => {
     it('should have properly ordered z-index values', () => {
       expect(Z_INDEX.map).toBeLessThan(Z_INDEX.exportFrameOverlay)
@@ -86,6 +104,12 @@ describe('constants', () => {
       expect(Z_INDEX.loading).toBeLessThan(Z_INDEX.modal)
     })
   })
+
+  describe('DEFAULT_TRACK_CLEANING', () => {
+    it('should show raw tracks until a cleaning step is turned on', () => {
+      expect(Object.values(DEFAULT_TRACK_CLEANING)).toEqual([false, false, false])
+    })
+  })
 })
 
 describe('parseResolution', () => {
@@ -101,6 +125,27 @@ describe('parseResolution', () => {
   })
 })
 
+describe('getActivityTypeStyle', () => {
+  it('should return the style for known types', () => {
+    expect(getActivityTypeStyle('Hike')).toBe(ACTIVITY_TYPE_STYLES.Hike)
+  })
+
+  it('should fall back to the default style', () => {
+    expect(getActivityTypeStyle('Kitesurf')).toBe(DEFAULT_ACTIVITY_TYPE_STYLE)
+  })
+})
+
+describe('scaleDashPattern', () => {
+  it('should scale dash lengths by line width', () => {
+    expect(scaleDashPattern([3, 2], 4)).toEqual([12, 8])
+  })
+
+  it('should return null for solid lines', () => {
+    expect(scaleDashPattern(null, 4)).toBeNull()
+    expect(scaleDashPattern([], 4)).toBeNull()
+  })
+})
+
 describe('getAspectRatio', () => {
   it('should calculate correct aspect ratios', () => {
     // 16:9
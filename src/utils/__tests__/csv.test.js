@@ -0,0 +1,95 @@
+/**
+ * Tests for csv.js
+ * Covers record splitting, quoting, line endings and error reporting
+ */
+import { describe, it, expect } from 'vitest'
+import { parseCSV, iterateCSVRecords, formatCSVField, formatCSV } from '../csv.js'
+
+const fieldsOf = text => parseCSV(text).records.map(record => record.fields)
+
+describe('parseCSV', () => {
+  it('should parse simple records', () => {
+    expect(fieldsOf('a,b,c\n1,2,3\n')).toEqual([['a', 'b', 'c'], ['1', '2', '3']])
+  })
+
+  it('should keep newlines inside quoted fields', () => {
+    const { records, errors } = parseCSV('id,description\n1,"Line one\nLine two"\n2,done\n')
+    expect(errors).toEqual([])
+    expect(records.map(r => r.fields)).toEqual([
+      ['id', 'description'],
+      ['1', 'Line one\nLine two'],
+      ['2', 'done']
+    ])
+  })
+
+  it('should report the starting line of each record', () => {
+    const { records } = parseCSV('id,description\n1,"Line one\nLine two"\n2,done')
+    expect(records.map(r => r.line)).toEqual([1, 2, 4])
+  })
+
+  it('should handle CRLF and CR line endings', () => {
+    expect(fieldsOf('a,b\r\n1,2\r\n')).toEqual([['a', 'b'], ['1', '2']])
+    expect(fieldsOf('a,b\r1,2')).toEqual([['a', 'b'], ['1', '2']])
+  })
+
+  it('should normalize CRLF inside quoted fields to \\n', () => {
+    expect(fieldsOf('"a\r\nb"')).toEqual([['a\nb']])
+  })
+
+  it('should unescape doubled quotes and keep commas in quotes', () => {
+    expect(fieldsOf('"He said ""hi""","a, b"')).toEqual([['He said "hi"', 'a, b']])
+  })
+
+  it('should skip blank lines but keep empty quoted records', () => {
+    expect(fieldsOf('a\n\n\nb\n""\n')).toEqual([['a'], ['b'], ['']])
+  })
+
+  it('should handle a missing trailing newline', () => {
+    expect(fieldsOf('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']])
+  })
+
+  it('should report an unterminated quoted field with its line', () => {
+    const { records, errors } = parseCSV('a,b\n1,"open\nstill open')
+    expect(errors).toEqual([{ line: 2, message: 'Unterminated quoted field' }])
+    expect(records[1].fields).toEqual(['1', 'open\nstill open'])
+  })
+
+  it('should report stray quotes and text after a closing quote', () => {
+    const { records, errors } = parseCSV('a,b\nab"c,"d"x\n')
+    expect(errors).toEqual([
+      { line: 2, message: 'Unexpected quote in field' },
+      { line: 2, message: 'Unexpected text after closing quote' }
+    ])
+    expect(records[1].fields).toEqual(['ab"c', 'dx'])
+  })
+})
+
+describe('iterateCSVRecords', () => {
+  it('should yield records lazily', () => {
+    const records = iterateCSVRecords('a\nb\nc')
+    expect(records.next().value.fields).toEqual(['a'])
+    expect(records.next().value.fields).toEqual(['b'])
+  })
+})
+
+describe('formatCSVField', () => {
+  it('should quote fields that need it', () => {
+    expect(formatCSVField('plain')).toBe('plain')
+    expect(formatCSVField('a, b')).toBe('"a, b"')
+    expect(formatCSVField('say "hi"')).toBe('"say ""hi"""')
+    expect(formatCSVField('two\nlines')).toBe('"two\nlines"')
+  })
+
+  it('should write null and undefined as empty', () => {
+    expect(formatCSVField(null)).toBe('')
+    expect(formatCSVField(undefined)).toBe('')
+    expect(formatCSVField(0)).toBe('0')
+  })
+})
+
+describe('formatCSV', () => {
+  it('should round-trip through parseCSV', () => {
+    const rows = [['id', 'note'], ['1', 'multi\nline, "quoted"']]
+    expect(parseCSV(formatCSV(rows)).records.map(r => r.fields)).toEqual(rows)
+  })
+})
@@ -1,9 +1,34 @@
 /**
  * Tests for dataLoader.js
- * Covers filterActivities function, date parsing, and GPX parsing
+ * Covers filterActivities function, date parsing, and activity file parsing
  */
-import { describe, it, expect } from 'vitest'
-import { filterActivities, parseGPX, stripBOM, parseCSVLine } from '../dataLoader.js'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  filterActivities,
+  parseGPX,
+  parseGPXTrack,
+  stripBOM,
+  parseCSVLine,
+  detectTrackFormat,
+  loadGPXFile,
+  loadActivitiesCSV,
+  loadLocationsCSV,
+  loadMetadataOnly,
+  loadAllRuns,
+  loadGPXForActivities,
+  retryFailedLoads,
+  geocodeActivities,
+  localizeActivityDates,
+  getRunRoute
+} from '../dataLoader.js'
+import { createFixtureSource, createAthletesSource, createHttpSource } from '../dataSources.js'
+import { createTrackCache, createMemoryStore } from '../trackCache.js'
+import { createTrackPoint } from '../trackModel.js'
+import { createGazetteer, resetGazetteer, loadGeocodeCache, GAZETTEER_URL } from '../geocoder.js'
+import { createTimeZoneIndex, resetTimeZones } from '../timezones.js'
+import { loadActivityStartCache } from '../activityDates.js'
+import { encodeDataset, DATASET_FILE, DATASET_TRACKS_FILE } from '../dataset.js'
+import { LOAD_ERROR } from '../loadErrors.js'
 
 // Sample test data
 const sampleActivities = [
@@ -112,6 +137,22 @@ describe('filterActivities', () => {
       expect(result.map(a => a.id)).toContain('1')
     })
 
+    it('should compare the local calendar day of each activity', () => {
+      // 11:30 PM UTC on Mar 24 is already Mar 25 in Tokyo
+      const activities = [
+        { id: 'utc', date: 'Mar 24, 2017, 11:30:00 PM', timeZone: 'UTC' },
+        { id: 'tokyo', date: 'Mar 24, 2017, 11:30:00 PM', timeZone: 'Asia/Tokyo' },
+        { id: 'stored', date: 'Mar 24, 2017, 11:30:00 PM', localDate: '2017-03-25' }
+      ]
+      const result = filterActivities(activities, { startDate: '2017-03-25', endDate: '2017-03-25' })
+      expect(result.map(a => a.id)).toEqual(['tokyo', 'stored'])
+    })
+
+    it('should parse localized Strava dates', () => {
+      const activities = [{ id: '1', date: '24 mars 2017, 17:42:11', timeZone: 'UTC' }]
+      expect(filterActivities(activities, { startDate: '2017-03-24', endDate: '2017-03-24' })).toHaveLength(1)
+    })
+
     it('should return empty when date range excludes all activities', () => {
       const result = filterActivities(sampleActivities, {
         startDate: '2025-01-01',
@@ -261,6 +302,48 @@ describe('filterActivities', () => {
       expect(result).toHaveLength(5)
     })
   })
+
+  describe('exclusion list', () => {
+    it('should leave out excluded activities', () => {
+      expect(filterActivities(sampleActivities, { excludedIds: new Set(['2', '4']) }).map(a => a.id))
+        .toEqual(['1', '3', '5'])
+      expect(filterActivities(sampleActivities, { excludedIds: ['1'] })).toHaveLength(4)
+    })
+
+    it('should combine with other filters', () => {
+      const result = filterActivities(sampleActivities, { excludedIds: new Set(['1']), city: 'Los Angeles' })
+      expect(result.map(a => a.id)).not.toContain('1')
+    })
+  })
+
+  describe('activity field filters', () => {
+    const withDistances = sampleActivities.map((activity, i) => ({
+      ...activity,
+      distance: (i + 1) * 5000 // 5, 10, 15, 20, 25 km
+    }))
+
+    it('should filter by minimum and maximum distance in km', () => {
+      const result = filterActivities(withDistances, { minDistance: 10, maxDistance: 20 })
+      expect(result.map(a => a.id)).toEqual(['2', '3', '4'])
+    })
+
+    it('should filter by activity type', () => {
+      const typed = withDistances.map((activity, i) => ({ ...activity, type: i % 2 ? 'Ride' : 'Run' }))
+      expect(filterActivities(typed, { types: ['Ride'] }).map(a => a.id)).toEqual(['2', '4'])
+      expect(filterActivities(typed, { types: [] })).toHaveLength(5)
+    })
+
+    it('should filter by athlete', () => {
+      const tagged = withDistances.map((activity, i) => ({ ...activity, athlete: i < 2 ? 'Alice' : 'Bob' }))
+      expect(filterActivities(tagged, { athletes: ['Alice'] }).map(a => a.id)).toEqual(['1', '2'])
+      expect(filterActivities(tagged, { athletes: [] })).toHaveLength(5)
+    })
+
+    it('should ignore empty distance filters', () => {
+      const result = filterActivities(withDistances, { minDistance: '', maxDistance: '' })
+      expect(result).toHaveLength(5)
+    })
+  })
 })
 
 describe('parseGPX', () => {
@@ -340,6 +423,912 @@ describe('parseGPX', () => {
   })
 })
 
+describe('parseGPXTrack', () => {
+  const stravaGPX = `<?xml version="1.0" encoding="UTF-8"?>
+    <gpx version="1.1" creator="StravaGPX"
+      xmlns="http://www.topografix.com/GPX/1/1"
+      xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+      <trk>
+        <trkseg>
+          <trkpt lat="34.0522" lon="-118.2437">
+            <ele>71.2</ele>
+            <time>2017-03-24T17:42:11Z</time>
+            <extensions>
+              <gpxtpx:TrackPointExtension>
+                <gpxtpx:hr>128</gpxtpx:hr>
+                <gpxtpx:cad>84</gpxtpx:cad>
+              </gpxtpx:TrackPointExtension>
+            </extensions>
+          </trkpt>
+          <trkpt lat="34.0530" lon="-118.2440">
+            <ele>72.0</ele>
+            <time>2017-03-24T17:42:12Z</time>
+          </trkpt>
+        </trkseg>
+      </trk>
+    </gpx>`
+
+  it('should extract time, elevation, heart rate and cadence', () => {
+    const track = parseGPXTrack(stravaGPX)
+    expect(track.segments).toHaveLength(1)
+    expect(track.segments[0]).toHaveLength(2)
+    expect(track.segments[0][0]).toEqual({
+      lat: 34.0522,
+      lon: -118.2437,
+      time: Date.UTC(2017, 2, 24, 17, 42, 11),
+      ele: 71.2,
+      hr: 128,
+      cad: 84,
+      speed: null
+    })
+  })
+
+  it('should default missing sensor values to null', () => {
+    const [point] = parseGPXTrack(stravaGPX).segments[0].slice(1)
+    expect(point.hr).toBeNull()
+    expect(point.cad).toBeNull()
+    expect(point.ele).toBe(72)
+  })
+
+  it('should return null time and elevation when not recorded', () => {
+    const track = parseGPXTrack(`<?xml version="1.0" encoding="UTF-8"?>
+      <gpx version="1.1"><trk><trkseg>
+        <trkpt lat="34.0522" lon="-118.2437"></trkpt>
+      </trkseg></trk></gpx>`)
+    expect(track.segments[0][0].time).toBeNull()
+    expect(track.segments[0][0].ele).toBeNull()
+  })
+
+  it('should keep each trkseg as a separate segment', () => {
+    const track = parseGPXTrack(`<?xml version="1.0" encoding="UTF-8"?>
+      <gpx version="1.1"><trk>
+        <trkseg>
+          <trkpt lat="34.0522" lon="-118.2437"></trkpt>
+          <trkpt lat="34.0530" lon="-118.2440"></trkpt>
+        </trkseg>
+        <trkseg>
+          <trkpt lat="35.0522" lon="-119.2437"></trkpt>
+        </trkseg>
+      </trk></gpx>`)
+    expect(track.segments).toHaveLength(2)
+    expect(track.segments[0]).toHaveLength(2)
+    expect(track.segments[1][0].lat).toBe(35.0522)
+  })
+
+  it('should split multiple trk elements into segments', () => {
+    const track = parseGPXTrack(`<?xml version="1.0" encoding="UTF-8"?>
+      <gpx version="1.1">
+        <trk><trkseg><trkpt lat="34.0" lon="-118.0"></trkpt></trkseg></trk>
+        <trk><trkseg><trkpt lat="35.0" lon="-119.0"></trkpt></trkseg></trk>
+      </gpx>`)
+    expect(track.segments).toHaveLength(2)
+  })
+
+  it('should drop segments without valid points', () => {
+    const track = parseGPXTrack(`<?xml version="1.0" encoding="UTF-8"?>
+      <gpx version="1.1"><trk>
+        <trkseg></trkseg>
+        <trkseg><trkpt lat="invalid" lon="-118.0"></trkpt></trkseg>
+        <trkseg><trkpt lat="34.0" lon="-118.0"></trkpt></trkseg>
+      </trk></gpx>`)
+    expect(track.segments).toHaveLength(1)
+  })
+
+  it('should recover the readable points of a truncated file', () => {
+    const track = parseGPXTrack(stravaGPX.slice(0, stravaGPX.indexOf('<ele>72.0')))
+    expect(track.segments).toHaveLength(1)
+    expect(track.segments[0]).toHaveLength(1)
+    expect(track.segments[0][0]).toMatchObject({ lat: 34.0522, hr: 128 })
+    expect(track.warnings).toHaveLength(1)
+    expect(track.warnings[0]).toMatch(/^Malformed XML: .* - loaded the first 1 points$/)
+  })
+
+  it('should report a parse error when nothing can be recovered', () => {
+    expect(() => parseGPXTrack('<gpx><trk><trkseg>')).toThrow('Malformed XML')
+  })
+
+  it('should not add warnings to well-formed files', () => {
+    expect(parseGPXTrack(stravaGPX).warnings).toBeUndefined()
+  })
+
+  it('should produce the same coordinates as parseGPX', () => {
+    const track = parseGPXTrack(stravaGPX)
+    expect(track.segments.flat().map(p => [p.lat, p.lon])).toEqual(parseGPX(stravaGPX))
+  })
+})
+
+describe('detectTrackFormat', () => {
+  it('should detect format from the file extension', () => {
+    expect(detectTrackFormat('activities/1.gpx', '')).toBe('gpx')
+    expect(detectTrackFormat('activities/1.tcx', '')).toBe('tcx')
+    expect(detectTrackFormat('activities/1.TCX', '')).toBe('tcx')
+  })
+
+  it('should ignore a trailing .gz extension', () => {
+    expect(detectTrackFormat('activities/1.tcx.gz', '')).toBe('tcx')
+  })
+
+  it('should sniff content when the extension is unknown', () => {
+    expect(detectTrackFormat('activities/1.xml', '<?xml version="1.0"?><TrainingCenterDatabase>')).toBe('tcx')
+    expect(detectTrackFormat('activities/1', '<?xml version="1.0"?><gpx version="1.1">')).toBe('gpx')
+  })
+
+  it('should detect FIT files by extension or signature', () => {
+    expect(detectTrackFormat('activities/1.fit.gz', new Uint8Array(0))).toBe('fit')
+    const fitHeader = new Uint8Array([14, 0x20, 0, 0, 0, 0, 0, 0, 0x2E, 0x46, 0x49, 0x54, 0, 0])
+    expect(detectTrackFormat('activities/1', fitHeader)).toBe('fit')
+  })
+
+  it('should sniff XML content from bytes', () => {
+    const bytes = new TextEncoder().encode('<?xml version="1.0"?><gpx version="1.1"></gpx>')
+    expect(detectTrackFormat('activities/1', bytes)).toBe('gpx')
+  })
+
+  it('should detect KML and GeoJSON routes', () => {
+    expect(detectTrackFormat('course.kml', '')).toBe('kml')
+    expect(detectTrackFormat('course.geojson', '')).toBe('geojson')
+    expect(detectTrackFormat('course.json', '')).toBe('geojson')
+    expect(detectTrackFormat('course', '<?xml version="1.0"?><kml xmlns="http://www.opengis.net/kml/2.2">')).toBe('kml')
+    expect(detectTrackFormat('course', ' {"type": "FeatureCollection", "features": []}')).toBe('geojson')
+  })
+
+  it('should return null for unsupported files', () => {
+    expect(detectTrackFormat('activities/1.txt', 'hello')).toBeNull()
+  })
+})
+
+describe('loadGPXFile', () => {
+  it('should load a TCX file into the same track model as GPX', async () => {
+    const source = createFixtureSource({
+      'activities/1.tcx': `<?xml version="1.0"?>
+        <TrainingCenterDatabase><Activities><Activity><Lap><Track>
+          <Trackpoint><Position>
+            <LatitudeDegrees>34.0</LatitudeDegrees><LongitudeDegrees>-118.0</LongitudeDegrees>
+          </Position></Trackpoint>
+        </Track></Lap></Activity></Activities></TrainingCenterDatabase>`
+    })
+
+    const result = await loadGPXFile('activities/1.tcx', source)
+    expect(result.error).toBeNull()
+    expect(result.coordinates).toEqual([[34.0, -118.0]])
+    expect(result.segments).toEqual([[[34.0, -118.0]]])
+  })
+
+  it('should decompress gzipped activity files', async () => {
+    const gpx = `<?xml version="1.0"?><gpx version="1.1"><trk><trkseg>
+      <trkpt lat="34.0" lon="-118.0"></trkpt>
+    </trkseg></trk></gpx>`
+    const stream = new Response(new TextEncoder().encode(gpx)).body.pipeThrough(new CompressionStream('gzip'))
+    const source = createFixtureSource({
+      'activities/1.gpx.gz': new Uint8Array(await new Response(stream).arrayBuffer())
+    })
+
+    const result = await loadGPXFile('activities/1.gpx.gz', source)
+    expect(result.error).toBeNull()
+    expect(result.coordinates).toEqual([[34.0, -118.0]])
+  })
+
+  it('should report unsupported formats', async () => {
+    const source = createFixtureSource({ 'activities/1.txt': 'not an activity file' })
+    const result = await loadGPXFile('activities/1.txt', source)
+    expect(result.error).toBe('Unsupported activity file format')
+  })
+
+  it('should report missing files', async () => {
+    const result = await loadGPXFile('activities/1.gpx', createFixtureSource({}))
+    expect(result.error).toBe('File not found: activities/1.gpx')
+    expect(result.errorCode).toBe('FILE_NOT_FOUND')
+  })
+
+  describe('error codes', () => {
+    const loadFile = (filename, content) => loadGPXFile(filename, createFixtureSource({ [filename]: content }))
+
+    it('should report HTTP errors', async () => {
+      const source = createFixtureSource({})
+      source.readFile = async () => {
+        throw Object.assign(new Error('HTTP 500: Server Error'), { status: 500 })
+      }
+      const result = await loadGPXFile('activities/1.gpx', source)
+      expect(result.errorCode).toBe('HTTP_ERROR')
+    })
+
+    it('should report malformed XML as a parse error', async () => {
+      const result = await loadFile('activities/1.gpx', '<gpx><trk><trkseg>')
+      expect(result.errorCode).toBe('PARSE_ERROR')
+      expect(result.error).toMatch(/^Malformed XML/)
+    })
+
+    it('should load truncated files with a warning', async () => {
+      const result = await loadFile('activities/1.gpx',
+        '<gpx><trk><trkseg><trkpt lat="1" lon="2"></trkpt><trkpt lat="3" lon="4"></trkpt><trkpt lat="5"')
+      expect(result.error).toBeNull()
+      expect(result.coordinates).toEqual([[1, 2], [3, 4]])
+      expect(result.warnings).toHaveLength(1)
+    })
+
+    it('should report files without points as empty tracks', async () => {
+      const result = await loadFile('activities/1.gpx', '<gpx version="1.1"></gpx>')
+      expect(result.errorCode).toBe('EMPTY_TRACK')
+    })
+
+    it('should report unsupported formats', async () => {
+      const result = await loadFile('activities/1.txt', 'hello')
+      expect(result.errorCode).toBe('UNSUPPORTED_FORMAT')
+    })
+
+    it('should report corrupt gzip files as decompression errors', async () => {
+      const result = await loadFile('activities/1.gpx.gz', new Uint8Array([0x1f, 0x8b, 8, 0, 1, 2, 3]))
+      expect(result.errorCode).toBe('DECOMPRESSION_ERROR')
+    })
+
+    it('should be null for successful loads', async () => {
+      const result = await loadFile('activities/1.gpx', '<gpx><trk><trkseg><trkpt lat="1" lon="2"/></trkseg></trk></gpx>')
+      expect(result.errorCode).toBeNull()
+    })
+  })
+
+  describe('with a worker pool', () => {
+    const gpx = '<gpx version="1.1"><trk><trkseg><trkpt lat="34.0" lon="-118.0"></trkpt></trkseg></trk></gpx>'
+
+    it('should parse supported formats in the pool', async () => {
+      const pool = {
+        supports: format => format === 'gpx',
+        parse: vi.fn(async () => ({ segments: [[createTrackPoint(1, 2)]] }))
+      }
+      const result = await loadGPXFile('activities/1.gpx', createFixtureSource({ 'activities/1.gpx': gpx }), { pool })
+
+      expect(pool.parse).toHaveBeenCalledWith(expect.anything(), 'gpx')
+      expect(result.coordinates).toEqual([[1, 2]])
+    })
+
+    it('should fall back to the main thread when workers are unavailable', async () => {
+      const pool = {
+        supports: () => true,
+        parse: async () => { throw Object.assign(new Error('no workers'), { code: 'WORKER_UNAVAILABLE' }) }
+      }
+      const result = await loadGPXFile('activities/1.gpx', createFixtureSource({ 'activities/1.gpx': gpx }), { pool })
+      expect(result.coordinates).toEqual([[34.0, -118.0]])
+    })
+
+    it('should report parse errors from the pool as failed loads', async () => {
+      const pool = { supports: () => true, parse: async () => { throw new Error('Malformed XML: unterminated tag') } }
+      const result = await loadGPXFile('activities/1.gpx', createFixtureSource({ 'activities/1.gpx': gpx }), { pool })
+      expect(result.error).toBe('Malformed XML: unterminated tag')
+    })
+  })
+
+  describe('with a track cache', () => {
+    const gpx = '<gpx version="1.1"><trk><trkseg><trkpt lat="34.0" lon="-118.0"></trkpt></trkseg></trk></gpx>'
+
+    it('should serve unchanged files from the cache', async () => {
+      const cache = createTrackCache(createMemoryStore())
+      const source = createFixtureSource({ 'activities/1.gpx': gpx })
+      const readFile = vi.spyOn(source, 'readFile')
+
+      const first = await loadGPXFile('activities/1.gpx', source, { cache })
+      const second = await loadGPXFile('activities/1.gpx', source, { cache })
+
+      expect(first.cached).toBe(false)
+      expect(second.cached).toBe(true)
+      expect(second.coordinates).toEqual([[34.0, -118.0]])
+      expect(await cache.count()).toBe(1)
+      // Fixture sources have no modification time, so the content hash is the key
+      expect(readFile).toHaveBeenCalledTimes(2)
+    })
+
+    it('should skip reading files whose stat matches', async () => {
+      const cache = createTrackCache(createMemoryStore())
+      const source = createFixtureSource({ 'activities/1.gpx': gpx })
+      source.stat = async () => ({ size: gpx.length, lastModified: 1000, hash: null })
+      const readFile = vi.spyOn(source, 'readFile')
+
+      await loadGPXFile('activities/1.gpx', source, { cache })
+      const result = await loadGPXFile('activities/1.gpx', source, { cache })
+
+      expect(result.cached).toBe(true)
+      expect(readFile).toHaveBeenCalledTimes(1)
+    })
+
+    it('should confirm cached HTTP files with one conditional request', async () => {
+      const fetchMock = vi.fn(async (url, init) => init.headers['If-None-Match'] === '"v1"'
+        ? new Response(null, { status: 304 })
+        : new Response(gpx, { headers: { ETag: '"v1"' } }))
+      vi.stubGlobal('fetch', fetchMock)
+      const cache = createTrackCache(createMemoryStore())
+
+      try {
+        const first = await loadGPXFile('activities/1.gpx', createHttpSource(), { cache })
+        const second = await loadGPXFile('activities/1.gpx', createHttpSource(), { cache })
+
+        expect(first.cached).toBe(false)
+        expect(second).toMatchObject({ cached: true, coordinates: [[34.0, -118.0]] })
+        expect(fetchMock).toHaveBeenCalledTimes(2)
+        expect(fetchMock.mock.calls[0][1].headers).toEqual({})
+        expect(await cache.count()).toBe(1)
+      } finally {
+        vi.unstubAllGlobals()
+      }
+    })
+
+    it('should parse HTTP files again when they changed', async () => {
+      let version = 1
+      vi.stubGlobal('fetch', vi.fn(async () => new Response(
+        gpx.replace('34.0', version === 1 ? '34.0' : '35.0'),
+        { headers: { ETag: `"v${version}"` } }
+      )))
+      const cache = createTrackCache(createMemoryStore())
+
+      try {
+        await loadGPXFile('activities/1.gpx', createHttpSource(), { cache })
+        version = 2
+        const result = await loadGPXFile('activities/1.gpx', createHttpSource(), { cache })
+        expect(result).toMatchObject({ cached: false, coordinates: [[35.0, -118.0]] })
+      } finally {
+        vi.unstubAllGlobals()
+      }
+    })
+
+    it('should not cache failed loads', async () => {
+      const cache = createTrackCache(createMemoryStore())
+      const source = createFixtureSource({ 'activities/1.gpx': '<gpx version="1.1"></gpx>' })
+
+      const result = await loadGPXFile('activities/1.gpx', source, { cache })
+      expect(result.error).toBe('No valid GPS coordinates found in file')
+      expect(await cache.count()).toBe(0)
+    })
+
+    it('should report cache hits separately in progress', async () => {
+      const cache = createTrackCache(createMemoryStore())
+      const source = createFixtureSource({ 'activities/1.gpx': gpx, 'activities/2.gpx': gpx })
+      const activities = [
+        { id: '1', filename: 'activities/1.gpx' },
+        { id: '2', filename: 'activities/2.gpx' }
+      ]
+      await loadGPXFile('activities/1.gpx', source, { cache })
+
+      const onProgress = vi.fn()
+      await loadGPXForActivities(activities, onProgress, { source, cache })
+      expect(onProgress).toHaveBeenLastCalledWith(2, 2, { cached: 1, fetched: 1 })
+    })
+  })
+})
+
+describe('loading from a data source', () => {
+  beforeEach(() => {
+    // No gazetteer or time zone assets: activities missing from the locations CSV stay Unknown
+    resetGazetteer()
+    resetTimeZones()
+    localStorage.clear()
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })))
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    resetGazetteer()
+    resetTimeZones()
+  })
+
+  const source = createFixtureSource({
+    'activities.csv': '\uFEFFActivity ID,Activity Date,Activity Name,Activity Type,Distance,Filename\n' +
+      '1,"Mar 24, 2017, 5:42:11 PM",Morning Run,Run,5000,activities/1.gpx\n' +
+      '2,"Mar 25, 2017, 5:42:11 PM",Treadmill,Run,3000,activities/2.gpx\n' +
+      '3,"Mar 26, 2017, 9:00:00 AM",Coffee Ride,Ride,20000,activities/3.gpx\n' +
+      '4,"Mar 27, 2017, 9:00:00 AM",Manual Entry,Run,5000,\n',
+    'activities-location.csv': 'id,Month,Day,Year,Location,State,Country,International,Treadmill\n' +
+      '1,3,24,2017,Los Angeles,California,United States,FALSE,FALSE\n' +
+      '2,3,25,2017,Los Angeles,California,United States,FALSE,TRUE\n',
+    'activities/1.gpx': '<gpx version="1.1"><trk><trkseg><trkpt lat="34.0" lon="-118.0"></trkpt></trkseg></trk></gpx>'
+  })
+
+  it('should load activities.csv from the source', async () => {
+    const activities = await loadActivitiesCSV(source)
+    expect(activities.map(a => a.id)).toEqual(['1', '2', '3'])
+    expect(activities[2].type).toBe('Ride')
+    expect(activities[0]).toMatchObject({ name: 'Morning Run', type: 'Run', distance: 5000 })
+  })
+
+  it('should keep multi-line descriptions in one row', async () => {
+    const multiline = createFixtureSource({
+      'activities.csv': 'Activity ID,Activity Name,Activity Type,Activity Description,Filename\r\n' +
+        '1,Long Run,Run,"Felt great.\r\nLegs tired at the end, though.",activities/1.gpx\r\n' +
+        '2,Short Run,Run,,activities/2.gpx\r\n'
+    })
+
+    const activities = await loadActivitiesCSV(multiline)
+    expect(activities.map(a => a.filename)).toEqual(['activities/1.gpx', 'activities/2.gpx'])
+    expect(activities[0].description).toBe('Felt great.\nLegs tired at the end, though.')
+  })
+
+  it('should keep rows with extra or missing fields', async () => {
+    const malformed = createFixtureSource({
+      'activities.csv': 'Activity ID,Activity Type,Filename,Distance\n' +
+        '1,Run,activities/1.gpx,5000\n' +
+        '2,Run,activities/2.gpx,3000,extra\n' +
+        '3,Ride,activities/3.gpx\n'
+    })
+
+    const activities = await loadActivitiesCSV(malformed)
+    expect(activities.map(a => [a.id, a.filename, a.distance])).toEqual([
+      ['1', 'activities/1.gpx', 5000],
+      ['2', 'activities/2.gpx', 3000],
+      ['3', 'activities/3.gpx', 0]
+    ])
+  })
+
+  it('should treat a missing locations file as empty', async () => {
+    const locations = await loadLocationsCSV(createFixtureSource({}))
+    expect(locations.size).toBe(0)
+  })
+
+  it('should merge locations and exclude treadmill runs', async () => {
+    const activities = await loadMetadataOnly(source)
+    expect(activities.map(a => a.id)).toEqual(['1', '3'])
+    expect(activities[0]).toMatchObject({ location: 'Los Angeles', locationSource: 'csv' })
+    expect(activities[0].csvRow).toEqual(['1', '3', '24', '2017', 'Los Angeles', 'California', 'United States', 'FALSE', 'FALSE'])
+    expect(activities[1]).toMatchObject({ location: 'Unknown', locationSource: 'unknown' })
+  })
+
+  it('should apply location edits over the CSV and keep treadmill activities on request', async () => {
+    const locations = new Map([
+      ['3', { location: 'Pasadena', state: 'California', country: 'United States', international: '', treadmill: false }]
+    ])
+    const activities = await loadMetadataOnly(source, { locations, includeTreadmill: true })
+
+    expect(activities.map(a => a.id)).toEqual(['1', '2', '3'])
+    expect(activities[1].treadmill).toBe(true)
+    expect(activities[2]).toMatchObject({ location: 'Pasadena', locationSource: 'csv' })
+  })
+
+  it('should read each activity file once for locations and local dates', async () => {
+    vi.stubGlobal('fetch', vi.fn(async url => new Response(JSON.stringify(url === GAZETTEER_URL
+      ? { version: 1, cities: [['Santa Monica', 'California', 'United States', 34.02, -118.49]] }
+      : { version: 1, zones: [['America/Los_Angeles', [[[-125, 30, -114, 30, -114, 42, -125, 42, -125, 30]]]]] }))))
+    const readFile = vi.spyOn(source, 'readFile')
+
+    const activities = await loadMetadataOnly(source)
+    const activityReads = readFile.mock.calls.map(([path]) => path).filter(path => path.startsWith('activities/'))
+
+    // 1.gpx has a CSV location but still needs its time zone; 3.gpx is missing; 2.gpx is a treadmill run
+    expect(activityReads).toEqual(['activities/3.gpx', 'activities/1.gpx'])
+    expect(activities[0]).toMatchObject({ timeZone: 'America/Los_Angeles', location: 'Los Angeles' })
+    readFile.mockRestore()
+  })
+
+  it('should load runs with tracks for filtered activities', async () => {
+    const { runs, failed } = await loadAllRuns(null, { city: 'Los Angeles' }, { source })
+    expect(failed).toEqual([])
+    expect(runs).toHaveLength(1)
+    expect(runs[0].segments).toEqual([[[34.0, -118.0]]])
+    expect(runs[0].rawTrack).toBe(runs[0].track)
+    expect(runs[0].lod.pointCount).toBe(1)
+  })
+
+  it('should stop while reading activity files for metadata', async () => {
+    vi.stubGlobal('fetch', vi.fn(async url => new Response(JSON.stringify(url === GAZETTEER_URL
+      ? { version: 1, cities: [['Santa Monica', 'California', 'United States', 34.02, -118.49]] }
+      : { version: 1, zones: [] }))))
+    const controller = new AbortController()
+    const stopping = { ...source, readFile: vi.fn(async (path, options) => {
+      if (path.startsWith('activities/')) controller.abort()
+      return source.readFile(path, options)
+    }) }
+
+    const result = await loadAllRuns(null, {}, { source: stopping, signal: controller.signal })
+    expect(result).toEqual({ runs: [], failed: [], aborted: true, remaining: [] })
+    expect(stopping.readFile.mock.calls.filter(([path]) => path.startsWith('activities/'))).toHaveLength(1)
+  })
+
+  it('should load activities and tracks from a compiled dataset', async () => {
+    const activities = await loadActivitiesCSV(source)
+    const track = { segments: [[createTrackPoint(34.0, -118.0), createTrackPoint(34.001, -118.001)]] }
+    const { metadata, bytes } = encodeDataset(activities, new Map([
+      ['activities/1.gpx', { track }],
+      ['activities/3.gpx', { error: 'File not found: activities/3.gpx', errorCode: LOAD_ERROR.FILE_NOT_FOUND }]
+    ]))
+    // No activities.csv or activity files: everything comes from the dataset
+    const compiled = createFixtureSource({
+      'activities-location.csv': 'id,Month,Day,Year,Location,State,Country,International,Treadmill\n' +
+        '1,3,24,2017,Los Angeles,California,United States,FALSE,FALSE\n' +
+        '2,3,25,2017,Los Angeles,California,United States,FALSE,TRUE\n',
+      [DATASET_FILE]: JSON.stringify(metadata),
+      [DATASET_TRACKS_FILE]: bytes
+    })
+    const readFile = vi.spyOn(compiled, 'readFile')
+
+    const { runs, failed } = await loadAllRuns(null, {}, { source: compiled })
+    expect(runs.map(run => run.id)).toEqual(['1'])
+    expect(runs[0]).toMatchObject({ name: 'Morning Run', location: 'Los Angeles' })
+    expect(runs[0].segments).toEqual([[[34.0, -118.0], [34.001, -118.001]]])
+    expect(failed).toEqual([expect.objectContaining({ id: '3', code: LOAD_ERROR.FILE_NOT_FOUND })])
+    expect(readFile.mock.calls.map(([path]) => path).filter(path => path.startsWith('activities/'))).toEqual([])
+  })
+
+  describe('with several athletes', () => {
+    const athletesSource = createAthletesSource([
+      { name: 'Alice', source },
+      {
+        name: 'Bob',
+        source: createFixtureSource({
+          'activities.csv': 'Activity ID,Activity Date,Activity Name,Activity Type,Filename\n' +
+            '10,"Mar 28, 2017, 7:00:00 AM",Evening Run,Run,activities/10.gpx\n',
+          'activities/10.gpx': '<gpx version="1.1"><trk><trkseg><trkpt lat="40.0" lon="-74.0"></trkpt></trkseg></trk></gpx>'
+        })
+      }
+    ])
+
+    it('should tag each activity with its athlete', async () => {
+      const activities = await loadMetadataOnly(athletesSource)
+      expect(activities.map(a => [a.id, a.athlete, a.filename])).toEqual([
+        ['1', 'Alice', 'alice/activities/1.gpx'],
+        ['3', 'Alice', 'alice/activities/3.gpx'],
+        ['10', 'Bob', 'bob/activities/10.gpx']
+      ])
+      expect(activities[0].location).toBe('Los Angeles')
+    })
+
+    it('should load tracks from each athlete export', async () => {
+      const { runs } = await loadAllRuns(null, { athletes: ['Bob'] }, { source: athletesSource })
+      expect(runs).toHaveLength(1)
+      expect(runs[0]).toMatchObject({ id: '10', athlete: 'Bob' })
+      expect(runs[0].segments).toEqual([[[40.0, -74.0]]])
+    })
+  })
+})
+
+describe('getRunRoute', () => {
+  const rawTrack = {
+    segments: [[
+      createTrackPoint(34.0, -118.0, { time: 0 }),
+      createTrackPoint(34.00003, -118.0, { time: 1000 }),
+      createTrackPoint(34.00006, -117.99, { time: 2000 }),
+      createTrackPoint(34.00009, -118.0, { time: 3000 })
+    ]]
+  }
+
+  it('should draw the raw track without cleaning', () => {
+    const route = getRunRoute(rawTrack)
+    expect(route.track).toBe(rawTrack)
+    expect(route.coordinates).toHaveLength(4)
+    expect(route.segments).toEqual([route.coordinates])
+  })
+
+  it('should draw the cleaned track with cleaning steps', () => {
+    const route = getRunRoute(rawTrack, { cleaning: { removeSpikes: true } })
+    expect(route.coordinates).toEqual([[34.0, -118.0], [34.00003, -118.0], [34.00009, -118.0]])
+    expect(route.lod.pointCount).toBe(3)
+    expect(rawTrack.segments[0]).toHaveLength(4)
+  })
+
+  it('should trim privacy zones after cleaning', () => {
+    const home = { id: 'home', lat: 34.0, lng: -118.0, radius: 1, extraOffset: 0 }
+    const route = getRunRoute(rawTrack, { cleaning: { removeSpikes: true }, privacyZones: [home] }, '1')
+    expect(route.segments).toEqual([[[34.00003, -118.0], [34.00009, -118.0]]])
+  })
+})
+
+describe('retryFailedLoads', () => {
+  const gpx = '<gpx version="1.1"><trk><trkseg><trkpt lat="34.0" lon="-118.0"></trkpt></trkseg></trk></gpx>'
+  const activity = { id: '1', name: 'Morning Run', date: 'Mar 24, 2017', type: 'Run', filename: 'activities/1.gpx' }
+  const failedLoad = {
+    id: '1',
+    name: 'Morning Run',
+    date: 'Mar 24, 2017',
+    filename: 'activities/1.gpx',
+    code: 'HTTP_ERROR',
+    error: 'HTTP 503: Service Unavailable',
+    attempts: 1,
+    activity
+  }
+
+  /**
+   * Source that fails with HTTP 503 a given number of times, then serves the file
+   */
+  function flakySource(failures) {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx })
+    const readFile = source.readFile
+    source.reads = 0
+    source.readFile = async (path, options) => {
+      source.reads++
+      if (source.reads <= failures) {
+        throw Object.assign(new Error('HTTP 503: Service Unavailable'), { status: 503 })
+      }
+      return readFile(path, options)
+    }
+    return source
+  }
+
+  it('should retry transient errors with increasing delays', async () => {
+    const wait = vi.fn(async () => {})
+    const source = flakySource(2)
+
+    const { runs, failed } = await retryFailedLoads([failedLoad], null, { source, cache: null, pool: null, wait })
+
+    expect(failed).toEqual([])
+    expect(runs).toHaveLength(1)
+    expect(runs[0]).toMatchObject({ id: '1', type: 'Run', coordinates: [[34.0, -118.0]] })
+    expect(wait.mock.calls.map(([ms]) => ms)).toEqual([500, 1000])
+  })
+
+  it('should give up after the maximum attempts', async () => {
+    const source = flakySource(10)
+    const onProgress = vi.fn()
+
+    const { runs, failed } = await retryFailedLoads([failedLoad], onProgress, {
+      source, cache: null, pool: null, attempts: 2, wait: async () => {}
+    })
+
+    expect(runs).toEqual([])
+    expect(source.reads).toBe(2)
+    expect(failed[0]).toMatchObject({ id: '1', code: 'HTTP_ERROR', attempts: 2 })
+    expect(onProgress).toHaveBeenCalledWith(1, 1)
+  })
+
+  it('should not repeat errors caused by the file content', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': '<gpx version="1.1"></gpx>' })
+    const wait = vi.fn(async () => {})
+
+    const { failed } = await retryFailedLoads([{ ...failedLoad, code: 'EMPTY_TRACK' }], null, {
+      source, cache: null, pool: null, wait
+    })
+
+    expect(wait).not.toHaveBeenCalled()
+    expect(failed[0].code).toBe('EMPTY_TRACK')
+  })
+})
+
+describe('cancelling a load', () => {
+  const gpx = '<gpx version="1.1"><trk><trkseg><trkpt lat="34.0" lon="-118.0"></trkpt></trkseg></trk></gpx>'
+  const activities = Array.from({ length: 120 }, (_, index) => ({
+    id: String(index + 1),
+    filename: `activities/${index + 1}.gpx`
+  }))
+  const files = Object.fromEntries(activities.map(activity => [activity.filename, gpx]))
+
+  it('should throw the abort reason instead of reporting a failed load', async () => {
+    const controller = new AbortController()
+    controller.abort()
+
+    const error = await loadGPXFile('activities/1.gpx', createFixtureSource(files), { signal: controller.signal })
+      .catch(e => e)
+    expect(error.name).toBe('AbortError')
+  })
+
+  it('should stop between batches and return the runs loaded so far', async () => {
+    const controller = new AbortController()
+    const onProgress = vi.fn((loaded) => {
+      if (loaded >= 50) controller.abort()
+    })
+
+    const result = await loadGPXForActivities(activities, onProgress, {
+      source: createFixtureSource(files),
+      cache: null,
+      pool: null,
+      signal: controller.signal
+    })
+
+    expect(result.aborted).toBe(true)
+    expect(result.runs).toHaveLength(50)
+    expect(result.failed).toEqual([])
+    expect(result.remaining.map(a => a.id)).toEqual(activities.slice(50).map(a => a.id))
+  })
+
+  it('should keep files that were in flight as remaining', async () => {
+    const controller = new AbortController()
+    const source = createFixtureSource(files)
+    const readFile = source.readFile
+    source.readFile = async (path, options) => {
+      if (path === 'activities/3.gpx') controller.abort()
+      return readFile(path, options)
+    }
+
+    const result = await loadGPXForActivities(activities.slice(0, 5), null, {
+      source,
+      cache: null,
+      pool: null,
+      signal: controller.signal
+    })
+
+    expect(result.aborted).toBe(true)
+    expect(result.runs.length + result.remaining.length).toBe(5)
+    expect(result.remaining.map(a => a.id)).toContain('3')
+  })
+
+  it('should resume from the remaining activities', async () => {
+    const source = createFixtureSource(files)
+    const controller = new AbortController()
+    controller.abort()
+
+    const first = await loadGPXForActivities(activities.slice(0, 3), null, {
+      source, cache: null, pool: null, signal: controller.signal
+    })
+    const resumed = await loadGPXForActivities(first.remaining, null, { source, cache: null, pool: null })
+
+    expect(first.runs).toEqual([])
+    expect(resumed.aborted).toBe(false)
+    expect(resumed.runs).toHaveLength(3)
+    expect(resumed.remaining).toEqual([])
+  })
+})
+
+describe('geocodeActivities', () => {
+  const gazetteer = createGazetteer({
+    version: 1,
+    cities: [['Boulder', 'Colorado', 'United States', 40.015, -105.2705]]
+  })
+
+  const gpx = (lat, lon) => `<gpx version="1.1"><trk><trkseg><trkpt lat="${lat}" lon="${lon}"></trkpt></trkseg></trk></gpx>`
+
+  const unknownActivity = (id, filename) => ({
+    id,
+    filename,
+    location: 'Unknown',
+    state: 'Unknown',
+    country: 'Unknown',
+    locationSource: 'unknown'
+  })
+
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should locate activities from their start coordinate', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(40.02, -105.27) })
+    const [activity] = await geocodeActivities([unknownActivity('1', 'activities/1.gpx')], { source, gazetteer })
+
+    expect(activity).toMatchObject({
+      location: 'Boulder',
+      state: 'Colorado',
+      country: 'United States',
+      locationSource: 'geocoded'
+    })
+  })
+
+  it('should leave CSV locations untouched', async () => {
+    const csvActivity = { id: '1', filename: 'activities/1.gpx', location: 'Home', locationSource: 'csv' }
+    const result = await geocodeActivities([csvActivity], { source: createFixtureSource({}), gazetteer })
+    expect(result[0]).toBe(csvActivity)
+  })
+
+  it('should keep Unknown when no city is nearby', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(0, 0) })
+    const [activity] = await geocodeActivities([unknownActivity('1', 'activities/1.gpx')], { source, gazetteer })
+    expect(activity.locationSource).toBe('unknown')
+  })
+
+  it('should reuse cached results without reading files again', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(40.02, -105.27) })
+    const readFile = vi.spyOn(source, 'readFile')
+    const activities = [unknownActivity('1', 'activities/1.gpx')]
+
+    await geocodeActivities(activities, { source, gazetteer })
+    const [cached] = await geocodeActivities(activities, { source, gazetteer })
+
+    expect(readFile).toHaveBeenCalledTimes(1)
+    expect(cached.location).toBe('Boulder')
+  })
+
+  it('should not cache activities whose file could not be read', async () => {
+    const progress = vi.fn()
+    const activities = [unknownActivity('1', 'activities/missing.gpx')]
+    await geocodeActivities(activities, { source: createFixtureSource({}), gazetteer, onProgress: progress })
+
+    expect(progress).toHaveBeenCalledWith(1, 1)
+    expect(loadGeocodeCache().has('1')).toBe(false)
+  })
+
+  it('should remember files without GPS data', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': '<gpx version="1.1"></gpx>' })
+    const readFile = vi.spyOn(source, 'readFile')
+    const activities = [unknownActivity('1', 'activities/1.gpx')]
+
+    await geocodeActivities(activities, { source, gazetteer })
+    const [activity] = await geocodeActivities(activities, { source, gazetteer })
+
+    expect(readFile).toHaveBeenCalledTimes(1)
+    expect(activity.locationSource).toBe('unknown')
+  })
+
+  it('should read activity files through the track cache', async () => {
+    const cache = createTrackCache(createMemoryStore())
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(40.02, -105.27) })
+    await geocodeActivities([unknownActivity('1', 'activities/1.gpx')], { source, gazetteer, cache })
+    expect(await cache.count()).toBe(1)
+  })
+})
+
+describe('localizeActivityDates', () => {
+  // Japan and the UK as single boxes
+  const timeZones = createTimeZoneIndex({
+    version: 1,
+    zones: [
+      ['Asia/Tokyo', [[[129, 30, 146, 30, 146, 46, 129, 46, 129, 30]]]],
+      ['Europe/London', [[[-8, 50, 2, 50, 2, 59, -8, 59, -8, 50]]]]
+    ]
+  })
+
+  const gpx = (lat, lon, time) => '<gpx version="1.1"><trk><trkseg>' +
+    `<trkpt lat="${lat}" lon="${lon}">${time ? `<time>${time}</time>` : ''}</trkpt>` +
+    '</trkseg></trk></gpx>'
+
+  const activity = (id, date) => ({ id, date, filename: `activities/${id}.gpx` })
+
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    resetTimeZones()
+  })
+
+  it('should date activities in the time zone of their start', async () => {
+    const source = createFixtureSource({
+      'activities/1.gpx': gpx(35.68, 139.69, '2017-03-24T23:30:00Z'),
+      'activities/2.gpx': gpx(51.5, -0.12, '2017-03-24T23:30:00Z')
+    })
+    const activities = [activity('1', 'Mar 24, 2017, 11:30:00 PM'), activity('2', 'Mar 24, 2017, 11:30:00 PM')]
+    const [tokyo, london] = await localizeActivityDates(activities, { source, timeZones, pool: null })
+
+    expect(tokyo).toMatchObject({ timeZone: 'Asia/Tokyo', localDate: '2017-03-25' })
+    expect(tokyo.startTime).toBe(Date.UTC(2017, 2, 24, 23, 30))
+    expect(london).toMatchObject({ timeZone: 'Europe/London', localDate: '2017-03-24' })
+  })
+
+  it('should prefer the first track timestamp over the CSV date', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(51.5, -0.12, '2017-06-01T23:30:00Z') })
+    const [result] = await localizeActivityDates([activity('1', 'Jun 2, 2017, 6:00:00 AM')], { source, timeZones, pool: null })
+
+    // 11:30 PM UTC is 12:30 AM British Summer Time
+    expect(result.startTime).toBe(Date.UTC(2017, 5, 1, 23, 30))
+    expect(result.localDate).toBe('2017-06-02')
+  })
+
+  it('should fall back to the CSV date without timestamps', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(35.68, 139.69) })
+    const [result] = await localizeActivityDates([activity('1', 'Mar 24, 2017, 11:30:00 PM')], { source, timeZones, pool: null })
+    expect(result).toMatchObject({ timeZone: 'Asia/Tokyo', localDate: '2017-03-25' })
+  })
+
+  it('should reuse cached results without reading files again', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(35.68, 139.69, '2017-03-24T23:30:00Z') })
+    const readFile = vi.spyOn(source, 'readFile')
+    const activities = [activity('1', 'Mar 24, 2017, 11:30:00 PM')]
+
+    await localizeActivityDates(activities, { source, timeZones, pool: null })
+    const [cached] = await localizeActivityDates(activities, { source, timeZones, pool: null })
+
+    expect(readFile).toHaveBeenCalledTimes(1)
+    expect(cached.localDate).toBe('2017-03-25')
+  })
+
+  it('should not cache activities whose file could not be read', async () => {
+    const activities = [activity('1', 'Mar 24, 2017, 11:30:00 PM')]
+    await localizeActivityDates(activities, { source: createFixtureSource({}), timeZones, pool: null })
+    expect(loadActivityStartCache().has('1')).toBe(false)
+  })
+
+  it('should date treadmill activities from the CSV without reading them', async () => {
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(35.68, 139.69, '2017-03-24T23:30:00Z') })
+    const readFile = vi.spyOn(source, 'readFile')
+    const treadmill = { ...activity('1', 'Mar 24, 2017, 5:42:11 PM'), treadmill: true }
+    const [result] = await localizeActivityDates([treadmill], { source, timeZones, pool: null })
+
+    expect(readFile).not.toHaveBeenCalled()
+    expect(result.startTime).toBe(Date.UTC(2017, 2, 24, 17, 42, 11))
+  })
+
+  it('should use the browser time zone without boundaries', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })))
+    const source = createFixtureSource({ 'activities/1.gpx': gpx(35.68, 139.69, '2017-03-24T23:30:00Z') })
+    const readFile = vi.spyOn(source, 'readFile')
+    const [result] = await localizeActivityDates([activity('1', 'Mar 24, 2017, 5:42:11 PM')], { source, pool: null })
+
+    expect(readFile).not.toHaveBeenCalled()
+    expect(result.timeZone).toBeNull()
+    expect(result.startTime).toBe(Date.UTC(2017, 2, 24, 17, 42, 11))
+  })
+})
+
 describe('stripBOM', () => {
   it('should remove UTF-8 BOM from string', () => {
     const withBOM = '\uFEFFHello World'
@@ -0,0 +1,231 @@
+/**
+ * Tests for dataSources.js
+ * Covers each source implementation, multi-athlete sources and not-found error reporting
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import JSZip from 'jszip'
+import {
+  createHttpSource,
+  createZipSource,
+  createDirectorySource,
+  createFixtureSource,
+  createSubfolderSource,
+  createAthletesSource,
+  loadAthletesManifest,
+  isNotFoundError
+} from '../dataSources.js'
+import { openStravaExport } from '../zipImport.js'
+
+const decode = bytes => new TextDecoder().decode(bytes)
+
+describe('createHttpSource', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('should fetch files relative to the base URL', async () => {
+    const fetchMock = vi.fn(async () => new Response('csv'))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const source = createHttpSource('/athletes/alice')
+    expect(decode(await source.readFile('activities.csv'))).toBe('csv')
+    expect(fetchMock).toHaveBeenCalledWith('/athletes/alice/activities.csv', { signal: undefined })
+  })
+
+  it('should pass an abort signal to fetch', async () => {
+    const fetchMock = vi.fn(async () => new Response('csv'))
+    vi.stubGlobal('fetch', fetchMock)
+    const controller = new AbortController()
+
+    await createHttpSource().readFile('activities.csv', { signal: controller.signal })
+    expect(fetchMock).toHaveBeenCalledWith('/data/activities.csv', { signal: controller.signal })
+  })
+
+  it('should report 404 responses as not found', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404, statusText: 'Not Found' })))
+
+    const error = await createHttpSource().readFile('activities/1.gpx').catch(e => e)
+    expect(error.message).toBe('HTTP 404: Not Found')
+    expect(isNotFoundError(error)).toBe(true)
+  })
+
+  it('should report other HTTP errors with their status', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 500, statusText: 'Server Error' })))
+
+    const error = await createHttpSource().readFile('activities/1.gpx').catch(e => e)
+    expect(error.status).toBe(500)
+    expect(isNotFoundError(error)).toBe(false)
+  })
+
+  it('should not stat files, which would need a request of its own', async () => {
+    const fetchMock = vi.fn()
+    vi.stubGlobal('fetch', fetchMock)
+    expect(await createHttpSource().stat('activities/1.gpx')).toBeNull()
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+
+  it('should read files with their metadata from the response headers', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('gpx', {
+      headers: { 'Content-Length': '3', 'Last-Modified': 'Sat, 01 Jun 2024 10:00:00 GMT', ETag: '"abc"' }
+    })))
+
+    const file = await createHttpSource().readFileIfChanged('activities/1.gpx', null)
+    expect(decode(file.bytes)).toBe('gpx')
+    expect(file.stat).toEqual({ size: 3, lastModified: Date.UTC(2024, 5, 1, 10), hash: '"abc"' })
+  })
+
+  it('should revalidate files with a conditional request', async () => {
+    const fetchMock = vi.fn(async () => new Response(null, { status: 304 }))
+    vi.stubGlobal('fetch', fetchMock)
+    const stat = { size: 3, lastModified: Date.UTC(2024, 5, 1, 10), hash: '"abc"' }
+
+    expect(await createHttpSource().readFileIfChanged('activities/1.gpx', stat)).toBeNull()
+    expect(fetchMock).toHaveBeenCalledWith('/data/activities/1.gpx', {
+      signal: undefined,
+      headers: { 'If-None-Match': '"abc"', 'If-Modified-Since': 'Sat, 01 Jun 2024 10:00:00 GMT' }
+    })
+  })
+
+  it('should report missing files when revalidating', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404, statusText: 'Not Found' })))
+    const error = await createHttpSource().readFileIfChanged('activities/1.gpx', null).catch(e => e)
+    expect(isNotFoundError(error)).toBe(true)
+  })
+})
+
+describe('createZipSource', () => {
+  it('should read files from an opened export archive', async () => {
+    const zip = new JSZip()
+    zip.file('activities.csv', 'csv')
+    const archive = await openStravaExport(await zip.generateAsync({ type: 'uint8array' }), 'export.zip')
+
+    const source = createZipSource(archive)
+    expect(source.name).toBe('export.zip')
+    expect(decode(await source.readFile('activities.csv'))).toBe('csv')
+    await expect(source.readFile('missing.csv')).rejects.toMatchObject({ code: 'NOT_FOUND' })
+  })
+
+  it('should leave archive files to be keyed by content', async () => {
+    const zip = new JSZip()
+    zip.file('activities.csv', 'csv')
+    const archive = await openStravaExport(await zip.generateAsync({ type: 'uint8array' }), 'export.zip')
+    expect(await createZipSource(archive).stat('activities.csv')).toBeNull()
+  })
+})
+
+describe('createDirectorySource', () => {
+  /**
+   * Build a fake FileSystemDirectoryHandle tree from nested objects
+   */
+  function fakeDirectory(name, tree) {
+    const notFound = () => Object.assign(new Error('not found'), { name: 'NotFoundError' })
+    return {
+      name,
+      async getDirectoryHandle(child) {
+        if (typeof tree[child] !== 'object') throw notFound()
+        return fakeDirectory(child, tree[child])
+      },
+      async getFileHandle(child) {
+        if (typeof tree[child] !== 'string') throw notFound()
+        const bytes = new TextEncoder().encode(tree[child])
+        return {
+          getFile: async () => ({ size: bytes.length, lastModified: 1000, arrayBuffer: async () => bytes.buffer })
+        }
+      }
+    }
+  }
+
+  it('should read nested files', async () => {
+    const source = createDirectorySource(fakeDirectory('export_1', {
+      'activities.csv': 'csv',
+      activities: { '1.gpx': '<gpx/>' }
+    }))
+
+    expect(source.name).toBe('export_1')
+    expect(decode(await source.readFile('activities/1.gpx'))).toBe('<gpx/>')
+  })
+
+  it('should report missing files as not found', async () => {
+    const source = createDirectorySource(fakeDirectory('export_1', {}))
+    const error = await source.readFile('activities/1.gpx').catch(e => e)
+    expect(isNotFoundError(error)).toBe(true)
+  })
+
+  it('should stat files by size and modification time', async () => {
+    const source = createDirectorySource(fakeDirectory('export_1', { activities: { '1.gpx': '<gpx/>' } }))
+    expect(await source.stat('activities/1.gpx')).toEqual({ size: 6, lastModified: 1000, hash: null })
+    expect(await source.stat('activities/2.gpx')).toBeNull()
+  })
+})
+
+describe('createFixtureSource', () => {
+  it('should serve string and byte content', async () => {
+    const source = createFixtureSource({ 'a.txt': 'hello', 'b.bin': new Uint8Array([1, 2]) })
+    expect(decode(await source.readFile('a.txt'))).toBe('hello')
+    expect(await source.readFile('b.bin')).toEqual(new Uint8Array([1, 2]))
+  })
+
+  it('should report missing files as not found', async () => {
+    await expect(createFixtureSource({}).readFile('x')).rejects.toMatchObject({ code: 'NOT_FOUND' })
+  })
+})
+
+describe('createSubfolderSource', () => {
+  it('should read and stat files inside the folder', async () => {
+    const parent = createFixtureSource({ 'alice/activities.csv': 'csv' }, 'data')
+    const source = createSubfolderSource(parent, '/alice/')
+    expect(source.name).toBe('data/alice')
+    expect(decode(await source.readFile('activities.csv'))).toBe('csv')
+    expect(await source.stat('activities.csv')).toMatchObject({ size: 3 })
+  })
+})
+
+describe('createAthletesSource', () => {
+  const source = createAthletesSource([
+    { name: 'Anna-Lena Müller', source: createFixtureSource({ 'activities.csv': 'anna' }) },
+    { name: 'Bob', source: createFixtureSource({ 'activities.csv': 'bob' }) },
+    { name: 'bob', source: createFixtureSource({}) }
+  ])
+
+  it('should give each athlete a unique key', () => {
+    expect(source.athletes.map(athlete => athlete.key)).toEqual(['anna-lena-muller', 'bob', 'bob-2'])
+    expect(source.name).toBe('Anna-Lena Müller, Bob, bob')
+  })
+
+  it('should route paths to the athlete export', async () => {
+    expect(decode(await source.readFile('anna-lena-muller/activities.csv'))).toBe('anna')
+    expect(decode(await source.readFile('bob/activities.csv'))).toBe('bob')
+    expect(await source.stat('bob/activities.csv')).toMatchObject({ size: 3 })
+  })
+
+  it('should report unknown athletes as not found', async () => {
+    await expect(source.readFile('carol/activities.csv')).rejects.toMatchObject({ code: 'NOT_FOUND' })
+    await expect(source.readFile('activities.csv')).rejects.toMatchObject({ code: 'NOT_FOUND' })
+    expect(await source.stat('carol/activities.csv')).toBeNull()
+  })
+})
+
+describe('loadAthletesManifest', () => {
+  it('should combine the listed athlete folders', async () => {
+    const root = createFixtureSource({
+      'athletes.json': JSON.stringify({ athletes: [{ name: 'Alice', path: 'alice' }, { name: 'Bob', path: 'exports/bob' }] }),
+      'exports/bob/activities.csv': 'bob'
+    }, 'data')
+
+    const source = await loadAthletesManifest(root)
+    expect(source.name).toBe('data')
+    expect(source.athletes.map(athlete => athlete.name)).toEqual(['Alice', 'Bob'])
+    expect(decode(await source.readFile('bob/activities.csv'))).toBe('bob')
+  })
+
+  it('should return null without a manifest', async () => {
+    expect(await loadAthletesManifest(createFixtureSource({}))).toBeNull()
+  })
+
+  it('should reject invalid manifests', async () => {
+    await expect(loadAthletesManifest(createFixtureSource({ 'athletes.json': '{broken' })))
+      .rejects.toThrow('athletes.json is not valid JSON')
+    await expect(loadAthletesManifest(createFixtureSource({ 'athletes.json': '{"athletes":[{"name":"Alice"}]}' })))
+      .rejects.toThrow('must list athletes')
+  })
+})
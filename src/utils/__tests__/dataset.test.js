@@ -0,0 +1,218 @@
+/**
+ * Tests for dataset.js
+ * Covers the track encoding round trip, lazy track reads and when a
+ * compiled dataset is used or ignored
+ */
+import { describe, it, expect, vi } from 'vitest'
+import {
+  encodeDataset,
+  decodeTrack,
+  createDataset,
+  loadDataset,
+  getDataset,
+  findDatasetTrack,
+  DATASET_FILE,
+  DATASET_TRACKS_FILE,
+  DATASET_VERSION
+} from '../dataset.js'
+import { createFixtureSource, createAthletesSource } from '../dataSources.js'
+import { createTrackPoint } from '../trackModel.js'
+
+const activities = [
+  { id: '1', name: 'Morning Run', filename: 'activities/1.gpx' },
+  { id: '2', name: 'Evening Run', filename: 'activities/2.fit.gz' },
+  { id: '3', name: 'Lost Run', filename: 'activities/3.gpx' }
+]
+
+const recorded = {
+  segments: [
+    [
+      createTrackPoint(34.0522, -118.2437, { time: 1490377331000, ele: 71.25, hr: 142, cad: 85.5, speed: 3.125 }),
+      createTrackPoint(34.0530, -118.2440, { time: 1490377332000, ele: null, hr: 143 })
+    ],
+    [
+      createTrackPoint(34.0541, -118.2452, { time: 1490377400000, ele: 72.5, hr: 150 })
+    ]
+  ],
+  warnings: ['Skipped 1 point with invalid coordinates']
+}
+
+const route = {
+  segments: [[createTrackPoint(40.0, -74.0), createTrackPoint(40.001, -74.002)]]
+}
+
+const tracks = new Map([
+  ['activities/1.gpx', { track: recorded }],
+  ['activities/2.fit.gz', { track: route }],
+  ['activities/3.gpx', { error: 'File not found: activities/3.gpx', errorCode: 'FILE_NOT_FOUND' }]
+])
+
+const csv = 'Activity ID,Activity Name,Filename\n1,Morning Run,activities/1.gpx\n'
+
+function createDatasetSource(files = {}, options = {}) {
+  const { metadata, bytes } = encodeDataset(activities, tracks, { activitiesCsvSize: csv.length, ...options })
+  return createFixtureSource({
+    'activities.csv': csv,
+    [DATASET_FILE]: JSON.stringify(metadata),
+    [DATASET_TRACKS_FILE]: bytes,
+    ...files
+  })
+}
+
+describe('encodeDataset', () => {
+  const { metadata, bytes } = encodeDataset(activities, tracks, { activitiesCsvSize: 120 })
+  const values = new Int32Array(bytes.buffer)
+
+  it('should index tracks and record failed files', () => {
+    expect(metadata).toMatchObject({ version: DATASET_VERSION, activitiesCsvSize: 120, activities })
+    expect(Object.keys(metadata.tracks)).toEqual(['activities/1.gpx', 'activities/2.fit.gz'])
+    expect(metadata.errors).toEqual({
+      'activities/3.gpx': { code: 'FILE_NOT_FOUND', message: 'File not found: activities/3.gpx' }
+    })
+  })
+
+  it('should store only the fields a track has', () => {
+    expect(metadata.tracks['activities/1.gpx']).toMatchObject({
+      offset: 0,
+      segments: [2, 1],
+      fields: ['time', 'ele', 'hr', 'cad', 'speed'],
+      timeBase: 1490377331000
+    })
+    expect(metadata.tracks['activities/2.fit.gz']).toEqual({
+      offset: 3 * 7 * 4,
+      segments: [2],
+      fields: [],
+      timeBase: null
+    })
+    expect(bytes.length).toBe((3 * 7 + 2 * 2) * 4)
+  })
+
+  it('should decode tracks with their segments, fields and warnings', () => {
+    const decoded = decodeTrack(metadata.tracks['activities/1.gpx'], values)
+    expect(decoded.warnings).toEqual(recorded.warnings)
+    expect(decoded.segments).toHaveLength(2)
+    expect(decoded.segments[0][0]).toEqual(recorded.segments[0][0])
+    expect(decoded.segments[0][1]).toEqual(createTrackPoint(34.0530, -118.2440, { time: 1490377332000, hr: 143 }))
+    expect(decoded.segments[1][0].time).toBe(1490377400000)
+
+    expect(decodeTrack(metadata.tracks['activities/2.fit.gz'], values)).toEqual(route)
+  })
+
+  it('should round values to their fixed-point precision', () => {
+    const { metadata: precise, bytes: preciseBytes } = encodeDataset([], new Map([
+      ['a.gpx', { track: { segments: [[createTrackPoint(12.345678912, 98.765432198, { ele: 10.126, hr: 141.04 })]] } }]
+    ]))
+    const [[point]] = decodeTrack(precise.tracks['a.gpx'], new Int32Array(preciseBytes.buffer)).segments
+    expect(point).toMatchObject({ lat: 12.3456789, lon: 98.7654322, ele: 10.13, hr: 141 })
+  })
+})
+
+describe('createDataset', () => {
+  const { metadata, bytes } = encodeDataset(activities, tracks)
+
+  it('should reject other format versions', () => {
+    expect(() => createDataset({ ...metadata, version: 99 }, async () => bytes)).toThrow('Unsupported dataset format')
+    expect(() => createDataset({ version: DATASET_VERSION }, async () => bytes)).toThrow('Unsupported dataset format')
+  })
+
+  it('should read the track streams once, when the first track is needed', async () => {
+    const readTracks = vi.fn(async () => bytes)
+    const dataset = createDataset(metadata, readTracks)
+    expect(dataset.activities).toBe(activities)
+    expect(readTracks).not.toHaveBeenCalled()
+
+    const [first, second] = await Promise.all([
+      dataset.getTrack('activities/1.gpx'),
+      dataset.getTrack('activities/2.fit.gz')
+    ])
+    expect(first.track.segments[0][0].hr).toBe(142)
+    expect(second.track).toEqual(route)
+    expect(readTracks).toHaveBeenCalledTimes(1)
+  })
+
+  it('should return recorded load errors without reading the track streams', async () => {
+    const readTracks = vi.fn(async () => bytes)
+    const dataset = createDataset(metadata, readTracks)
+
+    expect(await dataset.getTrack('activities/3.gpx')).toEqual({
+      error: 'File not found: activities/3.gpx',
+      errorCode: 'FILE_NOT_FOUND'
+    })
+    expect(await dataset.getTrack('activities/4.gpx')).toBeNull()
+    expect(readTracks).not.toHaveBeenCalled()
+  })
+
+  it('should decode from unaligned buffers', async () => {
+    const padded = new Uint8Array(bytes.length + 1)
+    padded.set(bytes, 1)
+    const dataset = createDataset(metadata, async () => padded.subarray(1))
+    expect((await dataset.getTrack('activities/2.fit.gz')).track).toEqual(route)
+  })
+
+  it('should fall back to the activity files when the track streams cannot be read', async () => {
+    const dataset = createDataset(metadata, async () => { throw new Error('HTTP 500') })
+    expect(await dataset.getTrack('activities/1.gpx')).toBeNull()
+  })
+})
+
+describe('loadDataset', () => {
+  it('should open a current dataset', async () => {
+    const dataset = await loadDataset(createDatasetSource())
+    expect(dataset.activities.map(a => a.id)).toEqual(['1', '2', '3'])
+    expect((await dataset.getTrack('activities/2.fit.gz')).track).toEqual(route)
+  })
+
+  it('should return null for exports without a dataset', async () => {
+    expect(await loadDataset(createFixtureSource({ 'activities.csv': csv }))).toBeNull()
+  })
+
+  it('should ignore the index.html dev servers return for missing files', async () => {
+    const source = createDatasetSource({ [DATASET_FILE]: '<!DOCTYPE html><html></html>' })
+    expect(await loadDataset(source)).toBeNull()
+  })
+
+  it('should ignore a dataset compiled from another activities.csv', async () => {
+    const source = createDatasetSource({ 'activities.csv': csv + '2,Evening Run,activities/2.fit.gz\n' })
+    expect(await loadDataset(source)).toBeNull()
+  })
+
+  it('should ignore unreadable metadata', async () => {
+    expect(await loadDataset(createDatasetSource({ [DATASET_FILE]: '{"version":' }))).toBeNull()
+    expect(await loadDataset(createDatasetSource({ [DATASET_FILE]: '{"version":0,"activities":[]}' }))).toBeNull()
+  })
+})
+
+describe('findDatasetTrack', () => {
+  it('should only search datasets that were opened', async () => {
+    const source = createDatasetSource()
+    const readFile = vi.spyOn(source, 'readFile')
+
+    expect(await findDatasetTrack(source, 'activities/2.fit.gz')).toBeNull()
+    expect(readFile).not.toHaveBeenCalled()
+
+    await getDataset(source)
+    expect((await findDatasetTrack(source, 'activities/2.fit.gz')).track).toEqual(route)
+  })
+
+  it('should open each dataset once', async () => {
+    const source = createDatasetSource()
+    const readFile = vi.spyOn(source, 'readFile')
+
+    const [first, second] = await Promise.all([getDataset(source), getDataset(source)])
+    expect(first).toBe(second)
+    expect(readFile.mock.calls.filter(([path]) => path === DATASET_FILE)).toHaveLength(1)
+  })
+
+  it('should search the dataset of the athlete an activity belongs to', async () => {
+    const alice = createDatasetSource()
+    const source = createAthletesSource([
+      { name: 'Alice', source: alice },
+      { name: 'Bob', source: createFixtureSource({}) }
+    ])
+    await getDataset(alice)
+
+    expect((await findDatasetTrack(source, 'alice/activities/2.fit.gz')).track).toEqual(route)
+    expect(await findDatasetTrack(source, 'bob/activities/2.fit.gz')).toBeNull()
+    expect(await findDatasetTrack(source, 'carol/activities/2.fit.gz')).toBeNull()
+  })
+})
@@ -0,0 +1,49 @@
+/**
+ * Tests for decompress.js
+ * Covers gzip detection and round-trip decompression
+ */
+import { describe, it, expect } from 'vitest'
+import { isGzip, gunzip, decompressIfGzipped } from '../decompress.js'
+
+/**
+ * Gzip bytes using the native CompressionStream API
+ */
+async function gzip(text) {
+  const stream = new Response(new TextEncoder().encode(text)).body.pipeThrough(new CompressionStream('gzip'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+describe('isGzip', () => {
+  it('should detect the gzip magic number', async () => {
+    expect(isGzip(await gzip('hello'))).toBe(true)
+  })
+
+  it('should return false for plain content', () => {
+    expect(isGzip(new TextEncoder().encode('<gpx></gpx>'))).toBe(false)
+    expect(isGzip(new Uint8Array(0))).toBe(false)
+  })
+})
+
+describe('gunzip', () => {
+  it('should round-trip compressed text', async () => {
+    const result = await gunzip(await gzip('<gpx version="1.1"></gpx>'))
+    expect(new TextDecoder().decode(result)).toBe('<gpx version="1.1"></gpx>')
+  })
+
+  it('should throw a descriptive error for corrupt data', async () => {
+    const corrupt = new Uint8Array([0x1F, 0x8B, 0x08, 0x00, 0x01, 0x02])
+    await expect(gunzip(corrupt)).rejects.toThrow('Failed to decompress gzip data')
+  })
+})
+
+describe('decompressIfGzipped', () => {
+  it('should pass plain content through unchanged', async () => {
+    const plain = new TextEncoder().encode('<gpx></gpx>')
+    expect(await decompressIfGzipped(plain)).toBe(plain)
+  })
+
+  it('should decompress gzipped content', async () => {
+    const result = await decompressIfGzipped(await gzip('abc'))
+    expect(new TextDecoder().decode(result)).toBe('abc')
+  })
+})
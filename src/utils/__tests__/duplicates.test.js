@@ -0,0 +1,113 @@
+/**
+ * Tests for duplicates.js
+ * Covers time windows, recording quality, route similarity, grouping and the exclusion list
+ */
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  EXCLUDED_ACTIVITIES_KEY,
+  loadExcludedActivities,
+  saveExcludedActivities,
+  getRunTimeWindow,
+  getRecordingQuality,
+  compareRecordingQuality,
+  getRouteSimilarity,
+  findDuplicateGroups
+} from '../duplicates.js'
+import { createTrackPoint, trackToCoordinates } from '../trackModel.js'
+
+const START = Date.UTC(2024, 4, 1, 7)
+
+/**
+ * Build a run heading north, one point per `interval` seconds
+ */
+function createRun(id, { start = START, count = 60, interval = 1, lon = -118, fields = {}, loadWarnings = [] } = {}) {
+  const points = Array.from({ length: count }, (_, i) =>
+    createTrackPoint(34 + i * interval * 0.00003, lon, { time: start + i * interval * 1000, ...fields }))
+  const track = { segments: [points] }
+  return { id, name: `Run ${id}`, date: '', rawTrack: track, track, coordinates: trackToCoordinates(track), loadWarnings }
+}
+
+describe('exclusion list storage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should round-trip excluded IDs', () => {
+    saveExcludedActivities(new Set(['1', '2']))
+    expect(loadExcludedActivities()).toEqual(new Set(['1', '2']))
+  })
+
+  it('should start empty and ignore unreadable data', () => {
+    expect(loadExcludedActivities().size).toBe(0)
+    localStorage.setItem(EXCLUDED_ACTIVITIES_KEY, '[oops')
+    expect(loadExcludedActivities().size).toBe(0)
+  })
+})
+
+describe('getRunTimeWindow', () => {
+  it('should use the track timestamps', () => {
+    expect(getRunTimeWindow(createRun('1', { count: 11 }))).toEqual({ start: START, end: START + 10000 })
+  })
+
+  it('should fall back to the activity date and elapsed time', () => {
+    const run = { id: '1', date: '2024-05-01T07:00:00Z', elapsedTime: 600, rawTrack: { segments: [] } }
+    expect(getRunTimeWindow(run)).toEqual({ start: START, end: START + 600000 })
+  })
+
+  it('should return null without any time information', () => {
+    expect(getRunTimeWindow({ id: '1', date: '', rawTrack: { segments: [] } })).toBeNull()
+  })
+})
+
+describe('recording quality', () => {
+  it('should list recorded sensors and points', () => {
+    const quality = getRecordingQuality(createRun('1', { count: 5, fields: { hr: 140, ele: 10 } }))
+    expect(quality).toEqual({ complete: true, sensors: ['hr', 'ele'], points: 5 })
+  })
+
+  it('should prefer complete files, then sensor data, then denser recordings', () => {
+    const partial = createRun('partial', { fields: { hr: 140 }, loadWarnings: ['truncated'] })
+    const sensors = createRun('sensors', { count: 30, interval: 2, fields: { hr: 140 } })
+    const dense = createRun('dense')
+    const sparse = createRun('sparse', { count: 12, interval: 5 })
+
+    expect([sparse, partial, dense, sensors].sort(compareRecordingQuality).map(run => run.id))
+      .toEqual(['sensors', 'dense', 'sparse', 'partial'])
+  })
+})
+
+describe('getRouteSimilarity', () => {
+  it('should match recordings of the same route at different rates', () => {
+    expect(getRouteSimilarity(createRun('1'), createRun('2', { count: 12, interval: 5 }))).toBe(1)
+  })
+
+  it('should not match parallel routes far apart', () => {
+    expect(getRouteSimilarity(createRun('1'), createRun('2', { lon: -117.99 }))).toBe(0)
+  })
+})
+
+describe('findDuplicateGroups', () => {
+  it('should group overlapping recordings of the same route and recommend the best', () => {
+    const watch = createRun('watch', { fields: { hr: 140 } })
+    const phone = createRun('phone', { start: START + 3000, count: 12, interval: 5 })
+    const groups = findDuplicateGroups([phone, watch, createRun('later', { start: START + 3600000 })])
+
+    expect(groups).toHaveLength(1)
+    expect(groups[0].keepId).toBe('watch')
+    expect(groups[0].runs.map(run => run.id)).toEqual(['watch', 'phone'])
+  })
+
+  it('should put three uploads of one run in one group', () => {
+    const groups = findDuplicateGroups([createRun('1'), createRun('2'), createRun('3')])
+    expect(groups).toHaveLength(1)
+    expect(groups[0].runs).toHaveLength(3)
+  })
+
+  it('should not group runs at the same time on different routes', () => {
+    expect(findDuplicateGroups([createRun('1'), createRun('2', { lon: -117.99 })])).toEqual([])
+  })
+
+  it('should not group the same route on different days', () => {
+    expect(findDuplicateGroups([createRun('1'), createRun('2', { start: START + 86400000 })])).toEqual([])
+  })
+})
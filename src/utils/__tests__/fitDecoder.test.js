@@ -0,0 +1,189 @@
+/**
+ * Tests for fitDecoder.js
+ * Builds small FIT files in memory and checks record decoding,
+ * compressed timestamps, timer-based segmentation and error handling
+ */
+import { describe, it, expect } from 'vitest'
+import { decodeFITTrack, isFITFile, computeFITCRC } from '../fitDecoder.js'
+
+const FIT_EPOCH_OFFSET = 631065600
+const DEGREES_TO_SEMICIRCLES = 2 ** 31 / 180
+
+/**
+ * Minimal FIT writer for test fixtures
+ * Messages: { define: { local, global, fields: [[num, size]] } } or { data: { local, values: [...] } }
+ */
+function buildFIT(messages, { compressed = [] } = {}) {
+  const body = []
+  const definitions = new Map()
+
+  messages.forEach((message, index) => {
+    if (message.define) {
+      const { local, global, fields } = message.define
+      definitions.set(local, fields)
+      body.push(0x40 | local, 0, 0, global & 0xFF, global >> 8, fields.length)
+      for (const [num, size] of fields) {
+        body.push(num, size, size === 4 ? 0x86 : size === 2 ? 0x84 : 0x02)
+      }
+    } else {
+      const { local, values } = message.data
+      const timeOffset = compressed[index]
+      body.push(timeOffset !== undefined ? 0x80 | (local << 5) | timeOffset : local)
+      definitions.get(local).forEach(([, size], i) => {
+        const value = values[i] >>> 0
+        for (let b = 0; b < size; b++) body.push((value >>> (8 * b)) & 0xFF)
+      })
+    }
+  })
+
+  const header = [14, 0x20, 0, 0, ...[0, 8, 16, 24].map(s => (body.length >>> s) & 0xFF), 0x2E, 0x46, 0x49, 0x54, 0, 0]
+  const bytes = new Uint8Array([...header, ...body, 0, 0])
+  const crc = computeFITCRC(bytes, 0, bytes.length - 2)
+  bytes[bytes.length - 2] = crc & 0xFF
+  bytes[bytes.length - 1] = crc >> 8
+  return bytes
+}
+
+const recordDefinition = {
+  define: {
+    local: 0,
+    global: 20,
+    fields: [[253, 4], [0, 4], [1, 4], [2, 2], [3, 1], [4, 1], [6, 2]]
+  }
+}
+
+const eventDefinition = {
+  define: { local: 1, global: 21, fields: [[253, 4], [0, 1], [1, 1]] }
+}
+
+function record(unixSeconds, lat, lon, { altitude = 0xFFFF, hr = 0xFF, cad = 0xFF, speed = 0xFFFF } = {}) {
+  return {
+    data: {
+      local: 0,
+      values: [
+        unixSeconds - FIT_EPOCH_OFFSET,
+        Math.round(lat * DEGREES_TO_SEMICIRCLES),
+        Math.round(lon * DEGREES_TO_SEMICIRCLES),
+        altitude,
+        hr,
+        cad,
+        speed
+      ]
+    }
+  }
+}
+
+function timerEvent(unixSeconds, eventType) {
+  return { data: { local: 1, values: [unixSeconds - FIT_EPOCH_OFFSET, 0, eventType] } }
+}
+
+const start = Date.UTC(2020, 6, 4, 16, 0, 0) / 1000
+
+describe('isFITFile', () => {
+  it('should recognise the .FIT signature', () => {
+    expect(isFITFile(buildFIT([]))).toBe(true)
+  })
+
+  it('should reject XML content', () => {
+    expect(isFITFile(new TextEncoder().encode('<?xml version="1.0"?><gpx></gpx>'))).toBe(false)
+  })
+})
+
+describe('decodeFITTrack', () => {
+  it('should decode record messages into track points', () => {
+    const fit = buildFIT([
+      recordDefinition,
+      record(start, 34.0522, -118.2437, { altitude: (71.2 + 500) * 5, hr: 140, cad: 86, speed: 3120 })
+    ])
+
+    const track = decodeFITTrack(fit)
+    expect(track.segments).toHaveLength(1)
+
+    const [point] = track.segments[0]
+    expect(point.lat).toBeCloseTo(34.0522, 6)
+    expect(point.lon).toBeCloseTo(-118.2437, 6)
+    expect(point.time).toBe(start * 1000)
+    expect(point.ele).toBeCloseTo(71.2, 1)
+    expect(point.hr).toBe(140)
+    expect(point.cad).toBe(86)
+    expect(point.speed).toBeCloseTo(3.12, 3)
+  })
+
+  it('should return null for invalid sensor values', () => {
+    const track = decodeFITTrack(buildFIT([recordDefinition, record(start, 34, -118)]))
+    const [point] = track.segments[0]
+    expect(point.ele).toBeNull()
+    expect(point.hr).toBeNull()
+    expect(point.cad).toBeNull()
+    expect(point.speed).toBeNull()
+  })
+
+  it('should skip records without a position', () => {
+    const noPosition = record(start, 34, -118)
+    noPosition.data.values[1] = 0x7FFFFFFF
+    noPosition.data.values[2] = 0x7FFFFFFF
+
+    const track = decodeFITTrack(buildFIT([recordDefinition, noPosition, record(start + 1, 34, -118)]))
+    expect(track.segments[0]).toHaveLength(1)
+    expect(track.segments[0][0].time).toBe((start + 1) * 1000)
+  })
+
+  it('should split segments at timer stop events', () => {
+    const track = decodeFITTrack(buildFIT([
+      recordDefinition,
+      eventDefinition,
+      record(start, 34.0, -118.0),
+      record(start + 1, 34.001, -118.0),
+      timerEvent(start + 2, 4),
+      timerEvent(start + 60, 0),
+      record(start + 60, 34.01, -118.0)
+    ]))
+
+    expect(track.segments).toHaveLength(2)
+    expect(track.segments[0]).toHaveLength(2)
+    expect(track.segments[1]).toHaveLength(1)
+  })
+
+  it('should also split segments at plain timer stop events', () => {
+    const track = decodeFITTrack(buildFIT([
+      recordDefinition,
+      eventDefinition,
+      record(start, 34.0, -118.0),
+      timerEvent(start + 1, 1),
+      timerEvent(start + 30, 0),
+      record(start + 30, 34.01, -118.0),
+      timerEvent(start + 31, 1),
+      timerEvent(start + 31, 4),
+      record(start + 90, 34.02, -118.0)
+    ]))
+
+    expect(track.segments.map(segment => segment.length)).toEqual([1, 1, 1])
+  })
+
+  it('should resolve compressed timestamp headers', () => {
+    const compressedDefinition = { define: { local: 2, global: 20, fields: [[0, 4], [1, 4]] } }
+    const fit = buildFIT([
+      recordDefinition,
+      compressedDefinition,
+      record(start, 34.0, -118.0),
+      { data: { local: 2, values: [Math.round(34.001 * DEGREES_TO_SEMICIRCLES), Math.round(-118 * DEGREES_TO_SEMICIRCLES)] } }
+    ], { compressed: { 3: ((start - FIT_EPOCH_OFFSET) + 3) & 0x1F } })
+
+    const [first, second] = decodeFITTrack(fit).segments[0]
+    expect(second.time - first.time).toBe(3000)
+  })
+
+  it('should throw for non-FIT data', () => {
+    expect(() => decodeFITTrack(new Uint8Array(20))).toThrow('Not a FIT file')
+  })
+
+  it('should throw for truncated files', () => {
+    const fit = buildFIT([recordDefinition, record(start, 34, -118)])
+    expect(() => decodeFITTrack(fit.subarray(0, fit.length - 10))).toThrow('truncated')
+  })
+
+  it('should accept an ArrayBuffer', () => {
+    const fit = buildFIT([recordDefinition, record(start, 34, -118)])
+    expect(decodeFITTrack(fit.buffer).segments).toHaveLength(1)
+  })
+})
@@ -0,0 +1,134 @@
+/**
+ * Tests for geocoder.js
+ * Covers gazetteer indexing, nearest-city lookup and the result cache
+ */
+import { readFileSync } from 'node:fs'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  createGazetteer,
+  reverseGeocode,
+  haversineDistance,
+  loadGazetteer,
+  resetGazetteer,
+  loadGeocodeCache,
+  saveGeocodeCache,
+  GEOCODE_CACHE_KEY
+} from '../geocoder.js'
+
+const gazetteer = createGazetteer({
+  version: 1,
+  cities: [
+    ['Los Angeles', 'California', 'United States', 34.0522, -118.2437],
+    ['Santa Monica', 'California', 'United States', 34.0195, -118.4912],
+    ['London', 'England', 'United Kingdom', 51.5085, -0.1257],
+    ['Suva', 'Central', 'Fiji', -18.1416, 178.4415]
+  ]
+})
+
+describe('createGazetteer', () => {
+  it('should index every city', () => {
+    expect(gazetteer.size).toBe(4)
+  })
+
+  it('should reject unknown format versions', () => {
+    expect(() => createGazetteer({ version: 99, cities: [] })).toThrow('Unsupported gazetteer format')
+    expect(() => createGazetteer(null)).toThrow('Unsupported gazetteer format')
+  })
+})
+
+describe('haversineDistance', () => {
+  it('should measure great-circle distance in km', () => {
+    // Los Angeles to London is about 8,760 km
+    expect(haversineDistance(34.0522, -118.2437, 51.5085, -0.1257)).toBeCloseTo(8760, -2)
+    expect(haversineDistance(10, 10, 10, 10)).toBe(0)
+  })
+})
+
+describe('reverseGeocode', () => {
+  it('should return the nearest city', () => {
+    expect(reverseGeocode(gazetteer, 34.01, -118.48)).toEqual({
+      location: 'Santa Monica',
+      state: 'California',
+      country: 'United States'
+    })
+    expect(reverseGeocode(gazetteer, 34.06, -118.25).location).toBe('Los Angeles')
+  })
+
+  it('should search neighbouring grid cells', () => {
+    // Just across a 1° cell boundary from London
+    expect(reverseGeocode(gazetteer, 51.49, 0.01).location).toBe('London')
+  })
+
+  it('should wrap around the antimeridian', () => {
+    expect(reverseGeocode(gazetteer, -18.1, -179.9, 200).location).toBe('Suva')
+  })
+
+  it('should return null when no city is close enough', () => {
+    expect(reverseGeocode(gazetteer, 0, 0)).toBeNull()
+    expect(reverseGeocode(gazetteer, 34.5, -118.2, 10)).toBeNull()
+  })
+
+  it('should return null without a gazetteer or coordinate', () => {
+    expect(reverseGeocode(null, 34, -118)).toBeNull()
+    expect(reverseGeocode(gazetteer, NaN, -118)).toBeNull()
+  })
+})
+
+describe('loadGazetteer', () => {
+  beforeEach(() => {
+    resetGazetteer()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    resetGazetteer()
+  })
+
+  it('should load and index the asset once', async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({
+      version: 1,
+      cities: [['Denver', 'Colorado', 'United States', 39.7392, -104.9847]]
+    })))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const loaded = await loadGazetteer()
+    expect(loaded.size).toBe(1)
+    expect(await loadGazetteer()).toBe(loaded)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('should resolve to null when the asset is missing', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })))
+    expect(await loadGazetteer()).toBeNull()
+  })
+
+  it('should read the bundled asset', () => {
+    const bundled = createGazetteer(JSON.parse(readFileSync('public/gazetteer/cities.json', 'utf8')))
+    expect(bundled.size).toBeGreaterThan(10000)
+    expect(reverseGeocode(bundled, 34.06, -118.25)).toEqual({
+      location: 'Los Angeles',
+      state: 'California',
+      country: 'United States'
+    })
+  })
+})
+
+describe('geocode cache', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should round-trip results including misses', () => {
+    const cache = new Map([
+      ['1', { location: 'Denver', state: 'Colorado', country: 'United States' }],
+      ['2', null]
+    ])
+    saveGeocodeCache(cache)
+    expect(loadGeocodeCache()).toEqual(cache)
+  })
+
+  it('should ignore an unreadable cache', () => {
+    localStorage.setItem(GEOCODE_CACHE_KEY, '{not json')
+    expect(loadGeocodeCache().size).toBe(0)
+  })
+})
@@ -0,0 +1,79 @@
+/**
+ * Tests for geojsonParser.js
+ * Covers line geometries, nesting, elevation and per-coordinate times
+ */
+import { describe, it, expect } from 'vitest'
+import { parseGeoJSONTrack } from '../geojsonParser.js'
+
+describe('parseGeoJSONTrack', () => {
+  it('should read a LineString as one segment', () => {
+    const track = parseGeoJSONTrack(JSON.stringify({
+      type: 'LineString',
+      coordinates: [[-118.2437, 34.0522, 71.2], [-118.244, 34.053]]
+    }))
+
+    expect(track.segments).toHaveLength(1)
+    expect(track.segments[0][0]).toEqual({
+      lat: 34.0522, lon: -118.2437, time: null, ele: 71.2, hr: null, cad: null, speed: null
+    })
+    expect(track.segments[0][1].ele).toBeNull()
+  })
+
+  it('should read every line of a feature collection', () => {
+    const track = parseGeoJSONTrack(JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } },
+        { type: 'Feature', properties: {}, geometry: { type: 'MultiLineString', coordinates: [[[1, 2], [3, 4]], [[5, 6]]] } },
+        {
+          type: 'Feature',
+          properties: {},
+          geometry: { type: 'GeometryCollection', geometries: [{ type: 'LineString', coordinates: [[7, 8]] }] }
+        }
+      ]
+    }))
+
+    expect(track.segments.map(points => points.map(point => [point.lat, point.lon]))).toEqual([
+      [[2, 1], [4, 3]],
+      [[6, 5]],
+      [[8, 7]]
+    ])
+  })
+
+  it('should read per-coordinate times', () => {
+    const track = parseGeoJSONTrack(JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          properties: { coordinateProperties: { times: ['2017-03-24T17:42:11Z', '2017-03-24T17:42:12Z'] } },
+          geometry: { type: 'LineString', coordinates: [[1, 2], [3, 4]] }
+        },
+        {
+          type: 'Feature',
+          properties: { coordTimes: [['2017-03-24T18:00:00Z'], ['not a time']] },
+          geometry: { type: 'MultiLineString', coordinates: [[[1, 2]], [[3, 4]]] }
+        }
+      ]
+    }))
+
+    expect(track.segments.map(points => points.map(point => point.time))).toEqual([
+      [Date.UTC(2017, 2, 24, 17, 42, 11), Date.UTC(2017, 2, 24, 17, 42, 12)],
+      [Date.UTC(2017, 2, 24, 18)],
+      [null]
+    ])
+  })
+
+  it('should skip invalid positions and empty lines', () => {
+    const track = parseGeoJSONTrack(JSON.stringify({
+      type: 'MultiLineString',
+      coordinates: [[[1, 2], ['x', 3], null], [], [[null, 1]]]
+    }))
+    expect(track.segments).toHaveLength(1)
+    expect(track.segments[0]).toHaveLength(1)
+  })
+
+  it('should report malformed JSON', () => {
+    expect(() => parseGeoJSONTrack('{"type": ')).toThrow('Malformed GeoJSON')
+  })
+})
@@ -0,0 +1,100 @@
+/**
+ * Tests for gpxSaxParser.js
+ * The streaming parser must produce the same tracks as the DOM parser
+ */
+import { describe, it, expect } from 'vitest'
+import { parseGPXTrackSAX } from '../gpxSaxParser.js'
+import { parseGPXTrack } from '../dataLoader.js'
+
+const stravaGPX = `<?xml version="1.0" encoding="UTF-8"?>
+  <gpx version="1.1" creator="StravaGPX"
+    xmlns="http://www.topografix.com/GPX/1/1"
+    xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+    <metadata><time>2017-03-24T17:42:10Z</time></metadata>
+    <trk>
+      <name>Morning Run</name>
+      <trkseg>
+        <trkpt lat="34.0522" lon="-118.2437">
+          <ele>71.2</ele>
+          <time>2017-03-24T17:42:11Z</time>
+          <extensions>
+            <gpxtpx:TrackPointExtension>
+              <gpxtpx:hr>128</gpxtpx:hr>
+              <gpxtpx:cad>84</gpxtpx:cad>
+            </gpxtpx:TrackPointExtension>
+          </extensions>
+        </trkpt>
+        <trkpt lat="34.0530" lon="-118.2440">
+          <ele>72.0</ele>
+          <time>2017-03-24T17:42:12Z</time>
+        </trkpt>
+      </trkseg>
+      <trkseg></trkseg>
+      <trkseg>
+        <trkpt lat="invalid" lon="-118.0"></trkpt>
+        <trkpt lat="35.0" lon="-119.0"/>
+      </trkseg>
+    </trk>
+  </gpx>`
+
+describe('parseGPXTrackSAX', () => {
+  it('should match the DOM parser', () => {
+    expect(parseGPXTrackSAX(stravaGPX)).toEqual(parseGPXTrack(stravaGPX))
+  })
+
+  it('should read sensor values from the first matching element', () => {
+    const [first, second] = parseGPXTrackSAX(stravaGPX).segments[0]
+    expect(first).toMatchObject({ ele: 71.2, hr: 128, cad: 84, time: Date.UTC(2017, 2, 24, 17, 42, 11) })
+    expect(second).toMatchObject({ hr: null, cad: null })
+  })
+
+  it('should ignore route and waypoint points', () => {
+    const track = parseGPXTrackSAX(`<gpx>
+      <wpt lat="1" lon="1"></wpt>
+      <rte><rtept lat="2" lon="2"></rtept></rte>
+    </gpx>`)
+    expect(track.segments).toEqual([])
+  })
+
+  it('should only read time and elevation from direct children', () => {
+    const track = parseGPXTrackSAX(`<gpx><trk><trkseg>
+      <trkpt lat="1" lon="2"><extensions><ele>5</ele></extensions></trkpt>
+    </trkseg></trk></gpx>`)
+    expect(track.segments[0][0].ele).toBeNull()
+  })
+})
+
+describe('parseGPXTrackSAX with malformed files', () => {
+  const truncated = `<?xml version="1.0"?>
+<gpx><trk><trkseg>
+<trkpt lat="34.0" lon="-118.0"><ele>10</ele></trkpt>
+<trkpt lat="34.1" lon="-118.1"><ele>11</ele></trkpt>
+<trkpt lat="34.2" lon="-118.2"><el`
+
+  it('should keep the points before a truncation', () => {
+    const track = parseGPXTrackSAX(truncated)
+    expect(track.segments).toHaveLength(1)
+    expect(track.segments[0].map(point => point.lat)).toEqual([34.0, 34.1])
+    expect(track.warnings).toEqual(['Malformed XML: unterminated tag at line 5 - loaded the first 2 points'])
+  })
+
+  it('should report files cut off between tags', () => {
+    const track = parseGPXTrackSAX('<gpx><trk><trkseg><trkpt lat="1" lon="2"></trkpt>')
+    expect(track.segments[0]).toHaveLength(1)
+    expect(track.warnings[0]).toMatch(/<trkseg> is not closed/)
+  })
+
+  it('should stop at mismatched closing tags', () => {
+    const track = parseGPXTrackSAX(`<gpx><trk><trkseg>
+      <trkpt lat="1" lon="2"></trkpt>
+      <trkpt lat="3" lon="4"></trkseg>
+      <trkpt lat="5" lon="6"></trkpt>
+    </trkseg></trk></gpx>`)
+    expect(track.segments[0].map(point => point.lat)).toEqual([1])
+    expect(track.warnings[0]).toBe('Malformed XML: expected </trkpt> but found </trkseg> at line 3 - loaded the first 1 points')
+  })
+
+  it('should throw when no points can be recovered', () => {
+    expect(() => parseGPXTrackSAX('<gpx><trk><trkseg><trkpt lat="1"')).toThrow('Malformed XML')
+  })
+})
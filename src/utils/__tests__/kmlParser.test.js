@@ -0,0 +1,64 @@
+/**
+ * Tests for kmlParser.js
+ * Covers LineString routes, gx:Track recordings and document order
+ */
+import { describe, it, expect } from 'vitest'
+import { parseKMLTrack } from '../kmlParser.js'
+
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <Placemark>
+      <name>Planned course</name>
+      <LineString>
+        <coordinates>
+          -118.2437,34.0522,71.2 -118.2440,34.0530
+          bad,tuple
+        </coordinates>
+      </LineString>
+    </Placemark>
+    <Placemark>
+      <gx:MultiTrack>
+        <gx:Track>
+          <when>2017-03-24T17:42:11Z</when>
+          <when>2017-03-24T17:42:12Z</when>
+          <gx:coord>-118.25 34.06 80</gx:coord>
+          <gx:coord>-118.26 34.07</gx:coord>
+        </gx:Track>
+        <gx:Track>
+          <gx:coord>-118.27 34.08 90</gx:coord>
+        </gx:Track>
+      </gx:MultiTrack>
+    </Placemark>
+  </Document>
+</kml>`
+
+describe('parseKMLTrack', () => {
+  const track = parseKMLTrack(kml)
+
+  it('should make a segment of each line in document order', () => {
+    expect(track.segments.map(points => points.map(point => [point.lat, point.lon]))).toEqual([
+      [[34.0522, -118.2437], [34.053, -118.244]],
+      [[34.06, -118.25], [34.07, -118.26]],
+      [[34.08, -118.27]]
+    ])
+  })
+
+  it('should read altitude and gx:Track timestamps', () => {
+    expect(track.segments[0].map(point => point.ele)).toEqual([71.2, null])
+    expect(track.segments[1].map(point => point.time)).toEqual([
+      Date.UTC(2017, 2, 24, 17, 42, 11),
+      Date.UTC(2017, 2, 24, 17, 42, 12)
+    ])
+    expect(track.segments[2][0]).toMatchObject({ time: null, ele: 90 })
+  })
+
+  it('should return no segments for a KML without lines', () => {
+    expect(parseKMLTrack('<kml><Placemark><Point><coordinates>1,2</coordinates></Point></Placemark></kml>').segments)
+      .toEqual([])
+  })
+
+  it('should report malformed XML', () => {
+    expect(() => parseKMLTrack('<kml><Placemark>')).toThrow('Malformed XML')
+  })
+})
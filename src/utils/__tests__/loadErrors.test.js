@@ -0,0 +1,60 @@
+/**
+ * Tests for loadErrors.js
+ * Covers error tagging, grouping, CSV export and retry delays
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  LOAD_ERROR,
+  createLoadError,
+  withLoadErrorCode,
+  getLoadErrorCode,
+  groupFailedLoads,
+  formatFailedLoadsCSV,
+  getRetryDelay
+} from '../loadErrors.js'
+
+const failed = [
+  { id: '1', name: 'Morning Run', date: 'Mar 24, 2017', filename: 'activities/1.gpx', code: LOAD_ERROR.PARSE_ERROR, error: 'Malformed XML: unclosed tag', attempts: 1 },
+  { id: '2', name: 'Evening Run', date: 'Mar 25, 2017', filename: 'activities/2.gpx', code: LOAD_ERROR.HTTP_ERROR, error: 'HTTP 500: Server Error', attempts: 3 },
+  { id: '3', name: 'Lunch, Run', date: 'Mar 26, 2017', filename: 'activities/3.gpx', code: LOAD_ERROR.HTTP_ERROR, error: 'HTTP 503: Unavailable', attempts: 1 }
+]
+
+describe('load error codes', () => {
+  it('should tag errors and keep the first tag', () => {
+    const error = createLoadError(LOAD_ERROR.EMPTY_TRACK, 'No points')
+    withLoadErrorCode(error, LOAD_ERROR.PARSE_ERROR)
+    expect(getLoadErrorCode(error)).toBe(LOAD_ERROR.EMPTY_TRACK)
+  })
+
+  it('should report untagged errors as unknown', () => {
+    expect(getLoadErrorCode(new Error('boom'))).toBe(LOAD_ERROR.UNKNOWN)
+  })
+})
+
+describe('groupFailedLoads', () => {
+  it('should group by code in a stable order', () => {
+    const groups = groupFailedLoads(failed)
+    expect(groups.map(group => group.code)).toEqual([LOAD_ERROR.HTTP_ERROR, LOAD_ERROR.PARSE_ERROR])
+    expect(groups[0]).toMatchObject({ label: 'HTTP error' })
+    expect(groups[0].items.map(item => item.id)).toEqual(['2', '3'])
+  })
+
+  it('should put entries without a code under unknown', () => {
+    expect(groupFailedLoads([{ id: '9', error: 'x' }])[0].code).toBe(LOAD_ERROR.UNKNOWN)
+  })
+})
+
+describe('formatFailedLoadsCSV', () => {
+  it('should write one row per failure with a header', () => {
+    const lines = formatFailedLoadsCSV(failed).trim().split('\n')
+    expect(lines[0]).toBe('Activity ID,Name,Date,Filename,Code,Error,Attempts')
+    expect(lines[1]).toBe('1,Morning Run,"Mar 24, 2017",activities/1.gpx,PARSE_ERROR,Malformed XML: unclosed tag,1')
+    expect(lines[3]).toContain('"Lunch, Run"')
+  })
+})
+
+describe('getRetryDelay', () => {
+  it('should double the delay on each retry up to the maximum', () => {
+    expect([1, 2, 3, 4].map(retry => getRetryDelay(retry, 100, 500))).toEqual([100, 200, 400, 500])
+  })
+})
@@ -0,0 +1,133 @@
+/**
+ * Tests for locationTable.js
+ * Covers record editing, overrides and activities-location.csv export
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  createLocationRecord,
+  assignLocation,
+  toLocationOverrides,
+  formatLocationsCSV
+} from '../locationTable.js'
+import { parseCSV } from '../csv.js'
+
+const activities = [
+  {
+    id: '1',
+    date: 'Mar 24, 2017, 5:42:11 PM',
+    name: 'Morning Run',
+    location: 'Los Angeles',
+    state: 'California',
+    country: 'United States',
+    international: 'FALSE',
+    treadmill: false,
+    locationSource: 'csv',
+    csvRow: ['1', '3', '24', '2017', 'Los Angeles', 'California', 'United States', 'FALSE', 'FALSE']
+  },
+  {
+    id: '2',
+    date: 'Jun 15, 2018, 8:30:00 AM',
+    name: 'Gym',
+    location: 'Unknown',
+    state: 'Unknown',
+    country: 'Unknown',
+    international: 'Unknown',
+    treadmill: false,
+    locationSource: 'unknown'
+  }
+]
+
+describe('createLocationRecord', () => {
+  it('should copy location fields and drop the placeholders of activities missing from the CSV', () => {
+    expect(createLocationRecord(activities[1])).toEqual({
+      id: '2',
+      date: 'Jun 15, 2018, 8:30:00 AM',
+      localDate: null,
+      name: 'Gym',
+      location: 'Unknown',
+      state: 'Unknown',
+      country: 'Unknown',
+      international: '',
+      treadmill: false,
+      csvRow: null
+    })
+  })
+
+  it('should keep the CSV row and its international value as read', () => {
+    const record = createLocationRecord({ ...activities[0], international: 'yes' })
+    expect(record).toMatchObject({ international: 'yes', csvRow: activities[0].csvRow })
+  })
+})
+
+describe('assignLocation', () => {
+  it('should assign non-empty fields to selected records only', () => {
+    const records = activities.map(createLocationRecord)
+    const result = assignLocation(records, new Set(['2']), { location: 'Boulder', state: '', country: 'United States' })
+
+    expect(result[0]).toBe(records[0])
+    expect(result[1]).toMatchObject({ location: 'Boulder', state: 'Unknown', country: 'United States' })
+  })
+
+  it('should toggle treadmill', () => {
+    const records = activities.map(createLocationRecord)
+    expect(assignLocation(records, new Set(['1']), { treadmill: true })[0].treadmill).toBe(true)
+  })
+})
+
+describe('toLocationOverrides', () => {
+  it('should include known locations and treadmill activities only', () => {
+    const records = activities.map(createLocationRecord)
+    expect([...toLocationOverrides(records).keys()]).toEqual(['1'])
+
+    const treadmill = assignLocation(records, new Set(['2']), { treadmill: true })
+    expect(toLocationOverrides(treadmill).get('2')).toMatchObject({ location: 'Unknown', treadmill: true })
+  })
+
+  it('should keep rows read from the CSV even without a location', () => {
+    const [record] = [{ ...activities[1], locationSource: 'csv', csvRow: ['2', '6', '15', '2018', 'Unknown'] }].map(createLocationRecord)
+    expect(toLocationOverrides([record]).get('2')).toMatchObject({ location: 'Unknown', csvRow: record.csvRow })
+  })
+})
+
+describe('formatLocationsCSV', () => {
+  it('should write the activities-location.csv layout', () => {
+    const records = assignLocation(activities.map(createLocationRecord), new Set(['2']), {
+      location: 'Washington, D.C.',
+      state: 'District of Columbia',
+      country: 'United States',
+      treadmill: true
+    })
+
+    const csv = formatLocationsCSV(records)
+    expect(csv.split('\n')[0]).toBe('id,Month,Day,Year,Location,State,Country,International,Treadmill')
+
+    const { records: rows } = parseCSV(csv)
+    expect(rows.slice(1).map(row => row.fields)).toEqual([
+      ['1', '3', '24', '2017', 'Los Angeles', 'California', 'United States', 'FALSE', 'FALSE'],
+      ['2', '6', '15', '2018', 'Washington, D.C.', 'District of Columbia', 'United States', '', 'TRUE']
+    ])
+  })
+
+  it('should write rows read from the CSV back unchanged apart from edited fields', () => {
+    const unknownRow = ['7', '1', '2', '2016', 'Unknown', '', '', 'maybe', 'no']
+    const lowercaseRow = ['8', '12', '31', '2015', 'Paris', 'Ile-de-France', 'France', 'TRUE', 'false']
+    const records = [
+      { id: '7', date: 'Jan 3, 2016, 1:00:00 AM', name: 'Old', location: 'Unknown', state: '', country: '', international: 'maybe', treadmill: false, locationSource: 'csv', csvRow: unknownRow },
+      { id: '8', date: 'Jan 1, 2016, 1:00:00 AM', name: 'Eve', location: 'Paris', state: 'Ile-de-France', country: 'France', international: 'TRUE', treadmill: false, locationSource: 'csv', csvRow: lowercaseRow }
+    ].map(createLocationRecord)
+
+    const { records: unchanged } = parseCSV(formatLocationsCSV(records))
+    expect(unchanged.slice(1).map(row => row.fields)).toEqual([unknownRow, lowercaseRow])
+
+    const edited = assignLocation(records, new Set(['8']), { location: 'Lyon', treadmill: true })
+    const { records: rows } = parseCSV(formatLocationsCSV(edited))
+    expect(rows[2].fields).toEqual(['8', '12', '31', '2015', 'Lyon', 'Ile-de-France', 'France', 'TRUE', 'TRUE'])
+  })
+
+  it('should write the local calendar day when it is known', () => {
+    // 5:42 PM UTC on Mar 24 is already Mar 25 in Tokyo
+    const record = createLocationRecord({ ...activities[0], localDate: '2017-03-25', locationSource: 'geocoded' })
+    const { records: rows } = parseCSV(formatLocationsCSV([record]))
+    expect(rows[1].fields.slice(1, 4)).toEqual(['3', '25', '2017'])
+  })
+})
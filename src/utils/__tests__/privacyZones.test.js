@@ -0,0 +1,105 @@
+/**
+ * Tests for privacyZones.js
+ * Covers zone storage, per-run radius offsets and trimming tracks
+ */
+import { describe, it, expect, beforeEach } from 'vitest'
+import {
+  PRIVACY_ZONES_KEY,
+  DEFAULT_PRIVACY_ZONE,
+  createPrivacyZone,
+  loadPrivacyZones,
+  savePrivacyZones,
+  getZoneRadius,
+  applyPrivacyZones
+} from '../privacyZones.js'
+import { createTrackPoint } from '../trackModel.js'
+
+// 0.001 degrees of latitude is ~111 m
+const home = { id: 'home', lat: 34.0, lng: -118.0, radius: 150, extraOffset: 0 }
+
+function pointsNorth(fromLat, count) {
+  return Array.from({ length: count }, (_, i) => createTrackPoint(fromLat + i * 0.001, -118.0))
+}
+
+describe('createPrivacyZone', () => {
+  it('should use the default size', () => {
+    const zone = createPrivacyZone(34, -118)
+    expect(zone).toMatchObject({ lat: 34, lng: -118, ...DEFAULT_PRIVACY_ZONE })
+    expect(zone.id).toMatch(/^zone-/)
+  })
+
+  it('should create distinct IDs', () => {
+    expect(createPrivacyZone(34, -118).id).not.toBe(createPrivacyZone(34, -118).id)
+  })
+})
+
+describe('zone storage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should round-trip zones through localStorage', () => {
+    savePrivacyZones([home])
+    expect(loadPrivacyZones()).toEqual([home])
+  })
+
+  it('should return no zones when nothing is stored', () => {
+    expect(loadPrivacyZones()).toEqual([])
+  })
+
+  it('should skip invalid entries and unreadable data', () => {
+    localStorage.setItem(PRIVACY_ZONES_KEY, JSON.stringify([home, { id: 'x', lat: 'a' }, null]))
+    expect(loadPrivacyZones()).toEqual([home])
+
+    localStorage.setItem(PRIVACY_ZONES_KEY, '{not json')
+    expect(loadPrivacyZones()).toEqual([])
+  })
+})
+
+describe('getZoneRadius', () => {
+  const zone = { ...home, extraOffset: 100 }
+
+  it('should stay within the radius and the extra offset', () => {
+    for (const seed of ['1', '2', '3', '4', '5']) {
+      const radius = getZoneRadius(zone, seed)
+      expect(radius).toBeGreaterThanOrEqual(150)
+      expect(radius).toBeLessThan(250)
+    }
+  })
+
+  it('should be stable per run and vary between runs', () => {
+    expect(getZoneRadius(zone, '1')).toBe(getZoneRadius(zone, '1'))
+    const radii = new Set(['1', '2', '3', '4', '5'].map(seed => getZoneRadius(zone, seed)))
+    expect(radii.size).toBeGreaterThan(1)
+  })
+
+  it('should be the plain radius without an extra offset', () => {
+    expect(getZoneRadius(home, '1')).toBe(150)
+  })
+})
+
+describe('applyPrivacyZones', () => {
+  it('should remove points inside a zone at the start', () => {
+    const track = { segments: [pointsNorth(34.0, 5)] }
+    const trimmed = applyPrivacyZones(track, [home], '1')
+    expect(trimmed.segments).toEqual([track.segments[0].slice(2)])
+  })
+
+  it('should split segments that pass through a zone', () => {
+    const track = { segments: [pointsNorth(33.998, 5)] }
+    const trimmed = applyPrivacyZones(track, [home], '1')
+    expect(trimmed.segments).toEqual([[track.segments[0][0]], [track.segments[0][4]]])
+  })
+
+  it('should drop segments entirely inside a zone and keep warnings', () => {
+    const track = { segments: [[createTrackPoint(34.0, -118.0)], pointsNorth(34.01, 2)], warnings: ['truncated'] }
+    const trimmed = applyPrivacyZones(track, [home], '1')
+    expect(trimmed.segments).toEqual([track.segments[1]])
+    expect(trimmed.warnings).toEqual(['truncated'])
+  })
+
+  it('should return the same track without zones', () => {
+    const track = { segments: [pointsNorth(34.0, 3)] }
+    expect(applyPrivacyZones(track, [], '1')).toBe(track)
+  })
+})
@@ -0,0 +1,90 @@
+/**
+ * Tests for saxParser.js
+ * Covers tag, attribute, text and entity handling
+ */
+import { describe, it, expect } from 'vitest'
+import { parseSAX, decodeEntities, getLocalName } from '../saxParser.js'
+
+/**
+ * Record parser events as readable strings
+ */
+function recordEvents(xml) {
+  const events = []
+  parseSAX(xml, {
+    onOpenTag: (name, attributes) => events.push(`open ${name} ${JSON.stringify(attributes)}`),
+    onCloseTag: name => events.push(`close ${name}`),
+    onText: text => { if (text.trim()) events.push(`text ${text.trim()}`) }
+  })
+  return events
+}
+
+describe('parseSAX', () => {
+  it('should report elements, attributes and text in order', () => {
+    expect(recordEvents('<?xml version="1.0"?><a x="1" y=\'two\'><b>hi</b></a>')).toEqual([
+      'open a {"x":"1","y":"two"}',
+      'open b {}',
+      'text hi',
+      'close b',
+      'close a'
+    ])
+  })
+
+  it('should close self-closing tags', () => {
+    expect(recordEvents('<a><b c="1"/></a>')).toEqual([
+      'open a {}',
+      'open b {"c":"1"}',
+      'close b',
+      'close a'
+    ])
+  })
+
+  it('should skip comments and doctypes and keep CDATA as text', () => {
+    expect(recordEvents('<!DOCTYPE gpx><a><!-- <b> --><![CDATA[1 < 2]]></a>')).toEqual([
+      'open a {}',
+      'text 1 < 2',
+      'close a'
+    ])
+  })
+
+  it('should allow > inside quoted attribute values', () => {
+    expect(recordEvents('<a title="x > y"></a>')[0]).toBe('open a {"title":"x > y"}')
+  })
+
+  it('should decode entities in text and attributes', () => {
+    expect(recordEvents('<a n="R&amp;D">&lt;5&#x6B;m&gt;</a>')).toEqual([
+      'open a {"n":"R&D"}',
+      'text <5km>',
+      'close a'
+    ])
+  })
+
+  it('should throw on unterminated markup', () => {
+    expect(() => parseSAX('<a><b', {})).toThrow('Malformed XML: unterminated tag')
+    expect(() => parseSAX('<a><!-- open', {})).toThrow('Malformed XML: unterminated comment')
+  })
+
+  it('should throw on mismatched closing tags with the line number', () => {
+    expect(() => parseSAX('<a>\n<b>\n</a>', {})).toThrow('Malformed XML: expected </b> but found </a> at line 3')
+    expect(() => parseSAX('<a></a></b>', {})).toThrow('Malformed XML: unexpected </b> at line 1')
+  })
+
+  it('should throw on elements left open after reporting their content', () => {
+    const events = []
+    expect(() => parseSAX('<a><b>1</b>', { onCloseTag: name => events.push(name) }))
+      .toThrow('Malformed XML: <a> is not closed (file may be truncated) at line 1')
+    expect(events).toEqual(['b'])
+  })
+})
+
+describe('decodeEntities', () => {
+  it('should leave unknown entities as written', () => {
+    expect(decodeEntities('&nbsp;&amp;')).toBe('&nbsp;&')
+  })
+})
+
+describe('getLocalName', () => {
+  it('should strip namespace prefixes', () => {
+    expect(getLocalName('gpxtpx:hr')).toBe('hr')
+    expect(getLocalName('trkpt')).toBe('trkpt')
+  })
+})
@@ -0,0 +1,99 @@
+/**
+ * Tests for tcxParser.js
+ * Covers trackpoint extraction, sensor data and lap/track segmentation
+ */
+import { describe, it, expect } from 'vitest'
+import { parseTCXTrack } from '../tcxParser.js'
+
+const stravaTCX = `   <?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>2015-06-01T12:00:00Z</Id>
+      <Lap StartTime="2015-06-01T12:00:00Z">
+        <Track>
+          <Trackpoint>
+            <Time>2015-06-01T12:00:00Z</Time>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2015-06-01T12:00:01Z</Time>
+            <Position>
+              <LatitudeDegrees>34.0522</LatitudeDegrees>
+              <LongitudeDegrees>-118.2437</LongitudeDegrees>
+            </Position>
+            <AltitudeMeters>71.2</AltitudeMeters>
+            <HeartRateBpm><Value>132</Value></HeartRateBpm>
+            <Extensions>
+              <ns3:TPX><ns3:RunCadence>86</ns3:RunCadence></ns3:TPX>
+            </Extensions>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2015-06-01T12:00:02Z</Time>
+            <Position>
+              <LatitudeDegrees>34.0530</LatitudeDegrees>
+              <LongitudeDegrees>-118.2440</LongitudeDegrees>
+            </Position>
+            <Cadence>88</Cadence>
+          </Trackpoint>
+        </Track>
+        <Track>
+          <Trackpoint>
+            <Time>2015-06-01T12:05:00Z</Time>
+            <Position>
+              <LatitudeDegrees>34.0600</LatitudeDegrees>
+              <LongitudeDegrees>-118.2500</LongitudeDegrees>
+            </Position>
+          </Trackpoint>
+        </Track>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`
+
+describe('parseTCXTrack', () => {
+  it('should parse leading-whitespace Strava TCX files', () => {
+    const track = parseTCXTrack(stravaTCX)
+    expect(track.segments.flat()).toHaveLength(3)
+  })
+
+  it('should keep each Track element as a separate segment', () => {
+    const track = parseTCXTrack(stravaTCX)
+    expect(track.segments).toHaveLength(2)
+    expect(track.segments[0]).toHaveLength(2)
+    expect(track.segments[1]).toHaveLength(1)
+  })
+
+  it('should extract time, elevation, heart rate and run cadence', () => {
+    const [point] = parseTCXTrack(stravaTCX).segments[0]
+    expect(point).toEqual({
+      lat: 34.0522,
+      lon: -118.2437,
+      time: Date.UTC(2015, 5, 1, 12, 0, 1),
+      ele: 71.2,
+      hr: 132,
+      cad: 86,
+      speed: null
+    })
+  })
+
+  it('should prefer the Cadence element when present', () => {
+    const point = parseTCXTrack(stravaTCX).segments[0][1]
+    expect(point.cad).toBe(88)
+    expect(point.hr).toBeNull()
+    expect(point.ele).toBeNull()
+  })
+
+  it('should skip trackpoints without a position', () => {
+    const track = parseTCXTrack(stravaTCX)
+    expect(track.segments[0][0].time).toBe(Date.UTC(2015, 5, 1, 12, 0, 1))
+  })
+
+  it('should return no segments for a TCX file without GPS', () => {
+    const track = parseTCXTrack(`<?xml version="1.0"?>
+      <TrainingCenterDatabase><Activities><Activity Sport="Running"><Lap><Track>
+        <Trackpoint><Time>2015-06-01T12:00:00Z</Time></Trackpoint>
+      </Track></Lap></Activity></Activities></TrainingCenterDatabase>`)
+    expect(track.segments).toEqual([])
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * Tests for tcxSaxParser.js
+ * The streaming parser must produce the same tracks as the DOM parser
+ */
+import { describe, it, expect } from 'vitest'
+import { parseTCXTrackSAX } from '../tcxSaxParser.js'
+import { parseTCXTrack } from '../tcxParser.js'
+
+const stravaTCX = `   <?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>2015-06-01T12:00:00Z</Id>
+      <Lap StartTime="2015-06-01T12:00:00Z">
+        <Track>
+          <Trackpoint>
+            <Time>2015-06-01T12:00:00Z</Time>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2015-06-01T12:00:01Z</Time>
+            <Position>
+              <LatitudeDegrees>34.0522</LatitudeDegrees>
+              <LongitudeDegrees>-118.2437</LongitudeDegrees>
+            </Position>
+            <AltitudeMeters>71.2</AltitudeMeters>
+            <HeartRateBpm><Value>132</Value></HeartRateBpm>
+            <Extensions>
+              <ns3:TPX><ns3:RunCadence>86</ns3:RunCadence></ns3:TPX>
+            </Extensions>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2015-06-01T12:00:02Z</Time>
+            <Position>
+              <LatitudeDegrees>34.0530</LatitudeDegrees>
+              <LongitudeDegrees>-118.2440</LongitudeDegrees>
+            </Position>
+            <Cadence>88</Cadence>
+          </Trackpoint>
+        </Track>
+        <Track>
+          <Trackpoint>
+            <Time>2015-06-01T12:05:00Z</Time>
+            <Position>
+              <LatitudeDegrees>34.0600</LatitudeDegrees>
+              <LongitudeDegrees>-118.2500</LongitudeDegrees>
+            </Position>
+          </Trackpoint>
+        </Track>
+      </Lap>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`
+
+describe('parseTCXTrackSAX', () => {
+  it('should match the DOM parser', () => {
+    expect(parseTCXTrackSAX(stravaTCX)).toEqual(parseTCXTrack(stravaTCX))
+  })
+
+  it('should read heart rate and run cadence from nested elements', () => {
+    const [first, second] = parseTCXTrackSAX(stravaTCX).segments[0]
+    expect(first).toMatchObject({ hr: 132, cad: 86, ele: 71.2 })
+    expect(second).toMatchObject({ hr: null, cad: 88 })
+  })
+
+  it('should only read time and elevation from direct children', () => {
+    const track = parseTCXTrackSAX(`<TrainingCenterDatabase><Track><Trackpoint>
+      <Position><LatitudeDegrees>1</LatitudeDegrees><LongitudeDegrees>2</LongitudeDegrees></Position>
+      <Extensions><AltitudeMeters>5</AltitudeMeters><Time>2015-06-01T12:00:00Z</Time></Extensions>
+    </Trackpoint></Track></TrainingCenterDatabase>`)
+    expect(track.segments[0][0]).toMatchObject({ ele: null, time: null })
+  })
+
+  it('should skip trackpoints with invalid coordinates', () => {
+    const track = parseTCXTrackSAX(`<TrainingCenterDatabase><Track>
+      <Trackpoint><Position><LatitudeDegrees>x</LatitudeDegrees><LongitudeDegrees>2</LongitudeDegrees></Position></Trackpoint>
+      <Trackpoint><Position><LatitudeDegrees>1</LatitudeDegrees><LongitudeDegrees>2</LongitudeDegrees></Position></Trackpoint>
+    </Track></TrainingCenterDatabase>`)
+    expect(track.segments[0]).toHaveLength(1)
+  })
+
+  it('should throw on malformed files like the DOM parser', () => {
+    expect(() => parseTCXTrackSAX('<TrainingCenterDatabase><Track><Trackpoint>')).toThrow('Malformed XML')
+  })
+})
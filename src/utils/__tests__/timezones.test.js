@@ -0,0 +1,98 @@
+/**
+ * Tests for timezones.js
+ * Covers boundary indexing, point-in-polygon lookup and asset loading
+ */
+import { readFileSync } from 'node:fs'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  createTimeZoneIndex,
+  findTimeZone,
+  loadTimeZones,
+  resetTimeZones
+} from '../timezones.js'
+
+// Closed square ring as flat [lon, lat, ...]
+const square = (minLon, minLat, maxLon, maxLat) => [
+  minLon, minLat, maxLon, minLat, maxLon, maxLat, minLon, maxLat, minLon, minLat
+]
+
+const boundaries = {
+  version: 1,
+  zones: [
+    // Two islands, the first with a lake belonging to another zone
+    ['Pacific/Test', [[square(0, 0, 10, 10), square(4, 4, 6, 6)], [square(20, 0, 22, 2)]]],
+    ['Pacific/Lake', [[square(4, 4, 6, 6)]]],
+    ['Europe/Test', [[[0, 20, 10, 20, 0, 30, 0, 20]]]]
+  ]
+}
+
+const index = createTimeZoneIndex(boundaries)
+
+describe('createTimeZoneIndex', () => {
+  it('should index every polygon', () => {
+    expect(index.size).toBe(3)
+    expect(index.polygons).toHaveLength(4)
+    expect(index.polygons[0].bounds).toEqual([0, 0, 10, 10])
+  })
+
+  it('should reject unknown format versions', () => {
+    expect(() => createTimeZoneIndex({ version: 99, zones: [] })).toThrow('Unsupported time zone format')
+    expect(() => createTimeZoneIndex(null)).toThrow('Unsupported time zone format')
+  })
+})
+
+describe('findTimeZone', () => {
+  it('should find the zone containing a point', () => {
+    expect(findTimeZone(index, 1, 1)).toBe('Pacific/Test')
+    expect(findTimeZone(index, 1, 21)).toBe('Pacific/Test')
+  })
+
+  it('should respect holes', () => {
+    expect(findTimeZone(index, 5, 5)).toBe('Pacific/Lake')
+  })
+
+  it('should test the polygon, not just its bounding box', () => {
+    // Inside the triangle's bounding box but past its diagonal
+    expect(findTimeZone(index, 21, 1)).toBe('Europe/Test')
+    expect(findTimeZone(index, 29, 9)).toBeNull()
+  })
+
+  it('should return null outside every zone or without a coordinate', () => {
+    expect(findTimeZone(index, -50, -50)).toBeNull()
+    expect(findTimeZone(null, 1, 1)).toBeNull()
+    expect(findTimeZone(index, NaN, 1)).toBeNull()
+  })
+})
+
+describe('loadTimeZones', () => {
+  beforeEach(() => {
+    resetTimeZones()
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    resetTimeZones()
+  })
+
+  it('should load and index the asset once', async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify(boundaries)))
+    vi.stubGlobal('fetch', fetchMock)
+
+    const loaded = await loadTimeZones()
+    expect(loaded.size).toBe(3)
+    expect(await loadTimeZones()).toBe(loaded)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+
+  it('should resolve to null when the asset is missing', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('', { status: 404 })))
+    expect(await loadTimeZones()).toBeNull()
+  })
+
+  it('should read the bundled asset', () => {
+    const bundled = createTimeZoneIndex(JSON.parse(readFileSync('public/timezones/timezones.json', 'utf8')))
+    expect(findTimeZone(bundled, 34.05, -118.24)).toBe('America/Los_Angeles')
+    expect(findTimeZone(bundled, 51.5, -0.12)).toBe('Europe/London')
+    expect(findTimeZone(bundled, -33.87, 151.21)).toBe('Australia/Sydney')
+  })
+})
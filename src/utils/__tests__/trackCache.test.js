@@ -0,0 +1,85 @@
+/**
+ * Tests for trackCache.js
+ * Covers cache keys, version checks and storage failure handling
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  TRACK_CACHE_VERSION,
+  createMemoryStore,
+  createTrackCache,
+  getStatCacheKey,
+  getContentCacheKey
+} from '../trackCache.js'
+
+const track = { segments: [[{ lat: 34, lon: -118, time: null, ele: null, hr: null, cad: null, speed: null }]] }
+
+describe('createTrackCache', () => {
+  it('should store and return tracks', async () => {
+    const cache = createTrackCache(createMemoryStore())
+    await cache.put('key', track)
+
+    expect(await cache.get('key')).toEqual(track)
+    expect(await cache.get('other')).toBeNull()
+    expect(await cache.count()).toBe(1)
+  })
+
+  it('should keep file metadata with a track', async () => {
+    const cache = createTrackCache(createMemoryStore())
+    const stat = { size: null, lastModified: null, hash: '"abc"' }
+    await cache.put('key', track, stat)
+    await cache.put('bare', track)
+
+    expect(await cache.getEntry('key')).toEqual({ track, stat })
+    expect(await cache.getEntry('bare')).toEqual({ track, stat: null })
+    expect(await cache.getEntry('other')).toBeNull()
+  })
+
+  it('should clear all tracks', async () => {
+    const cache = createTrackCache(createMemoryStore())
+    await cache.put('key', track)
+    await cache.clear()
+
+    expect(await cache.get('key')).toBeNull()
+    expect(await cache.count()).toBe(0)
+  })
+
+  it('should ignore entries written by another cache version', async () => {
+    const store = createMemoryStore()
+    await store.put('key', { version: TRACK_CACHE_VERSION - 1, track })
+
+    expect(await createTrackCache(store).get('key')).toBeNull()
+  })
+
+  it('should treat storage failures as misses', async () => {
+    const failing = () => Promise.reject(new Error('QuotaExceededError'))
+    const cache = createTrackCache({ get: failing, put: failing, clear: failing, count: failing })
+
+    await expect(cache.put('key', track)).resolves.toBeUndefined()
+    expect(await cache.get('key')).toBeNull()
+  })
+})
+
+describe('getStatCacheKey', () => {
+  it('should key by size and modification time', () => {
+    expect(getStatCacheKey('data', 'activities/1.gpx', { size: 10, lastModified: 1000, hash: null }))
+      .toBe('data|activities/1.gpx|10|1000')
+  })
+
+  it('should prefer a checksum when available', () => {
+    expect(getStatCacheKey('export.zip', 'activities/1.gpx', { size: 10, lastModified: 1000, hash: 'crc32:42' }))
+      .toBe('export.zip|activities/1.gpx|crc32:42')
+  })
+
+  it('should return null when the stat cannot identify the file version', () => {
+    expect(getStatCacheKey('data', 'activities/1.gpx', null)).toBeNull()
+    expect(getStatCacheKey('data', 'activities/1.gpx', { size: 10, lastModified: null, hash: null })).toBeNull()
+  })
+})
+
+describe('getContentCacheKey', () => {
+  it('should key by a SHA-256 hash of the content', async () => {
+    const bytes = new TextEncoder().encode('abc')
+    expect(await getContentCacheKey('fixture', 'a.gpx', bytes))
+      .toBe('fixture|a.gpx|sha256:ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * Tests for trackCleaning.js
+ * Covers spike removal, jitter smoothing, warm-up trimming and the combined cleaning stage
+ */
+import { describe, it, expect } from 'vitest'
+import { removeSpikes, smoothPositions, findWarmupEnd, cleanTrack } from '../trackCleaning.js'
+import { createTrackPoint } from '../trackModel.js'
+import { TRACK_CLEANING } from '../constants.js'
+
+const START = Date.UTC(2024, 4, 1, 7)
+
+// ~0.00003 degrees of latitude = 3.3 m: a steady 3.3 m/s run north at 1 Hz
+function runNorth(count, { from = 0, lat = 34, lon = -118 } = {}) {
+  return Array.from({ length: count }, (_, i) =>
+    createTrackPoint(lat + i * 0.00003, lon, { time: START + (from + i) * 1000 }))
+}
+
+describe('removeSpikes', () => {
+  it('should drop a single point far off the route', () => {
+    const points = runNorth(5)
+    points[2] = { ...points[2], lon: -117.99 } // ~900 m east for one second
+    const cleaned = removeSpikes(points)
+    expect(cleaned).toHaveLength(4)
+    expect(cleaned).not.toContain(points[2])
+  })
+
+  it('should keep plausible movement', () => {
+    const points = runNorth(10)
+    expect(removeSpikes(points)).toEqual(points)
+  })
+
+  it('should drop an implausible last point', () => {
+    const points = runNorth(4)
+    points.push(createTrackPoint(35, -118, { time: START + 4000 }))
+    expect(removeSpikes(points)).toEqual(points.slice(0, 4))
+  })
+
+  it('should keep real jumps that continue on (e.g., after a GPS gap)', () => {
+    const before = runNorth(3)
+    const after = runNorth(3, { from: 3, lat: 34.01 })
+    expect(removeSpikes([...before, ...after])).toHaveLength(6)
+  })
+
+  it('should use distance alone when points have no timestamps', () => {
+    const points = [
+      createTrackPoint(34, -118),
+      createTrackPoint(34.00003, -118),
+      createTrackPoint(34.00006, -117.99),
+      createTrackPoint(34.00009, -118)
+    ]
+    expect(removeSpikes(points)).toEqual([points[0], points[1], points[3]])
+  })
+})
+
+describe('smoothPositions', () => {
+  it('should average out wobble and keep the end points', () => {
+    const points = runNorth(7).map((point, i) => ({ ...point, lon: -118 + (i % 2 ? 0.00002 : -0.00002) }))
+    const smoothed = smoothPositions(points, 5)
+    expect(smoothed[0]).toBe(points[0])
+    expect(smoothed[6]).toBe(points[6])
+    expect(Math.abs(smoothed[3].lon + 118)).toBeLessThan(Math.abs(points[3].lon + 118))
+  })
+
+  it('should keep the other point fields', () => {
+    const points = runNorth(5).map(point => ({ ...point, hr: 140 }))
+    const smoothed = smoothPositions(points, 3)
+    expect(smoothed[2]).toMatchObject({ time: points[2].time, hr: 140 })
+  })
+
+  it('should leave short segments alone', () => {
+    const points = runNorth(2)
+    expect(smoothPositions(points, 5)).toBe(points)
+  })
+})
+
+describe('findWarmupEnd', () => {
+  // The watch reports a tangle around the start for 8 seconds before the run heads north
+  const tangle = Array.from({ length: 8 }, (_, i) =>
+    createTrackPoint(34 + (i % 2) * 0.0002, -118 + (i % 3) * 0.0002, { time: START + i * 1000 }))
+
+  it('should find the first steady stretch', () => {
+    const points = [...tangle, ...runNorth(20, { from: 8, lat: 34.0001 })]
+    const end = findWarmupEnd(points)
+    expect(end).toBeGreaterThanOrEqual(6)
+    expect(end).toBeLessThanOrEqual(8)
+  })
+
+  it('should not trim tracks that start moving right away', () => {
+    expect(findWarmupEnd(runNorth(20))).toBe(0)
+  })
+
+  it('should not trim beyond the warm-up window', () => {
+    const points = [...tangle, ...runNorth(20, { from: 8, lat: 34.0001 })]
+    expect(findWarmupEnd(points, { ...TRACK_CLEANING, warmupWindowMs: 3000 })).toBe(0)
+  })
+
+  it('should not trim tracks without timestamps', () => {
+    expect(findWarmupEnd(tangle.map(point => ({ ...point, time: null })))).toBe(0)
+  })
+})
+
+describe('cleanTrack', () => {
+  const points = runNorth(10)
+  points[5] = { ...points[5], lon: -117.99 }
+  const track = { segments: [points, runNorth(3, { from: 20 })], warnings: ['truncated'] }
+
+  it('should return the same track without cleaning steps', () => {
+    expect(cleanTrack(track)).toBe(track)
+    expect(cleanTrack(track, { removeSpikes: false })).toBe(track)
+  })
+
+  it('should apply the enabled steps to every segment', () => {
+    const cleaned = cleanTrack(track, { removeSpikes: true })
+    expect(cleaned.segments.map(segment => segment.length)).toEqual([9, 3])
+    expect(cleaned.warnings).toEqual(['truncated'])
+  })
+
+  it('should not modify the parsed track', () => {
+    cleanTrack(track, { removeSpikes: true, smoothJitter: true, trimWarmup: true })
+    expect(track.segments[0]).toHaveLength(10)
+    expect(track.segments[0][5].lon).toBe(-117.99)
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Tests for trackImport.js
+ * Covers building ad-hoc runs from dropped files and editing them
+ */
+import { describe, it, expect } from 'vitest'
+import { importTrackFile, editImportedRun, IMPORTED_ID_PREFIX } from '../trackImport.js'
+import { createGazetteer } from '../geocoder.js'
+import { createTimeZoneIndex } from '../timezones.js'
+
+/**
+ * Create a dropped-file stand-in
+ */
+function createFile(name, text, lastModified = Date.UTC(2024, 5, 1, 8)) {
+  const bytes = new TextEncoder().encode(text)
+  return { name, lastModified, arrayBuffer: async () => bytes.buffer }
+}
+
+const raceGPX = `<?xml version="1.0"?>
+<gpx version="1.1"><trk><trkseg>
+  <trkpt lat="34.0" lon="-118.0"><time>2017-03-24T23:30:00Z</time></trkpt>
+  <trkpt lat="34.01" lon="-118.0"><time>2017-03-24T23:35:00Z</time></trkpt>
+</trkseg></trk></gpx>`
+
+const courseGeoJSON = JSON.stringify({
+  type: 'Feature',
+  properties: { name: 'Course' },
+  geometry: { type: 'LineString', coordinates: [[-118.0, 34.0], [-118.0, 34.01]] }
+})
+
+// No gazetteer or time zone assets unless a test passes them
+const offline = { gazetteer: null, timeZones: null }
+
+describe('importTrackFile', () => {
+  it('should build a run from a recorded GPX', async () => {
+    const run = await importTrackFile(createFile('Race Day.gpx', raceGPX), offline)
+
+    expect(run.id.startsWith(IMPORTED_ID_PREFIX)).toBe(true)
+    expect(run).toMatchObject({
+      name: 'Race Day',
+      filename: 'Race Day.gpx',
+      type: 'Run',
+      imported: true,
+      startTime: Date.UTC(2017, 2, 24, 23, 30),
+      date: 'Mar 24, 2017, 11:30:00 PM',
+      elapsedTime: 300,
+      location: 'Unknown',
+      locationSource: 'unknown'
+    })
+    expect(run.distance).toBeGreaterThan(1100)
+    expect(run.distance).toBeLessThan(1120)
+    expect(run.segments).toEqual([[[34.0, -118.0], [34.01, -118.0]]])
+    expect(run.rawTrack.segments).toHaveLength(1)
+    expect(run.lod).not.toBeNull()
+  })
+
+  it('should date routes without timestamps by the file time', async () => {
+    const run = await importTrackFile(createFile('course.geojson', courseGeoJSON), offline)
+    expect(run.name).toBe('course')
+    expect(run.startTime).toBe(Date.UTC(2024, 5, 1, 8))
+    expect(run.elapsedTime).toBeNull()
+  })
+
+  it('should locate the run and date it in its time zone', async () => {
+    const gazetteer = createGazetteer({
+      version: 1,
+      cities: [['Los Angeles', 'California', 'United States', 34.05, -118.24]]
+    })
+    const timeZones = createTimeZoneIndex({
+      version: 1,
+      zones: [['America/Los_Angeles', [[[-120, 30, -110, 30, -110, 40, -120, 40, -120, 30]]]]]
+    })
+
+    const run = await importTrackFile(createFile('race.gpx', raceGPX), { gazetteer, timeZones })
+    expect(run).toMatchObject({
+      location: 'Los Angeles',
+      state: 'California',
+      locationSource: 'geocoded',
+      timeZone: 'America/Los_Angeles',
+      localDate: '2017-03-24'
+    })
+  })
+
+  it('should give each import its own ID', async () => {
+    const a = await importTrackFile(createFile('a.geojson', courseGeoJSON), offline)
+    const b = await importTrackFile(createFile('a.geojson', courseGeoJSON), offline)
+    expect(a.id).not.toBe(b.id)
+  })
+
+  it('should reject unsupported files and files without coordinates', async () => {
+    await expect(importTrackFile(createFile('notes.txt', 'hello'), offline)).rejects.toThrow('Unsupported file format')
+    await expect(importTrackFile(createFile('empty.kml', '<kml></kml>'), offline)).rejects.toThrow('No GPS coordinates')
+  })
+})
+
+describe('editImportedRun', () => {
+  const run = {
+    id: 'imported-1',
+    name: 'Race',
+    startTime: Date.UTC(2017, 2, 24, 23, 30),
+    localDate: '2017-03-24',
+    date: 'Mar 24, 2017, 11:30:00 PM'
+  }
+
+  it('should rename the run', () => {
+    expect(editImportedRun(run, { name: '  Marathon ' }).name).toBe('Marathon')
+    expect(editImportedRun(run, { name: '   ' }).name).toBe('Race')
+  })
+
+  it('should move the run to another day, keeping the time of day', () => {
+    const moved = editImportedRun(run, { localDate: '2017-04-02' })
+    expect(moved).toMatchObject({
+      localDate: '2017-04-02',
+      startTime: Date.UTC(2017, 3, 2, 23, 30),
+      date: 'Apr 2, 2017, 11:30:00 PM'
+    })
+    expect(run.localDate).toBe('2017-03-24')
+  })
+
+  it('should ignore invalid dates', () => {
+    expect(editImportedRun(run, { localDate: '2017-02-30' })).toEqual(run)
+  })
+})
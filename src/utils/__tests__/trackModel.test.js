@@ -0,0 +1,88 @@
+/**
+ * Tests for trackModel.js
+ * Covers track point creation, coordinate derivation and segment helpers
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  createTrackPoint,
+  getTrackPoints,
+  trackToSegments,
+  trackToCoordinates,
+  isSegmented,
+  toSegments,
+  countCoordinates,
+  getLastCoordinate
+} from '../trackModel.js'
+
+const track = {
+  segments: [
+    [createTrackPoint(34.0, -118.0), createTrackPoint(34.1, -118.1)],
+    [createTrackPoint(34.2, -118.2)]
+  ]
+}
+
+describe('createTrackPoint', () => {
+  it('should default sensor fields to null', () => {
+    expect(createTrackPoint(34.0, -118.0)).toEqual({
+      lat: 34.0, lon: -118.0, time: null, ele: null, hr: null, cad: null, speed: null
+    })
+  })
+
+  it('should keep provided values including zero', () => {
+    const point = createTrackPoint(34.0, -118.0, { time: 1000, ele: 0, hr: 150, cad: 90 })
+    expect(point.ele).toBe(0)
+    expect(point.hr).toBe(150)
+  })
+})
+
+describe('track coordinate derivation', () => {
+  it('should flatten points across segments', () => {
+    expect(getTrackPoints(track)).toHaveLength(3)
+  })
+
+  it('should derive coordinates per segment', () => {
+    expect(trackToSegments(track)).toEqual([
+      [[34.0, -118.0], [34.1, -118.1]],
+      [[34.2, -118.2]]
+    ])
+  })
+
+  it('should derive flat coordinates', () => {
+    expect(trackToCoordinates(track)).toEqual([[34.0, -118.0], [34.1, -118.1], [34.2, -118.2]])
+  })
+
+  it('should handle a missing track', () => {
+    expect(trackToCoordinates(null)).toEqual([])
+    expect(trackToSegments(null)).toEqual([])
+  })
+})
+
+describe('segment helpers', () => {
+  const flat = [[34.0, -118.0], [34.1, -118.1]]
+  const segmented = [[[34.0, -118.0]], [[34.1, -118.1], [34.2, -118.2]]]
+
+  it('should detect segmented coordinates', () => {
+    expect(isSegmented(segmented)).toBe(true)
+    expect(isSegmented(flat)).toBe(false)
+    expect(isSegmented([[{ lat: 34, lng: -118 }]])).toBe(true)
+    expect(isSegmented([{ lat: 34, lng: -118 }])).toBe(false)
+    expect(isSegmented([])).toBe(false)
+  })
+
+  it('should wrap flat coordinates in a single segment', () => {
+    expect(toSegments(flat)).toEqual([flat])
+    expect(toSegments(segmented)).toBe(segmented)
+    expect(toSegments(null)).toEqual([])
+  })
+
+  it('should count coordinates across segments', () => {
+    expect(countCoordinates(segmented)).toBe(3)
+    expect(countCoordinates(flat)).toBe(2)
+  })
+
+  it('should return the last coordinate', () => {
+    expect(getLastCoordinate(segmented)).toEqual([34.2, -118.2])
+    expect(getLastCoordinate(flat)).toEqual([34.1, -118.1])
+    expect(getLastCoordinate([])).toBeNull()
+  })
+})
@@ -0,0 +1,118 @@
+/**
+ * Tests for trackParserPool.js
+ * Uses in-process fake workers that run the real worker request handler
+ */
+import { describe, it, expect } from 'vitest'
+import { createTrackParserPool, isWorkerUnavailableError } from '../trackParserPool.js'
+import { handleParseRequest } from '../trackWorker.js'
+
+const gpxBytes = (lat) => new TextEncoder().encode(
+  `<gpx><trk><trkseg><trkpt lat="${lat}" lon="-118"></trkpt></trkseg></trk></gpx>`
+)
+
+/**
+ * Create a fake worker factory that answers asynchronously
+ */
+function createFakeWorkers() {
+  const workers = []
+  let active = 0
+  let maxActive = 0
+
+  const factory = () => {
+    const worker = {
+      terminated: false,
+      postMessage(message) {
+        active++
+        maxActive = Math.max(maxActive, active)
+        setTimeout(() => {
+          active--
+          if (!worker.terminated) worker.onmessage({ data: handleParseRequest(message).response })
+        }, 0)
+      },
+      terminate() {
+        worker.terminated = true
+      }
+    }
+    workers.push(worker)
+    return worker
+  }
+
+  return { factory, workers, getMaxActive: () => maxActive }
+}
+
+describe('createTrackParserPool', () => {
+  it('should parse tracks in workers', async () => {
+    const { factory } = createFakeWorkers()
+    const pool = createTrackParserPool(factory, 2)
+
+    const track = await pool.parse(gpxBytes(34), 'gpx')
+    expect(track.segments[0][0]).toMatchObject({ lat: 34, lon: -118, time: null })
+  })
+
+  it('should queue requests beyond the pool size', async () => {
+    const { factory, workers, getMaxActive } = createFakeWorkers()
+    const pool = createTrackParserPool(factory, 2)
+
+    const tracks = await Promise.all([1, 2, 3, 4, 5].map(lat => pool.parse(gpxBytes(lat), 'gpx')))
+    expect(tracks.map(track => track.segments[0][0].lat)).toEqual([1, 2, 3, 4, 5])
+    expect(workers).toHaveLength(2)
+    expect(getMaxActive()).toBe(2)
+  })
+
+  it('should reject parse errors without stopping the pool', async () => {
+    const { factory } = createFakeWorkers()
+    const pool = createTrackParserPool(factory, 1)
+
+    await expect(pool.parse(new TextEncoder().encode('<gpx'), 'gpx')).rejects.toThrow('Malformed XML')
+    expect(pool.supports('gpx')).toBe(true)
+    await expect(pool.parse(gpxBytes(34), 'gpx')).resolves.toBeTruthy()
+  })
+
+  it('should only support worker-safe formats', () => {
+    const pool = createTrackParserPool(createFakeWorkers().factory, 1)
+    expect(pool.supports('gpx')).toBe(true)
+    expect(pool.supports('tcx')).toBe(true)
+    expect(pool.supports('fit')).toBe(true)
+    expect(pool.supports('csv')).toBe(false)
+  })
+
+  it('should shut down when a worker fails before answering', async () => {
+    const workers = []
+    const pool = createTrackParserPool(() => {
+      const worker = { postMessage() {}, terminate() {} }
+      workers.push(worker)
+      return worker
+    }, 1)
+
+    const pending = pool.parse(gpxBytes(34), 'gpx')
+    const queued = pool.parse(gpxBytes(35), 'gpx')
+    workers[0].onerror({ message: 'Failed to load worker script' })
+
+    expect(isWorkerUnavailableError(await pending.catch(e => e))).toBe(true)
+    expect(isWorkerUnavailableError(await queued.catch(e => e))).toBe(true)
+    expect(pool.supports('gpx')).toBe(false)
+  })
+
+  it('should replace a crashed worker and only fall back for its file', async () => {
+    const { factory, workers } = createFakeWorkers()
+    const pool = createTrackParserPool(factory, 1)
+    await pool.parse(gpxBytes(34), 'gpx')
+
+    workers[0].postMessage = () => {}
+    const crashed = pool.parse(gpxBytes(35), 'gpx')
+    const queued = pool.parse(gpxBytes(36), 'gpx')
+    workers[0].onerror({ message: 'Out of memory' })
+
+    expect(isWorkerUnavailableError(await crashed.catch(e => e))).toBe(true)
+    expect((await queued).segments[0][0].lat).toBe(36)
+    expect(workers).toHaveLength(2)
+    expect(workers[0].terminated).toBe(true)
+    expect(pool.supports('gpx')).toBe(true)
+  })
+
+  it('should shut down when workers cannot be created', async () => {
+    const pool = createTrackParserPool(() => { throw new Error('blocked') }, 1)
+    const error = await pool.parse(gpxBytes(34), 'gpx').catch(e => e)
+    expect(isWorkerUnavailableError(error)).toBe(true)
+  })
+})
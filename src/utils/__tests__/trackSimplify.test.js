@@ -0,0 +1,149 @@
+/**
+ * Tests for trackSimplify.js
+ * Covers Douglas-Peucker tolerances, level-of-detail building and selection,
+ * and slicing simplified routes by animation progress
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  projectToWorld,
+  getPointTolerances,
+  buildRouteLOD,
+  getLODZoom,
+  selectRouteLevel,
+  getVisibleLevelCoordinates
+} from '../trackSimplify.js'
+import { ROUTE_LOD_ZOOM_LEVELS } from '../constants.js'
+
+// A straight line north with a 100 m detour east in the middle
+const route = [
+  [34.0, -118.0],
+  [34.001, -118.0],
+  [34.002, -118.0],
+  [34.0025, -117.9989],
+  [34.003, -118.0],
+  [34.004, -118.0],
+  [34.005, -118.0]
+]
+
+describe('projectToWorld', () => {
+  it('should map the equator and prime meridian to the world center', () => {
+    expect(projectToWorld([0, 0])).toEqual({ x: 128, y: 128 })
+  })
+
+  it('should accept {lat, lng} objects', () => {
+    expect(projectToWorld({ lat: 34, lng: -118 })).toEqual(projectToWorld([34, -118]))
+  })
+})
+
+describe('getPointTolerances', () => {
+  it('should always keep the end points', () => {
+    const tolerances = getPointTolerances(route)
+    expect(tolerances[0]).toBe(Infinity)
+    expect(tolerances[route.length - 1]).toBe(Infinity)
+  })
+
+  it('should rank the detour above points on the straight line', () => {
+    const tolerances = getPointTolerances(route)
+    expect(tolerances[3]).toBeGreaterThan(0)
+    for (const i of [1, 2, 4, 5]) {
+      expect(tolerances[i]).toBeLessThan(tolerances[3])
+    }
+  })
+
+  it('should never rank a point above the split that reached it', () => {
+    const tolerances = getPointTolerances(route)
+    expect(tolerances[2]).toBeLessThanOrEqual(tolerances[3])
+    expect(tolerances[4]).toBeLessThanOrEqual(tolerances[3])
+  })
+
+  it('should handle long recordings without recursion', () => {
+    const long = Array.from({ length: 20000 }, (_, i) => [34 + i * 1e-5, -118 + Math.sin(i / 300) * 1e-3])
+    expect(getPointTolerances(long)).toHaveLength(20000)
+  })
+})
+
+describe('buildRouteLOD', () => {
+  it('should build one frozen level per zoom', () => {
+    const lod = buildRouteLOD([route])
+    expect(Object.isFrozen(lod)).toBe(true)
+    expect(lod.pointCount).toBe(7)
+    expect(lod.levels.map(level => level.zoom)).toEqual(ROUTE_LOD_ZOOM_LEVELS)
+  })
+
+  it('should keep more points at higher zooms', () => {
+    const { levels } = buildRouteLOD([route])
+    const counts = levels.map(level => level.segments[0].length)
+    expect(counts[0]).toBe(2)
+    expect(counts[counts.length - 1]).toBeGreaterThanOrEqual(3)
+    expect([...counts].sort((a, b) => a - b)).toEqual(counts)
+  })
+
+  it('should record the index of each kept point', () => {
+    for (const level of buildRouteLOD([route]).levels) {
+      expect(level.segments[0]).toEqual(Array.from(level.indices[0], i => route[i]))
+    }
+  })
+
+  it('should simplify each segment separately', () => {
+    const lod = buildRouteLOD([route, [[35, -118], [35.1, -118]]])
+    expect(lod.levels[0].segments).toEqual([[route[0], route[6]], [[35, -118], [35.1, -118]]])
+  })
+
+  it('should return null for empty routes', () => {
+    expect(buildRouteLOD([])).toBeNull()
+    expect(buildRouteLOD(null)).toBeNull()
+  })
+})
+
+describe('getLODZoom', () => {
+  it('should add the pixel scale as zoom levels', () => {
+    const map = { getZoom: () => 12 }
+    expect(getLODZoom(map)).toBe(12)
+    expect(getLODZoom(map, 2)).toBe(13)
+  })
+})
+
+describe('selectRouteLevel', () => {
+  const lod = buildRouteLOD([route])
+
+  it('should pick the coarsest level accurate at the zoom', () => {
+    expect(selectRouteLevel(lod, 3).zoom).toBe(6)
+    expect(selectRouteLevel(lod, 10).zoom).toBe(10)
+    expect(selectRouteLevel(lod, 10.3).zoom).toBe(12)
+  })
+
+  it('should return null beyond the last level or without levels', () => {
+    expect(selectRouteLevel(lod, 17)).toBeNull()
+    expect(selectRouteLevel(null, 10)).toBeNull()
+    expect(selectRouteLevel(lod, NaN)).toBeNull()
+  })
+})
+
+describe('getVisibleLevelCoordinates', () => {
+  const segments = [route, [[35, -118], [35.05, -118], [35.1, -118]]]
+  const level = buildRouteLOD(segments).levels[0]
+
+  it('should return the whole simplified route for every point', () => {
+    expect(getVisibleLevelCoordinates(segments, level, 10)).toEqual(level.segments)
+  })
+
+  it('should end at the last visible recorded point', () => {
+    expect(getVisibleLevelCoordinates(segments, level, 3)).toEqual([[route[0], route[2]]])
+  })
+
+  it('should not repeat a kept head point', () => {
+    expect(getVisibleLevelCoordinates(segments, level, 1)).toEqual([[route[0]]])
+    expect(getVisibleLevelCoordinates(segments, level, 7)).toEqual([[route[0], route[6]]])
+  })
+
+  it('should truncate the segment in progress', () => {
+    expect(getVisibleLevelCoordinates(segments, level, 9)).toEqual([
+      level.segments[0],
+      [[35, -118], [35.05, -118]]
+    ])
+  })
+
+  it('should return nothing for zero points', () => {
+    expect(getVisibleLevelCoordinates(segments, level, 0)).toEqual([])
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Tests for trackWorker.js
+ * Covers packing tracks into typed arrays and worker request handling
+ */
+import { describe, it, expect } from 'vitest'
+import { packTrack, unpackTrack, getTransferList, handleParseRequest } from '../trackWorker.js'
+import { createTrackPoint } from '../trackModel.js'
+
+const track = {
+  segments: [
+    [
+      createTrackPoint(34.0522, -118.2437, { time: Date.UTC(2017, 2, 24), ele: 71.2, hr: 128 }),
+      createTrackPoint(34.053, -118.244)
+    ],
+    [createTrackPoint(35, -119, { cad: 84, speed: 3.1 })]
+  ]
+}
+
+describe('packTrack', () => {
+  it('should store point fields in typed arrays', () => {
+    const packed = packTrack(track)
+    expect(Array.from(packed.segmentLengths)).toEqual([2, 1])
+    expect(packed.lat).toBeInstanceOf(Float64Array)
+    expect(Array.from(packed.lat)).toEqual([34.0522, 34.053, 35])
+    expect(Number.isNaN(packed.ele[1])).toBe(true)
+  })
+
+  it('should round-trip through unpackTrack', () => {
+    expect(unpackTrack(packTrack(track))).toEqual(track)
+  })
+
+  it('should keep parse warnings', () => {
+    const partial = { ...track, warnings: ['Malformed XML: unterminated tag at line 9'] }
+    expect(unpackTrack(packTrack(partial))).toEqual(partial)
+  })
+
+  it('should list one buffer per array for transfer', () => {
+    const packed = packTrack(track)
+    const buffers = getTransferList(packed)
+    expect(buffers).toHaveLength(8)
+    expect(buffers).toContain(packed.lat.buffer)
+  })
+})
+
+describe('handleParseRequest', () => {
+  const encode = text => new TextEncoder().encode(text)
+
+  it('should parse GPX into a packed track', () => {
+    const { response, transfer } = handleParseRequest({
+      id: 7,
+      format: 'gpx',
+      bytes: encode('<gpx><trk><trkseg><trkpt lat="34" lon="-118"></trkpt></trkseg></trk></gpx>')
+    })
+
+    expect(response.id).toBe(7)
+    expect(unpackTrack(response.track).segments[0][0]).toMatchObject({ lat: 34, lon: -118 })
+    expect(transfer).toHaveLength(8)
+  })
+
+  it('should parse TCX without DOMParser', () => {
+    const { response } = handleParseRequest({
+      id: 9,
+      format: 'tcx',
+      bytes: encode(`<TrainingCenterDatabase><Track><Trackpoint>
+        <Position><LatitudeDegrees>34</LatitudeDegrees><LongitudeDegrees>-118</LongitudeDegrees></Position>
+        <HeartRateBpm><Value>132</Value></HeartRateBpm>
+      </Trackpoint></Track></TrainingCenterDatabase>`)
+    })
+    expect(unpackTrack(response.track).segments[0][0]).toMatchObject({ lat: 34, lon: -118, hr: 132 })
+  })
+
+  it('should return parse errors in the response', () => {
+    const { response, transfer } = handleParseRequest({ id: 8, format: 'gpx', bytes: encode('<gpx><trk') })
+    expect(response).toEqual({ id: 8, error: 'Malformed XML: unterminated tag at line 1' })
+    expect(transfer).toEqual([])
+  })
+})
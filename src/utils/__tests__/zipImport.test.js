@@ -0,0 +1,86 @@
+/**
+ * Tests for zipImport.js
+ * Builds export archives with JSZip and checks root detection and file reads
+ */
+import { describe, it, expect } from 'vitest'
+import JSZip from 'jszip'
+import { openStravaExport, readArchiveFile } from '../zipImport.js'
+import { createZipSource } from '../dataSources.js'
+import { loadMetadataOnly, loadGPXFile } from '../dataLoader.js'
+
+const activitiesCSV = [
+  'Activity ID,Activity Date,Activity Name,Activity Type,Distance,Filename',
+  '101,"Mar 24, 2017, 5:42:11 PM",Morning Run,Run,5000,activities/101.gpx'
+].join('\n')
+
+const gpx = `<?xml version="1.0"?><gpx version="1.1"><trk><trkseg>
+  <trkpt lat="34.0" lon="-118.0"></trkpt>
+</trkseg></trk></gpx>`
+
+async function buildZip(files) {
+  const zip = new JSZip()
+  for (const [path, content] of Object.entries(files)) {
+    zip.file(path, content)
+  }
+  return zip.generateAsync({ type: 'uint8array' })
+}
+
+describe('openStravaExport', () => {
+  it('should open an export with activities.csv at the top level', async () => {
+    const archive = await openStravaExport(await buildZip({ 'activities.csv': activitiesCSV }), 'export_1.zip')
+    expect(archive.name).toBe('export_1.zip')
+    expect(archive.root).toBe('')
+  })
+
+  it('should find activities.csv inside a top-level folder', async () => {
+    const archive = await openStravaExport(await buildZip({
+      'export_1/activities.csv': activitiesCSV,
+      'export_1/activities/101.gpx': gpx
+    }), 'export_1.zip')
+    expect(archive.root).toBe('export_1/')
+  })
+
+  it('should reject archives without activities.csv', async () => {
+    await expect(openStravaExport(await buildZip({ 'readme.txt': 'hi' }), 'x.zip'))
+      .rejects.toThrow('No activities.csv found')
+  })
+
+  it('should reject files that are not ZIPs', async () => {
+    await expect(openStravaExport(new TextEncoder().encode('not a zip'), 'x.zip'))
+      .rejects.toThrow('Could not read ZIP file')
+  })
+})
+
+describe('readArchiveFile', () => {
+  it('should read files relative to the export root', async () => {
+    const archive = await openStravaExport(await buildZip({
+      'export_1/activities.csv': activitiesCSV,
+      'export_1/activities/101.gpx': gpx
+    }), 'export_1.zip')
+
+    const bytes = await readArchiveFile(archive, 'activities/101.gpx')
+    expect(new TextDecoder().decode(bytes)).toBe(gpx)
+  })
+
+  it('should return null for missing files', async () => {
+    const archive = await openStravaExport(await buildZip({ 'activities.csv': activitiesCSV }), 'x.zip')
+    expect(await readArchiveFile(archive, 'activities/999.gpx')).toBeNull()
+  })
+})
+
+describe('loading from an archive', () => {
+  it('should load metadata and activity files without fetching', async () => {
+    const source = createZipSource(await openStravaExport(await buildZip({
+      'activities.csv': activitiesCSV,
+      'activities/101.gpx': gpx
+    }), 'export_1.zip'))
+
+    const activities = await loadMetadataOnly(source)
+    expect(activities).toHaveLength(1)
+    expect(activities[0].location).toBe('Unknown')
+
+    const result = await loadGPXFile(activities[0].filename, source)
+    expect(result.error).toBeNull()
+    expect(result.coordinates).toEqual([[34.0, -118.0]])
+  })
+})
@@ -0,0 +1,267 @@
+/**
+ * Activity Dates
+ *
+ * Strava's activities.csv stores start times in UTC, formatted for the
+ * account's language ("Mar 24, 2017, 5:42:11 PM", "24 mars 2017, 17:42:11",
+ * "24.03.2017, 17:42:11", ...). `new Date()` parses these inconsistently and
+ * as local time, so dates are parsed explicitly here.
+ *
+ * Runs belong to the calendar day on which they started where they were
+ * recorded, not in the viewer's time zone. The start time and time zone
+ * come from the activity file (first timestamp, and the time zone containing
+ * the first point, see timezones.js); they are cached per activity ID in
+ * localStorage so each file only has to be read once.
+ *
+ * @module utils/activityDates
+ */
+
+import { createLogger } from './logger.js'
+
+const log = createLogger('ActivityDates')
+
+/**
+ * localStorage key for cached activity start times and time zones
+ */
+export const ACTIVITY_START_CACHE_KEY = 'running-visualizer:activity-starts:v1'
+
+/**
+ * Where and when an activity file starts
+ * @typedef {Object} ActivityStart
+ * @property {string|null} timeZone - IANA time zone of the first point, or null if unknown
+ * @property {number|null} start - Time of the first point in ms since epoch, or null without timestamps
+ */
+
+/**
+ * Month names and abbreviations in Strava's export languages, without
+ * accents or trailing dots
+ */
+const MONTHS = new Map([
+  ['jan', 'january', 'januar', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'januari', 'janeiro'],
+  ['feb', 'february', 'februar', 'fevrier', 'fevr', 'febrero', 'febbraio', 'februari', 'fevereiro', 'fev'],
+  ['mar', 'march', 'marz', 'maerz', 'mars', 'marzo', 'maart', 'mrt', 'marco'],
+  ['apr', 'april', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+  ['may', 'mai', 'mayo', 'maggio', 'mag', 'mei', 'maio'],
+  ['jun', 'june', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+  ['jul', 'july', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+  ['aug', 'august', 'aout', 'agosto', 'ago', 'augustus'],
+  ['sep', 'sept', 'september', 'septembre', 'septiembre', 'settembre', 'set', 'setembro'],
+  ['oct', 'october', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+  ['nov', 'november', 'novembre', 'noviembre', 'novembro'],
+  ['dec', 'december', 'dezember', 'dez', 'decembre', 'diciembre', 'dic', 'dicembre', 'dezembro']
+].flatMap((names, month) => names.map(name => [name, month])))
+
+// 2017-03-24T17:42:11Z, 2017-03-24 17:42:11, 2017-03-24T17:42:11.000+01:00
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i
+
+// 5:42:11 PM, 17:42:11, 5:42 p. m.
+const TIME_PATTERN = /(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s*m\.?(?![a-z]))?/i
+
+/**
+ * Build a UTC timestamp from date and time fields, rejecting impossible values
+ * @returns {number|null} Milliseconds since epoch, or null if a field is out of range
+ */
+function toUTC(year, month, day, hours = 0, minutes = 0, seconds = 0, ms = 0) {
+  if (month < 0 || month > 11 || day < 1 || hours > 23 || minutes > 59 || seconds > 59) {
+    return null
+  }
+  const timestamp = Date.UTC(year, month, day, hours, minutes, seconds, ms)
+  // Date.UTC rolls Feb 30 over into March
+  return new Date(timestamp).getUTCDate() === day ? timestamp : null
+}
+
+/**
+ * Parse an ISO 8601 date; times without an offset are UTC
+ * @param {RegExpMatchArray} match - ISO_PATTERN match
+ * @returns {number|null} Milliseconds since epoch
+ */
+function parseISODate(match) {
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0, fraction = '0', offset] = match
+  const timestamp = toUTC(Number(year), Number(month) - 1, Number(day),
+    Number(hours), Number(minutes), Number(seconds), Number(fraction.padEnd(3, '0')))
+  if (timestamp === null || !offset || offset.toUpperCase() === 'Z') {
+    return timestamp
+  }
+  const sign = offset.startsWith('-') ? -1 : 1
+  const digits = offset.replace(/\D/g, '')
+  return timestamp - sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * 60000
+}
+
+/**
+ * Parse an activity date from activities.csv
+ * Accepts ISO 8601 and Strava's localized formats: a month name with day
+ * and year in either order, or a numeric day, month and year. Numeric dates
+ * are read day first unless that is impossible (Strava's English export
+ * spells out the month). Times without an offset are UTC, as in the export.
+ * @param {string} text - Date text (e.g., "Mar 24, 2017, 5:42:11 PM")
+ * @returns {number|null} Milliseconds since epoch, or null if the text is not a date
+ */
+export function parseActivityDate(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null
+  }
+  const trimmed = text.trim()
+
+  const iso = trimmed.match(ISO_PATTERN)
+  if (iso) {
+    return parseISODate(iso)
+  }
+
+  let hours = 0
+  let minutes = 0
+  let seconds = 0
+  let rest = trimmed
+  const time = trimmed.match(TIME_PATTERN)
+  if (time) {
+    hours = Number(time[1])
+    minutes = Number(time[2])
+    seconds = Number(time[3] || 0)
+    if (time[4]) {
+      if (hours < 1 || hours > 12) return null
+      hours = (hours % 12) + (time[4].toLowerCase() === 'p' ? 12 : 0)
+    }
+    rest = trimmed.slice(0, time.index) + ' ' + trimmed.slice(time.index + time[0].length)
+  }
+
+  const numbers = rest.match(/\d+/g) || []
+  const words = rest.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-z]+/g) || []
+  const monthWord = words.find(word => MONTHS.has(word))
+
+  let year
+  let month
+  let day
+  if (monthWord) {
+    if (numbers.length !== 2) return null
+    const yearIndex = numbers.findIndex(number => number.length === 4)
+    if (yearIndex === -1) return null
+    year = Number(numbers[yearIndex])
+    day = Number(numbers[1 - yearIndex])
+    month = MONTHS.get(monthWord)
+  } else {
+    if (numbers.length !== 3) return null
+    if (numbers[0].length === 4) {
+      [year, month, day] = numbers.map(Number)
+    } else if (numbers[2].length === 4) {
+      const [first, second] = numbers.map(Number)
+      const monthFirst = first <= 12 && second > 12
+      day = monthFirst ? second : first
+      month = monthFirst ? first : second
+      year = Number(numbers[2])
+    } else {
+      return null
+    }
+    month -= 1
+  }
+
+  return toUTC(year, month, day, hours, minutes, seconds)
+}
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+/**
+ * Format a moment the way English activities.csv files do, in UTC
+ * @param {number|null} timestamp - Milliseconds since epoch
+ * @returns {string} Date text (e.g., "Mar 24, 2017, 5:42:11 PM"), or '' without a timestamp
+ */
+export function formatActivityDate(timestamp) {
+  if (!Number.isFinite(timestamp)) {
+    return ''
+  }
+  const date = new Date(timestamp)
+  const hours = date.getUTCHours()
+  const pad = value => String(value).padStart(2, '0')
+  return `${MONTH_ABBREVIATIONS[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}, ` +
+    `${hours % 12 || 12}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${hours < 12 ? 'AM' : 'PM'}`
+}
+
+// Date formatters per time zone ('' for the browser's own)
+const dateFormatters = new Map()
+
+/**
+ * Get a formatter giving the calendar date in a time zone
+ * Unknown time zones fall back to the browser's time zone.
+ * @param {string|null} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getDateFormatter(timeZone) {
+  const key = timeZone || ''
+  if (!dateFormatters.has(key)) {
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit' }
+    let formatter
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', timeZone ? { ...options, timeZone } : options)
+    } catch (error) {
+      log.warn(`Unknown time zone ${timeZone} - using the browser's time zone:`, error)
+      formatter = getDateFormatter(null)
+    }
+    dateFormatters.set(key, formatter)
+  }
+  return dateFormatters.get(key)
+}
+
+/**
+ * Get the calendar date of a moment in a time zone
+ * @param {number|null} timestamp - Milliseconds since epoch
+ * @param {string|null} [timeZone=null] - IANA time zone (null for the browser's)
+ * @returns {string|null} Date as YYYY-MM-DD, or null without a timestamp
+ */
+export function getLocalDateKey(timestamp, timeZone = null) {
+  if (!Number.isFinite(timestamp)) {
+    return null
+  }
+  const parts = Object.fromEntries(getDateFormatter(timeZone)
+    .formatToParts(new Date(timestamp))
+    .map(part => [part.type, part.value]))
+  return `${parts.year.padStart(4, '0')}-${parts.month}-${parts.day}`
+}
+
+/**
+ * Get when an activity started
+ * Prefers the start time read from the activity file.
+ * @param {Object} activity - Activity metadata
+ * @returns {number|null} Milliseconds since epoch, or null if unknown
+ */
+export function getActivityStartTime(activity) {
+  return Number.isFinite(activity.startTime) ? activity.startTime : parseActivityDate(activity.date)
+}
+
+/**
+ * Get the calendar day an activity belongs to
+ * Uses the day set by localizeActivityDates, falling back to the start time
+ * in the activity's (or the browser's) time zone.
+ * @param {Object} activity - Activity metadata
+ * @returns {string|null} Date as YYYY-MM-DD, or null if the date is unknown
+ */
+export function getActivityLocalDate(activity) {
+  return activity.localDate || getLocalDateKey(getActivityStartTime(activity), activity.timeZone || null)
+}
+
+// =============================================================================
+// Result Cache
+// =============================================================================
+
+/**
+ * Read cached activity starts
+ * @returns {Map<string, ActivityStart>} Activity ID to start
+ */
+export function loadActivityStartCache() {
+  try {
+    const stored = localStorage.getItem(ACTIVITY_START_CACHE_KEY)
+    return new Map(stored ? Object.entries(JSON.parse(stored)) : [])
+  } catch (error) {
+    log.warn('Ignoring unreadable activity start cache:', error)
+    return new Map()
+  }
+}
+
+/**
+ * Persist activity starts
+ * Failures (private browsing, quota) are logged and otherwise ignored.
+ * @param {Map<string, ActivityStart>} cache - Activity ID to start
+ */
+export function saveActivityStartCache(cache) {
+  try {
+    localStorage.setItem(ACTIVITY_START_CACHE_KEY, JSON.stringify(Object.fromEntries(cache)))
+  } catch (error) {
+    log.warn('Could not save activity start cache:', error)
+  }
+}
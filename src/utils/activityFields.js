@@ -0,0 +1,225 @@
+/**
+ * Activity Fields
+ *
+ * Typed mapping of Strava activities.csv columns onto activity objects, plus
+ * formatters for showing those values in popups and overlays.
+ *
+ * Strava's export repeats several header names. The first "Distance" column
+ * is in the athlete's display unit (km or miles) and the first "Elapsed Time"
+ * is rounded; a later duplicate of each holds the raw SI value (meters,
+ * seconds). Columns are therefore looked up by name and occurrence.
+ *
+ * @module utils/activityFields
+ */
+
+/**
+ * How a column value is parsed
+ * @typedef {'string'|'number'|'boolean'} ColumnType
+ */
+
+/**
+ * Mapping of one activities.csv column to an activity property
+ * @typedef {Object} ActivityColumn
+ * @property {string} key - Property name on the activity object
+ * @property {string} header - CSV header name
+ * @property {ColumnType} type - How the value is parsed
+ * @property {'first'|'last'} [occurrence='last'] - Which column to use when the header repeats
+ * @property {string} [unit] - Unit of the parsed value (documentation only)
+ * @property {*} [fallback=null] - Value used when the column is missing or empty
+ */
+
+/**
+ * activities.csv columns exposed on each activity
+ * Numeric values use SI units, matching the raw columns Strava exports.
+ * @type {Array<ActivityColumn>}
+ */
+export const ACTIVITY_COLUMNS = [
+  { key: 'id', header: 'Activity ID', type: 'string', fallback: '' },
+  { key: 'date', header: 'Activity Date', type: 'string', fallback: '' },
+  { key: 'name', header: 'Activity Name', type: 'string', fallback: '' },
+  { key: 'type', header: 'Activity Type', type: 'string', fallback: '' },
+  { key: 'description', header: 'Activity Description', type: 'string', fallback: '' },
+  { key: 'filename', header: 'Filename', type: 'string', fallback: '' },
+  { key: 'gear', header: 'Activity Gear', type: 'string', fallback: '' },
+  { key: 'distance', header: 'Distance', type: 'number', unit: 'm', fallback: 0 },
+  { key: 'elapsedTime', header: 'Elapsed Time', type: 'number', unit: 's' },
+  { key: 'movingTime', header: 'Moving Time', type: 'number', unit: 's' },
+  { key: 'elevationGain', header: 'Elevation Gain', type: 'number', unit: 'm' },
+  { key: 'elevationLoss', header: 'Elevation Loss', type: 'number', unit: 'm' },
+  { key: 'averageSpeed', header: 'Average Speed', type: 'number', unit: 'm/s' },
+  { key: 'maxSpeed', header: 'Max Speed', type: 'number', unit: 'm/s' },
+  { key: 'averageHeartRate', header: 'Average Heart Rate', type: 'number', unit: 'bpm' },
+  { key: 'maxHeartRate', header: 'Max Heart Rate', type: 'number', unit: 'bpm' },
+  { key: 'averageCadence', header: 'Average Cadence', type: 'number', unit: 'rpm' },
+  { key: 'calories', header: 'Calories', type: 'number', unit: 'kcal' },
+  { key: 'relativeEffort', header: 'Relative Effort', type: 'number', occurrence: 'first' },
+  { key: 'commute', header: 'Commute', type: 'boolean', occurrence: 'first', fallback: false }
+]
+
+/**
+ * Build a lookup of header name to every column index it appears at
+ * @param {Array<string>} headers - Header row from activities.csv
+ * @returns {Map<string, Array<number>>} Header name to column indices (in order)
+ */
+export function indexHeaders(headers) {
+  const index = new Map()
+  headers.forEach((header, i) => {
+    const name = header.trim()
+    if (!index.has(name)) {
+      index.set(name, [])
+    }
+    index.get(name).push(i)
+  })
+  return index
+}
+
+/**
+ * Parse a numeric CSV value
+ * Accepts thousands separators ("1,234.5"); empty or invalid values yield null.
+ * @param {string} value - Raw CSV value
+ * @returns {number|null} Parsed number
+ */
+export function parseNumberField(value) {
+  if (value === undefined || value === null) return null
+  const cleaned = String(value).replace(/,/g, '').trim()
+  if (cleaned === '') return null
+  const number = Number(cleaned)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Parse a boolean CSV value
+ * Strava writes "true"/"false" in one Commute column and "1.0"/"0.0" in the other.
+ * @param {string} value - Raw CSV value
+ * @returns {boolean|null} Parsed boolean, or null if empty/unrecognized
+ */
+export function parseBooleanField(value) {
+  const normalized = String(value ?? '').trim().toLowerCase()
+  if (normalized === 'true' || normalized === '1' || normalized === '1.0') return true
+  if (normalized === 'false' || normalized === '0' || normalized === '0.0') return false
+  return null
+}
+
+/**
+ * Read a single column value from a parsed CSV row
+ * @param {Array<string>} values - Row values
+ * @param {Map<string, Array<number>>} headerIndex - Result of indexHeaders
+ * @param {ActivityColumn} column - Column mapping
+ * @returns {string|number|boolean|null} Parsed value, or the column fallback
+ */
+function readColumn(values, headerIndex, column) {
+  const fallback = column.fallback ?? null
+  const indices = headerIndex.get(column.header)
+  if (!indices) return fallback
+
+  const index = column.occurrence === 'first' ? indices[0] : indices[indices.length - 1]
+  const raw = values[index]
+
+  let parsed
+  if (column.type === 'number') {
+    parsed = parseNumberField(raw)
+  } else if (column.type === 'boolean') {
+    parsed = parseBooleanField(raw)
+  } else {
+    parsed = raw === undefined ? null : raw
+  }
+
+  return parsed === null || parsed === '' ? fallback : parsed
+}
+
+/**
+ * Map a parsed activities.csv row to an activity object
+ * @param {Array<string>} values - Row values
+ * @param {Map<string, Array<number>>} headerIndex - Result of indexHeaders
+ * @param {Array<ActivityColumn>} [columns=ACTIVITY_COLUMNS] - Column mapping
+ * @returns {Object} Activity with one property per mapped column
+ */
+export function mapActivityRow(values, headerIndex, columns = ACTIVITY_COLUMNS) {
+  const activity = {}
+  for (const column of columns) {
+    activity[column.key] = readColumn(values, headerIndex, column)
+  }
+  return activity
+}
+
+// =============================================================================
+// Formatting
+// =============================================================================
+
+/**
+ * Format a duration in seconds as h:mm:ss (or m:ss under an hour)
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} Formatted duration, or empty string if unknown
+ */
+export function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return ''
+  const total = Math.round(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`
+}
+
+/**
+ * Format a pace as min:ss per km
+ * @param {number} distanceMeters - Distance in meters
+ * @param {number|null} seconds - Time taken in seconds
+ * @returns {string} Formatted pace (e.g., "5:12 /km"), or empty string if unknown
+ */
+export function formatPace(distanceMeters, seconds) {
+  if (!distanceMeters || !seconds) return ''
+  return `${formatDuration(seconds / (distanceMeters / 1000))} /km`
+}
+
+/**
+ * Escape text for use inside HTML (popups are built as HTML strings)
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+/**
+ * Build the HTML shown in a run's map popup
+ * Optional values (athlete, time, pace, elevation, heart rate, gear) are only listed when present.
+ * Runs whose file only partially loaded show the load warning.
+ * @param {Object} run - Loaded run (activity fields plus location)
+ * @returns {string} Popup HTML
+ */
+export function formatActivityPopup(run) {
+  const time = run.movingTime ?? run.elapsedTime
+  const lines = [`<strong>${escapeHTML(run.name)}</strong>`]
+
+  if (run.athlete) {
+    lines.push(`Athlete: ${escapeHTML(run.athlete)}`)
+  }
+  lines.push(escapeHTML(run.date), `Distance: ${(run.distance / 1000).toFixed(2)} km`)
+
+  if (time) {
+    lines.push(`Time: ${formatDuration(time)} (${formatPace(run.distance, time)})`)
+  }
+  if (run.elevationGain !== null && run.elevationGain !== undefined) {
+    lines.push(`Elevation gain: ${Math.round(run.elevationGain)} m`)
+  }
+  if (run.averageHeartRate) {
+    lines.push(`Avg heart rate: ${Math.round(run.averageHeartRate)} bpm`)
+  }
+  if (run.gear) {
+    lines.push(`Gear: ${escapeHTML(run.gear)}`)
+  }
+
+  lines.push(`<em>${escapeHTML(run.location)}, ${escapeHTML(run.state)}</em>`)
+
+  if (run.loadWarnings && run.loadWarnings.length > 0) {
+    lines.push(`<span class="popup-warning">Partially loaded: ${escapeHTML(run.loadWarnings.join('; '))}</span>`)
+  }
+  return lines.join('<br>')
+}
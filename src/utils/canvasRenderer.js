@@ -17,6 +17,9 @@
  */
 
 import * as log from './logger.js'
+import { isSegmented, toSegments, countCoordinates, getLastCoordinate } from './trackModel.js'
+import { scaleDashPattern } from './constants.js'
+import { getLODZoom, selectRouteLevel, getVisibleLevelCoordinates } from './trackSimplify.js'
 
 /**
  * Convert a geographic coordinate (lat/lng) to export canvas pixel coordinates
@@ -70,22 +73,26 @@ export function isPointInBounds(point, width, height, margin = 0) {
  * Draw a route polyline on the canvas
  *
  * Renders a continuous line through all coordinate points with specified styling.
+ * Segmented coordinates (an array of coordinate arrays) are drawn as separate
+ * sub-paths, so pauses in a recording show as gaps rather than connectors.
  * Automatically skips empty coordinate arrays.
  *
  * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
- * @param {Array<{lat: number, lng: number}>} coordinates - Route coordinates
+ * @param {Array<{lat: number, lng: number}>|Array<Array<{lat: number, lng: number}>>} coordinates - Route coordinates, flat or per segment
  * @param {Object} exportFrame - Export frame dimensions
  * @param {L.Map} map - Leaflet map instance
  * @param {Object} style - Line style options
  * @param {string} style.color - Line color (CSS color string, default: '#FF0000')
  * @param {number} style.width - Line width in pixels (default: 3)
  * @param {number} style.opacity - Line opacity 0-1 (default: 1.0)
+ * @param {Array<number>|null} style.dash - Dash pattern in line-width multiples (default: null, solid)
  */
 export function drawRoute(ctx, coordinates, exportFrame, map, style = {}) {
   const {
     color = '#FF0000',
     width = 3,
-    opacity = 1.0
+    opacity = 1.0,
+    dash = null
   } = style
 
   // Skip empty routes
@@ -99,6 +106,10 @@ export function drawRoute(ctx, coordinates, exportFrame, map, style = {}) {
   ctx.globalAlpha = opacity
   ctx.lineCap = 'round'
   ctx.lineJoin = 'round'
+  const hasLineDash = typeof ctx.setLineDash === 'function'
+  if (hasLineDash) {
+    ctx.setLineDash(scaleDashPattern(dash, width) || [])
+  }
 
   // Begin path
   ctx.beginPath()
@@ -106,16 +117,18 @@ export function drawRoute(ctx, coordinates, exportFrame, map, style = {}) {
   // Track if we've started the path (first visible point)
   let pathStarted = false
 
-  // Draw line segments
-  for (let i = 0; i < coordinates.length; i++) {
-    const point = latLngToExportCanvas(coordinates[i], exportFrame, map)
-
-    // For the first point (or first visible point), move to it
-    if (!pathStarted) {
-      ctx.moveTo(point.x, point.y)
-      pathStarted = true
-    } else {
-      ctx.lineTo(point.x, point.y)
+  // Draw line segments - each recorded segment starts a new sub-path
+  for (const segment of toSegments(coordinates)) {
+    for (let i = 0; i < segment.length; i++) {
+      const point = latLngToExportCanvas(segment[i], exportFrame, map)
+
+      // For the first point of each segment, move to it
+      if (i === 0) {
+        ctx.moveTo(point.x, point.y)
+        pathStarted = true
+      } else {
+        ctx.lineTo(point.x, point.y)
+      }
     }
   }
 
@@ -124,8 +137,11 @@ export function drawRoute(ctx, coordinates, exportFrame, map, style = {}) {
     ctx.stroke()
   }
 
-  // Reset alpha
+  // Reset alpha and dash
   ctx.globalAlpha = 1.0
+  if (hasLineDash) {
+    ctx.setLineDash([])
+  }
 }
 
 /**
@@ -203,25 +219,112 @@ export function drawStaticRoutes(ctx, activities, exportFrame, map, excludeId =
   }
 }
 
+/**
+ * Draw a color legend (e.g., one entry per athlete)
+ *
+ * Renders a translucent white box in the bottom-left corner listing each
+ * label next to a line in its route color.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+ * @param {Array<{label: string, color: string}>} entries - Legend entries, in display order
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} style - Legend style options
+ * @param {number} style.fontSize - Label font size in pixels (default: 14)
+ * @param {number} style.margin - Distance from the canvas edges (default: 16)
+ */
+export function drawLegend(ctx, entries, width, height, style = {}) {
+  const {
+    fontSize = 14,
+    margin = 16
+  } = style
+
+  if (!entries || entries.length === 0) {
+    return
+  }
+
+  const padding = Math.round(fontSize * 0.6)
+  const rowHeight = Math.round(fontSize * 1.5)
+  const swatchWidth = fontSize * 1.5
+  const gap = Math.round(fontSize * 0.5)
+
+  ctx.font = `${fontSize}px system-ui, -apple-system, sans-serif`
+  ctx.textBaseline = 'middle'
+  const labelWidth = Math.max(...entries.map(entry => ctx.measureText(entry.label).width))
+
+  const boxWidth = Math.min(width - 2 * margin, padding * 2 + swatchWidth + gap + labelWidth)
+  const boxHeight = padding * 2 + rowHeight * entries.length
+  const left = margin
+  const top = height - margin - boxHeight
+
+  // Background box
+  ctx.globalAlpha = 0.85
+  ctx.fillStyle = '#FFFFFF'
+  ctx.fillRect(left, top, boxWidth, boxHeight)
+  ctx.globalAlpha = 1.0
+
+  entries.forEach((entry, index) => {
+    const y = top + padding + rowHeight * (index + 0.5)
+
+    // Color swatch
+    ctx.strokeStyle = entry.color
+    ctx.lineWidth = Math.max(3, fontSize / 4)
+    ctx.lineCap = 'round'
+    ctx.beginPath()
+    ctx.moveTo(left + padding, y)
+    ctx.lineTo(left + padding + swatchWidth, y)
+    ctx.stroke()
+
+    // Label
+    ctx.fillStyle = '#333333'
+    ctx.fillText(entry.label, left + padding + swatchWidth + gap, y)
+  })
+}
+
 /**
  * Get the visible portion of route coordinates based on animation progress
  *
- * @param {Array<{lat: number, lng: number}>} coordinates - Full route coordinates
+ * Progress is measured across all points, so segmented coordinates keep their
+ * segment structure: fully drawn segments are returned whole and the segment
+ * in progress is truncated.
+ *
+ * With a level of detail, the visible part is taken from its simplified
+ * copy; progress and the last visible point are unchanged.
+ *
+ * @param {Array<{lat: number, lng: number}>|Array<Array<{lat: number, lng: number}>>} coordinates - Full route coordinates, flat or per segment
  * @param {number} progressPercent - Animation progress 0-100
- * @returns {Array<{lat: number, lng: number}>} Visible coordinates (0 to progress point)
+ * @param {import('./trackSimplify.js').RouteLevel|null} [level=null] - Level of detail built from the coordinates
+ * @returns {Array} Visible coordinates (0 to progress point), in the same shape as the input
  */
-export function getVisibleRouteCoordinates(coordinates, progressPercent) {
+export function getVisibleRouteCoordinates(coordinates, progressPercent, level = null) {
   if (!coordinates || coordinates.length === 0) {
     return []
   }
 
   // Calculate how many points to show based on progress
-  const visibleCount = Math.floor((progressPercent / 100) * coordinates.length)
+  const totalCount = countCoordinates(coordinates)
+  const visibleCount = Math.floor((progressPercent / 100) * totalCount)
 
   // Always show at least 1 point if progress > 0
   const count = progressPercent > 0 ? Math.max(1, visibleCount) : 0
 
-  return coordinates.slice(0, count)
+  if (level) {
+    const visibleSegments = getVisibleLevelCoordinates(coordinates, level, count)
+    return isSegmented(coordinates) ? visibleSegments : (visibleSegments[0] || [])
+  }
+
+  if (!isSegmented(coordinates)) {
+    return coordinates.slice(0, count)
+  }
+
+  const visibleSegments = []
+  let remaining = count
+  for (const segment of coordinates) {
+    if (remaining <= 0) break
+    visibleSegments.push(segment.slice(0, remaining))
+    remaining -= segment.length
+  }
+  return visibleSegments
 }
 
 /**
@@ -231,7 +334,7 @@ export function getVisibleRouteCoordinates(coordinates, progressPercent) {
  * Useful for debugging coordinate mapping issues.
  *
  * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
- * @param {Array<{lat: number, lng: number}>} coordinates - Route coordinates
+ * @param {Array<{lat: number, lng: number}>|Array<Array<{lat: number, lng: number}>>} coordinates - Route coordinates, flat or per segment
  * @param {Object} exportFrame - Export frame dimensions
  * @param {L.Map} map - Leaflet map instance
  * @param {Object} style - Debug overlay style
@@ -251,7 +354,7 @@ export function addDebugOverlay(ctx, coordinates, exportFrame, map, style = {})
   ctx.strokeStyle = color
   ctx.lineWidth = 1
 
-  for (const coord of coordinates) {
+  for (const coord of toSegments(coordinates).flat()) {
     const point = latLngToExportCanvas(coord, exportFrame, map)
 
     // Draw crosshair
@@ -275,13 +378,17 @@ export function addDebugOverlay(ctx, coordinates, exportFrame, map, style = {})
  * @param {L.Map} map - Leaflet map instance
  * @param {Object} state - Current animation state
  * @param {Array<Object>} state.activities - Array of activities to render
- * @param {Array<Object>} state.activities[].activity - Activity object with coordinates
+ * @param {Array<Object>} state.activities[].activity - Activity object with coordinates (flat or per segment)
+ *   and optional levels of detail (lod, from buildRouteLOD)
  * @param {string} state.activities[].color - Color for this activity
+ * @param {Array<number>|null} state.activities[].dash - Dash pattern in line-width multiples (null = solid)
  * @param {boolean} state.activities[].showMarker - Whether to show position marker
  * @param {number} state.animationProgress - Progress percentage 0-100
  * @param {number} state.routeLineWidth - Route line width in pixels (default: 4)
  * @param {boolean} state.debug - Whether to add debug overlay (default: false)
  * @param {string} state.backgroundColor - Background color or 'transparent' (default: 'transparent')
+ * @param {number} state.outputScale - Output pixels per canvas pixel, for level-of-detail selection (default: 1)
+ * @param {Array<{label: string, color: string}>} state.legend - Color legend entries (default: none)
  * @returns {HTMLCanvasElement} The rendered canvas
  */
 export function renderMultiRunFrame(canvas, exportFrame, map, state) {
@@ -293,7 +400,9 @@ export function renderMultiRunFrame(canvas, exportFrame, map, state) {
     animationProgress = 0,
     routeLineWidth = 4,
     debug = false,
-    backgroundColor = 'transparent'
+    backgroundColor = 'transparent',
+    outputScale = 1,
+    legend = []
   } = state
 
   try {
@@ -308,26 +417,28 @@ export function renderMultiRunFrame(canvas, exportFrame, map, state) {
 
     // Step 3: Draw all activities at the same progress level
     for (const activityData of activities) {
-      const { activity, color, showMarker = true } = activityData
+      const { activity, color, dash = null, showMarker = true } = activityData
 
       if (!activity || !activity.coordinates || activity.coordinates.length === 0) {
         continue
       }
 
       // Calculate visible coordinates based on progress
-      const visibleCoords = getVisibleRouteCoordinates(activity.coordinates, animationProgress)
+      const level = activity.lod ? selectRouteLevel(activity.lod, getLODZoom(map, outputScale)) : null
+      const visibleCoords = getVisibleRouteCoordinates(activity.coordinates, animationProgress, level)
 
       if (visibleCoords.length > 0) {
         // Draw route
         drawRoute(ctx, visibleCoords, exportFrame, map, {
           color,
           width: routeLineWidth,
-          opacity: 1.0
+          opacity: 1.0,
+          dash
         })
 
         // Draw position marker at the last visible point
         if (showMarker && visibleCoords.length > 0) {
-          const currentPos = visibleCoords[visibleCoords.length - 1]
+          const currentPos = getLastCoordinate(visibleCoords)
           drawCurrentMarker(ctx, currentPos, exportFrame, map, {
             color
           })
@@ -337,13 +448,16 @@ export function renderMultiRunFrame(canvas, exportFrame, map, state) {
 
     // Step 4: Optionally add debug overlay (for first activity only)
     if (debug && activities.length > 0 && activities[0].activity && activities[0].activity.coordinates) {
-      const debugCoords = activities[0].activity.coordinates.filter((_, i) => i % 10 === 0)
+      const debugCoords = toSegments(activities[0].activity.coordinates).flat().filter((_, i) => i % 10 === 0)
       addDebugOverlay(ctx, debugCoords, exportFrame, map, {
         color: '#00FF00',
         size: 5
       })
     }
 
+    // Step 5: Draw the color legend on top of the routes
+    drawLegend(ctx, legend, canvas.width, canvas.height)
+
     return canvas
   } catch (error) {
     log.error('Error rendering multi-run frame:', error)
@@ -362,18 +476,22 @@ export function renderMultiRunFrame(canvas, exportFrame, map, state) {
  * 4. Draw current route (with progress)
  * 5. Draw current position marker
  * 6. Optionally add debug overlay
+ * 7. Draw the color legend (if any)
  *
  * @param {HTMLCanvasElement} canvas - Canvas element to render to
  * @param {Object} exportFrame - Export frame dimensions
  * @param {L.Map} map - Leaflet map instance
  * @param {Object} state - Current animation state
- * @param {Object} state.currentActivity - Activity being animated
+ * @param {Object} state.currentActivity - Activity being animated (coordinates and optional lod)
  * @param {number} state.animationProgress - Progress percentage 0-100
  * @param {boolean} state.showStaticRoutes - Whether to show background routes
  * @param {Array<Object>} state.staticActivities - All activities for static rendering
  * @param {string} state.selectedColor - Color for current route
+ * @param {Array<number>|null} state.selectedDash - Dash pattern for current route (default: null, solid)
  * @param {boolean} state.debug - Whether to add debug overlay (default: false)
  * @param {string} state.backgroundColor - Background color or 'transparent' (default: 'transparent')
+ * @param {number} state.outputScale - Output pixels per canvas pixel, for level-of-detail selection (default: 1)
+ * @param {Array<{label: string, color: string}>} state.legend - Color legend entries (default: none)
  * @returns {HTMLCanvasElement} The rendered canvas
  */
 export function renderExportFrame(canvas, exportFrame, map, state) {
@@ -386,8 +504,11 @@ export function renderExportFrame(canvas, exportFrame, map, state) {
     showStaticRoutes = false,
     staticActivities = [],
     selectedColor = '#FF0000',
+    selectedDash = null,
     debug = false,
-    backgroundColor = 'transparent'
+    backgroundColor = 'transparent',
+    outputScale = 1,
+    legend = []
   } = state
 
   // Validate required parameters
@@ -416,21 +537,24 @@ export function renderExportFrame(canvas, exportFrame, map, state) {
     }
 
     // Step 4: Draw current route (with progress)
+    const level = currentActivity.lod ? selectRouteLevel(currentActivity.lod, getLODZoom(map, outputScale)) : null
     const visibleCoords = getVisibleRouteCoordinates(
       currentActivity.coordinates,
-      animationProgress
+      animationProgress,
+      level
     )
 
     if (visibleCoords.length > 0) {
       drawRoute(ctx, visibleCoords, exportFrame, map, {
         color: selectedColor,
         width: 4,
-        opacity: 1.0
+        opacity: 1.0,
+        dash: selectedDash
       })
 
       // Step 5: Draw current position marker (at the last visible point)
       if (visibleCoords.length > 0) {
-        const currentPos = visibleCoords[visibleCoords.length - 1]
+        const currentPos = getLastCoordinate(visibleCoords)
         drawCurrentMarker(ctx, currentPos, exportFrame, map, {
           color: selectedColor
         })
@@ -440,13 +564,16 @@ export function renderExportFrame(canvas, exportFrame, map, state) {
     // Step 6: Optionally add debug overlay
     if (debug && currentActivity.coordinates.length > 0) {
       // Sample coordinates for debug (every 10th point to avoid clutter)
-      const debugCoords = currentActivity.coordinates.filter((_, i) => i % 10 === 0)
+      const debugCoords = toSegments(currentActivity.coordinates).flat().filter((_, i) => i % 10 === 0)
       addDebugOverlay(ctx, debugCoords, exportFrame, map, {
         color: '#00FF00',
         size: 5
       })
     }
 
+    // Step 7: Draw the color legend on top of the routes
+    drawLegend(ctx, legend, canvas.width, canvas.height)
+
     return canvas
   } catch (error) {
     log.error('Error rendering export frame:', error)
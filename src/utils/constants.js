@@ -178,11 +178,59 @@ export const EXPORT_FRAME_OVERLAY = {
  */
 export const GPX_BATCH_SIZE = 50
 
+/**
+ * Maximum number of Web Workers parsing activity files
+ * One core is left for the main thread
+ */
+export const PARSER_WORKER_LIMIT = 4
+
 /**
  * Interval for logging progress during batch operations (every N items)
  */
 export const PROGRESS_LOG_INTERVAL = 30
 
+// =============================================================================
+// GPS Cleaning
+// =============================================================================
+
+/**
+ * Cleaning steps applied to loaded tracks (all off: raw tracks are shown
+ * until a step is turned on in the UI)
+ */
+export const DEFAULT_TRACK_CLEANING = {
+  removeSpikes: false,
+  smoothJitter: false,
+  trimWarmup: false
+}
+
+/**
+ * Tuning for the GPS cleaning steps (see utils/trackCleaning.js)
+ */
+export const TRACK_CLEANING = {
+  maxSpeed: 50,             // Fastest plausible speed between points (m/s)
+  spikeDistance: 100,       // Minimum jump for a spike in files without timestamps (m)
+  smoothingWindow: 5,       // Points averaged per smoothed position (odd)
+  warmupWindowMs: 120000,   // Part of the recording checked for warm-up points (ms)
+  warmupStablePoints: 5,    // Steps that must head steadily away to end the warm-up
+  warmupStraightness: 0.5,  // Minimum net distance / path length for a steady stretch
+  warmupMinDistance: 10     // Minimum path length of a steady stretch (m)
+}
+
+// =============================================================================
+// Duplicate Detection
+// =============================================================================
+
+/**
+ * Thresholds for recognising the same activity uploaded twice
+ * (see utils/duplicates.js)
+ */
+export const DUPLICATE_DETECTION = {
+  minTimeOverlap: 0.5,     // Overlap as a fraction of the shorter recording
+  maxPointDistance: 50,    // Farthest a point may be from the other route to match (m)
+  minSpatialMatch: 0.8,    // Fraction of points that must match, both ways
+  samplePoints: 100        // Points compared per route
+}
+
 // =============================================================================
 // Route Styling
 // =============================================================================
@@ -197,6 +245,18 @@ export const ROUTE_STYLE = {
   animatedWeight: 3
 }
 
+/**
+ * Maximum deviation of a simplified route from the recorded one, in screen pixels
+ */
+export const SIMPLIFY_TOLERANCE_PX = 0.5
+
+/**
+ * Zoom levels with a precomputed simplified route (ascending)
+ * Each level is accurate to SIMPLIFY_TOLERANCE_PX at its zoom and below;
+ * beyond the last level routes are drawn from every recorded point.
+ */
+export const ROUTE_LOD_ZOOM_LEVELS = [6, 8, 10, 12, 14, 16]
+
 /**
  * Color palette for multi-color mode
  */
@@ -216,6 +276,48 @@ export const COLOR_PALETTE = [
  */
 export const DEFAULT_ROUTE_COLOR = '#3388ff'
 
+/**
+ * Default styling per Strava activity type
+ * Colors are used in the "By Activity Type" color mode; dash patterns always
+ * apply so rides, walks and runs stay distinguishable in any color mode.
+ * Dash patterns are in multiples of the line width (null = solid line).
+ */
+export const ACTIVITY_TYPE_STYLES = {
+  'Run': { color: '#ef4444', dash: null },
+  'Trail Run': { color: '#f97316', dash: null },
+  'Virtual Run': { color: '#ec4899', dash: [1, 2] },
+  'Walk': { color: '#22c55e', dash: [0, 2.5] },
+  'Hike': { color: '#14b8a6', dash: [3, 2] },
+  'Ride': { color: '#3b82f6', dash: [6, 3] },
+  'Virtual Ride': { color: '#8b5cf6', dash: [6, 3, 0, 3] },
+  'E-Bike Ride': { color: '#6366f1', dash: [6, 3] }
+}
+
+/**
+ * Styling for activity types not listed in ACTIVITY_TYPE_STYLES
+ */
+export const DEFAULT_ACTIVITY_TYPE_STYLE = { color: '#64748b', dash: [2, 2] }
+
+/**
+ * Get the default styling for an activity type
+ * @param {string} type - Activity type from activities.csv (e.g., 'Run', 'Ride')
+ * @returns {{ color: string, dash: Array<number>|null }} Type style
+ */
+export function getActivityTypeStyle(type) {
+  return ACTIVITY_TYPE_STYLES[type] || DEFAULT_ACTIVITY_TYPE_STYLE
+}
+
+/**
+ * Scale a dash pattern (in line-width multiples) to pixels
+ * @param {Array<number>|null} dash - Dash pattern from an activity type style
+ * @param {number} lineWidth - Line width in pixels
+ * @returns {Array<number>|null} Dash lengths in pixels, or null for a solid line
+ */
+export function scaleDashPattern(dash, lineWidth) {
+  if (!dash || dash.length === 0) return null
+  return dash.map(length => length * lineWidth)
+}
+
 // =============================================================================
 // UI Z-Index Scale
 // =============================================================================
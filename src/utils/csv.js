@@ -0,0 +1,164 @@
+/**
+ * CSV Parser
+ *
+ * Record-oriented RFC 4180 parser. Unlike splitting on newlines first, it
+ * walks the text once and only ends a record at a newline outside quotes, so
+ * multi-line quoted fields (e.g., Strava's Activity Description) stay in one
+ * record instead of shifting every following column.
+ *
+ * - Fields may be enclosed in double quotes; "" inside quotes is a literal quote
+ * - Commas and newlines inside quoted fields are literal
+ * - Records end with \n, \r\n or \r
+ * - Fields are trimmed and blank lines are skipped
+ *
+ * Malformed input never throws: the parser recovers and reports each problem
+ * with the line number it occurred on.
+ *
+ * formatCSV writes rows back out with the same quoting rules.
+ *
+ * @module utils/csv
+ */
+
+/**
+ * A parsed CSV record
+ * @typedef {Object} CSVRecord
+ * @property {Array<string>} fields - Field values
+ * @property {number} line - 1-based line number where the record starts
+ */
+
+/**
+ * A problem found while parsing
+ * @typedef {Object} CSVError
+ * @property {number} line - 1-based line number of the problem
+ * @property {string} message - Description of the problem
+ */
+
+/**
+ * Iterate over the records of a CSV text
+ * Records are yielded one at a time, so callers can stop early or process
+ * large files without holding every record.
+ * @param {string} text - CSV content
+ * @param {Object} [options={}] - Parser options
+ * @param {function(CSVError): void} [options.onError] - Called for each malformed construct
+ * @yields {CSVRecord} Parsed records in file order
+ */
+export function* iterateCSVRecords(text, options = {}) {
+  const { onError = () => {} } = options
+
+  let fields = []
+  let field = ''
+  let inQuotes = false
+  let wasQuoted = false // Current field started with a quote
+  let afterQuote = false // Current field's closing quote has been seen
+  let line = 1
+  let recordLine = 1
+  let quoteLine = 1
+
+  const endField = () => {
+    fields.push(field.trim())
+    field = ''
+    wasQuoted = false
+    afterQuote = false
+  }
+
+  const endRecord = () => {
+    const hadQuotes = wasQuoted
+    endField()
+    const record = { fields, line: recordLine }
+    fields = []
+    // Skip blank lines (a single empty, unquoted field)
+    return record.fields.length === 1 && record.fields[0] === '' && !hadQuotes ? null : record
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          // Escaped quote
+          field += '"'
+          i++
+        } else {
+          inQuotes = false
+          afterQuote = true
+        }
+      } else if (char === '\r' || char === '\n') {
+        // Newline inside a quoted field is part of the value; normalize to \n
+        if (char === '\r' && text[i + 1] === '\n') i++
+        field += '\n'
+        line++
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === ',') {
+      endField()
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      const record = endRecord()
+      if (record) yield record
+      line++
+      recordLine = line
+    } else if (char === '"') {
+      if (!wasQuoted && field.trim() === '') {
+        // Opening quote (leading whitespace is dropped)
+        field = ''
+        inQuotes = true
+        wasQuoted = true
+        quoteLine = line
+      } else {
+        onError({ line, message: 'Unexpected quote in field' })
+        field += char
+      }
+    } else {
+      if (afterQuote && char.trim() !== '') {
+        onError({ line, message: 'Unexpected text after closing quote' })
+        afterQuote = false
+      }
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    onError({ line: quoteLine, message: 'Unterminated quoted field' })
+  }
+
+  const record = endRecord()
+  if (record) yield record
+}
+
+/**
+ * Parse a whole CSV text
+ * @param {string} text - CSV content
+ * @returns {{ records: Array<CSVRecord>, errors: Array<CSVError> }} Records and problems found
+ */
+export function parseCSV(text) {
+  const errors = []
+  const records = [...iterateCSVRecords(text, { onError: error => errors.push(error) })]
+  return { records, errors }
+}
+
+/**
+ * Format a value as a CSV field, quoting it when needed
+ * Values containing commas, quotes or newlines are quoted with "" escaping.
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+export function formatCSVField(value) {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text
+}
+
+/**
+ * Format rows as CSV text
+ * @param {Array<Array<*>>} rows - Rows of field values (header row included)
+ * @returns {string} CSV text with \n line endings and a trailing newline
+ */
+export function formatCSV(rows) {
+  return rows.map(row => row.map(formatCSVField).join(',')).join('\n') + '\n'
+}
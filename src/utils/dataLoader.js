@@ -1,10 +1,51 @@
 /**
  * Data loading utilities for running visualization
- * Loads and parses activities.csv and GPX files
+ * Loads and parses activities.csv and activity files (GPX, TCX, FIT, plus KML and GeoJSON imports)
  */
 
 import { GPX_BATCH_SIZE } from './constants.js'
 import { createLogger } from './logger.js'
+import { createTrackPoint, getTrackPoints, trackToCoordinates, trackToSegments } from './trackModel.js'
+import { parseTCXTrack } from './tcxParser.js'
+import { parseKMLTrack } from './kmlParser.js'
+import { parseGeoJSONTrack } from './geojsonParser.js'
+import { decodeFITTrack, isFITFile } from './fitDecoder.js'
+import { decompressIfGzipped } from './decompress.js'
+import { defaultDataSource, isNotFoundError } from './dataSources.js'
+import { indexHeaders, mapActivityRow } from './activityFields.js'
+import { iterateCSVRecords, parseCSV } from './csv.js'
+import { loadGazetteer, reverseGeocode, loadGeocodeCache, saveGeocodeCache } from './geocoder.js'
+import { loadTimeZones, findTimeZone } from './timezones.js'
+import {
+  parseActivityDate,
+  getLocalDateKey,
+  getActivityLocalDate,
+  loadActivityStartCache,
+  saveActivityStartCache
+} from './activityDates.js'
+import { openTrackCache, getStatCacheKey, getContentCacheKey, getRevalidatedCacheKey } from './trackCache.js'
+import { getDataset, findDatasetTrack } from './dataset.js'
+import { getTrackParserPool, isWorkerUnavailableError } from './trackParserPool.js'
+import { parseGPXTrackSAX } from './gpxSaxParser.js'
+import { buildRouteLOD } from './trackSimplify.js'
+import { cleanTrack } from './trackCleaning.js'
+import { applyPrivacyZones } from './privacyZones.js'
+import {
+  LOAD_ERROR,
+  TRANSIENT_LOAD_ERRORS,
+  DEFAULT_RETRY_ATTEMPTS,
+  createLoadError,
+  withLoadErrorCode,
+  getLoadErrorCode,
+  getRetryDelay
+} from './loadErrors.js'
+import {
+  parseXML,
+  getChildText,
+  getDescendantText,
+  parseOptionalNumber,
+  parseOptionalTime
+} from './xmlUtils.js'
 
 const log = createLogger('DataLoader')
 
@@ -23,41 +64,51 @@ export function stripBOM(str) {
 }
 
 /**
- * Load and parse the activities CSV file
- * @returns {Promise<Array>} Array of activity objects with metadata
+ * Read a text file from a data source, stripping any BOM
+ * @param {import('./dataSources.js').DataSource} source - Data source
+ * @param {string} path - Path relative to the export root
+ * @returns {Promise<string>} File text
  */
-export async function loadActivitiesCSV() {
-  const response = await fetch('/data/activities.csv')
-  let csvText = await response.text()
+async function readTextFile(source, path) {
+  const bytes = await source.readFile(path)
+  // TextDecoder drops a UTF-8 BOM by default; stripBOM covers sources that hand back decoded text
+  return stripBOM(new TextDecoder().decode(bytes))
+}
 
-  // Strip BOM if present (common in Excel exports)
-  csvText = stripBOM(csvText)
+/**
+ * Load and parse the activities CSV file
+ * @param {import('./dataSources.js').DataSource} [source=defaultDataSource] - Where to read the export from
+ * @returns {Promise<Array>} Array of activity objects with metadata (see ACTIVITY_COLUMNS)
+ */
+export async function loadActivitiesCSV(source = defaultDataSource) {
+  // BOM is stripped on read (common in Excel exports)
+  const csvText = await readTextFile(source, 'activities.csv')
+
+  const records = iterateCSVRecords(csvText, { onError: logCSVError('activities.csv') })
+  const header = records.next()
+  if (header.done) {
+    return []
+  }
 
-  const lines = csvText.split('\n')
-  const headers = parseCSVLine(lines[0]) // Parse headers properly too
+  // Strava repeats some headers (Distance, Elapsed Time), so columns are looked up by occurrence
+  const headerCount = header.value.fields.length
+  const headerIndex = indexHeaders(header.value.fields)
 
   const activities = []
 
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue
-
-    // Basic CSV parsing (handles quoted fields)
-    const values = parseCSVLine(lines[i])
+  for (const { fields, line } of records) {
+    // Exports with trailing or missing columns still load: short rows read as
+    // empty fields, extra fields are ignored
+    if (fields.length !== headerCount) {
+      log.warn(`activities.csv line ${line}: expected ${headerCount} fields, found ${fields.length}` +
+        (fields.length < headerCount ? ' - missing fields read as empty' : ' - extra fields ignored'))
+    }
 
-    const activity = {}
-    headers.forEach((header, index) => {
-      activity[header] = values[index] || ''
-    })
+    const activity = mapActivityRow(fields, headerIndex)
 
-    // Filter for running activities only
-    if (activity['Activity Type'] === 'Run' && activity['Filename']) {
-      activities.push({
-        id: activity['Activity ID'],
-        date: activity['Activity Date'],
-        name: activity['Activity Name'],
-        distance: parseFloat(activity['Distance']) || 0,
-        filename: activity['Filename']
-      })
+    // Keep every activity type that has a GPS file (manual entries have none)
+    if (activity.filename) {
+      activities.push(activity)
     }
   }
 
@@ -65,83 +116,49 @@ export async function loadActivitiesCSV() {
 }
 
 /**
- * Parse a CSV line handling quoted fields and escaped quotes
- *
- * Handles RFC 4180 CSV format:
- * - Fields may be enclosed in double quotes
- * - Double quotes within quoted fields are escaped as ""
- * - Commas within quoted fields are literal
- *
- * LIMITATION: Multi-line fields (newlines within quotes) are not supported
- * as lines are pre-split. This is acceptable for Strava export data.
- *
+ * Parse a single CSV line handling quoted fields and escaped quotes
+ * Kept for callers that parse one line at a time; whole files should go
+ * through iterateCSVRecords (see csv.js), which supports multi-line fields.
  * @param {string} line - CSV line to parse
  * @returns {Array<string>} Array of field values
  */
 export function parseCSVLine(line) {
-  const result = []
-  let current = ''
-  let inQuotes = false
-  let i = 0
-
-  while (i < line.length) {
-    const char = line[i]
-
-    if (inQuotes) {
-      if (char === '"') {
-        // Check if this is an escaped quote ("") or end of quoted field
-        if (i + 1 < line.length && line[i + 1] === '"') {
-          // Escaped quote - add single quote to result and skip both chars
-          current += '"'
-          i += 2
-          continue
-        } else {
-          // End of quoted field
-          inQuotes = false
-        }
-      } else {
-        current += char
-      }
-    } else {
-      if (char === '"') {
-        // Start of quoted field
-        inQuotes = true
-      } else if (char === ',') {
-        // Field separator
-        result.push(current.trim())
-        current = ''
-      } else {
-        current += char
-      }
-    }
-    i++
-  }
+  const { records } = parseCSV(line)
+  return records.length > 0 ? records[0].fields : ['']
+}
 
-  // Add the last field
-  result.push(current.trim())
-  return result
+/**
+ * Create an onError handler that logs CSV problems with file and line number
+ * @param {string} filename - File being parsed
+ * @returns {function(import('./csv.js').CSVError): void} Error handler
+ */
+function logCSVError(filename) {
+  return ({ line, message }) => log.warn(`${filename} line ${line}: ${message}`)
 }
 
 /**
  * Load and parse the activities-location CSV file
  * Contains location metadata (city, state, country) and treadmill flag for each activity
+ * The file is optional (Strava exports don't include it); a missing file yields an empty map.
+ * @param {import('./dataSources.js').DataSource} [source=defaultDataSource] - Where to read the export from
  * @returns {Promise<Map>} Map of activity ID to location object
  */
-export async function loadLocationsCSV() {
-  const response = await fetch('/data/activities-location.csv')
-  let csvText = await response.text()
-
-  // Strip BOM if present (common in Excel exports)
-  csvText = stripBOM(csvText)
+export async function loadLocationsCSV(source = defaultDataSource) {
+  let csvText
+  try {
+    // BOM is stripped on read (common in Excel exports)
+    csvText = await readTextFile(source, 'activities-location.csv')
+  } catch (error) {
+    if (!isNotFoundError(error)) throw error
+    log.info('No activities-location.csv found - locations will be Unknown')
+    return new Map()
+  }
 
-  const lines = csvText.split('\n')
+  const records = iterateCSVRecords(csvText, { onError: logCSVError('activities-location.csv') })
+  records.next() // Skip header row
   const locations = new Map()
 
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue
-
-    const values = parseCSVLine(lines[i])
-
+  for (const { fields: values } of records) {
     // CSV structure: id,Month,Day,Year,Location,State,Country,International,Treadmill
     const id = values[0]
     const location = values[4] || ''
@@ -155,7 +172,9 @@ export async function loadLocationsCSV() {
       state,
       country,
       international,
-      treadmill
+      treadmill,
+      // Kept so the location editor can write the row back unchanged
+      csvRow: values
     })
   }
 
@@ -163,20 +182,29 @@ export async function loadLocationsCSV() {
   return locations
 }
 
+/**
+ * Where an activity's location came from
+ * @typedef {'csv'|'geocoded'|'unknown'} LocationSource
+ */
+
 /**
  * Merge activity data with location metadata
+ * Each activity gets a locationSource: 'csv' when listed in activities-location.csv,
+ * otherwise 'unknown' until geocodeActivities fills it in.
  * @param {Array} activities - Array of activity objects from activities.csv
  * @param {Map} locations - Map of location data by activity ID
  * @returns {Array} Activities with location data merged in
  */
 export function mergeActivityData(activities, locations) {
   return activities.map(activity => {
-    const locationData = locations.get(activity.id) || {
+    const csvLocation = locations.get(activity.id)
+    const locationData = csvLocation ? { ...csvLocation, locationSource: 'csv' } : {
       location: 'Unknown',
       state: 'Unknown',
       country: 'Unknown',
       international: 'Unknown',
-      treadmill: false
+      treadmill: false,
+      locationSource: 'unknown'
     }
 
     return {
@@ -187,102 +215,646 @@ export function mergeActivityData(activities, locations) {
 }
 
 /**
- * Result from loading a GPX file
+ * First point of an activity's track
+ * @typedef {Object} ActivityStartPoint
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lon - Longitude in degrees
+ * @property {number|null} time - Timestamp (ms since epoch), null if not recorded
+ */
+
+/**
+ * Options shared by the passes that read activity start points
+ * @typedef {Object} StartPointOptions
+ * @property {import('./dataSources.js').DataSource} [source=defaultDataSource] - Where to read activity files from
+ * @property {Map<string, ActivityStartPoint|null|undefined>} [startPoints] - Start points read by an earlier
+ *   pass, by activity ID (see readStartPoints); new points are added to it
+ * @property {import('./trackCache.js').TrackCache|null} [cache] - Parsed track cache
+ *   (defaults to the browser's persistent cache; null disables caching)
+ * @property {import('./trackParserPool.js').TrackParserPool|null} [pool] - Worker pool for parsing
+ *   (defaults to the shared pool; null parses on the main thread)
+ * @property {Function} [onProgress] - Called with (processed, total) while reading activity files
+ * @property {AbortSignal|null} [signal] - Stops reading activity files
+ */
+
+/**
+ * Read the first track point of activities
+ * geocodeActivities and localizeActivityDates both need it, so they share
+ * one `startPoints` map when run together: an activity file is read at most
+ * once per metadata load, and through the track cache, so the files are not
+ * parsed again when the runs are loaded. Treadmill activities are skipped.
+ * Entries are null for files without GPS data and undefined for files that
+ * could not be read (retried by the next metadata load).
+ * @param {Array} activities - Activities that need their start point
+ * @param {StartPointOptions} [options={}] - Read options
+ * @returns {Promise<Map<string, ActivityStartPoint|null|undefined>>} Start points by activity ID
+ * @throws {DOMException} The signal's abort reason if reading was stopped
+ */
+async function readStartPoints(activities, options = {}) {
+  const { source = defaultDataSource, startPoints = new Map(), onProgress = null, signal = null } = options
+  const pending = activities.filter(activity =>
+    activity.filename && !activity.treadmill && !startPoints.has(activity.id)
+  )
+  if (pending.length === 0) {
+    return startPoints
+  }
+
+  const cache = options.cache !== undefined ? options.cache : await openTrackCache()
+  const pool = options.pool !== undefined ? options.pool : getTrackParserPool()
+
+  for (let i = 0; i < pending.length; i += GPX_BATCH_SIZE) {
+    signal?.throwIfAborted()
+    const batch = pending.slice(i, i + GPX_BATCH_SIZE)
+    const results = await Promise.all(batch.map(activity => loadGPXFile(activity.filename, source, { cache, pool, signal })))
+
+    batch.forEach((activity, index) => {
+      const { track, errorCode } = results[index]
+      if (track) {
+        const [first] = getTrackPoints(track)
+        startPoints.set(activity.id, { lat: first.lat, lon: first.lon, time: first.time })
+      } else {
+        startPoints.set(activity.id, errorCode === LOAD_ERROR.EMPTY_TRACK ? null : undefined)
+      }
+    })
+
+    if (onProgress) {
+      onProgress(Math.min(i + GPX_BATCH_SIZE, pending.length), pending.length)
+    }
+  }
+
+  return startPoints
+}
+
+/**
+ * Fill in locations missing from activities-location.csv
+ *
+ * Reverse geocodes each activity's start coordinate against the offline
+ * gazetteer. The CSV stays an override layer: activities it lists are never
+ * geocoded. Results are cached by activity ID, so activity files are only
+ * read the first time an activity is seen.
+ *
+ * @param {Array} activities - Activities from mergeActivityData
+ * @param {StartPointOptions} [options={}] - Geocoding options, plus:
+ * @param {import('./geocoder.js').Gazetteer|null} [options.gazetteer] - Gazetteer (defaults to the bundled asset)
+ * @returns {Promise<Array>} Activities with geocoded locations applied
+ */
+export async function geocodeActivities(activities, options = {}) {
+  const unknown = activities.filter(activity => activity.locationSource === 'unknown')
+  if (unknown.length === 0) {
+    return activities
+  }
+
+  const geocodeCache = loadGeocodeCache()
+  const pending = unknown.filter(activity => !geocodeCache.has(activity.id))
+
+  if (pending.length > 0) {
+    const gazetteer = options.gazetteer !== undefined ? options.gazetteer : await loadGazetteer()
+
+    if (gazetteer) {
+      log.info(`Geocoding ${pending.length} activities from their start coordinates...`)
+      const startPoints = await readStartPoints(pending, options)
+
+      pending.forEach(activity => {
+        const point = startPoints.get(activity.id)
+        // Unreadable files are retried next time rather than cached
+        if (point === undefined) return
+        geocodeCache.set(activity.id, point ? reverseGeocode(gazetteer, point.lat, point.lon) : null)
+      })
+
+      saveGeocodeCache(geocodeCache)
+    }
+  }
+
+  let geocodedCount = 0
+  const result = activities.map(activity => {
+    const geocoded = activity.locationSource === 'unknown' ? geocodeCache.get(activity.id) : null
+    if (!geocoded) return activity
+
+    geocodedCount++
+    return {
+      ...activity,
+      location: geocoded.location,
+      state: geocoded.state,
+      country: geocoded.country,
+      locationSource: 'geocoded'
+    }
+  })
+
+  log.info(`Located ${geocodedCount} of ${unknown.length} activities missing from activities-location.csv`)
+  return result
+}
+
+/**
+ * Place activities on their local calendar day
+ *
+ * Reads each activity file once for its first timestamp and the time zone
+ * containing its first point (from the bundled time zone boundaries), and
+ * caches both by activity ID. Activities without that information, such as
+ * treadmill runs, are dated from activities.csv in the browser's time zone.
+ *
+ * Sets `startTime` (ms since epoch), `timeZone` (IANA name or null) and
+ * `localDate` (YYYY-MM-DD) on every activity.
+ *
+ * @param {Array} activities - Activities from mergeActivityData
+ * @param {StartPointOptions} [options={}] - Options, plus:
+ * @param {import('./timezones.js').TimeZoneIndex|null} [options.timeZones] - Time zone boundaries
+ *   (defaults to the bundled asset)
+ * @returns {Promise<Array>} Activities with local dates
+ */
+export async function localizeActivityDates(activities, options = {}) {
+  const cache = loadActivityStartCache()
+  const pending = activities.filter(activity => activity.filename && !activity.treadmill && !cache.has(activity.id))
+
+  if (pending.length > 0) {
+    const timeZones = options.timeZones !== undefined ? options.timeZones : await loadTimeZones()
+
+    if (timeZones) {
+      log.info(`Finding the time zones of ${pending.length} activities...`)
+      const startPoints = await readStartPoints(pending, options)
+
+      pending.forEach(activity => {
+        const point = startPoints.get(activity.id)
+        // Unreadable files are retried next time rather than cached
+        if (point === undefined) return
+        // Files without GPS data: nothing to read next time either
+        cache.set(activity.id, point
+          ? { timeZone: findTimeZone(timeZones, point.lat, point.lon), start: point.time }
+          : { timeZone: null, start: null })
+      })
+
+      saveActivityStartCache(cache)
+    }
+  }
+
+  return activities.map(activity => {
+    const cached = cache.get(activity.id)
+    const startTime = cached && cached.start !== null ? cached.start : parseActivityDate(activity.date)
+    const timeZone = cached ? cached.timeZone : null
+    return { ...activity, startTime, timeZone, localDate: getLocalDateKey(startTime, timeZone) }
+  })
+}
+
+/**
+ * Result from loading an activity file
  * @typedef {Object} GPXLoadResult
- * @property {Array<Array<number>>} coordinates - Array of [lat, lon] coordinates
+ * @property {Array<Array<number>>} coordinates - Array of [lat, lon] coordinates (all segments joined)
+ * @property {Array<Array<Array<number>>>} segments - [lat, lon] coordinates per track segment
+ * @property {import('./trackModel.js').Track|null} track - Parsed track with time, elevation and sensor data
  * @property {string|null} error - Error message if load failed, null on success
+ * @property {string} [errorCode] - Why the load failed (one of LOAD_ERROR in loadErrors.js)
+ * @property {Array<string>} warnings - Problems in a file that still loaded (e.g., truncated XML)
+ * @property {boolean} cached - Track came from the track cache or compiled dataset instead of being parsed
+ */
+
+/**
+ * Build a successful load result from a parsed track
+ * @param {import('./trackModel.js').Track} track - Parsed track
+ * @param {boolean} cached - Track came from the track cache
+ * @returns {GPXLoadResult} Load result
  */
+function createTrackResult(track, cached) {
+  return {
+    coordinates: trackToCoordinates(track),
+    segments: trackToSegments(track),
+    track,
+    error: null,
+    errorCode: null,
+    warnings: track.warnings || [],
+    cached
+  }
+}
 
 /**
- * Load and parse a single GPX file
+ * Look up the cache key for a file from its metadata, without reading it
+ * @param {import('./dataSources.js').DataSource} source - Data source
+ * @param {string} filename - Activity filename
+ * @returns {Promise<string|null>} Cache key, or null if the source cannot stat the file
+ */
+async function getFileCacheKey(source, filename) {
+  if (typeof source.stat !== 'function') {
+    return null
+  }
+  try {
+    return getStatCacheKey(source.name, filename, await source.stat(filename))
+  } catch (error) {
+    log.debug(`Could not stat ${filename}:`, error)
+    return null
+  }
+}
+
+/**
+ * Parse activity file content, in a worker when the pool supports the format
+ * Falls back to the main thread if the pool's workers are unavailable.
+ * @param {Uint8Array} bytes - Decompressed file content
+ * @param {TrackFormat} format - File format
+ * @param {import('./trackParserPool.js').TrackParserPool|null} pool - Worker pool
+ * @returns {Promise<import('./trackModel.js').Track>} Parsed track
+ */
+async function parseTrackBytes(bytes, format, pool) {
+  if (pool && pool.supports(format)) {
+    try {
+      return await pool.parse(bytes, format)
+    } catch (error) {
+      if (!isWorkerUnavailableError(error)) throw error
+    }
+  }
+  return parseTrackFile(bytes, format)
+}
+
+/**
+ * Load and parse a single activity file (GPX, TCX or FIT)
+ * Gzipped files (.gpx.gz, .tcx.gz, .fit.gz) are decompressed transparently.
+ * Files in the export's compiled dataset (see dataset.js) are decoded from it
+ * instead of being read and parsed.
+ * With a track cache, unchanged files are served from the cache and freshly
+ * parsed tracks are stored in it; failed loads are never cached. Files of
+ * sources with readFileIfChanged (HTTP) are confirmed unchanged with one
+ * conditional request rather than downloaded.
  * @param {string} filename - Filename from CSV (e.g., "activities/123456.gpx")
- * @returns {Promise<GPXLoadResult>} Result with coordinates and optional error
+ * @param {import('./dataSources.js').DataSource} [source=defaultDataSource] - Where to read the export from
+ * @param {Object} [options={}] - Load options
+ * @param {import('./trackCache.js').TrackCache|null} [options.cache=null] - Parsed track cache
+ * @param {import('./trackParserPool.js').TrackParserPool|null} [options.pool=null] - Worker pool for parsing
+ * @param {AbortSignal|null} [options.signal=null] - Cancels the load
+ * @returns {Promise<GPXLoadResult>} Result with coordinates, track and optional error
+ * @throws {DOMException} The signal's abort reason (an AbortError) if the load was cancelled
  */
-export async function loadGPXFile(filename) {
+export async function loadGPXFile(filename, source = defaultDataSource, options = {}) {
+  const { cache = null, pool = null, signal = null } = options
+
   try {
-    const response = await fetch(`/data/${filename}`)
+    signal?.throwIfAborted()
 
-    if (!response.ok) {
-      return {
-        coordinates: [],
-        error: `HTTP ${response.status}: ${response.statusText}`
+    const compiled = await findDatasetTrack(source, filename)
+    if (compiled) {
+      if (!compiled.track) {
+        throw createLoadError(compiled.errorCode, compiled.error)
       }
+      return createTrackResult(compiled.track, true)
+    }
+
+    const readError = error => {
+      throw withLoadErrorCode(error, getReadErrorCode(error))
     }
 
-    const gpxText = await response.text()
-    const coordinates = parseGPX(gpxText)
+    let cacheKey = null
+    let rawBytes = null
+    let fileStat = null
+    if (cache) {
+      cacheKey = await getFileCacheKey(source, filename)
+      const cachedTrack = cacheKey ? await cache.get(cacheKey) : null
+      if (cachedTrack) {
+        return createTrackResult(cachedTrack, true)
+      }
 
-    if (coordinates.length === 0) {
-      return {
-        coordinates: [],
-        error: 'No valid GPS coordinates found in file'
+      // Sources that cannot stat files confirm the cached track with a
+      // conditional read, which returns null while the file is unchanged
+      if (!cacheKey && typeof source.readFileIfChanged === 'function') {
+        const revalidatedKey = getRevalidatedCacheKey(source.name, filename)
+        const entry = await cache.getEntry(revalidatedKey)
+        const file = await source.readFileIfChanged(filename, entry ? entry.stat : null, { signal }).catch(readError)
+        if (file) {
+          rawBytes = file.bytes
+          fileStat = file.stat
+          // Without metadata to revalidate against, the file is keyed by content below
+          cacheKey = fileStat ? revalidatedKey : null
+        } else if (entry) {
+          return createTrackResult(entry.track, true)
+        }
       }
     }
 
-    return { coordinates, error: null }
+    // Read raw bytes - FIT files are binary, GPX/TCX are decoded as text later
+    if (!rawBytes) {
+      rawBytes = await source.readFile(filename, { signal }).catch(readError)
+    }
+    signal?.throwIfAborted()
+
+    // Sources without file metadata are keyed by content (saves the parse)
+    if (cache && !cacheKey) {
+      cacheKey = await getContentCacheKey(source.name, filename, rawBytes)
+      const cachedTrack = cacheKey ? await cache.get(cacheKey) : null
+      if (cachedTrack) {
+        return createTrackResult(cachedTrack, true)
+      }
+    }
+
+    const fileBytes = await decompressIfGzipped(rawBytes).catch(error => {
+      throw withLoadErrorCode(error, LOAD_ERROR.DECOMPRESSION_ERROR)
+    })
+    const format = detectTrackFormat(filename, fileBytes)
+
+    if (!format) {
+      throw createLoadError(LOAD_ERROR.UNSUPPORTED_FORMAT, 'Unsupported activity file format')
+    }
+
+    const track = await parseTrackBytes(fileBytes, format, pool).catch(error => {
+      throw withLoadErrorCode(error, LOAD_ERROR.PARSE_ERROR)
+    })
+
+    if (track.segments.length === 0) {
+      throw createLoadError(LOAD_ERROR.EMPTY_TRACK, 'No valid GPS coordinates found in file')
+    }
+
+    if (track.warnings) {
+      log.warn(`Partially loaded activity file: ${filename}`, track.warnings.join('; '))
+    }
+
+    if (cacheKey) {
+      await cache.put(cacheKey, track, fileStat)
+    }
+
+    return createTrackResult(track, false)
   } catch (error) {
-    log.error(`Failed to load GPX file: ${filename}`, error)
+    // Cancellation is not a failed load
+    if (signal && signal.aborted) throw signal.reason
+
+    const errorCode = getLoadErrorCode(error)
+    if (errorCode === LOAD_ERROR.UNSUPPORTED_FORMAT || errorCode === LOAD_ERROR.EMPTY_TRACK) {
+      log.debug(`Skipping activity file: ${filename} (${error.message})`)
+    } else {
+      log.error(`Failed to load activity file: ${filename}`, error)
+    }
     return {
       coordinates: [],
-      error: error.message || 'Unknown error'
+      segments: [],
+      track: null,
+      error: error.message || 'Unknown error',
+      errorCode,
+      warnings: [],
+      cached: false
     }
   }
 }
 
+/**
+ * Classify an error from DataSource.readFile
+ * @param {Error} error - Read error
+ * @returns {string} Load error code
+ */
+function getReadErrorCode(error) {
+  if (isNotFoundError(error)) return LOAD_ERROR.FILE_NOT_FOUND
+  if (error.status) return LOAD_ERROR.HTTP_ERROR
+  return LOAD_ERROR.READ_ERROR
+}
+
+/**
+ * Supported activity file formats
+ * KML and GeoJSON are not in Strava exports but can be imported onto the map (see trackImport.js).
+ * @typedef {'gpx'|'tcx'|'fit'|'kml'|'geojson'} TrackFormat
+ */
+
+/**
+ * Detect the format of an activity file
+ *
+ * Uses the file extension first (ignoring a trailing .gz), then sniffs the
+ * content (FIT signature or XML root element) so misnamed files still parse.
+ *
+ * @param {string} filename - Activity filename (e.g., "activities/123.tcx")
+ * @param {Uint8Array|string} content - File content as bytes or text
+ * @returns {TrackFormat|null} Detected format, or null if unsupported
+ */
+export function detectTrackFormat(filename, content) {
+  const extension = (filename || '').toLowerCase().replace(/\.gz$/, '').split('.').pop()
+  if (extension === 'gpx' || extension === 'tcx' || extension === 'fit' || extension === 'kml') {
+    return extension
+  }
+  if (extension === 'geojson' || extension === 'json') {
+    return 'geojson'
+  }
+
+  if (content instanceof Uint8Array && isFITFile(content)) {
+    return 'fit'
+  }
+
+  // Content sniffing: only look at the start of the file
+  const head = typeof content === 'string'
+    ? content.slice(0, 1000)
+    : new TextDecoder().decode((content || new Uint8Array(0)).subarray(0, 1000))
+  if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx'
+  if (/<gpx[\s>]/.test(head)) return 'gpx'
+  if (/<kml[\s>]/.test(head)) return 'kml'
+  if (/^\s*\{[\s\S]*"type"\s*:/.test(head)) return 'geojson'
+
+  return null
+}
+
+/**
+ * Parse activity file content into a track
+ * @param {Uint8Array|string} content - File content as bytes (any format) or text (all but FIT)
+ * @param {TrackFormat} format - File format from detectTrackFormat
+ * @returns {import('./trackModel.js').Track} Parsed track
+ */
+export function parseTrackFile(content, format) {
+  if (format === 'fit') {
+    return decodeFITTrack(content)
+  }
+
+  const fileText = typeof content === 'string' ? content : new TextDecoder().decode(content)
+  switch (format) {
+    case 'tcx':
+      return parseTCXTrack(fileText)
+    case 'kml':
+      return parseKMLTrack(fileText)
+    case 'geojson':
+      return parseGeoJSONTrack(fileText)
+    default:
+      return parseGPXTrack(fileText)
+  }
+}
+
 /**
  * Parse GPX XML and extract coordinates
+ * Kept for callers that only need the route shape; see parseGPXTrack for the full track
  * @param {string} gpxXML - GPX file content as XML string
  * @returns {Array} Array of [lat, lon] coordinate pairs
  */
 export function parseGPX(gpxXML) {
-  const parser = new DOMParser()
-  const doc = parser.parseFromString(gpxXML, 'text/xml')
+  return trackToCoordinates(parseGPXTrack(gpxXML))
+}
 
-  const trackPoints = doc.getElementsByTagName('trkpt')
-  const coordinates = []
+/**
+ * Parse GPX XML into a track with timestamps, elevation and sensor data
+ *
+ * Every <trkseg> of every <trk> becomes its own segment, so a run that was
+ * paused and resumed keeps the gap instead of drawing a connector across it.
+ * Reads <time> and <ele> from each trkpt, plus heart rate and cadence from the
+ * Garmin TrackPointExtension (gpxtpx:hr, gpxtpx:cad) that Strava exports include.
+ * Extension elements are matched by local name so any namespace prefix works.
+ *
+ * Malformed XML (e.g., a file cut off mid-download) is not silently treated
+ * as empty: the readable points are recovered with the streaming parser and
+ * the parse error is kept in the track's warnings.
+ *
+ * @param {string} gpxXML - GPX file content as XML string
+ * @returns {import('./trackModel.js').Track} Parsed track
+ * @throws {Error} If the XML is malformed and no points could be recovered
+ */
+export function parseGPXTrack(gpxXML) {
+  let doc
+  try {
+    doc = parseXML(gpxXML)
+  } catch (error) {
+    return salvageGPXTrack(gpxXML, error)
+  }
 
-  for (let i = 0; i < trackPoints.length; i++) {
-    const lat = parseFloat(trackPoints[i].getAttribute('lat'))
-    const lon = parseFloat(trackPoints[i].getAttribute('lon'))
+  const trackSegments = doc.getElementsByTagName('trkseg')
+  const segments = []
 
-    if (!isNaN(lat) && !isNaN(lon)) {
-      coordinates.push([lat, lon])
+  for (let i = 0; i < trackSegments.length; i++) {
+    const points = parseGPXTrackPoints(trackSegments[i].getElementsByTagName('trkpt'))
+    if (points.length > 0) {
+      segments.push(points)
     }
   }
 
-  return coordinates
+  return { segments }
 }
 
 /**
- * Load metadata only (no GPX files) for setup/filtering
- * Returns merged activity + location data without coordinates
- * @returns {Promise<Array>} Array of activity metadata
+ * Recover the points of a GPX file that DOMParser rejected
+ * The streaming parser stops at the first well-formedness problem, so every
+ * point before it is kept.
+ * @param {string} gpxXML - GPX file content
+ * @param {Error} parseError - Error from parseXML
+ * @returns {import('./trackModel.js').Track} Recovered track with warnings
+ * @throws {Error} The original parse error if no points could be recovered
  */
-export async function loadMetadataOnly() {
-  log.debug('Loading activities CSV...')
-  const activities = await loadActivitiesCSV()
-  log.info(`Found ${activities.length} running activities`)
+function salvageGPXTrack(gpxXML, parseError) {
+  let track
+  try {
+    track = parseGPXTrackSAX(gpxXML)
+  } catch {
+    throw parseError
+  }
+
+  const pointCount = track.segments.reduce((sum, segment) => sum + segment.length, 0)
+  if (pointCount === 0) {
+    throw parseError
+  }
+
+  return {
+    segments: track.segments,
+    warnings: track.warnings || [`${parseError.message} - loaded ${pointCount} points`]
+  }
+}
+
+/**
+ * Convert trkpt elements into track points, skipping invalid coordinates
+ * @param {HTMLCollection} trackPoints - trkpt elements of one segment
+ * @returns {Array<import('./trackModel.js').TrackPoint>} Parsed points
+ */
+function parseGPXTrackPoints(trackPoints) {
+  const points = []
+
+  for (let i = 0; i < trackPoints.length; i++) {
+    const trkpt = trackPoints[i]
+    const lat = parseFloat(trkpt.getAttribute('lat'))
+    const lon = parseFloat(trkpt.getAttribute('lon'))
+
+    if (isNaN(lat) || isNaN(lon)) continue
+
+    points.push(createTrackPoint(lat, lon, {
+      time: parseOptionalTime(getChildText(trkpt, 'time')),
+      ele: parseOptionalNumber(getChildText(trkpt, 'ele')),
+      hr: parseOptionalNumber(getDescendantText(trkpt, 'hr')),
+      cad: parseOptionalNumber(getDescendantText(trkpt, 'cad'))
+    }))
+  }
+
+  return points
+}
+
+/**
+ * Read and merge activities.csv and activities-location.csv of one export
+ * Activities come from the export's compiled dataset when it has one (see dataset.js).
+ * @param {import('./dataSources.js').DataSource} source - Export to read
+ * @param {Map} [locationEdits] - Location edits that override activities-location.csv
+ * @returns {Promise<Array>} Merged activities
+ */
+async function loadExportMetadata(source, locationEdits) {
+  const dataset = await getDataset(source)
+  let activities
+  if (dataset) {
+    activities = dataset.activities
+  } else {
+    log.debug(`Loading activities CSV from ${source.name}...`)
+    activities = await loadActivitiesCSV(source)
+  }
+  log.info(`Found ${activities.length} activities with GPS files`)
 
   log.debug('Loading location data...')
-  const locations = await loadLocationsCSV()
+  const locations = await loadLocationsCSV(source)
+  if (locationEdits) {
+    locationEdits.forEach((location, id) => locations.set(id, location))
+  }
 
   log.debug('Merging activity and location data...')
-  const mergedActivities = mergeActivityData(activities, locations)
-
-  // Filter out treadmill runs (they have no meaningful GPS data)
-  const outdoorActivities = mergedActivities.filter(activity => !activity.treadmill)
-  log.info(`Found ${outdoorActivities.length} outdoor runs (${mergedActivities.length - outdoorActivities.length} treadmill runs excluded)`)
+  return mergeActivityData(activities, locations)
+}
 
-  return outdoorActivities
+/**
+ * Tag an athlete's activities and address their files in the combined source
+ * @param {Array} activities - Activities of one export
+ * @param {import('./dataSources.js').Athlete} athlete - Athlete the export belongs to
+ * @returns {Array} Activities with `athlete` set and filenames under the athlete's folder
+ */
+function assignAthlete(activities, athlete) {
+  return activities.map(activity => ({
+    ...activity,
+    athlete: athlete.name,
+    filename: `${athlete.key}/${activity.filename}`
+  }))
 }
 
 /**
- * Parse activity date string to Date object
- * @param {string} dateStr - Date string from CSV (e.g., "Mar 24, 2017, 5:42:11 PM")
- * @returns {Date} Parsed date
+ * Load metadata only (no coordinates) for setup/filtering
+ * Returns merged activity + location data. Activities missing from
+ * activities-location.csv are located by geocodeActivities, and every
+ * activity is placed on its local day by localizeActivityDates; both read the
+ * activity files in one shared pass (see readStartPoints) and cache the result.
+ * Multi-athlete sources (see createAthletesSource) are read export by export,
+ * and each activity is tagged with its athlete's name.
+ * @param {import('./dataSources.js').DataSource} [source=defaultDataSource] - Where to read the export from
+ * @param {Object} [options={}] - Metadata options
+ * @param {boolean} [options.geocode=true] - Locate activities missing from activities-location.csv
+ * @param {boolean} [options.localizeDates=true] - Date activities in the time zone where they started
+ * @param {Function} [options.onProgress] - Progress callback (processed, total) while reading activity files
+ * @param {Map} [options.locations] - Location edits that override activities-location.csv (see locationTable.js)
+ * @param {boolean} [options.includeTreadmill=false] - Keep treadmill activities (for the location editor)
+ * @param {AbortSignal|null} [options.signal=null] - Stops reading activity files
+ * @returns {Promise<Array>} Array of activity metadata
+ * @throws {DOMException} The signal's abort reason if loading was stopped
  */
-function parseActivityDate(dateStr) {
-  return new Date(dateStr)
+export async function loadMetadataOnly(source = defaultDataSource, options = {}) {
+  const { geocode = true, localizeDates = true, onProgress = null, includeTreadmill = false, signal = null } = options
+
+  let mergedActivities
+  if (source.athletes) {
+    mergedActivities = []
+    for (const athlete of source.athletes) {
+      const activities = await loadExportMetadata(athlete.source, options.locations)
+      mergedActivities.push(...assignAthlete(activities, athlete))
+    }
+    log.info(`Found ${mergedActivities.length} activities from ${source.athletes.length} athletes`)
+  } else {
+    mergedActivities = await loadExportMetadata(source, options.locations)
+  }
+
+  signal?.throwIfAborted()
+  const startPoints = new Map()
+  if (geocode) {
+    mergedActivities = await geocodeActivities(mergedActivities, { source, startPoints, onProgress, signal })
+  }
+
+  if (localizeDates) {
+    mergedActivities = await localizeActivityDates(mergedActivities, { source, startPoints, onProgress, signal })
+  }
+
+  // Filter out treadmill runs (they have no meaningful GPS data)
+  const outdoorActivities = mergedActivities.filter(activity => !activity.treadmill)
+  log.info(`Found ${outdoorActivities.length} outdoor activities (${mergedActivities.length - outdoorActivities.length} treadmill activities excluded)`)
+
+  return includeTreadmill ? mergedActivities : outdoorActivities
 }
 
 /**
@@ -294,24 +866,32 @@ function parseActivityDate(dateStr) {
  * @param {string} filters.city - City filter or empty
  * @param {string} filters.state - State filter or empty
  * @param {string} filters.country - Country filter or empty
+ * @param {Array<string>} [filters.types] - Activity types to include (empty = all)
+ * @param {Array<string>} [filters.athletes] - Athletes to include (empty = all)
+ * @param {number} [filters.minDistance] - Minimum distance in km
+ * @param {number} [filters.maxDistance] - Maximum distance in km
+ * @param {Set<string>|Array<string>} [filters.excludedIds] - Activity IDs to leave out (e.g., duplicates)
  * @returns {Array} Filtered activities
  */
 export function filterActivities(activities, filters = {}) {
+  const excludedIds = filters.excludedIds ? new Set(filters.excludedIds) : null
+
   return activities.filter(activity => {
-    // Date range filter
+    // Exclusion list
+    if (excludedIds && excludedIds.has(activity.id)) {
+      return false
+    }
+
+    // Date range filter (on the local calendar day; YYYY-MM-DD strings compare in date order)
     if (filters.startDate || filters.endDate) {
-      const activityDate = parseActivityDate(activity.date)
+      const activityDate = getActivityLocalDate(activity)
 
-      if (filters.startDate) {
-        const start = new Date(filters.startDate)
-        start.setHours(0, 0, 0, 0)
-        if (activityDate < start) return false
+      if (activityDate && filters.startDate && activityDate < filters.startDate) {
+        return false
       }
 
-      if (filters.endDate) {
-        const end = new Date(filters.endDate)
-        end.setHours(23, 59, 59, 999)
-        if (activityDate > end) return false
+      if (activityDate && filters.endDate && activityDate > filters.endDate) {
+        return false
       }
     }
 
@@ -328,95 +908,299 @@ export function filterActivities(activities, filters = {}) {
       return false
     }
 
+    // Activity type filter
+    if (filters.types && filters.types.length > 0 && !filters.types.includes(activity.type)) {
+      return false
+    }
+
+    // Athlete filter
+    if (filters.athletes && filters.athletes.length > 0 && !filters.athletes.includes(activity.athlete)) {
+      return false
+    }
+
+    // Distance filters (km; activity distance is in meters)
+    if (filters.minDistance && activity.distance < filters.minDistance * 1000) {
+      return false
+    }
+
+    if (filters.maxDistance && activity.distance > filters.maxDistance * 1000) {
+      return false
+    }
+
     return true
   })
 }
 
 /**
- * Failed GPX load information
- * @typedef {Object} FailedLoad
- * @property {string} id - Activity ID
- * @property {string} name - Activity name
- * @property {string} date - Activity date
- * @property {string} filename - GPX filename
- * @property {string} error - Error message
+ * Options for deriving drawn routes from parsed tracks
+ * @typedef {Object} RouteOptions
+ * @property {import('./trackCleaning.js').TrackCleaningOptions} [cleaning={}] - GPS cleaning steps
+ * @property {Array<import('./privacyZones.js').PrivacyZone>} [privacyZones=[]] - Zones to trim
+ */
+
+/**
+ * Derive the drawn route of a run from its parsed track
+ * The track is cleaned first, then trimmed to the privacy zones. Call again
+ * with the run's rawTrack when the route options change.
+ * @param {import('./trackModel.js').Track} rawTrack - Track as parsed from the activity file
+ * @param {RouteOptions} [options={}] - Route options
+ * @param {string} [seed=''] - Run ID (chooses the privacy zones' random extra offsets)
+ * @returns {{track: Object, segments: Array, coordinates: Array, lod: Object|null}} Drawn track,
+ *   its coordinates (per segment and flattened) and levels of detail
+ */
+export function getRunRoute(rawTrack, options = {}, seed = '') {
+  const { cleaning = {}, privacyZones = [] } = options
+  const track = applyPrivacyZones(cleanTrack(rawTrack, cleaning), privacyZones, seed)
+  const segments = trackToSegments(track)
+  return {
+    track,
+    segments,
+    coordinates: segments.flat(),
+    lod: buildRouteLOD(segments)
+  }
+}
+
+/**
+ * Build a run from an activity and its loaded track
+ * @param {Object} activity - Activity metadata
+ * @param {GPXLoadResult} result - Successful load result
+ * @param {RouteOptions} [routeOptions={}] - How to derive the drawn route
+ * @returns {Object} Run with its raw track, route (see getRunRoute) and load warnings
+ */
+function createRun(activity, result, routeOptions = {}) {
+  return {
+    ...activity,
+    rawTrack: result.track,
+    ...getRunRoute(result.track, routeOptions, activity.id),
+    loadWarnings: result.warnings
+  }
+}
+
+/**
+ * Build a failed load entry from an activity and its load result
+ * @param {Object} activity - Activity metadata
+ * @param {GPXLoadResult} result - Failed load result
+ * @param {number} attempts - Load attempts so far
+ * @returns {import('./loadErrors.js').FailedLoad} Failed load
  */
+function createFailedLoad(activity, result, attempts) {
+  return {
+    id: activity.id,
+    name: activity.name,
+    date: activity.date,
+    filename: activity.filename,
+    code: result.errorCode || LOAD_ERROR.UNKNOWN,
+    error: result.error,
+    attempts,
+    activity
+  }
+}
 
 /**
  * Result from loading GPX files
  * @typedef {Object} GPXLoadBatchResult
- * @property {Array} runs - Successfully loaded runs with coordinates
- * @property {Array<FailedLoad>} failed - Array of failed load information
+ * @property {Array} runs - Successfully loaded runs with coordinates, segments and track
+ * @property {Array<import('./loadErrors.js').FailedLoad>} failed - Array of failed load information
+ * @property {boolean} aborted - Loading was cancelled before all activities were processed
+ * @property {Array} remaining - Activities not processed because of the cancellation
+ *   (pass them to loadGPXForActivities again to resume)
  */
 
 /**
- * Load GPX data for a filtered set of activities
+ * Cache usage while loading activity files
+ * @typedef {Object} LoadProgressDetails
+ * @property {number} cached - Tracks served from the track cache
+ * @property {number} fetched - Files read from the data source
+ */
+
+/**
+ * Load GPS data (GPX, TCX or FIT files) for a filtered set of activities
  * @param {Array} activities - Array of activity metadata (already filtered)
- * @param {Function} onProgress - Optional callback for progress updates (loaded, total)
+ * @param {Function} onProgress - Optional callback for progress updates (loaded, total, details)
+ *   where details is a LoadProgressDetails
+ * @param {Object} [options={}] - Load options
+ * @param {import('./dataSources.js').DataSource} [options.source=defaultDataSource] - Where to read the export from
+ * @param {import('./trackCache.js').TrackCache|null} [options.cache] - Parsed track cache
+ *   (defaults to the browser's persistent cache; null disables caching)
+ * @param {import('./trackParserPool.js').TrackParserPool|null} [options.pool] - Worker pool for parsing
+ *   (defaults to the shared pool; null parses on the main thread)
+ * @param {AbortSignal|null} [options.signal=null] - Stops loading; runs loaded so far are still returned
+ * @param {import('./trackCleaning.js').TrackCleaningOptions} [options.cleaning={}] - GPS cleaning steps
+ * @param {Array<import('./privacyZones.js').PrivacyZone>} [options.privacyZones=[]] - Zones trimmed from the routes
  * @returns {Promise<GPXLoadBatchResult>} Result with runs and failed loads
  */
-export async function loadGPXForActivities(activities, onProgress = null) {
+export async function loadGPXForActivities(activities, onProgress = null, options = {}) {
+  const { source = defaultDataSource, signal = null, cleaning = {}, privacyZones = [] } = options
+  const cache = options.cache !== undefined ? options.cache : await openTrackCache()
+  const pool = options.pool !== undefined ? options.pool : getTrackParserPool()
   log.info(`Loading GPX files for ${activities.length} activities...`)
   const runs = []
   const failed = []
+  const details = { cached: 0, fetched: 0 }
+  const remaining = []
 
   // Load GPX files in batches to avoid overwhelming the browser
-  for (let i = 0; i < activities.length; i += GPX_BATCH_SIZE) {
+  let i = 0
+  for (; i < activities.length; i += GPX_BATCH_SIZE) {
+    if (signal && signal.aborted) break
+
     const batch = activities.slice(i, i + GPX_BATCH_SIZE)
 
     const batchPromises = batch.map(async (activity) => {
-      const result = await loadGPXFile(activity.filename)
-      return {
-        activity,
-        result
+      try {
+        const result = await loadGPXFile(activity.filename, source, { cache, pool, signal })
+        return { activity, result }
+      } catch (error) {
+        // Cancelled mid-batch: keep the activity for a later resume
+        if (signal && signal.aborted) return { activity, result: null }
+        throw error
       }
     })
 
     const batchResults = await Promise.all(batchPromises)
 
     for (const { activity, result } of batchResults) {
+      if (!result) {
+        remaining.push(activity)
+        continue
+      }
+
+      if (result.cached) {
+        details.cached++
+      } else {
+        details.fetched++
+      }
+
       if (result.error) {
-        failed.push({
-          id: activity.id,
-          name: activity.name,
-          date: activity.date,
-          filename: activity.filename,
-          error: result.error
-        })
+        failed.push(createFailedLoad(activity, result, 1))
       } else {
-        runs.push({
-          ...activity,
-          coordinates: result.coordinates
-        })
+        runs.push(createRun(activity, result, { cleaning, privacyZones }))
       }
     }
 
     // Report progress
     if (onProgress) {
-      onProgress(runs.length + failed.length, activities.length)
+      onProgress(runs.length + failed.length, activities.length, { ...details })
     }
 
     log.debug(`Processed ${runs.length + failed.length} / ${activities.length} runs (${failed.length} failed)`)
   }
 
+  const aborted = Boolean(signal && signal.aborted)
+  if (aborted) {
+    remaining.push(...activities.slice(i))
+    log.info(`Loading cancelled with ${remaining.length} activities not loaded`)
+  }
+
   if (failed.length > 0) {
     log.warn(`Failed to load ${failed.length} GPX files`)
   }
-  log.info(`Successfully loaded ${runs.length} runs with GPS data`)
+  log.info(`Successfully loaded ${runs.length} runs with GPS data (${details.cached} from cache)`)
+
+  return { runs, failed, aborted, remaining }
+}
+
+/**
+ * Wait before a retry
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Retry activity files that failed to load
+ * Each file is retried with exponential backoff while its error looks
+ * transient (HTTP or read errors); errors caused by the file content are
+ * tried once, in case the file was replaced.
+ * @param {Array<import('./loadErrors.js').FailedLoad>} failedLoads - Failed loads to retry
+ * @param {Function} [onProgress=null] - Called with (processed, total) as files finish
+ * @param {Object} [options={}] - Load options
+ * @param {import('./dataSources.js').DataSource} [options.source=defaultDataSource] - Where to read the export from
+ * @param {import('./trackCache.js').TrackCache|null} [options.cache] - Parsed track cache
+ * @param {import('./trackParserPool.js').TrackParserPool|null} [options.pool] - Worker pool for parsing
+ * @param {number} [options.attempts=DEFAULT_RETRY_ATTEMPTS] - Maximum attempts per file in this retry
+ * @param {function(number): Promise<void>} [options.wait] - Delay function (for tests)
+ * @param {import('./trackCleaning.js').TrackCleaningOptions} [options.cleaning={}] - GPS cleaning steps
+ * @param {Array<import('./privacyZones.js').PrivacyZone>} [options.privacyZones=[]] - Zones trimmed from the routes
+ * @returns {Promise<{runs: Array, failed: Array<import('./loadErrors.js').FailedLoad>}>} Recovered runs and still-failing files
+ */
+export async function retryFailedLoads(failedLoads, onProgress = null, options = {}) {
+  const {
+    source = defaultDataSource,
+    attempts = DEFAULT_RETRY_ATTEMPTS,
+    wait = sleep,
+    cleaning = {},
+    privacyZones = []
+  } = options
+  const cache = options.cache !== undefined ? options.cache : await openTrackCache()
+  const pool = options.pool !== undefined ? options.pool : getTrackParserPool()
+  const runs = []
+  const failed = []
+  let processed = 0
+
+  const retryOne = async (failedLoad) => {
+    const activity = failedLoad.activity || failedLoad
+    let result = null
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (attempt > 1) {
+        await wait(getRetryDelay(attempt - 1))
+      }
+      result = await loadGPXFile(activity.filename, source, { cache, pool })
+      if (!result.error || !TRANSIENT_LOAD_ERRORS.has(result.errorCode)) break
+    }
+
+    if (result.error) {
+      failed.push(createFailedLoad(activity, result, (failedLoad.attempts || 1) + 1))
+    } else {
+      runs.push(createRun(activity, result, { cleaning, privacyZones }))
+    }
+
+    processed++
+    if (onProgress) {
+      onProgress(processed, failedLoads.length)
+    }
+  }
+
+  log.info(`Retrying ${failedLoads.length} failed activity files...`)
+  for (let i = 0; i < failedLoads.length; i += GPX_BATCH_SIZE) {
+    await Promise.all(failedLoads.slice(i, i + GPX_BATCH_SIZE).map(retryOne))
+  }
+  log.info(`Retry recovered ${runs.length} of ${failedLoads.length} runs`)
 
   return { runs, failed }
 }
 
 /**
- * Load all running activities with their GPX data and location metadata
+ * Load all GPS activities with their GPX data and location metadata
  * Excludes treadmill runs (no GPS data)
  * @param {Function} onProgress - Optional callback for progress updates (loaded, total)
  * @param {Object} filters - Optional filter criteria
+ * @param {Object} [options={}] - Load options, passed through to loadGPXForActivities
+ * @param {import('./dataSources.js').DataSource} [options.source=defaultDataSource] - Where to read the export from
+ * @param {boolean} [options.geocode=true] - Locate activities missing from activities-location.csv
+ * @param {Map} [options.locations] - Location edits that override activities-location.csv
+ * @param {AbortSignal} [options.signal] - Stops loading, also while reading metadata (see loadGPXForActivities)
  * @returns {Promise<GPXLoadBatchResult>} Result with runs array and failed loads array
  */
-export async function loadAllRuns(onProgress = null, filters = null) {
+export async function loadAllRuns(onProgress = null, filters = null, options = {}) {
+  const { signal = null } = options
+
   // Load metadata first
-  const allActivities = await loadMetadataOnly()
+  let allActivities
+  try {
+    allActivities = await loadMetadataOnly(options.source, {
+      geocode: options.geocode,
+      locations: options.locations,
+      signal
+    })
+  } catch (error) {
+    if (!signal || !signal.aborted) throw error
+    // Stopped before the activity list was ready: nothing loaded or left to resume
+    log.info('Loading cancelled while reading activity metadata')
+    return { runs: [], failed: [], aborted: true, remaining: [] }
+  }
 
   // Apply filters if provided
   const activitiesToLoad = filters
@@ -426,5 +1210,5 @@ export async function loadAllRuns(onProgress = null, filters = null) {
   log.info(`Loading ${activitiesToLoad.length} of ${allActivities.length} activities after filtering`)
 
   // Load GPX files for filtered activities
-  return loadGPXForActivities(activitiesToLoad, onProgress)
+  return loadGPXForActivities(activitiesToLoad, onProgress, options)
 }
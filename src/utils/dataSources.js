@@ -0,0 +1,453 @@
+/**
+ * Data Sources
+ *
+ * Abstraction over where an athlete's export lives, so the data loader can
+ * parse the same files from different origins:
+ *
+ * - HTTP folder (default: public/data served at /data)
+ * - In-memory Strava export ZIP (see zipImport.js)
+ * - Local directory picked with the File System Access API
+ * - Fixture files (tests)
+ *
+ * Every source resolves paths relative to the export root, the folder that
+ * contains activities.csv (e.g., "activities.csv", "activities/123.gpx.gz").
+ *
+ * Several athletes' exports can be combined into one source. Each athlete's
+ * files appear under a folder named after the athlete's key
+ * ("alice/activities/123.gpx"), and the source lists the athletes so the
+ * loader can read every activities.csv. A folder can describe its athletes
+ * in an athletes.json manifest:
+ *
+ *   { "athletes": [{ "name": "Alice", "path": "alice" }, { "name": "Bob", "path": "bob" }] }
+ *
+ * @module utils/dataSources
+ */
+
+import { readArchiveFile } from './zipImport.js'
+
+/**
+ * A place to read export files from
+ * @typedef {Object} DataSource
+ * @property {string} name - Display name (shown on the setup page)
+ * @property {function(string, Object=): Promise<Uint8Array>} readFile - Read a file by
+ *   path relative to the export root. Rejects with an Error whose `code` is
+ *   'NOT_FOUND' when the file does not exist. Sources that read over the
+ *   network honor an AbortSignal passed as `{ signal }`.
+ * @property {function(string): Promise<FileStat|null>} stat - Get file metadata
+ *   without reading the content (used as the track cache key). Resolves to
+ *   null when the source cannot tell; files are then keyed by a hash of their
+ *   content.
+ * @property {function(string, FileStat|null, Object=): Promise<ChangedFile|null>} [readFileIfChanged] -
+ *   Read a file unless it still matches metadata recorded from an earlier read,
+ *   resolving to null when it does. Sources that cannot stat files cheaply
+ *   (HTTP) provide it, so a cached track is confirmed with one conditional
+ *   request instead of a download.
+ * @property {Array<Athlete>} [athletes] - Exports combined in this source (multi-athlete sources only)
+ */
+
+/**
+ * File read by readFileIfChanged
+ * @typedef {Object} ChangedFile
+ * @property {Uint8Array} bytes - File content
+ * @property {FileStat|null} stat - Metadata to pass to the next readFileIfChanged
+ */
+
+/**
+ * One athlete's export within a multi-athlete source
+ * @typedef {Object} Athlete
+ * @property {string} name - Display name
+ * @property {string} key - Folder of the athlete's files in the combined source
+ * @property {DataSource} source - Source of the athlete's own export
+ */
+
+/**
+ * File metadata used to detect changed files
+ * At least one of the fields is set.
+ * @typedef {Object} FileStat
+ * @property {number|null} size - Size in bytes
+ * @property {number|null} lastModified - Modification time (ms since epoch)
+ * @property {string|null} hash - Content checksum or HTTP ETag
+ */
+
+/**
+ * Error code for files missing from a source
+ */
+export const NOT_FOUND = 'NOT_FOUND'
+
+/**
+ * Manifest listing the athletes whose exports share a folder
+ */
+export const ATHLETES_MANIFEST = 'athletes.json'
+
+/**
+ * Create an Error for a file that does not exist in a source
+ * @param {string} message - Error message
+ * @returns {Error} Error with code NOT_FOUND
+ */
+function notFoundError(message) {
+  const error = new Error(message)
+  error.code = NOT_FOUND
+  return error
+}
+
+/**
+ * Check whether an error means the file does not exist
+ * @param {Error} error - Error thrown by DataSource.readFile
+ * @returns {boolean} True for missing files
+ */
+export function isNotFoundError(error) {
+  return Boolean(error) && error.code === NOT_FOUND
+}
+
+/**
+ * Read file metadata from HTTP response headers
+ * @param {Headers} headers - Response headers
+ * @returns {FileStat|null} File metadata, or null if the headers carry none
+ */
+function getResponseStat(headers) {
+  const size = headers.get('Content-Length')
+  const lastModified = Date.parse(headers.get('Last-Modified') || '')
+  const stat = {
+    size: size !== null ? Number(size) : null,
+    lastModified: Number.isNaN(lastModified) ? null : lastModified,
+    hash: headers.get('ETag')
+  }
+  return stat.size !== null || stat.lastModified !== null || stat.hash ? stat : null
+}
+
+/**
+ * Build conditional request headers from recorded file metadata
+ * @param {FileStat|null} stat - Metadata from an earlier response
+ * @returns {Object<string, string>} If-None-Match and If-Modified-Since headers
+ */
+function getConditionalHeaders(stat) {
+  const headers = {}
+  if (stat && stat.hash) {
+    headers['If-None-Match'] = stat.hash
+  }
+  if (stat && stat.lastModified !== null) {
+    headers['If-Modified-Since'] = new Date(stat.lastModified).toUTCString()
+  }
+  return headers
+}
+
+/**
+ * Throw the error for a failed HTTP response
+ * @param {Response} response - Response that is not ok
+ * @throws {Error} Error with code NOT_FOUND for 404, otherwise with the HTTP status
+ */
+function throwResponseError(response) {
+  const message = `HTTP ${response.status}: ${response.statusText}`
+  if (response.status === 404) {
+    throw notFoundError(message)
+  }
+  const error = new Error(message)
+  error.status = response.status
+  throw error
+}
+
+/**
+ * Create a source that fetches files over HTTP
+ * stat() would need a request of its own, so it resolves to null. Cached
+ * tracks are confirmed with readFileIfChanged instead: one conditional GET
+ * (If-None-Match / If-Modified-Since) that the server answers with an empty
+ * 304 while the file is unchanged.
+ * @param {string} [baseUrl='/data'] - URL of the export root folder
+ * @param {string} [name] - Display name (defaults to the base URL)
+ * @returns {DataSource} HTTP data source
+ */
+export function createHttpSource(baseUrl = '/data', name = baseUrl) {
+  return {
+    name,
+    async readFile(path, options = {}) {
+      const response = await fetch(`${baseUrl}/${path}`, { signal: options.signal })
+      if (!response.ok) {
+        throwResponseError(response)
+      }
+      return new Uint8Array(await response.arrayBuffer())
+    },
+    async readFileIfChanged(path, stat, options = {}) {
+      const response = await fetch(`${baseUrl}/${path}`, {
+        signal: options.signal,
+        headers: getConditionalHeaders(stat)
+      })
+      if (response.status === 304) {
+        return null
+      }
+      if (!response.ok) {
+        throwResponseError(response)
+      }
+      return {
+        bytes: new Uint8Array(await response.arrayBuffer()),
+        stat: getResponseStat(response.headers)
+      }
+    },
+    async stat() {
+      return null
+    }
+  }
+}
+
+/**
+ * Create a source backed by an opened Strava export ZIP
+ * @param {import('./zipImport.js').ExportArchive} archive - Archive from openStravaExport
+ * @returns {DataSource} ZIP data source
+ */
+export function createZipSource(archive) {
+  return {
+    name: archive.name,
+    async readFile(path) {
+      const bytes = await readArchiveFile(archive, path)
+      if (!bytes) {
+        throw notFoundError(`File not found in archive: ${path}`)
+      }
+      return bytes
+    },
+    async stat() {
+      // JSZip keeps sizes and checksums private, so entries are keyed by content
+      return null
+    }
+  }
+}
+
+/**
+ * Create a source backed by a local directory (File System Access API)
+ * @param {FileSystemDirectoryHandle} directoryHandle - Handle of the export root folder
+ * @returns {DataSource} Directory data source
+ */
+export function createDirectorySource(directoryHandle) {
+  /**
+   * Resolve a path to a File object
+   * @param {string} path - Path relative to the export root
+   * @returns {Promise<File>} File
+   */
+  async function getFile(path) {
+    const parts = path.split('/').filter(Boolean)
+    const filename = parts.pop()
+
+    try {
+      let directory = directoryHandle
+      for (const part of parts) {
+        directory = await directory.getDirectoryHandle(part)
+      }
+      const fileHandle = await directory.getFileHandle(filename)
+      return await fileHandle.getFile()
+    } catch (error) {
+      if (error.name === 'NotFoundError' || error.name === 'TypeMismatchError') {
+        throw notFoundError(`File not found in folder: ${path}`)
+      }
+      throw error
+    }
+  }
+
+  return {
+    name: directoryHandle.name,
+    async readFile(path) {
+      const file = await getFile(path)
+      return new Uint8Array(await file.arrayBuffer())
+    },
+    async stat(path) {
+      try {
+        const file = await getFile(path)
+        return { size: file.size, lastModified: file.lastModified, hash: null }
+      } catch (error) {
+        if (isNotFoundError(error)) return null
+        throw error
+      }
+    }
+  }
+}
+
+/**
+ * Check whether the browser can pick local directories
+ * @returns {boolean} True if window.showDirectoryPicker is available
+ */
+export function isDirectoryPickerSupported() {
+  return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function'
+}
+
+/**
+ * Ask the user for an export folder and create a source for it
+ * @returns {Promise<DataSource>} Directory data source
+ * @throws {Error} If the picker is unsupported or the user cancels (AbortError)
+ */
+export async function pickDirectorySource() {
+  if (!isDirectoryPickerSupported()) {
+    throw new Error('Opening local folders is not supported in this browser')
+  }
+  const directoryHandle = await window.showDirectoryPicker({ mode: 'read' })
+  return createDirectorySource(directoryHandle)
+}
+
+/**
+ * Create a source from in-memory files (for tests and demos)
+ * @param {Object<string, string|Uint8Array>} files - File content keyed by path
+ * @param {string} [name='fixture'] - Display name
+ * @returns {DataSource} Fixture data source
+ */
+export function createFixtureSource(files, name = 'fixture') {
+  const encoder = new TextEncoder()
+  return {
+    name,
+    async readFile(path) {
+      if (!Object.prototype.hasOwnProperty.call(files, path)) {
+        throw notFoundError(`File not found: ${path}`)
+      }
+      const content = files[path]
+      return typeof content === 'string' ? encoder.encode(content) : content
+    },
+    async stat(path) {
+      if (!Object.prototype.hasOwnProperty.call(files, path)) return null
+      const content = files[path]
+      const size = typeof content === 'string' ? encoder.encode(content).length : content.length
+      return { size, lastModified: null, hash: null }
+    }
+  }
+}
+
+/**
+ * Read a file through a wrapped source's readFileIfChanged
+ * Sources without it are read in full, with no metadata to record.
+ * @param {DataSource} source - Wrapped source
+ * @param {string} path - Path in the wrapped source
+ * @param {FileStat|null} stat - Metadata from an earlier read
+ * @param {Object} [options] - Read options ({ signal })
+ * @returns {Promise<ChangedFile|null>} File, or null if unchanged
+ */
+async function readFileIfChanged(source, path, stat, options) {
+  if (typeof source.readFileIfChanged === 'function') {
+    return source.readFileIfChanged(path, stat, options)
+  }
+  return { bytes: await source.readFile(path, options), stat: null }
+}
+
+/**
+ * Create a source for a folder inside another source
+ * @param {DataSource} source - Parent source
+ * @param {string} folder - Folder path relative to the parent's root
+ * @param {string} [name] - Display name (defaults to the parent name and folder)
+ * @returns {DataSource} Source rooted at the folder
+ */
+export function createSubfolderSource(source, folder, name) {
+  const prefix = folder.replace(/^\/+|\/+$/g, '')
+  return {
+    name: name || `${source.name}/${prefix}`,
+    readFile(path, options) {
+      return source.readFile(`${prefix}/${path}`, options)
+    },
+    readFileIfChanged(path, stat, options) {
+      return readFileIfChanged(source, `${prefix}/${path}`, stat, options)
+    },
+    async stat(path) {
+      return typeof source.stat === 'function' ? source.stat(`${prefix}/${path}`) : null
+    }
+  }
+}
+
+/**
+ * Derive a folder-safe key from an athlete name
+ * @param {string} name - Athlete name
+ * @param {Set<string>} used - Keys already taken (the new key is added)
+ * @returns {string} Unique key (e.g., "anna-lena", "anna-lena-2")
+ */
+function createAthleteKey(name, used) {
+  const base = String(name).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'athlete'
+  let key = base
+  for (let suffix = 2; used.has(key); suffix++) {
+    key = `${base}-${suffix}`
+  }
+  used.add(key)
+  return key
+}
+
+/**
+ * Combine several athletes' exports into one source
+ * Files are addressed as "<athlete key>/<path in the athlete's export>".
+ * @param {Array<{name: string, source: DataSource}>} athletes - Athlete names and their exports
+ * @param {string} [name] - Display name (defaults to the athlete names)
+ * @returns {DataSource} Multi-athlete source (with `athletes`)
+ */
+export function createAthletesSource(athletes, name = athletes.map(athlete => athlete.name).join(', ')) {
+  const used = new Set()
+  const entries = athletes.map(athlete => ({
+    name: athlete.name,
+    key: createAthleteKey(athlete.name, used),
+    source: athlete.source
+  }))
+  const byKey = new Map(entries.map(entry => [entry.key, entry]))
+
+  /**
+   * Split a combined path into the athlete and the path in their export
+   * @param {string} path - Combined path
+   * @returns {{athlete: Athlete, path: string}|null} Athlete and path, or null for unknown keys
+   */
+  function resolvePath(path) {
+    const slash = path.indexOf('/')
+    const athlete = slash > 0 ? byKey.get(path.slice(0, slash)) : null
+    return athlete ? { athlete, path: path.slice(slash + 1) } : null
+  }
+
+  return {
+    name,
+    athletes: entries,
+    async readFile(path, options) {
+      const resolved = resolvePath(path)
+      if (!resolved) {
+        throw notFoundError(`No athlete folder for ${path}`)
+      }
+      return resolved.athlete.source.readFile(resolved.path, options)
+    },
+    async readFileIfChanged(path, stat, options) {
+      const resolved = resolvePath(path)
+      if (!resolved) {
+        throw notFoundError(`No athlete folder for ${path}`)
+      }
+      return readFileIfChanged(resolved.athlete.source, resolved.path, stat, options)
+    },
+    async stat(path) {
+      const resolved = resolvePath(path)
+      if (!resolved || typeof resolved.athlete.source.stat !== 'function') return null
+      return resolved.athlete.source.stat(resolved.path)
+    }
+  }
+}
+
+/**
+ * Read a source's athletes.json and combine the athletes it lists
+ * @param {DataSource} source - Source that may contain several exports
+ * @returns {Promise<DataSource|null>} Multi-athlete source, or null if the source has no manifest
+ * @throws {Error} If the manifest is not valid
+ */
+export async function loadAthletesManifest(source) {
+  let bytes
+  try {
+    bytes = await source.readFile(ATHLETES_MANIFEST)
+  } catch (error) {
+    if (isNotFoundError(error)) return null
+    throw error
+  }
+
+  let manifest
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(bytes))
+  } catch (error) {
+    throw new Error(`${ATHLETES_MANIFEST} is not valid JSON: ${error.message}`)
+  }
+
+  const athletes = manifest && Array.isArray(manifest.athletes) ? manifest.athletes : null
+  if (!athletes || athletes.length === 0 ||
+      !athletes.every(athlete => athlete && typeof athlete.name === 'string' && typeof athlete.path === 'string')) {
+    throw new Error(`${ATHLETES_MANIFEST} must list athletes as { "name": ..., "path": ... }`)
+  }
+
+  return createAthletesSource(
+    athletes.map(athlete => ({ name: athlete.name, source: createSubfolderSource(source, athlete.path) })),
+    source.name
+  )
+}
+
+/**
+ * Default source: the public/data folder served by Vite at /data
+ */
+export const defaultDataSource = createHttpSource('/data', 'Local data folder')
@@ -0,0 +1,350 @@
+/**
+ * Compiled Dataset
+ *
+ * Parsing thousands of GPX files is the slowest part of startup, so
+ * scripts/compile-dataset.js compiles an export folder into two files that
+ * the loader reads instead of the activity files:
+ * - dataset.json  activities as read from activities.csv, plus an index of the tracks
+ * - dataset.bin   every track as Int32 streams (little-endian)
+ *
+ * A track block holds `lat` and `lon` (degrees x 1e7), then one stream per
+ * recorded field: `time` in milliseconds after the track's `timeBase`, and
+ * `ele`, `hr`, `cad` and `speed` in fixed point (see FIELD_SCALES). Missing
+ * values are stored as the smallest Int32. Files that failed to load when the
+ * dataset was compiled are listed with their load error, so they fail the same
+ * way without being read.
+ *
+ * The metadata is read on its own; the track streams are only fetched when
+ * the first track is needed and each track is decoded on demand, so
+ * activities can be filtered before any geometry is touched. A dataset is
+ * ignored once activities.csv no longer has the size it was compiled from.
+ *
+ * @module utils/dataset
+ */
+
+import { createLogger } from './logger.js'
+import { createTrackPoint, getTrackPoints } from './trackModel.js'
+import { isNotFoundError } from './dataSources.js'
+
+const log = createLogger('Dataset')
+
+/**
+ * Dataset metadata file, relative to the export root
+ */
+export const DATASET_FILE = 'dataset.json'
+
+/**
+ * Dataset track streams file, relative to the export root
+ */
+export const DATASET_TRACKS_FILE = 'dataset.bin'
+
+/**
+ * Dataset format version this module reads and writes
+ */
+export const DATASET_VERSION = 1
+
+/**
+ * Fixed-point scale of latitudes and longitudes (1e-7 degrees, about 1 cm)
+ */
+export const COORDINATE_SCALE = 1e7
+
+/**
+ * Fixed-point scales of the optional point fields (time is stored in ms)
+ */
+export const FIELD_SCALES = Object.freeze({ ele: 100, hr: 10, cad: 10, speed: 1000 })
+
+// Optional point fields, in stream order
+const POINT_FIELDS = ['time', 'ele', 'hr', 'cad', 'speed']
+
+// Stored for missing values
+const MISSING = -2147483648
+const INT32_MAX = 2147483647
+
+/**
+ * Index entry of a compiled track
+ * @typedef {Object} DatasetTrackEntry
+ * @property {number} offset - Byte offset of the track block in dataset.bin
+ * @property {Array<number>} segments - Number of points in each segment
+ * @property {Array<string>} fields - Optional fields stored, in stream order
+ * @property {number|null} timeBase - Timestamp the time stream counts from (ms since epoch)
+ * @property {Array<string>} [warnings] - Parse warnings of the source file
+ */
+
+/**
+ * Load result of a compiled file
+ * @typedef {Object} DatasetTrack
+ * @property {import('./trackModel.js').Track} [track] - Decoded track
+ * @property {string} [error] - Error message, for files that failed to load when compiled
+ * @property {string} [errorCode] - Load error code (one of LOAD_ERROR in loadErrors.js)
+ */
+
+/**
+ * Opened dataset
+ * @typedef {Object} Dataset
+ * @property {Array} activities - Activities as loadActivitiesCSV returns them
+ * @property {string|null} generated - When the dataset was compiled (ISO 8601)
+ * @property {function(string): Promise<DatasetTrack|null>} getTrack - Track of an activity file,
+ *   or null if the file is not in the dataset
+ */
+
+/**
+ * Store a value in fixed point
+ * @param {number|null} value - Value to store
+ * @param {number} scale - Fixed-point scale
+ * @returns {number} Stored integer (MISSING for null or out-of-range values)
+ */
+function toFixed(value, scale) {
+  if (value === null || !Number.isFinite(value)) return MISSING
+  const stored = Math.round(value * scale)
+  return stored > MISSING && stored <= INT32_MAX ? stored : MISSING
+}
+
+/**
+ * Encode one track as an Int32 block
+ * @param {import('./trackModel.js').Track} track - Parsed track
+ * @returns {{values: Int32Array, entry: DatasetTrackEntry}} Block and its index entry (without offset)
+ */
+function encodeTrack(track) {
+  const points = getTrackPoints(track)
+  const count = points.length
+
+  let timeBase = null
+  let lastTime = null
+  for (const { time } of points) {
+    if (time === null) continue
+    timeBase = timeBase === null ? time : Math.min(timeBase, time)
+    lastTime = lastTime === null ? time : Math.max(lastTime, time)
+  }
+  const fields = POINT_FIELDS.filter(field => {
+    if (!points.some(point => point[field] !== null)) return false
+    // Tracks spanning more than 24 days cannot store time offsets in an Int32
+    if (field === 'time' && lastTime - timeBase > INT32_MAX) {
+      log.warn('Dropping timestamps of a track spanning more than 24 days')
+      return false
+    }
+    return true
+  })
+
+  const values = new Int32Array(count * (2 + fields.length))
+  points.forEach((point, i) => {
+    values[i] = toFixed(point.lat, COORDINATE_SCALE)
+    values[count + i] = toFixed(point.lon, COORDINATE_SCALE)
+    fields.forEach((field, f) => {
+      const offset = (2 + f) * count + i
+      values[offset] = field === 'time'
+        ? (point.time === null ? MISSING : point.time - timeBase)
+        : toFixed(point[field], FIELD_SCALES[field])
+    })
+  })
+
+  const entry = { segments: track.segments.map(segment => segment.length), fields, timeBase }
+  if (track.warnings && track.warnings.length > 0) {
+    entry.warnings = track.warnings
+  }
+  return { values, entry }
+}
+
+/**
+ * Compile activities and their loaded tracks into a dataset
+ * @param {Array} activities - Activities from loadActivitiesCSV
+ * @param {Map<string, DatasetTrack>} tracks - Filename to parsed track or load error
+ * @param {Object} [options={}] - Dataset options
+ * @param {number|null} [options.activitiesCsvSize=null] - Size of the compiled activities.csv in bytes
+ * @returns {{metadata: Object, bytes: Uint8Array}} Contents of dataset.json and dataset.bin
+ */
+export function encodeDataset(activities, tracks, options = {}) {
+  const { activitiesCsvSize = null } = options
+  const trackIndex = {}
+  const errors = {}
+  const blocks = []
+  let offset = 0
+
+  for (const [filename, result] of tracks) {
+    if (!result.track) {
+      errors[filename] = { code: result.errorCode, message: result.error }
+      continue
+    }
+    const { values, entry } = encodeTrack(result.track)
+    trackIndex[filename] = { offset, ...entry }
+    blocks.push(values)
+    offset += values.byteLength
+  }
+
+  const all = new Int32Array(offset / 4)
+  let position = 0
+  for (const values of blocks) {
+    all.set(values, position)
+    position += values.length
+  }
+
+  return {
+    metadata: {
+      version: DATASET_VERSION,
+      generated: new Date().toISOString(),
+      activitiesCsvSize,
+      activities,
+      tracks: trackIndex,
+      errors
+    },
+    bytes: new Uint8Array(all.buffer)
+  }
+}
+
+/**
+ * Decode one track from the track streams
+ * @param {DatasetTrackEntry} entry - Index entry
+ * @param {Int32Array} values - All of dataset.bin
+ * @returns {import('./trackModel.js').Track} Track
+ */
+export function decodeTrack(entry, values) {
+  const count = entry.segments.reduce((sum, length) => sum + length, 0)
+  const start = entry.offset / 4
+  const fromFixed = (stored, scale) => stored === MISSING ? null : stored / scale
+
+  const segments = []
+  let i = 0
+  for (const length of entry.segments) {
+    const points = []
+    for (const end = i + length; i < end; i++) {
+      const fields = {}
+      entry.fields.forEach((field, f) => {
+        const stored = values[start + (2 + f) * count + i]
+        fields[field] = field === 'time'
+          ? (stored === MISSING ? null : entry.timeBase + stored)
+          : fromFixed(stored, FIELD_SCALES[field])
+      })
+      points.push(createTrackPoint(
+        values[start + i] / COORDINATE_SCALE,
+        values[start + count + i] / COORDINATE_SCALE,
+        fields
+      ))
+    }
+    segments.push(points)
+  }
+
+  return entry.warnings ? { segments, warnings: entry.warnings } : { segments }
+}
+
+/**
+ * Open a dataset from its metadata
+ * @param {Object} metadata - Parsed dataset.json
+ * @param {function(): Promise<Uint8Array>} readTracks - Reads dataset.bin (called once, when first needed)
+ * @returns {Dataset} Dataset
+ * @throws {Error} If the format version is not supported
+ */
+export function createDataset(metadata, readTracks) {
+  if (!metadata || metadata.version !== DATASET_VERSION || !Array.isArray(metadata.activities)) {
+    throw new Error(`Unsupported dataset format (expected version ${DATASET_VERSION})`)
+  }
+
+  let valuesPromise = null
+
+  // Track streams as Int32 values, or null if they cannot be read
+  function getValues() {
+    if (!valuesPromise) {
+      valuesPromise = readTracks().then(bytes => {
+        // Int32Array views need a 4-byte aligned offset
+        const aligned = bytes.byteOffset % 4 === 0 ? bytes : bytes.slice()
+        return new Int32Array(aligned.buffer, aligned.byteOffset, aligned.byteLength >> 2)
+      }).catch(error => {
+        log.warn(`Could not read ${DATASET_TRACKS_FILE} - reading activity files instead:`, error)
+        return null
+      })
+    }
+    return valuesPromise
+  }
+
+  return {
+    activities: metadata.activities,
+    generated: metadata.generated || null,
+    async getTrack(filename) {
+      const error = metadata.errors && metadata.errors[filename]
+      if (error) {
+        return { error: error.message, errorCode: error.code }
+      }
+      const entry = metadata.tracks && metadata.tracks[filename]
+      if (!entry) {
+        return null
+      }
+      const values = await getValues()
+      return values ? { track: decodeTrack(entry, values) } : null
+    }
+  }
+}
+
+/**
+ * Open the compiled dataset of an export, if it has a current one
+ * Resolves to null (and the export is read file by file) when there is no
+ * dataset, it cannot be read, or activities.csv changed since it was compiled.
+ * @param {import('./dataSources.js').DataSource} source - Export root
+ * @returns {Promise<Dataset|null>} Dataset, or null
+ */
+export async function loadDataset(source) {
+  let text
+  try {
+    text = new TextDecoder().decode(await source.readFile(DATASET_FILE))
+  } catch (error) {
+    if (!isNotFoundError(error)) {
+      log.warn(`Could not read ${DATASET_FILE}:`, error)
+    }
+    return null
+  }
+
+  // Dev servers answer requests for missing files with the app's index.html
+  if (text.trimStart().startsWith('<')) {
+    return null
+  }
+
+  let dataset
+  try {
+    const metadata = JSON.parse(text)
+    dataset = createDataset(metadata, () => source.readFile(DATASET_TRACKS_FILE))
+
+    const stat = typeof source.stat === 'function' ? await source.stat('activities.csv') : null
+    if (stat && stat.size !== null && metadata.activitiesCsvSize !== null && stat.size !== metadata.activitiesCsvSize) {
+      log.warn(`${DATASET_FILE} is out of date (activities.csv changed) - run "npm run compile:dataset" again`)
+      return null
+    }
+  } catch (error) {
+    log.warn(`Ignoring unreadable ${DATASET_FILE}:`, error)
+    return null
+  }
+
+  log.info(`Using the compiled dataset of ${source.name} (${dataset.activities.length} activities)`)
+  return dataset
+}
+
+// Opened datasets per source
+const datasets = new WeakMap()
+
+/**
+ * Get the compiled dataset of a source (opened once per source)
+ * @param {import('./dataSources.js').DataSource} source - Export root
+ * @returns {Promise<Dataset|null>} Dataset, or null if the source has none
+ */
+export function getDataset(source) {
+  if (!datasets.has(source)) {
+    datasets.set(source, loadDataset(source))
+  }
+  return datasets.get(source)
+}
+
+/**
+ * Look up an activity file in the compiled datasets of a source
+ * Only datasets already opened with getDataset (by loadMetadataOnly) are
+ * searched, so loading a single file never probes the source for a dataset.
+ * Multi-athlete sources are searched in the dataset of the athlete's export.
+ * @param {import('./dataSources.js').DataSource} source - Data source
+ * @param {string} filename - Activity filename
+ * @returns {Promise<DatasetTrack|null>} Compiled track or load error, or null to read the file
+ */
+export async function findDatasetTrack(source, filename) {
+  if (source.athletes) {
+    const slash = filename.indexOf('/')
+    const athlete = source.athletes.find(entry => entry.key === filename.slice(0, slash))
+    return athlete ? findDatasetTrack(athlete.source, filename.slice(slash + 1)) : null
+  }
+
+  const dataset = datasets.has(source) ? await datasets.get(source) : null
+  return dataset ? dataset.getTrack(filename) : null
+}
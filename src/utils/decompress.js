@@ -0,0 +1,52 @@
+/**
+ * Decompression Utilities
+ *
+ * Strava bulk exports store most activity files gzipped
+ * (activities/123.gpx.gz, .tcx.gz, .fit.gz). These helpers decompress them
+ * in the browser with the native DecompressionStream API, so the export can
+ * be used as-is without gunzipping files by hand.
+ *
+ * @module utils/decompress
+ */
+
+/**
+ * Check whether bytes start with the gzip magic number (1F 8B)
+ *
+ * Magic bytes are checked rather than trusting the .gz extension: a server
+ * may already have decoded the file (Content-Encoding: gzip), in which case
+ * the content is plain despite the filename.
+ *
+ * @param {Uint8Array} bytes - File content
+ * @returns {boolean} True if the content is gzip-compressed
+ */
+export function isGzip(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0x1F && bytes[1] === 0x8B
+}
+
+/**
+ * Decompress gzip data
+ * @param {Uint8Array} bytes - Gzip-compressed bytes
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ * @throws {Error} If the data is not valid gzip or the browser lacks DecompressionStream
+ */
+export async function gunzip(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Gzip decompression is not supported in this browser')
+  }
+
+  try {
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('gzip'))
+    return new Uint8Array(await new Response(stream).arrayBuffer())
+  } catch (error) {
+    throw new Error(`Failed to decompress gzip data: ${error.message}`)
+  }
+}
+
+/**
+ * Decompress bytes if they are gzipped, otherwise return them unchanged
+ * @param {Uint8Array} bytes - Possibly compressed file content
+ * @returns {Promise<Uint8Array>} Plain file content
+ */
+export async function decompressIfGzipped(bytes) {
+  return isGzip(bytes) ? gunzip(bytes) : bytes
+}
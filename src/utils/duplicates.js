@@ -0,0 +1,238 @@
+/**
+ * Duplicate Activities
+ *
+ * Finds activities recorded twice (e.g., uploaded by both a watch and a
+ * phone): their recordings overlap in time and follow the same route. Each
+ * group of duplicates recommends the better-quality recording to keep; the
+ * others go on an exclusion list, stored in localStorage, that
+ * filterActivities honors.
+ *
+ * @module utils/duplicates
+ */
+
+import { createLogger } from './logger.js'
+import { getTrackPoints } from './trackModel.js'
+import { DUPLICATE_DETECTION } from './constants.js'
+import { getActivityStartTime } from './activityDates.js'
+
+const log = createLogger('Duplicates')
+
+/**
+ * localStorage key for excluded activity IDs
+ */
+export const EXCLUDED_ACTIVITIES_KEY = 'running-visualizer:excluded-activities:v1'
+
+// Meters per degree of latitude (for the local projection)
+const METERS_PER_DEGREE = 111320
+
+/**
+ * Activities recorded more than once
+ * @typedef {Object} DuplicateGroup
+ * @property {Array<Object>} runs - Runs in the group, best recording first
+ * @property {string} keepId - ID of the recommended recording (the first run)
+ */
+
+/**
+ * Read the excluded activity IDs
+ * @returns {Set<string>} Excluded IDs
+ */
+export function loadExcludedActivities() {
+  try {
+    const stored = localStorage.getItem(EXCLUDED_ACTIVITIES_KEY)
+    const ids = stored ? JSON.parse(stored) : []
+    return new Set(Array.isArray(ids) ? ids.map(String) : [])
+  } catch (error) {
+    log.warn('Ignoring unreadable exclusion list:', error)
+    return new Set()
+  }
+}
+
+/**
+ * Save the excluded activity IDs
+ * Failures (private browsing, quota) are logged and otherwise ignored.
+ * @param {Set<string>} ids - Excluded IDs
+ */
+export function saveExcludedActivities(ids) {
+  try {
+    localStorage.setItem(EXCLUDED_ACTIVITIES_KEY, JSON.stringify([...ids]))
+  } catch (error) {
+    log.warn('Could not save exclusion list:', error)
+  }
+}
+
+/**
+ * Get when a run was recorded
+ * Uses the track timestamps, falling back to the activity date and time.
+ * @param {Object} run - Loaded run
+ * @returns {{start: number, end: number}|null} Time window in ms, or null if unknown
+ */
+export function getRunTimeWindow(run) {
+  const points = getTrackPoints(run.rawTrack || run.track).filter(point => point.time !== null)
+  if (points.length > 1) {
+    return { start: points[0].time, end: points[points.length - 1].time }
+  }
+
+  const start = getActivityStartTime(run)
+  const duration = run.elapsedTime ?? run.movingTime
+  if (start === null || !duration) {
+    return null
+  }
+  return { start, end: start + duration * 1000 }
+}
+
+/**
+ * Describe the quality of a run's recording
+ * @param {Object} run - Loaded run
+ * @returns {{complete: boolean, sensors: Array<string>, points: number}} Whether the file loaded
+ *   completely, which sensor fields it recorded and how many points it has
+ */
+export function getRecordingQuality(run) {
+  const points = getTrackPoints(run.rawTrack || run.track)
+  const sensors = ['hr', 'cad', 'ele'].filter(field => points.some(point => point[field] !== null))
+  return {
+    complete: !run.loadWarnings || run.loadWarnings.length === 0,
+    sensors,
+    points: points.length
+  }
+}
+
+/**
+ * Order runs by recording quality, best first
+ * A complete file beats a partially loaded one, then more sensor data wins,
+ * then the denser recording.
+ * @param {Object} a - First run
+ * @param {Object} b - Second run
+ * @returns {number} Negative if a is better
+ */
+export function compareRecordingQuality(a, b) {
+  const qa = getRecordingQuality(a)
+  const qb = getRecordingQuality(b)
+  return (Number(qb.complete) - Number(qa.complete)) ||
+    (qb.sensors.length - qa.sensors.length) ||
+    (qb.points - qa.points)
+}
+
+/**
+ * Pick evenly spaced coordinates from a route
+ * @param {Array<Array<number>>} coordinates - [lat, lon] pairs
+ * @param {number} count - Largest number of coordinates to return
+ * @returns {Array<Array<number>>} Sampled coordinates (first and last included)
+ */
+function sampleCoordinates(coordinates, count) {
+  if (coordinates.length <= count) {
+    return coordinates
+  }
+  const step = (coordinates.length - 1) / (count - 1)
+  return Array.from({ length: count }, (_, i) => coordinates[Math.round(i * step)])
+}
+
+/**
+ * Fraction of one route's points lying close to another route
+ * @param {Array<Array<number>>} points - Sampled [lat, lon] points of the first route
+ * @param {Array<Array<number>>} route - Sampled [lat, lon] points of the second route
+ * @param {number} maxDistance - Largest distance counted as on the route (m)
+ * @returns {number} Matching fraction 0-1
+ */
+function getMatchingFraction(points, route, maxDistance) {
+  if (points.length === 0 || route.length === 0) {
+    return 0
+  }
+
+  // Local equirectangular projection in meters, accurate at activity scale
+  const [lat0] = route[0]
+  const scaleX = METERS_PER_DEGREE * Math.cos(lat0 * Math.PI / 180)
+  const project = ([lat, lon]) => [lon * scaleX, lat * METERS_PER_DEGREE]
+  const line = route.map(project)
+
+  let matches = 0
+  for (const point of points) {
+    const [px, py] = project(point)
+    let nearest = Infinity
+    for (let i = 0; i < line.length && nearest > maxDistance; i++) {
+      const [ax, ay] = line[i]
+      const [bx, by] = line[Math.min(i + 1, line.length - 1)]
+      const dx = bx - ax
+      const dy = by - ay
+      const lengthSquared = dx * dx + dy * dy
+      const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0
+      nearest = Math.min(nearest, Math.hypot(px - ax - t * dx, py - ay - t * dy))
+    }
+    if (nearest <= maxDistance) {
+      matches++
+    }
+  }
+  return matches / points.length
+}
+
+/**
+ * How closely two runs follow the same route
+ * @param {Object} a - First run
+ * @param {Object} b - Second run
+ * @param {Object} [settings=DUPLICATE_DETECTION] - Detection thresholds
+ * @returns {number} Smaller of the two matching fractions (0-1)
+ */
+export function getRouteSimilarity(a, b, settings = DUPLICATE_DETECTION) {
+  const pointsA = sampleCoordinates(a.coordinates || [], settings.samplePoints)
+  const pointsB = sampleCoordinates(b.coordinates || [], settings.samplePoints)
+  return Math.min(
+    getMatchingFraction(pointsA, pointsB, settings.maxPointDistance),
+    getMatchingFraction(pointsB, pointsA, settings.maxPointDistance)
+  )
+}
+
+/**
+ * Check whether two runs are the same activity
+ * @param {Object} a - First run
+ * @param {Object} b - Second run
+ * @param {{start: number, end: number}} windowA - Time window of the first run
+ * @param {{start: number, end: number}} windowB - Time window of the second run
+ * @param {Object} settings - Detection thresholds
+ * @returns {boolean} True if the recordings overlap in time and route
+ */
+function isDuplicatePair(a, b, windowA, windowB, settings) {
+  const overlap = Math.min(windowA.end, windowB.end) - Math.max(windowA.start, windowB.start)
+  const shorter = Math.min(windowA.end - windowA.start, windowB.end - windowB.start)
+  if (overlap <= 0 || overlap < settings.minTimeOverlap * shorter) {
+    return false
+  }
+  return getRouteSimilarity(a, b, settings) >= settings.minSpatialMatch
+}
+
+/**
+ * Find groups of runs that record the same activity
+ * @param {Array<Object>} runs - Loaded runs
+ * @param {Object} [settings=DUPLICATE_DETECTION] - Detection thresholds
+ * @returns {Array<DuplicateGroup>} Duplicate groups, in order of their first recording
+ */
+export function findDuplicateGroups(runs, settings = DUPLICATE_DETECTION) {
+  const timed = runs
+    .map(run => ({ run, window: getRunTimeWindow(run) }))
+    .filter(entry => entry.window)
+    .sort((a, b) => a.window.start - b.window.start)
+
+  // Union-find over duplicate pairs, so a run uploaded three times forms one group
+  const parent = timed.map((_, i) => i)
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+
+  for (let i = 0; i < timed.length; i++) {
+    for (let j = i + 1; j < timed.length && timed[j].window.start < timed[i].window.end; j++) {
+      if (isDuplicatePair(timed[i].run, timed[j].run, timed[i].window, timed[j].window, settings)) {
+        parent[find(j)] = find(i)
+      }
+    }
+  }
+
+  const groups = new Map()
+  timed.forEach((entry, i) => {
+    const root = find(i)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(entry.run)
+  })
+
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => {
+      const sorted = [...group].sort(compareRecordingQuality)
+      return { runs: sorted, keepId: sorted[0].id }
+    })
+}
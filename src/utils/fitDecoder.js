@@ -0,0 +1,356 @@
+/**
+ * FIT Decoder
+ *
+ * Pure-JavaScript decoder for Garmin FIT (Flexible and Interoperable Data
+ * Transfer) activity files, the original device upload that Strava keeps for
+ * most watch users (Garmin, Wahoo, Coros, ...).
+ *
+ * Only what the visualizer needs is decoded:
+ * - record messages (global 20): position, timestamp, altitude, heart rate,
+ *   cadence and speed
+ * - event messages (global 21): timer stop/start, used to split segments
+ *
+ * All other messages are skipped using their definitions, so files with
+ * developer fields or unknown messages still decode.
+ *
+ * @module utils/fitDecoder
+ * @see https://developer.garmin.com/fit/protocol/
+ */
+
+import { createTrackPoint } from './trackModel.js'
+import { createLogger } from './logger.js'
+
+const log = createLogger('FitDecoder')
+
+/**
+ * Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+ */
+const FIT_EPOCH_OFFSET = 631065600
+
+/**
+ * Degrees per semicircle (positions are stored as 2^31 semicircles per 180°)
+ */
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31
+
+/**
+ * Global message numbers used by the decoder
+ */
+const MESSAGE = {
+  record: 20,
+  event: 21
+}
+
+/**
+ * Record message field numbers
+ */
+const RECORD_FIELD = {
+  positionLat: 0,
+  positionLong: 1,
+  altitude: 2,
+  heartRate: 3,
+  cadence: 4,
+  speed: 6,
+  enhancedSpeed: 73,
+  enhancedAltitude: 78,
+  timestamp: 253
+}
+
+/**
+ * Event message values for the timer stop/start events
+ */
+const EVENT = {
+  fieldEvent: 0,
+  fieldEventType: 1,
+  timer: 0,
+  typeStart: 0,
+  typeStop: 1,
+  typeStopAll: 4
+}
+
+/**
+ * Timer event types that end a segment (devices write either)
+ */
+const TIMER_STOP_TYPES = new Set([EVENT.typeStop, EVENT.typeStopAll])
+
+/**
+ * CRC-16 nibble lookup table from the FIT SDK
+ */
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+]
+
+/**
+ * Compute the FIT CRC-16 of a byte range
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @param {number} [start=0] - First byte index
+ * @param {number} [end=bytes.length] - End index (exclusive)
+ * @returns {number} CRC value
+ */
+export function computeFITCRC(bytes, start = 0, end = bytes.length) {
+  let crc = 0
+  for (let i = start; i < end; i++) {
+    const byte = bytes[i]
+    let tmp = CRC_TABLE[crc & 0xF]
+    crc = (crc >> 4) & 0x0FFF
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF]
+    tmp = CRC_TABLE[crc & 0xF]
+    crc = (crc >> 4) & 0x0FFF
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF]
+  }
+  return crc
+}
+
+/**
+ * Check whether bytes start with a FIT file header
+ * @param {Uint8Array} bytes - File content
+ * @returns {boolean} True if the ".FIT" signature is present
+ */
+export function isFITFile(bytes) {
+  return bytes.length >= 12 &&
+    (bytes[0] === 12 || bytes[0] === 14) &&
+    bytes[8] === 0x2E && bytes[9] === 0x46 && bytes[10] === 0x49 && bytes[11] === 0x54
+}
+
+/**
+ * Read an unsigned or signed integer field value
+ * @param {DataView} view - Data view over the file
+ * @param {number} offset - Byte offset of the field
+ * @param {number} size - Field size in bytes (1, 2 or 4)
+ * @param {boolean} littleEndian - Byte order from the message definition
+ * @param {boolean} signed - Whether to read a signed value
+ * @returns {number|null} Value, or null for the FIT "invalid" sentinel
+ */
+function readInteger(view, offset, size, littleEndian, signed) {
+  if (size === 1) {
+    const value = view.getUint8(offset)
+    return value === 0xFF ? null : value
+  }
+  if (size === 2) {
+    const value = view.getUint16(offset, littleEndian)
+    return value === 0xFFFF ? null : value
+  }
+  if (size === 4) {
+    if (signed) {
+      const value = view.getInt32(offset, littleEndian)
+      return value === 0x7FFFFFFF ? null : value
+    }
+    const value = view.getUint32(offset, littleEndian)
+    return value === 0xFFFFFFFF ? null : value
+  }
+  return null
+}
+
+/**
+ * Decode a FIT file into a track
+ *
+ * Each timer stop/start pair ends the current segment, mirroring GPX
+ * <trkseg> boundaries. Records without a position (indoor, pre-lock) are
+ * skipped. Chained FIT files (several files concatenated) are decoded in turn.
+ *
+ * @param {ArrayBuffer|Uint8Array} data - FIT file content
+ * @returns {import('./trackModel.js').Track} Parsed track
+ * @throws {Error} If the data is not a FIT file or is truncated
+ */
+export function decodeFITTrack(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  if (!isFITFile(bytes)) {
+    throw new Error('Not a FIT file')
+  }
+
+  const segments = []
+  let currentSegment = []
+  let offset = 0
+
+  const endSegment = () => {
+    if (currentSegment.length > 0) {
+      segments.push(currentSegment)
+      currentSegment = []
+    }
+  }
+
+  while (offset < bytes.length && isFITFile(bytes.subarray(offset))) {
+    const headerSize = bytes[offset]
+    const dataSize = view.getUint32(offset + 4, true)
+    const dataStart = offset + headerSize
+    const dataEnd = dataStart + dataSize
+
+    if (dataEnd > bytes.length) {
+      throw new Error('FIT file is truncated')
+    }
+
+    if (dataEnd + 2 <= bytes.length) {
+      const expectedCRC = view.getUint16(dataEnd, true)
+      if (expectedCRC !== 0 && computeFITCRC(bytes, offset, dataEnd) !== expectedCRC) {
+        log.warn('FIT file CRC mismatch - data may be corrupted')
+      }
+    }
+
+    decodeRecords(view, dataStart, dataEnd, {
+      onRecord: point => currentSegment.push(point),
+      onTimerStop: endSegment
+    })
+
+    // Advance past data and file CRC to the next chained file (if any)
+    offset = dataEnd + 2
+  }
+
+  endSegment()
+  return { segments }
+}
+
+/**
+ * Walk the record stream of a single FIT file
+ * @param {DataView} view - Data view over the file
+ * @param {number} start - Offset of the first record
+ * @param {number} end - Offset just past the last record
+ * @param {Object} handlers - Callbacks for decoded messages
+ * @param {Function} handlers.onRecord - Called with each positioned TrackPoint
+ * @param {Function} handlers.onTimerStop - Called when the activity timer stops
+ */
+function decodeRecords(view, start, end, handlers) {
+  const definitions = new Map() // local message type -> definition
+  let lastTimestamp = null
+  let offset = start
+
+  while (offset < end) {
+    const header = view.getUint8(offset)
+    offset += 1
+
+    let localType
+    let compressedTimestamp = null
+
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last full timestamp
+      localType = (header >> 5) & 0x03
+      const timeOffset = header & 0x1F
+      if (lastTimestamp !== null) {
+        compressedTimestamp = lastTimestamp + ((timeOffset - (lastTimestamp & 0x1F)) & 0x1F)
+      }
+    } else {
+      localType = header & 0x0F
+
+      if (header & 0x40) {
+        // Definition message
+        const hasDeveloperData = (header & 0x20) !== 0
+        const littleEndian = view.getUint8(offset + 1) === 0
+        const globalNumber = view.getUint16(offset + 2, littleEndian)
+        const fieldCount = view.getUint8(offset + 4)
+        offset += 5
+
+        const fields = []
+        let size = 0
+        for (let i = 0; i < fieldCount; i++) {
+          const field = {
+            number: view.getUint8(offset),
+            size: view.getUint8(offset + 1),
+            offset: size
+          }
+          fields.push(field)
+          size += field.size
+          offset += 3
+        }
+
+        if (hasDeveloperData) {
+          const developerFieldCount = view.getUint8(offset)
+          offset += 1
+          for (let i = 0; i < developerFieldCount; i++) {
+            size += view.getUint8(offset + 1)
+            offset += 3
+          }
+        }
+
+        definitions.set(localType, { globalNumber, littleEndian, fields, size })
+        continue
+      }
+    }
+
+    // Data message
+    const definition = definitions.get(localType)
+    if (!definition) {
+      throw new Error(`FIT data message references undefined local type ${localType}`)
+    }
+    if (offset + definition.size > end) {
+      throw new Error('FIT file is truncated')
+    }
+
+    const values = readMessageValues(view, offset, definition)
+    offset += definition.size
+
+    if (values.has(RECORD_FIELD.timestamp)) {
+      lastTimestamp = values.get(RECORD_FIELD.timestamp)
+    } else if (compressedTimestamp !== null) {
+      lastTimestamp = compressedTimestamp
+      values.set(RECORD_FIELD.timestamp, compressedTimestamp)
+    }
+
+    if (definition.globalNumber === MESSAGE.record) {
+      const point = recordToTrackPoint(values)
+      if (point) handlers.onRecord(point)
+    } else if (definition.globalNumber === MESSAGE.event) {
+      if (values.get(EVENT.fieldEvent) === EVENT.timer &&
+          TIMER_STOP_TYPES.has(values.get(EVENT.fieldEventType))) {
+        handlers.onTimerStop()
+      }
+    }
+  }
+}
+
+/**
+ * Field numbers whose values are signed (semicircle positions)
+ */
+const SIGNED_FIELDS = new Set([RECORD_FIELD.positionLat, RECORD_FIELD.positionLong])
+
+/**
+ * Read the integer values of a data message
+ * Only 1, 2 and 4 byte fields are read; arrays and strings are skipped.
+ * @param {DataView} view - Data view over the file
+ * @param {number} offset - Offset of the message content
+ * @param {Object} definition - Message definition
+ * @returns {Map<number, number>} Field number to value (invalid values omitted)
+ */
+function readMessageValues(view, offset, definition) {
+  const values = new Map()
+  const isRecord = definition.globalNumber === MESSAGE.record
+
+  for (const field of definition.fields) {
+    const signed = isRecord && SIGNED_FIELDS.has(field.number)
+    const value = readInteger(view, offset + field.offset, field.size, definition.littleEndian, signed)
+    if (value !== null) {
+      values.set(field.number, value)
+    }
+  }
+
+  return values
+}
+
+/**
+ * Convert record message values into a track point
+ * @param {Map<number, number>} values - Record field values
+ * @returns {import('./trackModel.js').TrackPoint|null} Track point, or null without a position
+ */
+function recordToTrackPoint(values) {
+  const latSemicircles = values.get(RECORD_FIELD.positionLat)
+  const lonSemicircles = values.get(RECORD_FIELD.positionLong)
+  if (latSemicircles === undefined || lonSemicircles === undefined) {
+    return null
+  }
+
+  const timestamp = values.get(RECORD_FIELD.timestamp)
+  const altitude = values.get(RECORD_FIELD.enhancedAltitude) ?? values.get(RECORD_FIELD.altitude)
+  const speed = values.get(RECORD_FIELD.enhancedSpeed) ?? values.get(RECORD_FIELD.speed)
+
+  return createTrackPoint(
+    latSemicircles * SEMICIRCLES_TO_DEGREES,
+    lonSemicircles * SEMICIRCLES_TO_DEGREES,
+    {
+      time: timestamp !== undefined ? (timestamp + FIT_EPOCH_OFFSET) * 1000 : null,
+      ele: altitude !== undefined ? altitude / 5 - 500 : null,
+      hr: values.get(RECORD_FIELD.heartRate),
+      cad: values.get(RECORD_FIELD.cadence),
+      speed: speed !== undefined ? speed / 1000 : null
+    }
+  )
+}
@@ -0,0 +1,235 @@
+/**
+ * Offline Reverse Geocoder
+ *
+ * Derives city/state/country for an activity from its start coordinate using a
+ * bundled gazetteer (GeoNames cities, built by scripts/build-gazetteer.js and
+ * served from public/gazetteer/cities.json). No network geocoding service is
+ * involved, so exports stay private.
+ *
+ * Lookups use a 1° grid index, so finding the nearest city only scans the
+ * cells around the query point instead of the whole dataset.
+ *
+ * Results are cached per activity ID in localStorage, so the activity files
+ * only need to be read for geocoding once.
+ *
+ * @module utils/geocoder
+ */
+
+import { createLogger } from './logger.js'
+
+const log = createLogger('Geocoder')
+
+/**
+ * URL of the gazetteer asset
+ */
+export const GAZETTEER_URL = '/gazetteer/cities.json'
+
+/**
+ * Gazetteer format version this module understands
+ */
+export const GAZETTEER_VERSION = 1
+
+/**
+ * Cities further than this from the start point are not used (km)
+ */
+export const MAX_GEOCODE_DISTANCE_KM = 50
+
+/**
+ * localStorage key for cached geocoding results
+ */
+export const GEOCODE_CACHE_KEY = 'running-visualizer:geocode:v1'
+
+/**
+ * Mean Earth radius in km (for haversine distances)
+ */
+const EARTH_RADIUS_KM = 6371
+
+/**
+ * A populated place from the gazetteer
+ * @typedef {Object} GazetteerCity
+ * @property {string} name - City name
+ * @property {string} state - First-level administrative division (state, region, ...)
+ * @property {string} country - Country name
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lon - Longitude in degrees
+ */
+
+/**
+ * Indexed gazetteer ready for lookups
+ * @typedef {Object} Gazetteer
+ * @property {number} size - Number of cities
+ * @property {Map<string, Array<GazetteerCity>>} cells - Cities by 1° grid cell key
+ */
+
+/**
+ * Location derived from coordinates
+ * @typedef {Object} GeocodedLocation
+ * @property {string} location - City name
+ * @property {string} state - State or region
+ * @property {string} country - Country name
+ */
+
+/**
+ * Grid cell key for a coordinate
+ * @param {number} latCell - Floor of latitude
+ * @param {number} lonCell - Floor of longitude (wrapped to -180..179)
+ * @returns {string} Cell key
+ */
+function cellKey(latCell, lonCell) {
+  const wrapped = ((lonCell + 180) % 360 + 360) % 360 - 180
+  return `${latCell}:${wrapped}`
+}
+
+/**
+ * Build a gazetteer from the asset's compact row format
+ * @param {Object} data - Parsed cities.json
+ * @param {number} data.version - Format version
+ * @param {Array<Array>} data.cities - Rows of [name, state, country, lat, lon]
+ * @returns {Gazetteer} Indexed gazetteer
+ * @throws {Error} If the format version is not supported
+ */
+export function createGazetteer(data) {
+  if (!data || data.version !== GAZETTEER_VERSION || !Array.isArray(data.cities)) {
+    throw new Error(`Unsupported gazetteer format (expected version ${GAZETTEER_VERSION})`)
+  }
+
+  const cells = new Map()
+  for (const [name, state, country, lat, lon] of data.cities) {
+    const key = cellKey(Math.floor(lat), Math.floor(lon))
+    if (!cells.has(key)) {
+      cells.set(key, [])
+    }
+    cells.get(key).push({ name, state, country, lat, lon })
+  }
+
+  return { size: data.cities.length, cells }
+}
+
+/**
+ * Great-circle distance between two coordinates
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in km
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const toRad = degrees => degrees * Math.PI / 180
+  const dLat = toRad(lat2 - lat1)
+  const dLon = toRad(lon2 - lon1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Find the city nearest to a coordinate
+ * @param {Gazetteer} gazetteer - Indexed gazetteer
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} [maxDistanceKm=MAX_GEOCODE_DISTANCE_KM] - Ignore cities further away
+ * @returns {GeocodedLocation|null} Nearest city, or null if none is close enough
+ */
+export function reverseGeocode(gazetteer, lat, lon, maxDistanceKm = MAX_GEOCODE_DISTANCE_KM) {
+  if (!gazetteer || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return null
+  }
+
+  // Cells needed to cover the search radius (longitude cells shrink toward the poles)
+  const latRange = Math.ceil(maxDistanceKm / 111)
+  const lonRange = Math.min(180, Math.ceil(maxDistanceKm / (111 * Math.max(Math.cos(lat * Math.PI / 180), 0.01))))
+  const latCell = Math.floor(lat)
+  const lonCell = Math.floor(lon)
+
+  let nearest = null
+  let nearestDistance = maxDistanceKm
+
+  for (let dLat = -latRange; dLat <= latRange; dLat++) {
+    for (let dLon = -lonRange; dLon <= lonRange; dLon++) {
+      const cities = gazetteer.cells.get(cellKey(latCell + dLat, lonCell + dLon))
+      if (!cities) continue
+
+      for (const city of cities) {
+        const distance = haversineDistance(lat, lon, city.lat, city.lon)
+        if (distance <= nearestDistance) {
+          nearest = city
+          nearestDistance = distance
+        }
+      }
+    }
+  }
+
+  return nearest
+    ? { location: nearest.name, state: nearest.state, country: nearest.country }
+    : null
+}
+
+let gazetteerPromise = null
+
+/**
+ * Load and index the bundled gazetteer (once per page load)
+ * Resolves to null (with a warning) when the asset is missing from the
+ * deployment, so geocoding degrades to "Unknown" locations instead of failing
+ * the load.
+ * @param {string} [url=GAZETTEER_URL] - Gazetteer asset URL
+ * @returns {Promise<Gazetteer|null>} Indexed gazetteer, or null if unavailable
+ */
+export function loadGazetteer(url = GAZETTEER_URL) {
+  if (!gazetteerPromise) {
+    gazetteerPromise = (async () => {
+      try {
+        const response = await fetch(url)
+        if (!response.ok) {
+          log.warn(`Gazetteer missing at ${url} (HTTP ${response.status}) - locations will be Unknown; run "npm run build:gazetteer" to rebuild it`)
+          return null
+        }
+        const gazetteer = createGazetteer(await response.json())
+        log.info(`Loaded gazetteer with ${gazetteer.size} cities`)
+        return gazetteer
+      } catch (error) {
+        log.warn('Failed to load gazetteer - locations will be Unknown:', error)
+        return null
+      }
+    })()
+  }
+  return gazetteerPromise
+}
+
+/**
+ * Forget the loaded gazetteer (for tests)
+ */
+export function resetGazetteer() {
+  gazetteerPromise = null
+}
+
+// =============================================================================
+// Result Cache
+// =============================================================================
+
+/**
+ * Read cached geocoding results
+ * A null entry means the activity was geocoded but no city was close enough.
+ * @returns {Map<string, GeocodedLocation|null>} Activity ID to cached result
+ */
+export function loadGeocodeCache() {
+  try {
+    const stored = localStorage.getItem(GEOCODE_CACHE_KEY)
+    return new Map(stored ? Object.entries(JSON.parse(stored)) : [])
+  } catch (error) {
+    log.warn('Ignoring unreadable geocode cache:', error)
+    return new Map()
+  }
+}
+
+/**
+ * Persist geocoding results
+ * Failures (private browsing, quota) are logged and otherwise ignored.
+ * @param {Map<string, GeocodedLocation|null>} cache - Activity ID to result
+ */
+export function saveGeocodeCache(cache) {
+  try {
+    localStorage.setItem(GEOCODE_CACHE_KEY, JSON.stringify(Object.fromEntries(cache)))
+  } catch (error) {
+    log.warn('Could not save geocode cache:', error)
+  }
+}
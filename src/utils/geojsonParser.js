@@ -0,0 +1,101 @@
+/**
+ * GeoJSON Parser
+ *
+ * Parses GeoJSON routes (planned courses, routes exported from mapping tools)
+ * into the shared track model. Every LineString becomes a segment, as does
+ * every line of a MultiLineString; points, polygons and other geometries are
+ * ignored.
+ *
+ * Timestamps are read from the per-coordinate time arrays written by
+ * togeojson and similar converters: `properties.coordinateProperties.times`
+ * or the older `properties.coordTimes`.
+ *
+ * @module utils/geojsonParser
+ */
+
+import { createTrackPoint } from './trackModel.js'
+import { parseOptionalTime } from './xmlUtils.js'
+
+/**
+ * Convert one GeoJSON line into track points
+ * Positions are [lon, lat] or [lon, lat, elevation]; invalid positions are skipped.
+ * @param {Array<Array<number>>} positions - Line coordinates
+ * @param {Array<string>|null} times - Timestamp of each position, if recorded
+ * @returns {Array<import('./trackModel.js').TrackPoint>} Track points
+ */
+function parseLine(positions, times) {
+  const points = []
+  if (!Array.isArray(positions)) return points
+
+  positions.forEach((position, index) => {
+    if (!Array.isArray(position)) return
+    const [lon, lat, ele] = position
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return
+
+    points.push(createTrackPoint(lat, lon, {
+      time: Array.isArray(times) ? parseOptionalTime(times[index]) : null,
+      ele: Number.isFinite(ele) ? ele : null
+    }))
+  })
+  return points
+}
+
+/**
+ * Get the per-coordinate timestamps of a feature
+ * @param {Object|null} properties - Feature properties
+ * @returns {Array|null} Timestamps (nested per line for MultiLineStrings), or null
+ */
+function getCoordinateTimes(properties) {
+  if (!properties) return null
+  const times = properties.coordinateProperties?.times ?? properties.coordTimes
+  return Array.isArray(times) ? times : null
+}
+
+/**
+ * Collect the line segments of a GeoJSON object
+ * @param {Object} object - GeoJSON object (any type)
+ * @param {Array|null} times - Timestamps from the enclosing feature
+ * @param {Array<Array>} segments - Segments found so far (appended to)
+ */
+function collectSegments(object, times, segments) {
+  if (!object || typeof object !== 'object') return
+
+  switch (object.type) {
+    case 'FeatureCollection':
+      (object.features || []).forEach(feature => collectSegments(feature, null, segments))
+      break
+    case 'Feature':
+      collectSegments(object.geometry, getCoordinateTimes(object.properties), segments)
+      break
+    case 'GeometryCollection':
+      (object.geometries || []).forEach(geometry => collectSegments(geometry, null, segments))
+      break
+    case 'LineString':
+      segments.push(parseLine(object.coordinates, times))
+      break
+    case 'MultiLineString':
+      (object.coordinates || []).forEach((line, index) => {
+        segments.push(parseLine(line, times ? times[index] : null))
+      })
+      break
+  }
+}
+
+/**
+ * Parse GeoJSON text into a track
+ * @param {string} geojsonText - GeoJSON file content
+ * @returns {import('./trackModel.js').Track} Parsed track
+ * @throws {Error} If the text is not valid JSON
+ */
+export function parseGeoJSONTrack(geojsonText) {
+  let data
+  try {
+    data = JSON.parse(geojsonText)
+  } catch (error) {
+    throw new Error(`Malformed GeoJSON: ${error.message}`)
+  }
+
+  const segments = []
+  collectSegments(data, null, segments)
+  return { segments: segments.filter(points => points.length > 0) }
+}
@@ -0,0 +1,114 @@
+/**
+ * Streaming GPX Parser
+ *
+ * Worker-safe counterpart of parseGPXTrack in dataLoader.js, built on the
+ * SAX tokenizer instead of DOMParser. It produces the same track: one segment
+ * per <trkseg>, with time and elevation from direct <trkpt> children and heart
+ * rate/cadence from the first matching extension element (any namespace).
+ *
+ * Malformed files (most often truncated downloads) keep every point completed
+ * before the problem; the problem is reported in the track's warnings.
+ *
+ * @module utils/gpxSaxParser
+ */
+
+import { parseSAX, getLocalName } from './saxParser.js'
+import { createTrackPoint } from './trackModel.js'
+import { parseOptionalNumber, parseOptionalTime } from './xmlUtils.js'
+
+// Values read from direct <trkpt> children
+const CHILD_FIELDS = new Set(['time', 'ele'])
+
+// Values read from any descendant of <trkpt> (Garmin TrackPointExtension)
+const DESCENDANT_FIELDS = new Set(['hr', 'cad'])
+
+/**
+ * Parse GPX XML into a track without using the DOM
+ * @param {string} gpxXML - GPX file content as XML string
+ * @returns {import('./trackModel.js').Track} Parsed track (with warnings if partially recovered)
+ * @throws {Error} If the XML is malformed and no points could be recovered
+ */
+export function parseGPXTrackSAX(gpxXML) {
+  const segments = []
+  let segment = null // Points of the open <trkseg>
+  let point = null // Open <trkpt>: { lat, lon, values }
+  let depth = 0 // Element depth below the open <trkpt>
+  let capture = null // Element whose text is being collected: { field, depth, text }
+
+  const handlers = {
+    onOpenTag(name, attributes) {
+      const localName = getLocalName(name)
+
+      if (point) {
+        depth++
+        const wanted = (depth === 1 && CHILD_FIELDS.has(localName)) || DESCENDANT_FIELDS.has(localName)
+        if (!capture && wanted && !(localName in point.values)) {
+          capture = { field: localName, depth, text: '' }
+        }
+      } else if (localName === 'trkseg') {
+        segment = []
+      } else if (localName === 'trkpt' && segment) {
+        point = {
+          lat: parseFloat(attributes.lat),
+          lon: parseFloat(attributes.lon),
+          values: {}
+        }
+        depth = 0
+      }
+    },
+
+    onText(text) {
+      if (capture) {
+        capture.text += text
+      }
+    },
+
+    onCloseTag(name) {
+      if (point) {
+        if (depth > 0) {
+          if (capture && capture.depth === depth) {
+            point.values[capture.field] = capture.text.trim()
+            capture = null
+          }
+          depth--
+          return
+        }
+
+        const { lat, lon, values } = point
+        point = null
+        if (isNaN(lat) || isNaN(lon)) return
+
+        segment.push(createTrackPoint(lat, lon, {
+          time: parseOptionalTime(values.time ?? null),
+          ele: parseOptionalNumber(values.ele ?? null),
+          hr: parseOptionalNumber(values.hr ?? null),
+          cad: parseOptionalNumber(values.cad ?? null)
+        }))
+      } else if (getLocalName(name) === 'trkseg' && segment) {
+        if (segment.length > 0) {
+          segments.push(segment)
+        }
+        segment = null
+      }
+    }
+  }
+
+  try {
+    parseSAX(gpxXML, handlers)
+  } catch (error) {
+    // Keep the points of the segment that was cut off
+    if (segment && segment.length > 0) {
+      segments.push(segment)
+    }
+    const pointCount = segments.reduce((sum, points) => sum + points.length, 0)
+    if (pointCount === 0) {
+      throw error
+    }
+    return {
+      segments,
+      warnings: [`${error.message} - loaded the first ${pointCount} points`]
+    }
+  }
+
+  return { segments }
+}
@@ -0,0 +1,82 @@
+/**
+ * KML Parser
+ *
+ * Parses Keyhole Markup Language (.kml) files from Google Earth, Google My
+ * Maps and route planners into the shared track model.
+ *
+ * Two kinds of lines are read, in document order:
+ * - <LineString><coordinates> with "lon,lat[,alt]" tuples (routes, no timestamps)
+ * - <gx:Track> with matching <when> and <gx:coord> "lon lat [alt]" lists (recorded tracks)
+ * Each becomes a segment; a <gx:MultiTrack> contributes one segment per track.
+ *
+ * @module utils/kmlParser
+ */
+
+import { createTrackPoint } from './trackModel.js'
+import { parseXML, getChildElements, parseOptionalTime } from './xmlUtils.js'
+
+/**
+ * Parse a <LineString> into track points
+ * @param {Element} lineString - LineString element
+ * @returns {Array<import('./trackModel.js').TrackPoint>} Track points
+ */
+function parseLineString(lineString) {
+  const [coordinates] = getChildElements(lineString, 'coordinates')
+  if (!coordinates) return []
+
+  const points = []
+  for (const tuple of coordinates.textContent.trim().split(/\s+/)) {
+    const [lon, lat, alt] = tuple.split(',').map(Number)
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue
+    points.push(createTrackPoint(lat, lon, { ele: Number.isFinite(alt) ? alt : null }))
+  }
+  return points
+}
+
+/**
+ * Parse a <gx:Track> into track points
+ * @param {Element} track - Track element
+ * @returns {Array<import('./trackModel.js').TrackPoint>} Track points
+ */
+function parseGxTrack(track) {
+  const whens = getChildElements(track, 'when')
+  const points = []
+
+  getChildElements(track, 'coord').forEach((coord, index) => {
+    const [lon, lat, alt] = coord.textContent.trim().split(/\s+/).map(Number)
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return
+    points.push(createTrackPoint(lat, lon, {
+      time: whens[index] ? parseOptionalTime(whens[index].textContent.trim()) : null,
+      ele: Number.isFinite(alt) ? alt : null
+    }))
+  })
+  return points
+}
+
+/**
+ * Parse KML XML into a track
+ * @param {string} kmlXML - KML file content as XML string
+ * @returns {import('./trackModel.js').Track} Parsed track
+ * @throws {Error} If the XML is not well-formed
+ */
+export function parseKMLTrack(kmlXML) {
+  const doc = parseXML(kmlXML)
+  const elements = doc.getElementsByTagName('*')
+  const segments = []
+
+  for (let i = 0; i < elements.length; i++) {
+    const element = elements[i]
+    let points = null
+    if (element.localName === 'LineString') {
+      points = parseLineString(element)
+    } else if (element.localName === 'Track') {
+      points = parseGxTrack(element)
+    }
+
+    if (points && points.length > 0) {
+      segments.push(points)
+    }
+  }
+
+  return { segments }
+}
@@ -0,0 +1,156 @@
+/**
+ * Activity File Load Errors
+ *
+ * Error codes for activity files that fail to load, plus helpers for the
+ * failures panel: grouping by code, CSV export and retry backoff.
+ *
+ * Loaders tag errors with a code via withLoadErrorCode(); anything untagged
+ * is reported as UNKNOWN.
+ *
+ * @module utils/loadErrors
+ */
+
+import { formatCSV } from './csv.js'
+
+/**
+ * Why an activity file failed to load
+ */
+export const LOAD_ERROR = Object.freeze({
+  HTTP_ERROR: 'HTTP_ERROR',
+  FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+  READ_ERROR: 'READ_ERROR',
+  DECOMPRESSION_ERROR: 'DECOMPRESSION_ERROR',
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  PARSE_ERROR: 'PARSE_ERROR',
+  EMPTY_TRACK: 'EMPTY_TRACK',
+  UNKNOWN: 'UNKNOWN'
+})
+
+/**
+ * Display names for error codes
+ */
+export const LOAD_ERROR_LABELS = Object.freeze({
+  [LOAD_ERROR.HTTP_ERROR]: 'HTTP error',
+  [LOAD_ERROR.FILE_NOT_FOUND]: 'File not found',
+  [LOAD_ERROR.READ_ERROR]: 'Read error',
+  [LOAD_ERROR.DECOMPRESSION_ERROR]: 'Decompression error',
+  [LOAD_ERROR.UNSUPPORTED_FORMAT]: 'Unsupported format',
+  [LOAD_ERROR.PARSE_ERROR]: 'Parse error',
+  [LOAD_ERROR.EMPTY_TRACK]: 'No GPS data',
+  [LOAD_ERROR.UNKNOWN]: 'Other error'
+})
+
+/**
+ * Codes worth retrying automatically (the same file may load next time)
+ * Other errors come from the file content and are tried once per retry.
+ */
+export const TRANSIENT_LOAD_ERRORS = new Set([
+  LOAD_ERROR.HTTP_ERROR,
+  LOAD_ERROR.READ_ERROR,
+  LOAD_ERROR.UNKNOWN
+])
+
+/**
+ * Default number of attempts per file when retrying
+ */
+export const DEFAULT_RETRY_ATTEMPTS = 3
+
+/**
+ * Delay before the first automatic retry (ms); doubles on each attempt
+ */
+export const RETRY_BASE_DELAY_MS = 500
+
+/**
+ * Upper bound for the retry delay (ms)
+ */
+export const RETRY_MAX_DELAY_MS = 8000
+
+/**
+ * Information about an activity file that failed to load
+ * @typedef {Object} FailedLoad
+ * @property {string} id - Activity ID
+ * @property {string} name - Activity name
+ * @property {string} date - Activity date
+ * @property {string} filename - Activity file path
+ * @property {string} code - Error code (one of LOAD_ERROR)
+ * @property {string} error - Error message
+ * @property {number} attempts - Load attempts so far
+ * @property {Object} activity - Activity metadata (to build the run on a successful retry)
+ */
+
+/**
+ * Tag an error with a load error code, keeping an existing tag
+ * @param {Error} error - Error to tag
+ * @param {string} code - Error code (one of LOAD_ERROR)
+ * @returns {Error} The same error
+ */
+export function withLoadErrorCode(error, code) {
+  if (!error.loadErrorCode) {
+    error.loadErrorCode = code
+  }
+  return error
+}
+
+/**
+ * Create an Error tagged with a load error code
+ * @param {string} code - Error code (one of LOAD_ERROR)
+ * @param {string} message - Error message
+ * @returns {Error} Tagged error
+ */
+export function createLoadError(code, message) {
+  return withLoadErrorCode(new Error(message), code)
+}
+
+/**
+ * Get the load error code of an error
+ * @param {Error} error - Error thrown while loading
+ * @returns {string} Error code (UNKNOWN if untagged)
+ */
+export function getLoadErrorCode(error) {
+  return (error && error.loadErrorCode) || LOAD_ERROR.UNKNOWN
+}
+
+/**
+ * Group failed loads by error code
+ * Groups follow the order of LOAD_ERROR; empty groups are omitted.
+ * @param {Array<FailedLoad>} failed - Failed loads
+ * @returns {Array<{code: string, label: string, items: Array<FailedLoad>}>} Groups
+ */
+export function groupFailedLoads(failed) {
+  return Object.values(LOAD_ERROR)
+    .map(code => ({
+      code,
+      label: LOAD_ERROR_LABELS[code],
+      items: failed.filter(item => (item.code || LOAD_ERROR.UNKNOWN) === code)
+    }))
+    .filter(group => group.items.length > 0)
+}
+
+/**
+ * Format failed loads as CSV
+ * @param {Array<FailedLoad>} failed - Failed loads
+ * @returns {string} CSV text with a header row
+ */
+export function formatFailedLoadsCSV(failed) {
+  const rows = failed.map(item => [
+    item.id,
+    item.name,
+    item.date,
+    item.filename,
+    item.code || LOAD_ERROR.UNKNOWN,
+    item.error,
+    item.attempts ?? 1
+  ])
+  return formatCSV([['Activity ID', 'Name', 'Date', 'Filename', 'Code', 'Error', 'Attempts'], ...rows])
+}
+
+/**
+ * Delay before a retry attempt (exponential backoff)
+ * @param {number} retry - Retry number, starting at 1
+ * @param {number} [baseDelay=RETRY_BASE_DELAY_MS] - Delay before the first retry (ms)
+ * @param {number} [maxDelay=RETRY_MAX_DELAY_MS] - Upper bound (ms)
+ * @returns {number} Delay in ms
+ */
+export function getRetryDelay(retry, baseDelay = RETRY_BASE_DELAY_MS, maxDelay = RETRY_MAX_DELAY_MS) {
+  return Math.min(maxDelay, baseDelay * 2 ** (retry - 1))
+}
@@ -0,0 +1,145 @@
+/**
+ * Location Table
+ *
+ * Editing helpers for the per-activity location metadata stored in
+ * activities-location.csv (city, state, country, international, treadmill).
+ * The in-app editor works on LocationRecords, applies them to the current
+ * session as overrides and exports them back to the CSV layout that
+ * loadLocationsCSV reads. Rows read from the CSV are written back as they
+ * were, apart from the fields edited in the app.
+ *
+ * @module utils/locationTable
+ */
+
+import { formatCSV } from './csv.js'
+import { getActivityLocalDate } from './activityDates.js'
+
+/**
+ * Column layout of activities-location.csv
+ */
+export const LOCATION_CSV_COLUMNS = [
+  'id', 'Month', 'Day', 'Year', 'Location', 'State', 'Country', 'International', 'Treadmill'
+]
+
+/**
+ * Editable location metadata for one activity
+ * @typedef {Object} LocationRecord
+ * @property {string} id - Activity ID
+ * @property {string} date - Activity date (from activities.csv)
+ * @property {string|null} localDate - Local calendar day (YYYY-MM-DD), if known
+ * @property {string} name - Activity name (for display)
+ * @property {string} location - City
+ * @property {string} state - State or region
+ * @property {string} country - Country
+ * @property {string} international - International column as read ('' when not known)
+ * @property {boolean} treadmill - Whether the activity was on a treadmill
+ * @property {Array<string>|null} csvRow - Fields of the activity's activities-location.csv
+ *   row, null if it has none
+ */
+
+/**
+ * Create an editable record from a merged activity
+ * @param {Object} activity - Activity from mergeActivityData
+ * @returns {LocationRecord} Location record
+ */
+export function createLocationRecord(activity) {
+  const csvRow = activity.locationSource === 'csv' && activity.csvRow ? activity.csvRow : null
+  return {
+    id: activity.id,
+    date: activity.date,
+    localDate: activity.localDate || null,
+    name: activity.name,
+    location: activity.location || '',
+    state: activity.state || '',
+    country: activity.country || '',
+    // Activities missing from the CSV carry 'Unknown' placeholders
+    international: csvRow ? activity.international || '' : '',
+    treadmill: Boolean(activity.treadmill),
+    csvRow
+  }
+}
+
+/**
+ * Assign fields to a set of records
+ * Empty strings in `changes` are ignored, so a bulk edit can set just the city.
+ * @param {Array<LocationRecord>} records - Records to edit
+ * @param {Set<string>} ids - IDs of the records to change
+ * @param {Object} changes - Fields to assign (location, state, country, treadmill)
+ * @returns {Array<LocationRecord>} New records array
+ */
+export function assignLocation(records, ids, changes) {
+  const assigned = Object.fromEntries(
+    Object.entries(changes).filter(([, value]) => value !== '' && value !== undefined)
+  )
+  return records.map(record => ids.has(record.id) ? { ...record, ...assigned } : record)
+}
+
+/**
+ * Check whether a record should be saved
+ * Rows read from the CSV are always kept. Other Unknown, non-treadmill
+ * records are left out so they can still be geocoded.
+ * @param {LocationRecord} record - Location record
+ * @returns {boolean} True if the record should be written
+ */
+function shouldSaveRecord(record) {
+  return Boolean(record.csvRow) || record.treadmill ||
+    (record.location !== '' && record.location !== 'Unknown')
+}
+
+/**
+ * Build the activities-location.csv row for a record
+ * Rows read from the CSV keep their fields, dates and spelling, and only
+ * fields that differ from what was read are replaced.
+ * @param {LocationRecord} record - Location record
+ * @returns {Array<string|number>} Fields in the LOCATION_CSV_COLUMNS layout
+ */
+function toLocationRow(record) {
+  const localDate = getActivityLocalDate(record)
+  const [year, month, day] = localDate ? localDate.split('-').map(Number) : ['', '', '']
+  const row = [record.id, month, day, year, '', '', '', '', '']
+  if (record.csvRow) {
+    LOCATION_CSV_COLUMNS.forEach((column, index) => {
+      row[index] = record.csvRow[index] ?? ''
+    })
+  }
+
+  const edits = [
+    [4, record.location],
+    [5, record.state],
+    [6, record.country],
+    [7, record.international]
+  ]
+  for (const [index, value] of edits) {
+    if ((row[index] || '') !== value) row[index] = value
+  }
+  if ((row[8] === 'TRUE') !== record.treadmill) {
+    row[8] = record.treadmill ? 'TRUE' : 'FALSE'
+  }
+  return row
+}
+
+/**
+ * Convert records to location overrides for loadMetadataOnly
+ * @param {Array<LocationRecord>} records - Edited records
+ * @returns {Map<string, Object>} Activity ID to location data (same shape as loadLocationsCSV)
+ */
+export function toLocationOverrides(records) {
+  return new Map(records.filter(shouldSaveRecord).map(record => [record.id, {
+    location: record.location,
+    state: record.state,
+    country: record.country,
+    international: record.international,
+    treadmill: record.treadmill,
+    csvRow: record.csvRow
+  }]))
+}
+
+/**
+ * Serialize records as activities-location.csv
+ * @param {Array<LocationRecord>} records - Records to export
+ * @returns {string} CSV text in the LOCATION_CSV_COLUMNS layout
+ */
+export function formatLocationsCSV(records) {
+  const rows = records.filter(shouldSaveRecord).map(toLocationRow)
+  return formatCSV([LOCATION_CSV_COLUMNS, ...rows])
+}
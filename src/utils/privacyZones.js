@@ -0,0 +1,167 @@
+/**
+ * Privacy Zones
+ *
+ * User-defined circles (e.g., around home) whose track points are removed
+ * before routes are drawn or exported. Zones are stored in localStorage and
+ * never leave the browser.
+ *
+ * A zone can add a random extra offset to its radius. The offset is chosen
+ * per run, so the cut ends of many runs do not line up on a circle around
+ * the protected place; it is derived from the run ID, so a run is always
+ * cut at the same place.
+ *
+ * @module utils/privacyZones
+ */
+
+import { createLogger } from './logger.js'
+import { haversineDistance } from './geocoder.js'
+
+const log = createLogger('PrivacyZones')
+
+/**
+ * localStorage key for saved privacy zones
+ */
+export const PRIVACY_ZONES_KEY = 'running-visualizer:privacy-zones:v1'
+
+/**
+ * Size of new zones (meters)
+ */
+export const DEFAULT_PRIVACY_ZONE = Object.freeze({
+  radius: 200,
+  extraOffset: 100
+})
+
+/**
+ * A circle whose track points are hidden
+ * @typedef {Object} PrivacyZone
+ * @property {string} id - Zone ID
+ * @property {number} lat - Center latitude in degrees
+ * @property {number} lng - Center longitude in degrees
+ * @property {number} radius - Radius in meters
+ * @property {number} extraOffset - Largest random extension of the radius per run, in meters
+ */
+
+/**
+ * Create a privacy zone
+ * @param {number} lat - Center latitude in degrees
+ * @param {number} lng - Center longitude in degrees
+ * @param {Object} [options={}] - Zone size
+ * @param {number} [options.radius=DEFAULT_PRIVACY_ZONE.radius] - Radius in meters
+ * @param {number} [options.extraOffset=DEFAULT_PRIVACY_ZONE.extraOffset] - Largest random extension in meters
+ * @returns {PrivacyZone} New zone
+ */
+export function createPrivacyZone(lat, lng, options = {}) {
+  return {
+    id: `zone-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    lat,
+    lng,
+    radius: options.radius ?? DEFAULT_PRIVACY_ZONE.radius,
+    extraOffset: options.extraOffset ?? DEFAULT_PRIVACY_ZONE.extraOffset
+  }
+}
+
+/**
+ * Check that a stored value is a usable zone
+ * @param {*} zone - Parsed value
+ * @returns {boolean} True if the zone has a center and a non-negative size
+ */
+function isValidZone(zone) {
+  return Boolean(zone) &&
+    typeof zone.id === 'string' &&
+    Number.isFinite(zone.lat) &&
+    Number.isFinite(zone.lng) &&
+    Number.isFinite(zone.radius) && zone.radius >= 0 &&
+    Number.isFinite(zone.extraOffset) && zone.extraOffset >= 0
+}
+
+/**
+ * Read saved privacy zones
+ * @returns {Array<PrivacyZone>} Saved zones (invalid entries are skipped)
+ */
+export function loadPrivacyZones() {
+  try {
+    const stored = localStorage.getItem(PRIVACY_ZONES_KEY)
+    const zones = stored ? JSON.parse(stored) : []
+    return Array.isArray(zones) ? zones.filter(isValidZone) : []
+  } catch (error) {
+    log.warn('Ignoring unreadable privacy zones:', error)
+    return []
+  }
+}
+
+/**
+ * Save privacy zones
+ * Failures (private browsing, quota) are logged and otherwise ignored.
+ * @param {Array<PrivacyZone>} zones - Zones to save
+ */
+export function savePrivacyZones(zones) {
+  try {
+    localStorage.setItem(PRIVACY_ZONES_KEY, JSON.stringify(zones))
+  } catch (error) {
+    log.warn('Could not save privacy zones:', error)
+  }
+}
+
+/**
+ * Hash a string to a number in [0, 1)
+ * @param {string} text - Text to hash
+ * @returns {number} Stable pseudo-random fraction
+ */
+function hashFraction(text) {
+  // FNV-1a
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0) / 0x100000000
+}
+
+/**
+ * Get the radius a zone trims from one run
+ * @param {PrivacyZone} zone - Privacy zone
+ * @param {string} [seed=''] - Run identifier choosing the random extra offset
+ * @returns {number} Radius in meters, between radius and radius + extraOffset
+ */
+export function getZoneRadius(zone, seed = '') {
+  return zone.radius + zone.extraOffset * hashFraction(`${seed}|${zone.id}`)
+}
+
+/**
+ * Remove the track points inside privacy zones
+ * Segments are split where they pass through a zone, so no line is drawn
+ * across it.
+ * @param {import('./trackModel.js').Track} track - Track to trim
+ * @param {Array<PrivacyZone>} zones - Privacy zones
+ * @param {string} [seed=''] - Run identifier choosing the random extra offsets
+ * @returns {import('./trackModel.js').Track} Trimmed track (the same track without zones)
+ */
+export function applyPrivacyZones(track, zones, seed = '') {
+  if (!track || !zones || zones.length === 0) {
+    return track
+  }
+
+  const circles = zones.map(zone => ({ zone, radiusKm: getZoneRadius(zone, seed) / 1000 }))
+  const isHidden = point => circles.some(({ zone, radiusKm }) =>
+    haversineDistance(point.lat, point.lon, zone.lat, zone.lng) <= radiusKm)
+
+  const segments = []
+  for (const segment of track.segments) {
+    let current = []
+    for (const point of segment) {
+      if (isHidden(point)) {
+        if (current.length > 0) {
+          segments.push(current)
+          current = []
+        }
+      } else {
+        current.push(point)
+      }
+    }
+    if (current.length > 0) {
+      segments.push(current)
+    }
+  }
+
+  return track.warnings ? { segments, warnings: track.warnings } : { segments }
+}
@@ -0,0 +1,196 @@
+/**
+ * Streaming XML Parser
+ *
+ * Minimal SAX-style tokenizer for activity files. Unlike DOMParser it does not
+ * build a document and works in Web Workers, where the DOM is unavailable.
+ *
+ * Supports elements, attributes, text, CDATA sections, comments, processing
+ * instructions and the predefined/numeric character entities. DTDs are
+ * skipped.
+ *
+ * Well-formedness problems (unterminated markup, mismatched closing tags,
+ * elements still open at the end of the text) throw after the handlers have
+ * seen everything before the problem, so callers can keep partial results
+ * from truncated files.
+ *
+ * @module utils/saxParser
+ */
+
+/**
+ * Callbacks for parser events
+ * @typedef {Object} SAXHandlers
+ * @property {function(string, Object<string, string>): void} [onOpenTag] - Element start (name, attributes)
+ * @property {function(string): void} [onCloseTag] - Element end (also called for self-closing tags)
+ * @property {function(string): void} [onText] - Text or CDATA content (entities decoded)
+ */
+
+const NAMED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'"
+}
+
+const ATTRIBUTE_PATTERN = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+
+/**
+ * Decode XML character entities
+ * Unknown entities are left as written.
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  if (!text.includes('&')) {
+    return text
+  }
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : match
+    }
+    return NAMED_ENTITIES[entity] ?? match
+  })
+}
+
+/**
+ * Get the local part of a qualified name ("gpxtpx:hr" -> "hr")
+ * @param {string} name - Qualified element name
+ * @returns {string} Local name
+ */
+export function getLocalName(name) {
+  const colon = name.indexOf(':')
+  return colon === -1 ? name : name.slice(colon + 1)
+}
+
+/**
+ * Create a well-formedness error with the line it occurred on
+ * @param {string} text - XML content
+ * @param {number} index - Position of the problem
+ * @param {string} problem - Description of the problem
+ * @returns {Error} Error with message "Malformed XML: <problem> at line N"
+ */
+function malformedError(text, index, problem) {
+  let line = 1
+  for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) {
+    line++
+  }
+  return new Error(`Malformed XML: ${problem} at line ${line}`)
+}
+
+/**
+ * Find the end of a markup construct
+ * @param {string} text - XML content
+ * @param {string} terminator - Closing sequence
+ * @param {number} from - Index to search from
+ * @param {string} what - Construct name for the error message
+ * @returns {number} Index of the terminator
+ * @throws {Error} If the construct is never closed
+ */
+function findEnd(text, terminator, from, what) {
+  const end = text.indexOf(terminator, from)
+  if (end === -1) {
+    throw malformedError(text, from, `unterminated ${what}`)
+  }
+  return end
+}
+
+/**
+ * Find the closing '>' of a start tag, skipping quoted attribute values
+ * @param {string} text - XML content
+ * @param {number} from - Index after the '<'
+ * @returns {number} Index of the '>'
+ * @throws {Error} If the tag is never closed
+ */
+function findTagEnd(text, from) {
+  let quote = null
+  for (let i = from; i < text.length; i++) {
+    const char = text[i]
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '>') {
+      return i
+    }
+  }
+  throw malformedError(text, from, 'unterminated tag')
+}
+
+/**
+ * Parse attributes from the inside of a start tag
+ * @param {string} source - Tag content after the element name
+ * @returns {Object<string, string>} Attribute values by name
+ */
+function parseAttributes(source) {
+  const attributes = {}
+  ATTRIBUTE_PATTERN.lastIndex = 0
+  let match
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3])
+  }
+  return attributes
+}
+
+/**
+ * Parse XML text, calling handlers for each element and text node
+ * @param {string} text - XML content
+ * @param {SAXHandlers} handlers - Event callbacks
+ * @throws {Error} If the XML is not well-formed
+ */
+export function parseSAX(text, handlers) {
+  const { onOpenTag = () => {}, onCloseTag = () => {}, onText = () => {} } = handlers
+  const openElements = []
+  let i = 0
+
+  while (i < text.length) {
+    const lt = text.indexOf('<', i)
+    if (lt === -1) {
+      onText(decodeEntities(text.slice(i)))
+      break
+    }
+    if (lt > i) {
+      onText(decodeEntities(text.slice(i, lt)))
+    }
+
+    if (text.startsWith('<!--', lt)) {
+      i = findEnd(text, '-->', lt + 4, 'comment') + 3
+    } else if (text.startsWith('<![CDATA[', lt)) {
+      const end = findEnd(text, ']]>', lt + 9, 'CDATA section')
+      onText(text.slice(lt + 9, end))
+      i = end + 3
+    } else if (text.startsWith('<?', lt)) {
+      i = findEnd(text, '?>', lt + 2, 'processing instruction') + 2
+    } else if (text.startsWith('<!', lt)) {
+      // DOCTYPE and other declarations (internal subsets are not supported)
+      i = findEnd(text, '>', lt + 2, 'declaration') + 1
+    } else if (text[lt + 1] === '/') {
+      const end = findEnd(text, '>', lt + 2, 'tag')
+      const name = text.slice(lt + 2, end).trim()
+      const expected = openElements.pop()
+      if (name !== expected) {
+        throw malformedError(text, lt, expected ? `expected </${expected}> but found </${name}>` : `unexpected </${name}>`)
+      }
+      onCloseTag(name)
+      i = end + 1
+    } else {
+      const end = findTagEnd(text, lt + 1)
+      const selfClosing = text[end - 1] === '/'
+      const content = text.slice(lt + 1, selfClosing ? end - 1 : end)
+      const nameEnd = content.search(/[\s/>]|$/)
+      const name = content.slice(0, nameEnd)
+
+      onOpenTag(name, parseAttributes(content.slice(nameEnd)))
+      if (selfClosing) {
+        onCloseTag(name)
+      } else {
+        openElements.push(name)
+      }
+      i = end + 1
+    }
+  }
+
+  if (openElements.length > 0) {
+    throw malformedError(text, text.length, `<${openElements[openElements.length - 1]}> is not closed (file may be truncated)`)
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * TCX Parser
+ *
+ * Parses Garmin Training Center XML (.tcx) activity files into the shared
+ * track model. Older Strava bulk exports contain many TCX files alongside GPX.
+ *
+ * Structure: TrainingCenterDatabase > Activities > Activity > Lap > Track > Trackpoint
+ * Each <Track> element becomes a segment; devices start a new Track after a
+ * pause, so gaps are preserved the same way GPX <trkseg> boundaries are.
+ *
+ * @module utils/tcxParser
+ */
+
+import { createTrackPoint } from './trackModel.js'
+import {
+  parseXML,
+  getChildElements,
+  getChildText,
+  getDescendantText,
+  parseOptionalNumber,
+  parseOptionalTime
+} from './xmlUtils.js'
+
+/**
+ * Parse TCX XML into a track
+ *
+ * Trackpoints without a <Position> (recorded before GPS lock or while paused)
+ * are skipped. Cadence is read from <Cadence>, falling back to the
+ * ActivityExtension <RunCadence> that running watches write instead.
+ *
+ * @param {string} tcxXML - TCX file content as XML string
+ * @returns {import('./trackModel.js').Track} Parsed track
+ */
+export function parseTCXTrack(tcxXML) {
+  const doc = parseXML(tcxXML)
+  const tracks = doc.getElementsByTagNameNS('*', 'Track')
+  const segments = []
+
+  for (let i = 0; i < tracks.length; i++) {
+    const points = []
+
+    for (const trackpoint of getChildElements(tracks[i], 'Trackpoint')) {
+      const [position] = getChildElements(trackpoint, 'Position')
+      if (!position) continue
+
+      const lat = parseFloat(getChildText(position, 'LatitudeDegrees'))
+      const lon = parseFloat(getChildText(position, 'LongitudeDegrees'))
+      if (isNaN(lat) || isNaN(lon)) continue
+
+      const [heartRate] = getChildElements(trackpoint, 'HeartRateBpm')
+
+      points.push(createTrackPoint(lat, lon, {
+        time: parseOptionalTime(getChildText(trackpoint, 'Time')),
+        ele: parseOptionalNumber(getChildText(trackpoint, 'AltitudeMeters')),
+        hr: heartRate ? parseOptionalNumber(getChildText(heartRate, 'Value')) : null,
+        cad: parseOptionalNumber(getChildText(trackpoint, 'Cadence')) ??
+          parseOptionalNumber(getDescendantText(trackpoint, 'RunCadence'))
+      }))
+    }
+
+    if (points.length > 0) {
+      segments.push(points)
+    }
+  }
+
+  return { segments }
+}
@@ -0,0 +1,104 @@
+/**
+ * Streaming TCX Parser
+ *
+ * Worker-safe counterpart of parseTCXTrack in tcxParser.js, built on the SAX
+ * tokenizer instead of DOMParser. It produces the same track: one segment per
+ * <Track>, skipping trackpoints without a <Position>, with cadence from
+ * <Cadence> or else the first <RunCadence> extension element.
+ *
+ * Like parseTCXTrack, malformed files are rejected rather than salvaged, so a
+ * file parses the same way in a worker and on the main thread.
+ *
+ * @module utils/tcxSaxParser
+ */
+
+import { parseSAX, getLocalName } from './saxParser.js'
+import { createTrackPoint } from './trackModel.js'
+import { parseOptionalNumber, parseOptionalTime } from './xmlUtils.js'
+
+// Values read from elements below <Trackpoint>, by their path from it
+const FIELD_PATHS = new Map([
+  ['Time', 'time'],
+  ['AltitudeMeters', 'ele'],
+  ['Cadence', 'cad'],
+  ['HeartRateBpm/Value', 'hr'],
+  ['Position/LatitudeDegrees', 'lat'],
+  ['Position/LongitudeDegrees', 'lon']
+])
+
+/**
+ * Parse TCX XML into a track without using the DOM
+ * @param {string} tcxXML - TCX file content as XML string
+ * @returns {import('./trackModel.js').Track} Parsed track
+ * @throws {Error} If the XML is malformed
+ */
+export function parseTCXTrackSAX(tcxXML) {
+  const segments = []
+  let segment = null // Points of the open <Track>
+  let point = null // Open <Trackpoint>: { values, hasPosition }
+  const path = [] // Local names of the open elements below the <Trackpoint>
+  let capture = null // Element whose text is being collected: { field, depth, text }
+
+  const handlers = {
+    onOpenTag(name) {
+      const localName = getLocalName(name)
+
+      if (point) {
+        path.push(localName)
+        if (path.length === 1 && localName === 'Position') {
+          point.hasPosition = true
+        }
+        const field = localName === 'RunCadence' ? 'runCadence' : FIELD_PATHS.get(path.join('/'))
+        if (!capture && field && !(field in point.values)) {
+          capture = { field, depth: path.length, text: '' }
+        }
+      } else if (localName === 'Track') {
+        segment = []
+      } else if (localName === 'Trackpoint' && segment) {
+        point = { values: {}, hasPosition: false }
+      }
+    },
+
+    onText(text) {
+      if (capture) {
+        capture.text += text
+      }
+    },
+
+    onCloseTag(name) {
+      if (point) {
+        if (path.length > 0) {
+          if (capture && capture.depth === path.length) {
+            point.values[capture.field] = capture.text.trim()
+            capture = null
+          }
+          path.pop()
+          return
+        }
+
+        const { values, hasPosition } = point
+        point = null
+        if (!hasPosition) return
+
+        const lat = parseFloat(values.lat)
+        const lon = parseFloat(values.lon)
+        if (isNaN(lat) || isNaN(lon)) return
+
+        segment.push(createTrackPoint(lat, lon, {
+          time: parseOptionalTime(values.time ?? null),
+          ele: parseOptionalNumber(values.ele ?? null),
+          hr: parseOptionalNumber(values.hr ?? null),
+          cad: parseOptionalNumber(values.cad ?? null) ?? parseOptionalNumber(values.runCadence ?? null)
+        }))
+      } else if (getLocalName(name) === 'Track' && segment) {
+        if (segment.length > 0) {
+          segments.push(segment)
+        }
+        segment = null
+      }
+    }
+  }
+
+  parseSAX(tcxXML, handlers)
+  return { segments }
+}
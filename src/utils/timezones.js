@@ -0,0 +1,174 @@
+/**
+ * Offline Time Zone Lookup
+ *
+ * Finds the IANA time zone containing a coordinate using bundled time zone
+ * boundaries (timezone-boundary-builder polygons, simplified by
+ * scripts/build-timezones.js and served from public/timezones/timezones.json).
+ * Like the gazetteer, the asset is bundled with the app; if a deployment is
+ * missing it, activity dates fall back to the browser's time zone with a
+ * warning.
+ *
+ * Polygons are checked against their bounding box before the exact
+ * point-in-polygon test, so a lookup only examines the few zones near the
+ * query point.
+ *
+ * @module utils/timezones
+ */
+
+import { createLogger } from './logger.js'
+
+const log = createLogger('TimeZones')
+
+/**
+ * URL of the time zone boundary asset
+ */
+export const TIMEZONES_URL = '/timezones/timezones.json'
+
+/**
+ * Time zone boundary format version this module understands
+ */
+export const TIMEZONES_VERSION = 1
+
+/**
+ * One polygon of a time zone
+ * @typedef {Object} TimeZonePolygon
+ * @property {string} timeZone - IANA time zone name
+ * @property {Array<number>} bounds - [minLon, minLat, maxLon, maxLat]
+ * @property {Array<Array<number>>} rings - Outer ring and holes as flat [lon, lat, lon, lat, ...] arrays
+ */
+
+/**
+ * Indexed time zone boundaries ready for lookups
+ * @typedef {Object} TimeZoneIndex
+ * @property {number} size - Number of time zones
+ * @property {Array<TimeZonePolygon>} polygons - Polygons of every zone
+ */
+
+/**
+ * Bounding box of a ring
+ * @param {Array<number>} ring - Flat [lon, lat, ...] ring
+ * @returns {Array<number>} [minLon, minLat, maxLon, maxLat]
+ */
+function getRingBounds(ring) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity]
+  for (let i = 0; i < ring.length; i += 2) {
+    bounds[0] = Math.min(bounds[0], ring[i])
+    bounds[1] = Math.min(bounds[1], ring[i + 1])
+    bounds[2] = Math.max(bounds[2], ring[i])
+    bounds[3] = Math.max(bounds[3], ring[i + 1])
+  }
+  return bounds
+}
+
+/**
+ * Build a lookup index from the asset's compact format
+ * @param {Object} data - Parsed timezones.json
+ * @param {number} data.version - Format version
+ * @param {Array<Array>} data.zones - Rows of [timeZone, polygons], each polygon an array of flat rings
+ * @returns {TimeZoneIndex} Indexed boundaries
+ * @throws {Error} If the format version is not supported
+ */
+export function createTimeZoneIndex(data) {
+  if (!data || data.version !== TIMEZONES_VERSION || !Array.isArray(data.zones)) {
+    throw new Error(`Unsupported time zone format (expected version ${TIMEZONES_VERSION})`)
+  }
+
+  const polygons = []
+  for (const [timeZone, zonePolygons] of data.zones) {
+    for (const rings of zonePolygons) {
+      if (rings.length > 0 && rings[0].length >= 6) {
+        polygons.push({ timeZone, bounds: getRingBounds(rings[0]), rings })
+      }
+    }
+  }
+
+  return { size: data.zones.length, polygons }
+}
+
+/**
+ * Check whether a ring contains a point (ray casting)
+ * @param {Array<number>} ring - Flat [lon, lat, ...] ring
+ * @param {number} lon - Longitude in degrees
+ * @param {number} lat - Latitude in degrees
+ * @returns {boolean} True if the point is inside
+ */
+function ringContains(ring, lon, lat) {
+  let inside = false
+  for (let i = 0, j = ring.length - 2; i < ring.length; j = i, i += 2) {
+    const xi = ring[i]
+    const yi = ring[i + 1]
+    const xj = ring[j]
+    const yj = ring[j + 1]
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * Find the time zone containing a coordinate
+ * @param {TimeZoneIndex} index - Indexed boundaries
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {string|null} IANA time zone, or null if no zone contains the point
+ */
+export function findTimeZone(index, lat, lon) {
+  if (!index || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    return null
+  }
+
+  for (const { timeZone, bounds, rings } of index.polygons) {
+    if (lon < bounds[0] || lat < bounds[1] || lon > bounds[2] || lat > bounds[3]) {
+      continue
+    }
+    // Holes flip the result back to outside
+    let inside = false
+    for (const ring of rings) {
+      if (ringContains(ring, lon, lat)) {
+        inside = !inside
+      }
+    }
+    if (inside) {
+      return timeZone
+    }
+  }
+  return null
+}
+
+let timeZonesPromise = null
+
+/**
+ * Load and index the bundled time zone boundaries (once per page load)
+ * Resolves to null (with a warning) when the asset is missing, so dates fall
+ * back to the browser's time zone instead of failing the load.
+ * @param {string} [url=TIMEZONES_URL] - Boundary asset URL
+ * @returns {Promise<TimeZoneIndex|null>} Indexed boundaries, or null if unavailable
+ */
+export function loadTimeZones(url = TIMEZONES_URL) {
+  if (!timeZonesPromise) {
+    timeZonesPromise = (async () => {
+      try {
+        const response = await fetch(url)
+        if (!response.ok) {
+          log.warn(`Time zone boundaries missing at ${url} (HTTP ${response.status}) - dates will use the browser time zone; run "npm run build:timezones" to rebuild them`)
+          return null
+        }
+        const index = createTimeZoneIndex(await response.json())
+        log.info(`Loaded boundaries of ${index.size} time zones`)
+        return index
+      } catch (error) {
+        log.warn('Failed to load time zone boundaries - using the browser time zone:', error)
+        return null
+      }
+    })()
+  }
+  return timeZonesPromise
+}
+
+/**
+ * Forget the loaded boundaries (for tests)
+ */
+export function resetTimeZones() {
+  timeZonesPromise = null
+}
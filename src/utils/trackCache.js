@@ -0,0 +1,253 @@
+/**
+ * Parsed Track Cache
+ *
+ * Persists parsed activity tracks in IndexedDB so reloading the same export
+ * skips reading and parsing thousands of activity files.
+ *
+ * Entries are keyed by data source, filename and a fingerprint of the file:
+ * size/modification time (or a checksum) from the source's stat(), falling
+ * back to a SHA-256 hash of the content when the source cannot stat files.
+ * A changed file therefore gets a new key instead of a stale track.
+ *
+ * Files from sources that revalidate instead (HTTP, see readFileIfChanged in
+ * dataSources.js) are keyed by source and filename alone; their entry keeps
+ * the file metadata the track was parsed from, for the next conditional read.
+ *
+ * The database version is TRACK_CACHE_VERSION; bumping it (e.g., when the
+ * track model changes) drops all cached tracks on the next open.
+ *
+ * @module utils/trackCache
+ */
+
+import { createLogger } from './logger.js'
+
+const log = createLogger('TrackCache')
+
+/**
+ * IndexedDB database name
+ */
+export const TRACK_CACHE_DB_NAME = 'running-visualizer-tracks'
+
+/**
+ * Cache format version (bump to invalidate all cached tracks)
+ */
+export const TRACK_CACHE_VERSION = 1
+
+const STORE_NAME = 'tracks'
+
+/**
+ * Key-value storage behind the cache
+ * @typedef {Object} TrackStore
+ * @property {function(string): Promise<*>} get - Read a value (undefined if missing)
+ * @property {function(string, *): Promise<void>} put - Write a value
+ * @property {function(): Promise<void>} clear - Remove all values
+ * @property {function(): Promise<number>} count - Number of stored values
+ */
+
+/**
+ * Cache of parsed tracks
+ * Storage failures are logged and treated as misses, so a broken cache never
+ * fails a load.
+ * @typedef {Object} TrackCache
+ * @property {function(string): Promise<import('./trackModel.js').Track|null>} get - Cached track for a key
+ * @property {function(string): Promise<CachedTrack|null>} getEntry - Cached track for a key, with
+ *   the file metadata stored alongside it
+ * @property {function(string, import('./trackModel.js').Track, import('./dataSources.js').FileStat=): Promise<void>} put -
+ *   Store a parsed track, optionally with the metadata of the file it was parsed from
+ * @property {function(): Promise<void>} clear - Remove all cached tracks
+ * @property {function(): Promise<number>} count - Number of cached tracks
+ */
+
+/**
+ * Cached track with the metadata of its file
+ * @typedef {Object} CachedTrack
+ * @property {import('./trackModel.js').Track} track - Parsed track
+ * @property {import('./dataSources.js').FileStat|null} stat - File metadata when the track was stored
+ */
+
+/**
+ * Create an in-memory store (for tests and browsers without IndexedDB)
+ * @returns {TrackStore} Store backed by a Map
+ */
+export function createMemoryStore() {
+  const entries = new Map()
+  return {
+    async get(key) {
+      return entries.get(key)
+    },
+    async put(key, value) {
+      entries.set(key, value)
+    },
+    async clear() {
+      entries.clear()
+    },
+    async count() {
+      return entries.size
+    }
+  }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open the IndexedDB store
+ * An upgrade (new TRACK_CACHE_VERSION) recreates the object store, dropping
+ * tracks cached by older versions.
+ * @param {IDBFactory} indexedDB - IndexedDB factory
+ * @param {string} [name=TRACK_CACHE_DB_NAME] - Database name
+ * @param {number} [version=TRACK_CACHE_VERSION] - Database version
+ * @returns {Promise<TrackStore>} Store backed by IndexedDB
+ */
+export async function openIndexedDBStore(indexedDB, name = TRACK_CACHE_DB_NAME, version = TRACK_CACHE_VERSION) {
+  const request = indexedDB.open(name, version)
+  request.onupgradeneeded = () => {
+    const db = request.result
+    if (db.objectStoreNames.contains(STORE_NAME)) {
+      db.deleteObjectStore(STORE_NAME)
+    }
+    db.createObjectStore(STORE_NAME)
+  }
+  const db = await promisifyRequest(request)
+
+  const run = (mode, operation) => {
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+    return promisifyRequest(operation(store))
+  }
+
+  return {
+    get: key => run('readonly', store => store.get(key)),
+    put: async (key, value) => { await run('readwrite', store => store.put(value, key)) },
+    clear: async () => { await run('readwrite', store => store.clear()) },
+    count: () => run('readonly', store => store.count())
+  }
+}
+
+/**
+ * Create a track cache on top of a store
+ * @param {TrackStore} store - Key-value storage
+ * @returns {TrackCache} Track cache
+ */
+export function createTrackCache(store) {
+  async function getEntry(key) {
+    try {
+      const entry = await store.get(key)
+      return entry && entry.version === TRACK_CACHE_VERSION
+        ? { track: entry.track, stat: entry.stat || null }
+        : null
+    } catch (error) {
+      log.warn('Track cache read failed:', error)
+      return null
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = await getEntry(key)
+      return entry ? entry.track : null
+    },
+    getEntry,
+    async put(key, track, stat = null) {
+      try {
+        await store.put(key, { version: TRACK_CACHE_VERSION, track, stat })
+      } catch (error) {
+        log.warn('Track cache write failed:', error)
+      }
+    },
+    async clear() {
+      await store.clear()
+      log.info('Cleared track cache')
+    },
+    async count() {
+      return store.count()
+    }
+  }
+}
+
+let trackCachePromise = null
+
+/**
+ * Open the browser's persistent track cache (once per page load)
+ * Resolves to null when IndexedDB is unavailable or cannot be opened
+ * (e.g., some private browsing modes), which disables caching.
+ * @returns {Promise<TrackCache|null>} Track cache, or null if unavailable
+ */
+export function openTrackCache() {
+  if (!trackCachePromise) {
+    trackCachePromise = (async () => {
+      if (typeof indexedDB === 'undefined') {
+        return null
+      }
+      try {
+        return createTrackCache(await openIndexedDBStore(indexedDB))
+      } catch (error) {
+        log.warn('Track cache unavailable - activity files will be parsed on every load:', error)
+        return null
+      }
+    })()
+  }
+  return trackCachePromise
+}
+
+/**
+ * Forget the opened track cache (for tests)
+ */
+export function resetTrackCache() {
+  trackCachePromise = null
+}
+
+/**
+ * Build a cache key from file metadata
+ * @param {string} sourceName - Data source name
+ * @param {string} filename - Activity filename
+ * @param {import('./dataSources.js').FileStat|null} stat - File metadata from source.stat()
+ * @returns {string|null} Cache key, or null if the metadata cannot identify the file version
+ */
+export function getStatCacheKey(sourceName, filename, stat) {
+  if (!stat) {
+    return null
+  }
+  const { size = null, lastModified = null, hash = null } = stat
+  if (hash) {
+    return `${sourceName}|${filename}|${hash}`
+  }
+  if (size === null || lastModified === null) {
+    return null
+  }
+  return `${sourceName}|${filename}|${size}|${lastModified}`
+}
+
+/**
+ * Build the cache key for a file that is revalidated by its source
+ * @param {string} sourceName - Data source name
+ * @param {string} filename - Activity filename
+ * @returns {string} Cache key
+ */
+export function getRevalidatedCacheKey(sourceName, filename) {
+  return `${sourceName}|${filename}|revalidated`
+}
+
+/**
+ * Build a cache key from the file content
+ * @param {string} sourceName - Data source name
+ * @param {string} filename - Activity filename
+ * @param {Uint8Array} bytes - Raw file content
+ * @returns {Promise<string|null>} Cache key, or null if hashing is unavailable
+ */
+export async function getContentCacheKey(sourceName, filename, bytes) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return null
+  }
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+  const hex = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('')
+  return `${sourceName}|${filename}|sha256:${hex}`
+}
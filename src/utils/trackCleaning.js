@@ -0,0 +1,181 @@
+/**
+ * GPS Cleaning
+ *
+ * Optional clean-up of parsed tracks before they are drawn:
+ * - Spikes: single points far off the route, implying impossible speeds
+ * - Jitter: wobble while standing still (e.g., at stoplights), smoothed with
+ *   a centered moving average
+ * - Warm-up: the tangle near the start while the watch acquires signal
+ *
+ * Exports rarely record position accuracy, so warm-up points are recognised
+ * by their shape: everything before the first steady stretch of movement in
+ * the first minutes is dropped.
+ *
+ * Cleaning never modifies the parsed track; runs keep the raw track so the
+ * UI can switch between raw and cleaned routes.
+ *
+ * @module utils/trackCleaning
+ */
+
+import { haversineDistance } from './geocoder.js'
+import { TRACK_CLEANING } from './constants.js'
+
+/**
+ * Which cleaning steps to apply
+ * @typedef {Object} TrackCleaningOptions
+ * @property {boolean} [removeSpikes=false] - Drop single points implying impossible speeds
+ * @property {boolean} [smoothJitter=false] - Smooth positions with a moving average
+ * @property {boolean} [trimWarmup=false] - Drop warm-up points at the start of the recording
+ */
+
+/**
+ * Distance between two track points
+ * @param {import('./trackModel.js').TrackPoint} a - First point
+ * @param {import('./trackModel.js').TrackPoint} b - Second point
+ * @returns {number} Distance in meters
+ */
+function distance(a, b) {
+  return haversineDistance(a.lat, a.lon, b.lat, b.lon) * 1000
+}
+
+/**
+ * Speed implied by moving between two points
+ * @param {import('./trackModel.js').TrackPoint} a - Earlier point
+ * @param {import('./trackModel.js').TrackPoint} b - Later point
+ * @returns {number|null} Speed in m/s, or null without increasing timestamps
+ */
+function impliedSpeed(a, b) {
+  if (a.time === null || b.time === null || b.time <= a.time) {
+    return null
+  }
+  return distance(a, b) / ((b.time - a.time) / 1000)
+}
+
+/**
+ * Check whether the move between two points is too fast (or, without
+ * timestamps, too far) to be real
+ * @param {import('./trackModel.js').TrackPoint} a - Earlier point
+ * @param {import('./trackModel.js').TrackPoint} b - Later point
+ * @param {Object} settings - Cleaning settings (TRACK_CLEANING)
+ * @returns {boolean} True if the move is implausible
+ */
+function isImplausibleMove(a, b, settings) {
+  const speed = impliedSpeed(a, b)
+  return speed === null ? distance(a, b) > settings.spikeDistance : speed > settings.maxSpeed
+}
+
+/**
+ * Remove single-point spikes from a segment
+ * A point is a spike when reaching it and leaving it are both implausible
+ * but skipping it is not. The last point is dropped when reaching it is
+ * implausible.
+ * @param {Array<import('./trackModel.js').TrackPoint>} points - Segment points
+ * @param {Object} [settings=TRACK_CLEANING] - Cleaning settings
+ * @returns {Array<import('./trackModel.js').TrackPoint>} Points without spikes
+ */
+export function removeSpikes(points, settings = TRACK_CLEANING) {
+  if (points.length < 3) {
+    return points
+  }
+
+  const kept = [points[0]]
+  for (let i = 1; i < points.length; i++) {
+    const previous = kept[kept.length - 1]
+    const point = points[i]
+    const next = points[i + 1]
+
+    if (isImplausibleMove(previous, point, settings) &&
+        (!next || (isImplausibleMove(point, next, settings) && !isImplausibleMove(previous, next, settings)))) {
+      continue
+    }
+    kept.push(point)
+  }
+  return kept
+}
+
+/**
+ * Smooth positions with a centered moving average
+ * The window shrinks towards the ends, so the first and last points stay put.
+ * Only latitude and longitude change.
+ * @param {Array<import('./trackModel.js').TrackPoint>} points - Segment points
+ * @param {number} [window=TRACK_CLEANING.smoothingWindow] - Points per average (odd)
+ * @returns {Array<import('./trackModel.js').TrackPoint>} Smoothed points
+ */
+export function smoothPositions(points, window = TRACK_CLEANING.smoothingWindow) {
+  const half = Math.floor(window / 2)
+  if (half < 1 || points.length < 3) {
+    return points
+  }
+
+  return points.map((point, i) => {
+    const reach = Math.min(half, i, points.length - 1 - i)
+    if (reach === 0) {
+      return point
+    }
+    let lat = 0
+    let lon = 0
+    for (let j = i - reach; j <= i + reach; j++) {
+      lat += points[j].lat
+      lon += points[j].lon
+    }
+    const count = 2 * reach + 1
+    return { ...point, lat: lat / count, lon: lon / count }
+  })
+}
+
+/**
+ * Find where the warm-up at the start of a segment ends
+ * The warm-up ends at the first point, within the warm-up window, from
+ * which the track heads steadily away: over the next warmupStablePoints
+ * steps the net distance is at least warmupStraightness of the path length.
+ * @param {Array<import('./trackModel.js').TrackPoint>} points - Segment points
+ * @param {Object} [settings=TRACK_CLEANING] - Cleaning settings
+ * @returns {number} Index of the first point after the warm-up (0 if none was found)
+ */
+export function findWarmupEnd(points, settings = TRACK_CLEANING) {
+  const steps = settings.warmupStablePoints
+  if (points.length <= steps || points[0].time === null) {
+    return 0
+  }
+
+  const windowEnd = points[0].time + settings.warmupWindowMs
+  for (let i = 0; i + steps < points.length && points[i].time !== null && points[i].time <= windowEnd; i++) {
+    let pathLength = 0
+    for (let j = i; j < i + steps; j++) {
+      pathLength += distance(points[j], points[j + 1])
+    }
+    if (pathLength >= settings.warmupMinDistance &&
+        distance(points[i], points[i + steps]) >= settings.warmupStraightness * pathLength) {
+      return i
+    }
+  }
+  return 0
+}
+
+/**
+ * Clean a parsed track
+ * Spikes are removed first so they cannot hide the end of the warm-up;
+ * smoothing runs last. The warm-up is only trimmed from the first segment.
+ * @param {import('./trackModel.js').Track} track - Parsed track
+ * @param {TrackCleaningOptions} [options={}] - Steps to apply
+ * @param {Object} [settings=TRACK_CLEANING] - Cleaning settings
+ * @returns {import('./trackModel.js').Track} Cleaned track (the same track when no step is enabled)
+ */
+export function cleanTrack(track, options = {}, settings = TRACK_CLEANING) {
+  const { removeSpikes: spikes = false, smoothJitter = false, trimWarmup = false } = options
+  if (!track || !(spikes || smoothJitter || trimWarmup)) {
+    return track
+  }
+
+  const segments = track.segments
+    .map((segment, index) => {
+      let points = spikes ? removeSpikes(segment, settings) : segment
+      if (trimWarmup && index === 0) {
+        points = points.slice(findWarmupEnd(points, settings))
+      }
+      return smoothJitter ? smoothPositions(points, settings.smoothingWindow) : points
+    })
+    .filter(segment => segment.length > 0)
+
+  return track.warnings ? { segments, warnings: track.warnings } : { segments }
+}
@@ -0,0 +1,155 @@
+/**
+ * Track File Import
+ *
+ * Turns activity files dropped onto the map (a race GPX, a planned course as
+ * GeoJSON or KML, a friend's route) into ad-hoc runs shown alongside the
+ * loaded export. Imported runs live in memory only: they have no row in
+ * activities.csv and are dropped when the setup page is shown again.
+ *
+ * Their metadata comes from the file itself: the name from the filename, the
+ * date from the first timestamp (or the file's modification time for routes
+ * without timestamps), the distance from the track, and the location and
+ * time zone from the bundled gazetteer and time zone boundaries when present.
+ *
+ * @module utils/trackImport
+ */
+
+import { createLogger } from './logger.js'
+import { decompressIfGzipped } from './decompress.js'
+import { detectTrackFormat, parseTrackFile, getRunRoute } from './dataLoader.js'
+import { getTrackPoints } from './trackModel.js'
+import { loadGazetteer, reverseGeocode, haversineDistance } from './geocoder.js'
+import { loadTimeZones, findTimeZone } from './timezones.js'
+import { parseActivityDate, formatActivityDate, getLocalDateKey } from './activityDates.js'
+
+const log = createLogger('TrackImport')
+
+/**
+ * Prefix of the IDs given to imported runs
+ */
+export const IMPORTED_ID_PREFIX = 'imported-'
+
+let importCount = 0
+
+/**
+ * Total length of a track, not counting the gaps between segments
+ * @param {import('./trackModel.js').Track} track - Parsed track
+ * @returns {number} Distance in meters
+ */
+function getTrackDistance(track) {
+  let distance = 0
+  for (const points of track.segments) {
+    for (let i = 1; i < points.length; i++) {
+      distance += haversineDistance(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon)
+    }
+  }
+  return Math.round(distance * 1000)
+}
+
+/**
+ * Derive a run name from a filename
+ * @param {string} filename - Dropped file name (e.g., "Berlin Marathon.gpx.gz")
+ * @returns {string} Name without the file extension
+ */
+function getImportName(filename) {
+  return filename.replace(/\.(gpx|tcx|fit|kml|geojson|json)(\.gz)?$/i, '') || filename
+}
+
+/**
+ * Import a dropped activity file as a run
+ * GPX, GeoJSON and KML are expected; TCX and FIT files work as well.
+ * Gzipped files are decompressed transparently.
+ * @param {File} file - Dropped file
+ * @param {Object} [options={}] - Import options
+ * @param {import('./dataLoader.js').RouteOptions} [options.routeOptions={}] - How to derive the drawn route
+ * @param {import('./geocoder.js').Gazetteer|null} [options.gazetteer] - Gazetteer (defaults to the bundled asset)
+ * @param {import('./timezones.js').TimeZoneIndex|null} [options.timeZones] - Time zone boundaries
+ *   (defaults to the bundled asset)
+ * @returns {Promise<Object>} Run shaped like the loaded runs, with `imported` set
+ * @throws {Error} If the file is not a supported track or has no coordinates
+ */
+export async function importTrackFile(file, options = {}) {
+  const { routeOptions = {} } = options
+
+  const bytes = await decompressIfGzipped(new Uint8Array(await file.arrayBuffer()))
+  const format = detectTrackFormat(file.name, bytes)
+  if (!format) {
+    throw new Error('Unsupported file format (expected GPX, GeoJSON or KML)')
+  }
+
+  const track = parseTrackFile(bytes, format)
+  const points = getTrackPoints(track)
+  if (points.length === 0) {
+    throw new Error('No GPS coordinates found in file')
+  }
+
+  const gazetteer = options.gazetteer !== undefined ? options.gazetteer : await loadGazetteer()
+  const timeZones = options.timeZones !== undefined ? options.timeZones : await loadTimeZones()
+
+  const [first] = points
+  const timed = points.filter(point => point.time !== null)
+  const startTime = timed.length > 0
+    ? timed[0].time
+    : (Number.isFinite(file.lastModified) ? file.lastModified : Date.now())
+  const timeZone = findTimeZone(timeZones, first.lat, first.lon)
+  const geocoded = reverseGeocode(gazetteer, first.lat, first.lon)
+  const id = `${IMPORTED_ID_PREFIX}${Date.now().toString(36)}-${++importCount}`
+
+  const activity = {
+    id,
+    name: getImportName(file.name),
+    date: formatActivityDate(startTime),
+    startTime,
+    timeZone,
+    localDate: getLocalDateKey(startTime, timeZone),
+    type: 'Run',
+    distance: getTrackDistance(track),
+    elapsedTime: timed.length > 1 ? Math.round((timed[timed.length - 1].time - timed[0].time) / 1000) : null,
+    filename: file.name,
+    location: geocoded ? geocoded.location : 'Unknown',
+    state: geocoded ? geocoded.state : 'Unknown',
+    country: geocoded ? geocoded.country : 'Unknown',
+    international: 'Unknown',
+    treadmill: false,
+    locationSource: geocoded ? 'geocoded' : 'unknown',
+    imported: true
+  }
+
+  log.info(`Imported ${file.name} (${format}, ${points.length} points)`)
+  return {
+    ...activity,
+    rawTrack: track,
+    ...getRunRoute(track, routeOptions, id),
+    loadWarnings: track.warnings || []
+  }
+}
+
+/**
+ * Rename or re-date an imported run
+ * A new date moves the start by whole days, keeping its time of day.
+ * Blank names and invalid dates are ignored.
+ * @param {Object} run - Imported run
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.name] - New name
+ * @param {string} [changes.localDate] - New calendar day (YYYY-MM-DD)
+ * @returns {Object} Updated run
+ */
+export function editImportedRun(run, changes) {
+  const updated = { ...run }
+
+  if (typeof changes.name === 'string' && changes.name.trim()) {
+    updated.name = changes.name.trim()
+  }
+
+  if (changes.localDate && changes.localDate !== run.localDate) {
+    const newDay = parseActivityDate(changes.localDate)
+    const oldDay = parseActivityDate(run.localDate)
+    if (newDay !== null && oldDay !== null) {
+      updated.startTime = run.startTime + (newDay - oldDay)
+      updated.localDate = changes.localDate
+      updated.date = formatActivityDate(updated.startTime)
+    }
+  }
+
+  return updated
+}
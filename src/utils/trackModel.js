@@ -0,0 +1,145 @@
+/**
+ * Track Model
+ *
+ * Shared representation of a recorded activity track. File parsers produce
+ * tracks; rendering code works with plain [lat, lon] coordinate arrays, which
+ * can be derived from a track with trackToSegments() (one array per recorded
+ * segment, so pauses render as gaps) or trackToCoordinates() (flattened).
+ *
+ * @module utils/trackModel
+ */
+
+/**
+ * A single recorded track sample
+ * Optional sensor fields are null when the file did not record them.
+ * @typedef {Object} TrackPoint
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lon - Longitude in degrees
+ * @property {number|null} time - Timestamp in milliseconds since epoch (UTC)
+ * @property {number|null} ele - Elevation in meters
+ * @property {number|null} hr - Heart rate in beats per minute
+ * @property {number|null} cad - Cadence in revolutions (steps per foot) per minute
+ * @property {number|null} speed - Device-reported speed in meters per second
+ */
+
+/**
+ * Parsed activity track
+ * Each segment is a continuous recording; a new segment starts wherever the
+ * recording was paused and resumed, or where the file starts a new track.
+ * @typedef {Object} Track
+ * @property {Array<Array<TrackPoint>>} segments - Non-empty segments in recording order
+ * @property {Array<string>} [warnings] - Problems found while parsing, e.g. a truncated
+ *   file whose readable part was loaded
+ */
+
+/**
+ * Create a track point, defaulting missing sensor fields to null
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Object} [fields={}] - Optional time, ele, hr, cad and speed values
+ * @returns {TrackPoint} Track point
+ */
+export function createTrackPoint(lat, lon, fields = {}) {
+  return {
+    lat,
+    lon,
+    time: fields.time ?? null,
+    ele: fields.ele ?? null,
+    hr: fields.hr ?? null,
+    cad: fields.cad ?? null,
+    speed: fields.speed ?? null
+  }
+}
+
+/**
+ * Get all points of a track in recording order, ignoring segment boundaries
+ * @param {Track} track - Parsed track
+ * @returns {Array<TrackPoint>} Flattened track points
+ */
+export function getTrackPoints(track) {
+  if (!track || !track.segments) {
+    return []
+  }
+  return track.segments.flat()
+}
+
+/**
+ * Derive [lat, lon] coordinates per segment from a track
+ * The nested array shape is accepted directly by L.polyline (multi-polyline)
+ * and by the canvas renderer.
+ * @param {Track} track - Parsed track
+ * @returns {Array<Array<Array<number>>>} One array of [lat, lon] pairs per segment
+ */
+export function trackToSegments(track) {
+  if (!track || !track.segments) {
+    return []
+  }
+  return track.segments.map(segment => segment.map(point => [point.lat, point.lon]))
+}
+
+/**
+ * Derive plain [lat, lon] coordinates from a track
+ * Segments are concatenated, so use trackToSegments when gaps matter.
+ * @param {Track} track - Parsed track
+ * @returns {Array<Array<number>>} Array of [lat, lon] coordinate pairs
+ */
+export function trackToCoordinates(track) {
+  return getTrackPoints(track).map(point => [point.lat, point.lon])
+}
+
+// =============================================================================
+// Coordinate Helpers
+// =============================================================================
+
+/**
+ * Check whether a coordinate list is split into segments
+ *
+ * A flat list holds coordinates ([lat, lng] pairs or {lat, lng} objects);
+ * a segmented list holds arrays of coordinates.
+ *
+ * @param {Array} coordinates - Flat or segmented coordinate list
+ * @returns {boolean} True if the list is an array of segments
+ */
+export function isSegmented(coordinates) {
+  if (!coordinates || coordinates.length === 0) {
+    return false
+  }
+  const first = coordinates[0]
+  return Array.isArray(first) && first.length > 0 && typeof first[0] !== 'number'
+}
+
+/**
+ * Normalize a flat or segmented coordinate list to an array of segments
+ * @param {Array} coordinates - Flat or segmented coordinate list
+ * @returns {Array<Array>} Array of segments (a flat list becomes one segment)
+ */
+export function toSegments(coordinates) {
+  if (!coordinates || coordinates.length === 0) {
+    return []
+  }
+  return isSegmented(coordinates) ? coordinates : [coordinates]
+}
+
+/**
+ * Count coordinates across all segments
+ * @param {Array} coordinates - Flat or segmented coordinate list
+ * @returns {number} Total number of coordinates
+ */
+export function countCoordinates(coordinates) {
+  return toSegments(coordinates).reduce((sum, segment) => sum + segment.length, 0)
+}
+
+/**
+ * Get the last coordinate of a flat or segmented list
+ * @param {Array} coordinates - Flat or segmented coordinate list
+ * @returns {Array<number>|Object|null} Last coordinate, or null if empty
+ */
+export function getLastCoordinate(coordinates) {
+  const segments = toSegments(coordinates)
+  for (let i = segments.length - 1; i >= 0; i--) {
+    if (segments[i].length > 0) {
+      return segments[i][segments[i].length - 1]
+    }
+  }
+  return null
+}
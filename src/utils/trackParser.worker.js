@@ -0,0 +1,11 @@
+/**
+ * Track parser worker entry point
+ * Parses activity files off the main thread; see trackWorker.js.
+ */
+
+import { handleParseRequest } from './trackWorker.js'
+
+self.onmessage = (event) => {
+  const { response, transfer } = handleParseRequest(event.data)
+  self.postMessage(response, transfer)
+}
@@ -0,0 +1,192 @@
+/**
+ * Track Parser Worker Pool
+ *
+ * Spreads activity file parsing over a small pool of Web Workers so loading
+ * thousands of files keeps the main thread (spinner, running animations)
+ * responsive. Requests queue until a worker is free; workers are started
+ * on demand up to the pool size.
+ *
+ * Requests the pool cannot run are rejected with code WORKER_UNAVAILABLE and
+ * callers parse that file on the main thread. A worker that crashes on a
+ * file is replaced and only that file falls back; if workers cannot start at
+ * all (none has ever answered), the pool shuts down for the session.
+ *
+ * @module utils/trackParserPool
+ */
+
+import { PARSER_WORKER_LIMIT } from './constants.js'
+import { createLogger } from './logger.js'
+import { WORKER_TRACK_FORMATS, unpackTrack } from './trackWorker.js'
+
+const log = createLogger('TrackParserPool')
+
+/**
+ * Error code for requests the pool could not run
+ */
+export const WORKER_UNAVAILABLE = 'WORKER_UNAVAILABLE'
+
+/**
+ * Pool of track parser workers
+ * @typedef {Object} TrackParserPool
+ * @property {function(string): boolean} supports - Whether a format can be parsed in the pool
+ * @property {function(Uint8Array, string): Promise<import('./trackModel.js').Track>} parse - Parse file content
+ * @property {function(): void} terminate - Stop all workers and reject pending requests
+ */
+
+/**
+ * Create an Error for requests the pool cannot run
+ * @param {string} message - Error message
+ * @returns {Error} Error with code WORKER_UNAVAILABLE
+ */
+function unavailableError(message) {
+  const error = new Error(message)
+  error.code = WORKER_UNAVAILABLE
+  return error
+}
+
+/**
+ * Check whether an error means the pool could not run a request
+ * @param {Error} error - Error from TrackParserPool.parse
+ * @returns {boolean} True if the file should be parsed on the main thread instead
+ */
+export function isWorkerUnavailableError(error) {
+  return Boolean(error) && error.code === WORKER_UNAVAILABLE
+}
+
+/**
+ * Create a track parser pool
+ * @param {function(): Worker} createWorker - Worker factory
+ * @param {number} size - Maximum number of workers
+ * @returns {TrackParserPool} Worker pool
+ */
+export function createTrackParserPool(createWorker, size) {
+  const idle = []
+  const busy = new Map() // Worker to its running request
+  const queue = []
+  let workerCount = 0
+  let nextId = 1
+  let broken = false
+  let started = false // Whether any worker has answered a request
+
+  function shutDown(reason) {
+    broken = true
+    const error = unavailableError(reason)
+    for (const [worker, request] of busy) {
+      worker.terminate()
+      request.reject(error)
+    }
+    for (const worker of idle) {
+      worker.terminate()
+    }
+    for (const request of queue) {
+      request.reject(error)
+    }
+    busy.clear()
+    idle.length = 0
+    queue.length = 0
+  }
+
+  function startWorker() {
+    const worker = createWorker()
+    workerCount++
+
+    worker.onmessage = (event) => {
+      const request = busy.get(worker)
+      if (!request || event.data.id !== request.id) return
+
+      started = true
+      busy.delete(worker)
+      if (event.data.error) {
+        request.reject(new Error(event.data.error))
+      } else {
+        request.resolve(unpackTrack(event.data.track))
+      }
+      idle.push(worker)
+      dispatch()
+    }
+
+    worker.onerror = (event) => {
+      if (!started) {
+        log.warn('Track parser worker failed to start - parsing on the main thread instead:', event.message || event)
+        shutDown('Track parser worker failed')
+        return
+      }
+
+      // Replace the crashed worker; only the file it was parsing falls back
+      log.warn('Track parser worker crashed - parsing its file on the main thread:', event.message || event)
+      const request = busy.get(worker)
+      busy.delete(worker)
+      worker.terminate()
+      workerCount--
+      if (request) {
+        request.reject(unavailableError('Track parser worker crashed'))
+      }
+      try {
+        dispatch()
+      } catch (error) {
+        shutDown(`Could not start track parser worker: ${error.message}`)
+      }
+    }
+
+    return worker
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      const worker = idle.pop() || (workerCount < size ? startWorker() : null)
+      if (!worker) return
+
+      const request = queue.shift()
+      busy.set(worker, request)
+      worker.postMessage({ id: request.id, bytes: request.bytes, format: request.format })
+    }
+  }
+
+  return {
+    supports(format) {
+      return !broken && WORKER_TRACK_FORMATS.includes(format)
+    },
+
+    parse(bytes, format) {
+      if (broken) {
+        return Promise.reject(unavailableError('Track parser workers are unavailable'))
+      }
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, bytes, format, resolve, reject })
+        try {
+          dispatch()
+        } catch (error) {
+          // Worker construction failed (e.g., blocked by CSP)
+          shutDown(`Could not start track parser worker: ${error.message}`)
+        }
+      })
+    },
+
+    terminate() {
+      shutDown('Track parser pool terminated')
+    }
+  }
+}
+
+let defaultPool
+
+/**
+ * Get the shared track parser pool (created on first use)
+ * @returns {TrackParserPool|null} Worker pool, or null if Web Workers are unavailable
+ */
+export function getTrackParserPool() {
+  if (defaultPool === undefined) {
+    if (typeof Worker === 'undefined') {
+      defaultPool = null
+    } else {
+      const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2
+      const size = Math.max(1, Math.min(PARSER_WORKER_LIMIT, cores - 1))
+      defaultPool = createTrackParserPool(
+        () => new Worker(new URL('./trackParser.worker.js', import.meta.url), { type: 'module' }),
+        size
+      )
+      log.debug(`Parsing activity files in up to ${size} workers`)
+    }
+  }
+  return defaultPool
+}
@@ -0,0 +1,235 @@
+/**
+ * Route Simplification
+ *
+ * Zoom-aware level of detail for drawing routes. After loading, each route
+ * gets Douglas-Peucker simplified copies for the zoom levels in
+ * ROUTE_LOD_ZOOM_LEVELS; renderers pick the coarsest copy that is still
+ * accurate to SIMPLIFY_TOLERANCE_PX at the zoom they draw at.
+ *
+ * Simplified copies remember the index of every kept point in the recorded
+ * route, so animation progress (measured in recorded points) and the head of
+ * a partly drawn route are exactly the same as without simplification.
+ *
+ * @module utils/trackSimplify
+ */
+
+import { toSegments, countCoordinates } from './trackModel.js'
+import { SIMPLIFY_TOLERANCE_PX, ROUTE_LOD_ZOOM_LEVELS } from './constants.js'
+
+// Size of the Web Mercator world at zoom 0, in pixels (as in Leaflet)
+const WORLD_SIZE = 256
+
+// Web Mercator latitude limit
+const MAX_LATITUDE = 85.0511287798
+
+/**
+ * Simplified copy of a route for one zoom level
+ * @typedef {Object} RouteLevel
+ * @property {number} zoom - Highest zoom the copy is accurate at
+ * @property {Array<Array>} segments - Kept coordinates per segment
+ * @property {Array<Uint32Array>} indices - Index of each kept coordinate within its recorded segment
+ */
+
+/**
+ * Precomputed levels of detail for a route
+ * @typedef {Object} RouteLOD
+ * @property {number} pointCount - Number of recorded coordinates
+ * @property {Array<RouteLevel>} levels - Simplified copies by ascending zoom
+ */
+
+/**
+ * Project a coordinate to Web Mercator pixels at zoom 0
+ * @param {Array<number>|{lat: number, lng: number}} coordinate - [lat, lng] pair or {lat, lng}
+ * @returns {{x: number, y: number}} World pixel coordinate
+ */
+export function projectToWorld(coordinate) {
+  const lat = Array.isArray(coordinate) ? coordinate[0] : coordinate.lat
+  const lng = Array.isArray(coordinate) ? coordinate[1] : coordinate.lng
+  const sin = Math.sin(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180)
+  return {
+    x: (lng + 180) / 360 * WORLD_SIZE,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * WORLD_SIZE
+  }
+}
+
+/**
+ * Distance from point i to the line segment between points a and b
+ * @param {Float64Array} xs - Projected x coordinates
+ * @param {Float64Array} ys - Projected y coordinates
+ * @param {number} i - Point index
+ * @param {number} a - Segment start index
+ * @param {number} b - Segment end index
+ * @returns {number} Distance in world pixels
+ */
+function distanceToSegment(xs, ys, i, a, b) {
+  const dx = xs[b] - xs[a]
+  const dy = ys[b] - ys[a]
+  const lengthSquared = dx * dx + dy * dy
+  let t = 0
+  if (lengthSquared > 0) {
+    t = Math.max(0, Math.min(1, ((xs[i] - xs[a]) * dx + (ys[i] - ys[a]) * dy) / lengthSquared))
+  }
+  return Math.hypot(xs[i] - xs[a] - t * dx, ys[i] - ys[a] - t * dy)
+}
+
+/**
+ * Compute the Douglas-Peucker tolerance each point survives
+ *
+ * A point is kept by Douglas-Peucker at tolerance t exactly when its value
+ * here is greater than t (values are capped at the parent split's value, so
+ * a point never outlives the split that made it reachable). End points are
+ * always kept.
+ *
+ * @param {Array} coordinates - One segment of [lat, lng] pairs or {lat, lng} objects
+ * @returns {Float64Array} Tolerance per point, in world pixels at zoom 0
+ */
+export function getPointTolerances(coordinates) {
+  const count = coordinates.length
+  const tolerances = new Float64Array(count)
+  if (count === 0) {
+    return tolerances
+  }
+
+  const xs = new Float64Array(count)
+  const ys = new Float64Array(count)
+  coordinates.forEach((coordinate, i) => {
+    const { x, y } = projectToWorld(coordinate)
+    xs[i] = x
+    ys[i] = y
+  })
+
+  tolerances[0] = Infinity
+  tolerances[count - 1] = Infinity
+
+  // Iterative to stay clear of the call stack limit on long recordings
+  const stack = [0, count - 1, Infinity]
+  while (stack.length > 0) {
+    const cap = stack.pop()
+    const last = stack.pop()
+    const first = stack.pop()
+
+    let farthest = -1
+    let maxDistance = -1
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(xs, ys, i, first, last)
+      if (distance > maxDistance) {
+        maxDistance = distance
+        farthest = i
+      }
+    }
+    if (farthest === -1) continue
+
+    const tolerance = Math.min(maxDistance, cap)
+    tolerances[farthest] = tolerance
+    stack.push(first, farthest, tolerance, farthest, last, tolerance)
+  }
+
+  return tolerances
+}
+
+/**
+ * Build the levels of detail for a route
+ * The result is frozen, which also keeps Vue from wrapping it in reactive proxies.
+ * @param {Array} coordinates - Flat or segmented route coordinates
+ * @returns {RouteLOD|null} Levels of detail, or null for an empty route
+ */
+export function buildRouteLOD(coordinates) {
+  const segments = toSegments(coordinates)
+  if (segments.length === 0) {
+    return null
+  }
+
+  const tolerances = segments.map(segment => getPointTolerances(segment))
+
+  const levels = ROUTE_LOD_ZOOM_LEVELS.map(zoom => {
+    const tolerance = SIMPLIFY_TOLERANCE_PX / 2 ** zoom
+    const indices = tolerances.map(values => {
+      const kept = []
+      values.forEach((value, i) => {
+        if (value > tolerance) kept.push(i)
+      })
+      return Uint32Array.from(kept)
+    })
+    return {
+      zoom,
+      segments: indices.map((kept, s) => Array.from(kept, i => segments[s][i])),
+      indices
+    }
+  })
+
+  return Object.freeze({ pointCount: countCoordinates(segments), levels })
+}
+
+/**
+ * Get the zoom a route is drawn at, in terms of level-of-detail selection
+ * @param {L.Map} map - Leaflet map instance
+ * @param {number} [pixelScale=1] - Output pixels per map pixel (device pixel ratio, export upscaling)
+ * @returns {number} Effective zoom level
+ */
+export function getLODZoom(map, pixelScale = 1) {
+  return map.getZoom() + Math.log2(pixelScale)
+}
+
+/**
+ * Pick the coarsest level of detail that is accurate at a zoom
+ * @param {RouteLOD|null|undefined} lod - Levels of detail of a route
+ * @param {number} zoom - Effective zoom (see getLODZoom)
+ * @returns {RouteLevel|null} Level to draw, or null to draw every recorded point
+ */
+export function selectRouteLevel(lod, zoom) {
+  if (!lod || !Number.isFinite(zoom)) {
+    return null
+  }
+  return lod.levels.find(level => level.zoom >= zoom) || null
+}
+
+/**
+ * Count the entries of a sorted index array below a limit
+ * @param {Uint32Array} indices - Ascending indices
+ * @param {number} limit - Exclusive upper bound
+ * @returns {number} Number of indices < limit
+ */
+function countBelow(indices, limit) {
+  let low = 0
+  let high = indices.length
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (indices[middle] < limit) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
+/**
+ * Get the simplified part of a route covering its first recorded points
+ * The last visible recorded point is always included, so the route ends
+ * where the unsimplified route would.
+ * @param {Array} coordinates - Flat or segmented recorded route coordinates
+ * @param {RouteLevel} level - Level of detail built from the same coordinates
+ * @param {number} count - Number of recorded points to cover
+ * @returns {Array<Array>} Simplified coordinates per segment
+ */
+export function getVisibleLevelCoordinates(coordinates, level, count) {
+  const segments = toSegments(coordinates)
+  const visible = []
+  let start = 0 // Index of the segment's first point within the route
+
+  for (let s = 0; s < segments.length && start < count; s++) {
+    const recorded = segments[s]
+    const end = Math.min(count - start, recorded.length)
+    const kept = countBelow(level.indices[s], end)
+
+    const part = level.segments[s].slice(0, kept)
+    if (kept === 0 || level.indices[s][kept - 1] !== end - 1) {
+      part.push(recorded[end - 1])
+    }
+    visible.push(part)
+
+    start += recorded.length
+  }
+
+  return visible
+}
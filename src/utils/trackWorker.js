@@ -0,0 +1,145 @@
+/**
+ * Track Parsing in Workers
+ *
+ * Worker-side parsing and the compact format tracks travel in between the
+ * worker and the main thread. A packed track stores each point field in a
+ * typed array (null values as NaN), so the result can be transferred without
+ * copying instead of structured-cloning thousands of point objects.
+ *
+ * The worker entry point (trackParser.worker.js) only forwards messages to
+ * handleParseRequest; the pool lives in trackParserPool.js.
+ *
+ * @module utils/trackWorker
+ */
+
+import { createTrackPoint } from './trackModel.js'
+import { decodeFITTrack } from './fitDecoder.js'
+import { parseGPXTrackSAX } from './gpxSaxParser.js'
+import { parseTCXTrackSAX } from './tcxSaxParser.js'
+
+/**
+ * Formats that can be parsed in a worker
+ * XML formats use the SAX parsers, since workers have no DOMParser.
+ */
+export const WORKER_TRACK_FORMATS = ['gpx', 'tcx', 'fit']
+
+// Worker-safe parser for each XML format
+const XML_PARSERS = {
+  gpx: parseGPXTrackSAX,
+  tcx: parseTCXTrackSAX
+}
+
+// Optional point fields, stored as NaN when null
+const POINT_FIELDS = ['time', 'ele', 'hr', 'cad', 'speed']
+
+/**
+ * Track packed into typed arrays
+ * @typedef {Object} PackedTrack
+ * @property {Uint32Array} segmentLengths - Number of points in each segment
+ * @property {Float64Array} lat - Latitudes of all points
+ * @property {Float64Array} lon - Longitudes of all points
+ * @property {Float64Array} time - Timestamps (NaN when not recorded)
+ * @property {Float64Array} ele - Elevations (NaN when not recorded)
+ * @property {Float64Array} hr - Heart rates (NaN when not recorded)
+ * @property {Float64Array} cad - Cadences (NaN when not recorded)
+ * @property {Float64Array} speed - Speeds (NaN when not recorded)
+ * @property {Array<string>} warnings - Parse warnings (copied, not transferred)
+ */
+
+/**
+ * Parse request sent to a worker
+ * @typedef {Object} ParseRequest
+ * @property {number} id - Request ID, echoed in the response
+ * @property {Uint8Array} bytes - Decompressed file content
+ * @property {'gpx'|'tcx'|'fit'} format - File format
+ */
+
+/**
+ * Pack a track into typed arrays
+ * @param {import('./trackModel.js').Track} track - Parsed track
+ * @returns {PackedTrack} Packed track
+ */
+export function packTrack(track) {
+  const count = track.segments.reduce((sum, segment) => sum + segment.length, 0)
+  const packed = {
+    segmentLengths: Uint32Array.from(track.segments, segment => segment.length),
+    lat: new Float64Array(count),
+    lon: new Float64Array(count),
+    warnings: track.warnings || []
+  }
+  for (const field of POINT_FIELDS) {
+    packed[field] = new Float64Array(count)
+  }
+
+  let index = 0
+  for (const segment of track.segments) {
+    for (const point of segment) {
+      packed.lat[index] = point.lat
+      packed.lon[index] = point.lon
+      for (const field of POINT_FIELDS) {
+        packed[field][index] = point[field] ?? NaN
+      }
+      index++
+    }
+  }
+
+  return packed
+}
+
+/**
+ * Rebuild a track from its packed form
+ * @param {PackedTrack} packed - Packed track
+ * @returns {import('./trackModel.js').Track} Track
+ */
+export function unpackTrack(packed) {
+  const segments = []
+  let index = 0
+
+  for (const length of packed.segmentLengths) {
+    const segment = []
+    for (let end = index + length; index < end; index++) {
+      const fields = {}
+      for (const field of POINT_FIELDS) {
+        const value = packed[field][index]
+        fields[field] = Number.isNaN(value) ? null : value
+      }
+      segment.push(createTrackPoint(packed.lat[index], packed.lon[index], fields))
+    }
+    segments.push(segment)
+  }
+
+  return packed.warnings && packed.warnings.length > 0
+    ? { segments, warnings: packed.warnings }
+    : { segments }
+}
+
+/**
+ * Get the buffers of a packed track for postMessage's transfer list
+ * @param {PackedTrack} packed - Packed track
+ * @returns {Array<ArrayBuffer>} Buffers to transfer
+ */
+export function getTransferList(packed) {
+  return Object.values(packed)
+    .filter(value => ArrayBuffer.isView(value))
+    .map(array => array.buffer)
+}
+
+/**
+ * Handle a parse request inside a worker
+ * Parse errors are returned in the response rather than thrown, so the
+ * worker stays alive for the next file.
+ * @param {ParseRequest} request - Parse request
+ * @returns {{ response: Object, transfer: Array<ArrayBuffer> }} Response message and its transfer list
+ */
+export function handleParseRequest(request) {
+  const { id, bytes, format } = request
+  try {
+    const track = format === 'fit'
+      ? decodeFITTrack(bytes)
+      : XML_PARSERS[format](new TextDecoder().decode(bytes))
+    const packed = packTrack(track)
+    return { response: { id, track: packed }, transfer: getTransferList(packed) }
+  } catch (error) {
+    return { response: { id, error: error.message || 'Unknown error' }, transfer: [] }
+  }
+}
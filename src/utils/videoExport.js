@@ -529,6 +529,7 @@ export class PNGSequenceRecorder {
    * @param {boolean} [state.showStaticRoutes] - Whether to show background routes
    * @param {Array} [state.staticActivities] - All activities for static rendering
    * @param {string} [state.selectedColor] - Color for current route
+   * @param {Array<number>|null} [state.selectedDash] - Dash pattern for current route
    */
   updateState(state) {
     if (!this.animationState) {
@@ -627,10 +628,12 @@ export class PNGSequenceRecorder {
 
         // Render current animation frame directly to canvas
         // Use multi-run renderer if activities array is present, otherwise use single-run renderer
-        if (this.animationState.activities && this.animationState.activities.length > 0) {
-          renderMultiRunFrame(canvas, this.exportFrame, this.map, this.animationState)
+        // Routes are simplified for the output resolution, not the frame size on screen
+        const state = { ...this.animationState, outputScale: this.options.width / frameWidth }
+        if (state.activities && state.activities.length > 0) {
+          renderMultiRunFrame(canvas, this.exportFrame, this.map, state)
         } else {
-          renderExportFrame(canvas, this.exportFrame, this.map, this.animationState)
+          renderExportFrame(canvas, this.exportFrame, this.map, state)
         }
 
         // Scale to output resolution if needed
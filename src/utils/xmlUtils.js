@@ -0,0 +1,96 @@
+/**
+ * XML Utilities
+ *
+ * Small DOM helpers shared by the activity file parsers (GPX, TCX, KML).
+ * Elements are matched by local name so namespace prefixes in the source
+ * file (gpxtpx:, ns3:, etc.) do not matter.
+ *
+ * @module utils/xmlUtils
+ */
+
+/**
+ * Parse an XML string into a document
+ * Leading whitespace is stripped first because an XML declaration that is not
+ * at the very start of the file is a parse error (Strava TCX exports often
+ * begin with padding spaces).
+ * @param {string} xmlText - XML content
+ * @returns {Document} Parsed XML document
+ * @throws {Error} If the XML is not well-formed
+ */
+export function parseXML(xmlText) {
+  const parser = new DOMParser()
+  const doc = parser.parseFromString(xmlText.trimStart(), 'text/xml')
+
+  // DOMParser reports errors as a <parsererror> element instead of throwing
+  const parserError = doc.getElementsByTagName('parsererror')[0]
+  if (parserError) {
+    const detail = parserError.textContent.trim().split('\n')[0]
+    throw new Error(`Malformed XML: ${detail}`)
+  }
+
+  return doc
+}
+
+/**
+ * Get the direct child elements of an element with a given local name
+ * @param {Element} element - Parent element
+ * @param {string} localName - Child element local name (namespace prefix ignored)
+ * @returns {Array<Element>} Matching child elements in document order
+ */
+export function getChildElements(element, localName) {
+  const matches = []
+  for (const child of element.children) {
+    if (child.localName === localName) {
+      matches.push(child)
+    }
+  }
+  return matches
+}
+
+/**
+ * Get the text content of a direct child element by local name
+ * @param {Element} element - Parent element
+ * @param {string} localName - Child element local name (namespace prefix ignored)
+ * @returns {string|null} Trimmed text content, or null if no such child
+ */
+export function getChildText(element, localName) {
+  for (const child of element.children) {
+    if (child.localName === localName) {
+      return child.textContent.trim()
+    }
+  }
+  return null
+}
+
+/**
+ * Get the text content of the first descendant element by local name
+ * @param {Element} element - Ancestor element
+ * @param {string} localName - Descendant local name (any namespace)
+ * @returns {string|null} Trimmed text content, or null if not found
+ */
+export function getDescendantText(element, localName) {
+  const matches = element.getElementsByTagNameNS('*', localName)
+  return matches.length > 0 ? matches[0].textContent.trim() : null
+}
+
+/**
+ * Parse a numeric string, returning null for missing or invalid values
+ * @param {string|null} text - Text to parse
+ * @returns {number|null} Parsed number or null
+ */
+export function parseOptionalNumber(text) {
+  if (text === null || text === '') return null
+  const value = parseFloat(text)
+  return isNaN(value) ? null : value
+}
+
+/**
+ * Parse an ISO 8601 timestamp, returning null for missing or invalid values
+ * @param {string|null} text - Timestamp text (e.g., "2017-03-24T17:42:11Z")
+ * @returns {number|null} Milliseconds since epoch or null
+ */
+export function parseOptionalTime(text) {
+  if (!text) return null
+  const time = Date.parse(text)
+  return isNaN(time) ? null : time
+}
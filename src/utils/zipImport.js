@@ -0,0 +1,84 @@
+/**
+ * Strava Export ZIP Import
+ *
+ * Reads the bulk-export ZIP that Strava emails (export_XXXX.zip) in memory,
+ * so a user can visualize their own data without unpacking it into
+ * public/data/. The archive layout mirrors public/data:
+ *
+ *   activities.csv
+ *   activities/123.gpx.gz, 456.fit.gz, ...
+ *
+ * Some tools re-zip the export inside a top-level folder, so the archive root
+ * is taken to be the folder that contains activities.csv.
+ *
+ * @module utils/zipImport
+ */
+
+import JSZip from 'jszip'
+import { createLogger } from './logger.js'
+
+const log = createLogger('ZipImport')
+
+/**
+ * An opened Strava export archive
+ * @typedef {Object} ExportArchive
+ * @property {string} name - Archive filename (for display)
+ * @property {JSZip} zip - Loaded JSZip instance
+ * @property {string} root - Path prefix of the folder holding activities.csv ('' at top level)
+ */
+
+/**
+ * Open a Strava export ZIP
+ * @param {File|Blob|ArrayBuffer|Uint8Array} file - ZIP file content
+ * @param {string} [name] - Display name (defaults to file.name)
+ * @returns {Promise<ExportArchive>} Opened archive
+ * @throws {Error} If the file is not a ZIP or has no activities.csv
+ */
+export async function openStravaExport(file, name = file.name || 'export.zip') {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(file)
+  } catch (error) {
+    throw new Error(`Could not read ZIP file: ${error.message}`)
+  }
+
+  const root = findExportRoot(zip)
+  if (root === null) {
+    throw new Error('No activities.csv found - is this a Strava bulk export?')
+  }
+
+  log.info(`Opened ${name}${root ? ` (root: ${root})` : ''}`)
+  return { name, zip, root }
+}
+
+/**
+ * Find the folder that contains activities.csv
+ * Prefers the shallowest match if the archive contains several.
+ * @param {JSZip} zip - Loaded archive
+ * @returns {string|null} Path prefix ending in '/' (or '' for top level), null if not found
+ */
+function findExportRoot(zip) {
+  const candidates = Object.keys(zip.files)
+    .filter(path => path === 'activities.csv' || path.endsWith('/activities.csv'))
+    .filter(path => !path.startsWith('__MACOSX/'))
+    .sort((a, b) => a.split('/').length - b.split('/').length)
+
+  if (candidates.length === 0) {
+    return null
+  }
+  return candidates[0].slice(0, -'activities.csv'.length)
+}
+
+/**
+ * Read a file from an export archive
+ * @param {ExportArchive} archive - Opened archive
+ * @param {string} path - Path relative to the export root (e.g., "activities/123.gpx.gz")
+ * @returns {Promise<Uint8Array|null>} File bytes, or null if the file is not in the archive
+ */
+export async function readArchiveFile(archive, path) {
+  const entry = archive.zip.file(archive.root + path)
+  if (!entry) {
+    return null
+  }
+  return entry.async('uint8array')
+}